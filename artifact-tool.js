@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 import { ArtifactRegistryClient } from '@google-cloud/artifact-registry';
-import { program } from 'commander';
+import { program, Option } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import Table from 'cli-table3';
@@ -9,23 +9,55 @@ import inquirer from 'inquirer';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import { execFileSync } from 'child_process';
+import { packagePath, versionPath, tagPath, repositoryPath, lastSegment, decodePackageId, parseDockerImageName, parseImageReference, parseRegistryImage, TAG_PATTERN, isImageName, isImageReference } from './lib/resources.js';
+import { planPackageDeletion, planVersionDeletion, planTagDeletion, planRepositoryDeletion, applyDeletion } from './lib/deletion.js';
+import { validateRepositorySpec, parseLabels, createRepository, updateRepository, describeRepository } from './lib/repositories.js';
+import { normalizePolicy, runCleanupReport, applyCleanupReport } from './lib/cleanup.js';
+import { listPage } from './lib/listing.js';
+import { promoteImage, registryPath } from './lib/promotion.js';
+import { planTagChange, applyTagChange, describeTagChange } from './lib/tags.js';
+import { listVersionFiles, downloadFileTo } from './lib/files.js';
+import { UPLOAD_FORMATS, planUpload, uploadArtifacts, confirmUploadedFiles } from './lib/uploads.js';
+import { RegistryClient } from './lib/oci-registry.js';
+import { inspectImage } from './lib/inspect.js';
+import { compareImages } from './lib/compare.js';
+import { OUTPUT_FORMATS, formatOutput, isoTimestamp } from './lib/output.js';
+import { auditLog } from './lib/audit.js';
+import { addProfile, useProfile, removeProfile, listProfiles, resolveProfile, ProfileError, PROFILES_PATH } from './lib/profiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configuration
-const CREDENTIALS_PATH = path.join(__dirname, 'gcp-creds.json');
-const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-const PROJECT_ID = credentials.project_id;
+// Configuration - resolved from the selected profile before any command runs
+const LEGACY_CREDENTIALS_PATH = path.join(__dirname, 'gcp-creds.json');
+let PROFILE_NAME = null;
+let CREDENTIALS_PATH = null;
+let PROJECT_ID = null;
+let SERVICE_ACCOUNT = null;
+let client = null;
 
-// Set environment variable for authentication
-process.env.GOOGLE_APPLICATION_CREDENTIALS = CREDENTIALS_PATH;
+function createProfileClient(profile) {
+  return new ArtifactRegistryClient({
+    keyFilename: profile.keyFile,
+    projectId: profile.projectId,
+  });
+}
 
-// Initialize the Artifact Registry client
-const client = new ArtifactRegistryClient({
-  keyFilename: CREDENTIALS_PATH,
-});
+// Load a profile (or the legacy gcp-creds.json) and initialize the Artifact Registry client
+function useCredentials(profileName) {
+  const profile = resolveProfile(profileName, { fallbackKeyFile: LEGACY_CREDENTIALS_PATH });
+
+  PROFILE_NAME = profile.name;
+  CREDENTIALS_PATH = profile.keyFile;
+  PROJECT_ID = profile.projectId;
+  SERVICE_ACCOUNT = profile.serviceAccount || null;
+
+  // Set environment variable for authentication
+  process.env.GOOGLE_APPLICATION_CREDENTIALS = CREDENTIALS_PATH;
+
+  client = createProfileClient(profile);
+}
 
 // Utility functions
 function formatDate(timestamp) {
@@ -42,213 +74,945 @@ function formatSize(bytes) {
   return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
 }
 
+// Fetch everything, or a single page when --limit / --page-token are given
+async function fetchList(method, request, options = {}) {
+  if (!options.limit && !options.pageToken) {
+    const [items] = await client[method](request);
+    return { items, nextPageToken: null };
+  }
+
+  return listPage(client, method, request, { pageSize: options.limit, pageToken: options.pageToken });
+}
+
+// On stderr so it never mixes with JSON/YAML/CSV on stdout
+function printNextPageToken(nextPageToken) {
+  if (nextPageToken) {
+    console.error(chalk.gray(`\nMore results available. Next page: --page-token ${nextPageToken}`));
+  }
+}
+
+// Spinners write to stderr and are silenced by --quiet
+function listingSpinner(text, options = {}) {
+  return ora({ text, stream: process.stderr, isSilent: Boolean(options.quiet) }).start();
+}
+
+// A table for people, or the records as JSON/YAML/CSV on stdout for scripts.
+// An empty listing is still valid output ("[]", a CSV header) in those formats.
+function printListing(records, nextPageToken, options, { empty, columns, table }) {
+  const output = options.output || 'table';
+
+  if (output !== 'table') {
+    process.stdout.write(formatOutput(records, output, columns));
+  } else if (records.length === 0) {
+    if (!options.quiet) console.error(chalk.yellow(`\n${empty}`));
+  } else {
+    console.log(`${options.quiet ? '' : '\n'}${table().toString()}`);
+  }
+  printNextPageToken(nextPageToken);
+}
+
+// Single results (an inspection, a comparison) as JSON/YAML on stdout, or printed for people
+function printReport(result, options, print) {
+  const output = options.output || 'table';
+  if (output === 'table') {
+    print(result);
+  } else {
+    process.stdout.write(formatOutput(result, output));
+  }
+}
+
+// Listing failures exit non-zero so scripts can tell them from an empty registry
+function listingFailed(spinner, message, error) {
+  spinner.fail(chalk.red(message));
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exitCode = 1;
+}
+
+// List the same location in every configured profile's project (each project once)
+async function listRepositoriesAcrossProfiles(location) {
+  const profiles = [...new Map(listProfiles().map((p) => [p.projectId, p])).values()];
+  if (profiles.length === 0) {
+    throw new ProfileError('No profiles configured. Run "gcp-artifact profile add <name> --key-file <path>".');
+  }
+
+  const results = await Promise.all(profiles.map(async (profile) => {
+    const profileClient = createProfileClient(profile);
+    try {
+      const [repositories] = await profileClient.listRepositories({ parent: `projects/${profile.projectId}/locations/${location}` });
+      return repositories;
+    } catch (error) {
+      // The listing is incomplete, so the command still fails once everything is printed
+      console.error(chalk.yellow(`\nSkipping ${profile.projectId} (profile ${profile.name}): ${error.message}`));
+      process.exitCode = 1;
+      return [];
+    } finally {
+      await profileClient.close();
+    }
+  }));
+
+  return { items: results.flat(), nextPageToken: null };
+}
+
 // ============== LIST REPOSITORIES ==============
-async function listRepositories(location = '-') {
-  const spinner = ora('Fetching repositories...').start();
+function repositoryRecord(repo) {
+  const nameParts = repo.name.split('/');
+  return {
+    project: nameParts[1],
+    name: nameParts[nameParts.length - 1],
+    format: repo.format || null,
+    location: nameParts[3],
+    description: repo.description || '',
+    createTime: isoTimestamp(repo.createTime),
+    updateTime: isoTimestamp(repo.updateTime),
+  };
+}
+
+async function listRepositories(location = '-', options = {}) {
+  const spinner = listingSpinner('Fetching repositories...', options);
   
   try {
     const parent = `projects/${PROJECT_ID}/locations/${location}`;
-    const [repositories] = await client.listRepositories({ parent });
+    const { items: repositories, nextPageToken } = options.allProfiles
+      ? await listRepositoriesAcrossProfiles(location)
+      : await fetchList('listRepositories', { parent }, options);
     
     spinner.succeed(chalk.green(`Found ${repositories.length} repositories`));
     
-    if (repositories.length === 0) {
-      console.log(chalk.yellow('\nNo repositories found.'));
-      return [];
-    }
-    
-    const table = new Table({
-      head: [
-        chalk.cyan('Name'),
-        chalk.cyan('Format'),
-        chalk.cyan('Location'),
-        chalk.cyan('Description'),
-        chalk.cyan('Created'),
-      ],
-      colWidths: [30, 12, 15, 30, 22],
-    });
-    
-    repositories.forEach((repo) => {
-      const nameParts = repo.name.split('/');
-      const repoName = nameParts[nameParts.length - 1];
-      const repoLocation = nameParts[3];
-      
-      table.push([
-        repoName,
-        repo.format || 'N/A',
-        repoLocation,
-        repo.description || 'N/A',
-        formatDate(repo.createTime),
-      ]);
+    printListing(repositories.map(repositoryRecord), nextPageToken, options, {
+      empty: 'No repositories found.',
+      table: () => {
+        const table = new Table({
+          head: [
+            ...(options.allProfiles ? [chalk.cyan('Project')] : []),
+            chalk.cyan('Name'),
+            chalk.cyan('Format'),
+            chalk.cyan('Location'),
+            chalk.cyan('Description'),
+            chalk.cyan('Created'),
+          ],
+          colWidths: [...(options.allProfiles ? [24] : []), 30, 12, 15, 30, 22],
+        });
+        
+        repositories.forEach((repo) => {
+          const record = repositoryRecord(repo);
+          table.push([
+            ...(options.allProfiles ? [record.project] : []),
+            record.name,
+            record.format || 'N/A',
+            record.location,
+            record.description || 'N/A',
+            formatDate(repo.createTime),
+          ]);
+        });
+        return table;
+      },
     });
-    
-    console.log('\n' + table.toString());
     return repositories;
   } catch (error) {
-    spinner.fail(chalk.red('Failed to fetch repositories'));
-    console.error(chalk.red(`Error: ${error.message}`));
+    listingFailed(spinner, 'Failed to fetch repositories', error);
     if (error.code === 7) {
-      console.log(chalk.yellow('\nPermission denied. Make sure the service account has Artifact Registry Reader role.'));
+      console.error(chalk.yellow('\nPermission denied. Make sure the service account has Artifact Registry Reader role.'));
     }
     return [];
   }
 }
 
 // ============== LIST PACKAGES ==============
-async function listPackages(repository, location) {
-  const spinner = ora('Fetching packages...').start();
+function packageRecord(pkg) {
+  return {
+    name: decodePackageId(lastSegment(pkg.name)),
+    createTime: isoTimestamp(pkg.createTime),
+    updateTime: isoTimestamp(pkg.updateTime),
+  };
+}
+
+async function listPackages(repository, location, options = {}) {
+  const spinner = listingSpinner('Fetching packages...', options);
   
   try {
     const parent = `projects/${PROJECT_ID}/locations/${location}/repositories/${repository}`;
-    const [packages] = await client.listPackages({ parent });
+    const { items: packages, nextPageToken } = await fetchList('listPackages', { parent }, options);
     
     spinner.succeed(chalk.green(`Found ${packages.length} packages in ${repository}`));
     
-    if (packages.length === 0) {
-      console.log(chalk.yellow('\nNo packages found in this repository.'));
-      return [];
-    }
-    
-    const table = new Table({
-      head: [
-        chalk.cyan('Package Name'),
-        chalk.cyan('Created'),
-        chalk.cyan('Updated'),
-      ],
-      colWidths: [50, 22, 22],
-    });
-    
-    packages.forEach((pkg) => {
-      const nameParts = pkg.name.split('/');
-      const pkgName = nameParts[nameParts.length - 1];
-      
-      table.push([
-        pkgName,
-        formatDate(pkg.createTime),
-        formatDate(pkg.updateTime),
-      ]);
+    printListing(packages.map(packageRecord), nextPageToken, options, {
+      empty: 'No packages found in this repository.',
+      table: () => {
+        const table = new Table({
+          head: [
+            chalk.cyan('Package Name'),
+            chalk.cyan('Created'),
+            chalk.cyan('Updated'),
+          ],
+          colWidths: [50, 22, 22],
+        });
+        
+        packages.forEach((pkg) => {
+          table.push([
+            lastSegment(pkg.name),
+            formatDate(pkg.createTime),
+            formatDate(pkg.updateTime),
+          ]);
+        });
+        return table;
+      },
     });
-    
-    console.log('\n' + table.toString());
     return packages;
   } catch (error) {
-    spinner.fail(chalk.red('Failed to fetch packages'));
-    console.error(chalk.red(`Error: ${error.message}`));
+    listingFailed(spinner, 'Failed to fetch packages', error);
     return [];
   }
 }
 
 // ============== LIST VERSIONS ==============
-async function listVersions(repository, location, packageName) {
-  const spinner = ora('Fetching versions...').start();
+function versionRecord(version) {
+  return {
+    version: lastSegment(version.name),
+    description: version.description || '',
+    createTime: isoTimestamp(version.createTime),
+    updateTime: isoTimestamp(version.updateTime),
+  };
+}
+
+async function listVersions(repository, location, packageName, options = {}) {
+  const spinner = listingSpinner('Fetching versions...', options);
   
   try {
     const parent = `projects/${PROJECT_ID}/locations/${location}/repositories/${repository}/packages/${packageName}`;
-    const [versions] = await client.listVersions({ parent });
+    const { items: versions, nextPageToken } = await fetchList('listVersions', { parent }, options);
     
     spinner.succeed(chalk.green(`Found ${versions.length} versions for ${packageName}`));
     
-    if (versions.length === 0) {
-      console.log(chalk.yellow('\nNo versions found for this package.'));
-      return [];
-    }
-    
-    const table = new Table({
-      head: [
-        chalk.cyan('Version'),
-        chalk.cyan('Created'),
-        chalk.cyan('Updated'),
-        chalk.cyan('Description'),
-      ],
-      colWidths: [30, 22, 22, 30],
-    });
-    
-    versions.forEach((version) => {
-      const nameParts = version.name.split('/');
-      const versionName = nameParts[nameParts.length - 1];
-      
-      table.push([
-        versionName,
-        formatDate(version.createTime),
-        formatDate(version.updateTime),
-        version.description || 'N/A',
-      ]);
+    printListing(versions.map(versionRecord), nextPageToken, options, {
+      empty: 'No versions found for this package.',
+      table: () => {
+        const table = new Table({
+          head: [
+            chalk.cyan('Version'),
+            chalk.cyan('Created'),
+            chalk.cyan('Updated'),
+            chalk.cyan('Description'),
+          ],
+          colWidths: [30, 22, 22, 30],
+        });
+        
+        versions.forEach((version) => {
+          table.push([
+            lastSegment(version.name),
+            formatDate(version.createTime),
+            formatDate(version.updateTime),
+            version.description || 'N/A',
+          ]);
+        });
+        return table;
+      },
     });
-    
-    console.log('\n' + table.toString());
     return versions;
   } catch (error) {
-    spinner.fail(chalk.red('Failed to fetch versions'));
-    console.error(chalk.red(`Error: ${error.message}`));
+    listingFailed(spinner, 'Failed to fetch versions', error);
     return [];
   }
 }
 
 // ============== LIST DOCKER IMAGES ==============
-async function listDockerImages(repository, location) {
-  const spinner = ora('Fetching Docker images...').start();
+function dockerImageRecord(image) {
+  const parsed = parseDockerImageName(image.name);
+  return {
+    image: parsed ? decodePackageId(parsed.packageId) : image.name,
+    digest: parsed?.digest || null,
+    tags: image.tags || [],
+    size: Number(image.imageSizeBytes || 0),
+    mediaType: image.mediaType || null,
+    uploadTime: isoTimestamp(image.uploadTime),
+    uri: image.uri || null,
+  };
+}
+
+async function listDockerImages(repository, location, options = {}) {
+  const spinner = listingSpinner('Fetching Docker images...', options);
   
   try {
     const parent = `projects/${PROJECT_ID}/locations/${location}/repositories/${repository}`;
-    const [images] = await client.listDockerImages({ parent });
+    const { items: images, nextPageToken } = await fetchList('listDockerImages', { parent }, options);
     
     spinner.succeed(chalk.green(`Found ${images.length} Docker images`));
     
-    if (images.length === 0) {
-      console.log(chalk.yellow('\nNo Docker images found in this repository.'));
-      return [];
-    }
-    
+    printListing(images.map(dockerImageRecord), nextPageToken, options, {
+      empty: 'No Docker images found in this repository.',
+      columns: ['image', 'digest', 'tags', 'size', 'uploadTime', 'uri'],
+      table: () => {
+        // One tag per line, long ones wrapped rather than cut off
+        const table = new Table({
+          head: [
+            chalk.cyan('Image'),
+            chalk.cyan('Tags'),
+            chalk.cyan('Size'),
+            chalk.cyan('Uploaded'),
+          ],
+          colWidths: [45, 25, 12, 25],
+          wordWrap: true,
+          wrapOnWordBoundary: false,
+        });
+        
+        images.forEach((image) => {
+          const nameParts = image.name.split('/');
+          const imageName = nameParts.slice(-2).join('/');
+          
+          table.push([
+            imageName,
+            image.tags?.join('\n') || 'untagged',
+            formatSize(Number(image.imageSizeBytes)),
+            formatDate(image.uploadTime),
+          ]);
+        });
+        return table;
+      },
+    });
+    return images;
+  } catch (error) {
+    listingFailed(spinner, 'Failed to fetch Docker images', error);
+    return [];
+  }
+}
+
+// ============== DELETE ==============
+function printDeletionPlan(plan) {
+  console.log(chalk.red.bold('\nThe following will be permanently deleted:'));
+
+  if (plan.versions.length > 0) {
     const table = new Table({
       head: [
-        chalk.cyan('Image'),
+        chalk.cyan('Version'),
         chalk.cyan('Tags'),
-        chalk.cyan('Size'),
-        chalk.cyan('Uploaded'),
+        chalk.cyan('Created'),
       ],
-      colWidths: [45, 25, 12, 22],
+      colWidths: [75, 30, 26],
     });
-    
-    images.forEach((image) => {
-      const nameParts = image.name.split('/');
-      const imageName = nameParts.slice(-2).join('/');
-      const tags = image.tags?.join(', ') || 'untagged';
-      
+
+    plan.versions.forEach((version) => {
       table.push([
-        imageName,
-        tags.length > 23 ? tags.substring(0, 20) + '...' : tags,
-        formatSize(Number(image.imageSizeBytes)),
-        formatDate(image.uploadTime),
+        version.version,
+        version.tags.join(', ') || 'untagged',
+        version.createdAt ? new Date(version.createdAt).toLocaleString() : 'N/A',
       ]);
     });
-    
-    console.log('\n' + table.toString());
-    return images;
+
+    console.log(table.toString());
+  }
+
+  if (plan.action === 'delete-repository') {
+    console.log(`  Repository ${chalk.yellow(plan.target)} (${formatSize(plan.sizeBytes)})`);
+    plan.packages.forEach((pkg) => console.log(`    - ${pkg}`));
+    console.log(chalk.gray(`  ${plan.packages.length}${plan.packagesTruncated ? '+' : ''} package(s)`));
+  } else if (plan.action === 'delete-tag') {
+    console.log(`  Tag ${chalk.yellow(plan.tags[0])}${plan.version ? ` (image ${plan.version} is kept)` : ''}`);
+  } else {
+    console.log(chalk.gray(`  ${plan.versions.length} version(s), ${plan.tags.length} tag(s)`));
+  }
+}
+
+// ============== AUDIT ==============
+// Changes made from the CLI go to the same audit log as the web UI's, under the same actions
+function recordCliAction(action, resource, { error = null, details = {} } = {}) {
+  return auditLog.record({
+    actor: SERVICE_ACCOUNT,
+    project: PROJECT_ID,
+    action,
+    resource,
+    outcome: error ? 'failure' : 'success',
+    error: error?.message,
+    details: { profile: PROFILE_NAME, client: 'cli', ...details },
+  });
+}
+
+// target: { label, action, resource } of what is being deleted
+async function runDeletion({ label, action, resource }, buildPlan, options = {}) {
+  const spinner = ora('Building deletion preview...').start();
+
+  let plan;
+  try {
+    plan = await buildPlan();
+    spinner.succeed(chalk.green(`Found ${label}`));
   } catch (error) {
-    spinner.fail(chalk.red('Failed to fetch Docker images'));
+    spinner.fail(chalk.red(`Failed to look up ${label}`));
     console.error(chalk.red(`Error: ${error.message}`));
-    return [];
+    process.exitCode = 1;
+    return null;
+  }
+
+  printDeletionPlan(plan);
+
+  if (options.dryRun) {
+    console.log(chalk.yellow('\nDry run - nothing was deleted.'));
+    return plan;
   }
+
+  if (!options.yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Delete ${label}?`,
+        default: false,
+      },
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.yellow('\nAborted - nothing was deleted.'));
+      process.exitCode = 1;
+      return null;
+    }
+  }
+
+  const deleteSpinner = ora(`Deleting ${label}...`).start();
+  try {
+    const result = await applyDeletion(client, plan);
+    deleteSpinner.succeed(chalk.green(`Deleted ${label}`));
+    await recordCliAction(action, resource, { details: { deletedVersions: plan.versions.length, deletedTags: plan.tags.length } });
+    return result;
+  } catch (error) {
+    deleteSpinner.fail(chalk.red(`Failed to delete ${label}`));
+    console.error(chalk.red(`Error: ${error.message}`));
+    await recordCliAction(action, resource, { error });
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+async function deleteDockerImage(repository, location, reference, options) {
+  const { image, digest } = parseImageReference(reference);
+
+  if (!digest) {
+    console.error(chalk.red('Error: image must be given by digest (image@sha256:...).'));
+    console.log(chalk.yellow(`To delete every digest of ${image}, use: gcp-artifact delete package ${repository} ${image}`));
+    return null;
+  }
+
+  const name = versionPath(PROJECT_ID, location, repository, image, digest);
+  return runDeletion({ label: `image ${image}@${digest}`, action: 'image.delete', resource: name }, () => planVersionDeletion(client, name), options);
+}
+
+async function deleteVersion(repository, location, packageName, version, options) {
+  const name = versionPath(PROJECT_ID, location, repository, packageName, version);
+  return runDeletion({ label: `version ${packageName}@${version}`, action: 'version.delete', resource: name }, () => planVersionDeletion(client, name), options);
+}
+
+async function deleteTag(repository, location, packageName, tag, options) {
+  const name = tagPath(PROJECT_ID, location, repository, packageName, tag);
+  return runDeletion({ label: `tag ${packageName}:${tag}`, action: 'tag.delete', resource: name }, () => planTagDeletion(client, name), options);
+}
+
+async function deletePackage(repository, location, packageName, options) {
+  const name = packagePath(PROJECT_ID, location, repository, packageName);
+  return runDeletion({ label: `package ${packageName}`, action: 'package.delete', resource: name }, () => planPackageDeletion(client, name), options);
+}
+
+// ============== TAGS ==============
+// Applied tag changes are audited with their note
+function recordTagChange(plan, error = null) {
+  return recordCliAction('tag.change', plan.target, {
+    error,
+    details: { change: plan.action, tag: plan.tag, from: plan.from, to: plan.to, note: plan.note },
+  });
+}
+
+// Add, move or remove a tag without pulling and re-pushing. Always previews;
+// --dry-run stops there and -y skips the confirmation.
+async function changeTagCommand(repository, packageName, tag, options) {
+  const spinner = ora(`Looking up ${packageName}:${tag}...`).start();
+  const name = packagePath(PROJECT_ID, options.location, repository, packageName);
+
+  let plan;
+  try {
+    plan = await planTagChange(client, name, { action: options.action, tag, version: options.version, note: options.note });
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(chalk.red(`Cannot ${options.action} tag ${tag}`));
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+
+  console.log(chalk.blue(`\n${describeTagChange(plan)}`));
+
+  if (plan.action === 'none') {
+    console.log(chalk.yellow('Nothing to change.'));
+    return plan;
+  }
+  if (options.dryRun) {
+    console.log(chalk.yellow('\nDry run - nothing was changed.'));
+    return plan;
+  }
+
+  if (!options.yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Apply this tag change in ${repository}?`,
+        default: false,
+      },
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.yellow('\nAborted - nothing was changed.'));
+      process.exitCode = 1;
+      return null;
+    }
+  }
+
+  const applySpinner = ora('Applying tag change...').start();
+  try {
+    const result = await applyTagChange(client, plan);
+    applySpinner.succeed(chalk.green(describeTagChange(result)));
+    await recordTagChange(result);
+    return result;
+  } catch (error) {
+    applySpinner.fail(chalk.red('Tag change failed'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    await recordTagChange(plan, error);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// ============== REPOSITORIES ==============
+function printRepository(repo) {
+  console.log(chalk.blue.bold(`\n📁 ${repo.name}`));
+  console.log(`  Location:      ${repo.location}`);
+  console.log(`  Format:        ${repo.format}`);
+  console.log(`  Mode:          ${repo.mode}`);
+  console.log(`  Description:   ${repo.description || chalk.gray('-')}`);
+  console.log(`  Labels:        ${Object.entries(repo.labels).map(([k, v]) => `${k}=${v}`).join(', ') || chalk.gray('-')}`);
+  console.log(`  KMS key:       ${repo.kmsKeyName || chalk.gray('Google-managed')}`);
+  if (repo.remote) {
+    console.log(`  Upstream:      ${repo.remote.label}${repo.remote.username ? ` (as ${repo.remote.username})` : ''}`);
+  }
+  if (repo.virtual) {
+    console.log(`  Upstreams:     ${repo.virtual.upstreams.map((u) => `${u.repository} (priority ${u.priority})`).join(', ')}`);
+  }
+  if (repo.format === 'DOCKER') {
+    console.log(`  Immutable tags: ${repo.immutableTags ? chalk.green('yes') : 'no'}`);
+  }
+
+  if (repo.cleanupPolicies.length > 0) {
+    console.log(chalk.cyan(`\n  Cleanup policies${repo.cleanupPolicyDryRun ? chalk.yellow(' (dry run)') : ''}:`));
+    repo.cleanupPolicies.forEach((policy) => {
+      const rule = policy.keepCount
+        ? `keep newest ${policy.keepCount}`
+        : [
+          policy.tagState && `${policy.tagState}`,
+          policy.tagPrefixes.length > 0 && `tags ${policy.tagPrefixes.join(', ')}`,
+          policy.olderThanDays && `older than ${policy.olderThanDays}d`,
+          policy.newerThanDays && `newer than ${policy.newerThanDays}d`,
+        ].filter(Boolean).join(', ');
+      console.log(`    ${policy.action === 'keep' ? chalk.green('keep  ') : chalk.red('delete')} ${policy.id}: ${rule}`);
+    });
+  }
+}
+
+// Turn command options into a repository spec, leaving out anything not given
+function repositorySpecFromOptions(options) {
+  const spec = {
+    format: options.format,
+    mode: options.mode,
+    description: options.description,
+    labels: options.label.length > 0 ? parseLabels(options.label) : undefined,
+    kmsKeyName: options.kmsKey,
+    immutableTags: options.immutableTags,
+    cleanupPolicyDryRun: options.cleanupDryRun,
+  };
+
+  if (options.upstream) {
+    spec.remote = {
+      upstream: options.upstream,
+      username: options.upstreamUsername,
+      passwordSecretVersion: options.upstreamPasswordSecret,
+    };
+  }
+
+  // repo[:priority], e.g. --virtual-upstream docker-hub:10
+  if (options.virtualUpstream?.length > 0) {
+    spec.virtual = {
+      upstreams: options.virtualUpstream.map((entry) => {
+        const [repository, priority] = entry.split(':');
+        return { repository, priority: priority === undefined ? 0 : Number(priority) };
+      }),
+    };
+  }
+
+  if (options.cleanupPolicies) {
+    const content = JSON.parse(fs.readFileSync(options.cleanupPolicies, 'utf8'));
+    spec.cleanupPolicies = Array.isArray(content) ? content : content.policies;
+  } else if (options.clearCleanupPolicies) {
+    spec.cleanupPolicies = [];
+  }
+
+  return Object.fromEntries(Object.entries(spec).filter(([, value]) => value !== undefined));
+}
+
+// Validate locally so bad input never reaches the API
+function validatedSpec(options, extra, { update = false } = {}) {
+  let spec;
+  try {
+    spec = { ...repositorySpecFromOptions(options), ...extra };
+  } catch (error) {
+    console.error(chalk.red(`Error: could not read ${options.cleanupPolicies}: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const errors = validateRepositorySpec(spec, { update });
+  if (errors.length > 0) {
+    console.error(chalk.red('Invalid repository settings:'));
+    errors.forEach((error) => console.error(chalk.red(`  - ${error}`)));
+    process.exitCode = 1;
+    return null;
+  }
+  return spec;
+}
+
+async function createRepositoryCommand(repository, options) {
+  const spec = validatedSpec(options, { repositoryId: repository, location: options.location });
+  if (!spec) return null;
+
+  const resource = repositoryPath(PROJECT_ID, options.location, repository);
+  const spinner = ora(`Creating repository ${repository} in ${options.location}...`).start();
+  try {
+    const created = await createRepository(client, PROJECT_ID, spec);
+    spinner.succeed(chalk.green(`Created repository ${repository}`));
+    const described = describeRepository(created);
+    await recordCliAction('repository.create', resource, { details: { format: described.format, mode: described.mode } });
+    printRepository(described);
+    return created;
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to create repository ${repository}`));
+    console.error(chalk.red(`Error: ${error.message}`));
+    await recordCliAction('repository.create', resource, { error });
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+async function updateRepositoryCommand(repository, options) {
+  const spec = validatedSpec(options, {}, { update: true });
+  if (!spec) return null;
+
+  if (Object.keys(spec).length === 0) {
+    console.error(chalk.red('Error: nothing to update. Pass at least one setting, e.g. --description.'));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const resource = repositoryPath(PROJECT_ID, options.location, repository);
+  const spinner = ora(`Updating repository ${repository}...`).start();
+  try {
+    const updated = await updateRepository(client, PROJECT_ID, options.location, repository, spec);
+    spinner.succeed(chalk.green(`Updated repository ${repository}`));
+    await recordCliAction('repository.update', resource, { details: { fields: Object.keys(spec) } });
+    printRepository(describeRepository(updated));
+    return updated;
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to update repository ${repository}`));
+    console.error(chalk.red(`Error: ${error.message}`));
+    await recordCliAction('repository.update', resource, { error, details: { fields: Object.keys(spec) } });
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+async function deleteRepositoryCommand(repository, options) {
+  const name = repositoryPath(PROJECT_ID, options.location, repository);
+  return runDeletion({ label: `repository ${repository}`, action: 'repository.delete', resource: name }, () => planRepositoryDeletion(client, name), options);
+}
+
+// ============== CLEANUP ==============
+function buildCleanupPolicy(options) {
+  if (options.policy) {
+    return JSON.parse(fs.readFileSync(options.policy, 'utf8'));
+  }
+
+  const rules = [];
+
+  options.keep.forEach((spec) => {
+    const separator = spec.lastIndexOf(':');
+    if (separator === -1) {
+      throw new Error(`--keep expects <pattern>:<count>, got "${spec}"`);
+    }
+    rules.push({ type: 'keep-latest', tagPattern: spec.slice(0, separator), count: Number(spec.slice(separator + 1)) });
+  });
+
+  if (options.untaggedOlderThan !== undefined) {
+    rules.push({ type: 'delete-untagged', olderThanDays: Number(options.untaggedOlderThan) });
+  }
+
+  options.protect.forEach((tagPattern) => rules.push({ type: 'protect', tagPattern }));
+
+  return { rules };
+}
+
+function printCleanupReport(report, deletions) {
+  if (deletions.length === 0) {
+    console.log(chalk.yellow('\nNothing matches this policy.'));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan('Image / Package'),
+      chalk.cyan('Version'),
+      chalk.cyan('Tags'),
+      chalk.cyan('Size'),
+      chalk.cyan('Uploaded'),
+      chalk.cyan('Reason'),
+    ],
+    colWidths: [25, 22, 20, 12, 22, 35],
+    wordWrap: true,
+  });
+
+  deletions.forEach((d) => {
+    table.push([
+      d.package,
+      d.version.length > 19 ? d.version.substring(0, 19) + '...' : d.version,
+      d.tags.join(', ') || 'untagged',
+      formatSize(d.sizeBytes),
+      d.uploadedAt ? new Date(d.uploadedAt).toLocaleString() : 'N/A',
+      d.reasons.join('; '),
+    ]);
+  });
+
+  console.log('\n' + table.toString());
+}
+
+function cleanupRecord(deletion) {
+  return {
+    package: deletion.package,
+    version: deletion.version,
+    tags: deletion.tags,
+    sizeBytes: deletion.sizeBytes ?? null,
+    uploadedAt: deletion.uploadedAt,
+    reasons: deletion.reasons,
+  };
+}
+
+const CLEANUP_COLUMNS = ['package', 'version', 'tags', 'sizeBytes', 'uploadedAt', 'reasons'];
+
+async function cleanupRepository(repository, location, options) {
+  const output = options.output || 'table';
+  // With --output the records go to stdout and everything else to stderr
+  const note = (line) => {
+    if (!options.quiet) (output === 'table' ? console.log : console.error)(line);
+  };
+
+  let policy;
+  try {
+    policy = normalizePolicy(buildCleanupPolicy(options));
+  } catch (error) {
+    console.error(chalk.red(`Invalid policy: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+  if (options.apply && output !== 'table' && !options.yes) {
+    console.error(chalk.red('Error: --apply with --output needs --yes (there is no prompt in machine-readable mode)'));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const spinner = listingSpinner('Evaluating cleanup policy...', options);
+
+  let report;
+  try {
+    const [repo] = await client.getRepository({ name: repositoryPath(PROJECT_ID, location, repository) });
+    report = await runCleanupReport(client, {
+      projectId: PROJECT_ID,
+      location,
+      repository,
+      format: repo.format,
+      policy,
+      registry: artifactRegistryDockerClient(location),
+    });
+    spinner.succeed(chalk.green(`Scanned ${report.versionsScanned} versions in ${report.packagesScanned} packages`));
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to evaluate cleanup policy'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+
+  if (output === 'table') printCleanupReport(report, report.deletions);
+  note(chalk.gray(`  Would delete ${report.deletions.length} version(s), freeing ${report.bytesFreedFormatted}`));
+  note(chalk.gray(`  Kept ${report.keptCount}, protected ${report.protectedCount}`));
+
+  if (!options.apply) {
+    if (output !== 'table') process.stdout.write(formatOutput(report.deletions.map(cleanupRecord), output, CLEANUP_COLUMNS));
+    note(chalk.yellow('\nDry run - nothing was deleted. Re-run with --apply to delete.'));
+    return report;
+  }
+
+  if (report.deletions.length === 0) {
+    if (output !== 'table') process.stdout.write(formatOutput([], output, [...CLEANUP_COLUMNS, 'status', 'error']));
+    return report;
+  }
+
+  if (!options.yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Delete ${report.deletions.length} version(s) from ${repository}?`,
+        default: false,
+      },
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.yellow('\nAborted - nothing was deleted.'));
+      process.exitCode = 1;
+      return null;
+    }
+  }
+
+  const applySpinner = listingSpinner('Applying cleanup...', options);
+  const result = await applyCleanupReport(client, report, {
+    onProgress: ({ done, total }) => {
+      applySpinner.text = `Applying cleanup... ${done}/${total}`;
+    },
+  });
+
+  await recordCliAction('cleanup.run', repositoryPath(PROJECT_ID, location, repository), {
+    error: result.failed.length > 0 ? new Error(`${result.failed.length} of ${report.deletions.length} deletions failed`) : null,
+    details: { dryRun: false, policy, deleted: result.deleted.length, failed: result.failed.length, bytesFreed: result.bytesFreed },
+  });
+
+  // Partial cleanups fail the run, so scheduled jobs notice them
+  if (result.failed.length > 0) {
+    applySpinner.warn(chalk.yellow(`Deleted ${result.deleted.length}, ${result.failed.length} failed`));
+    result.failed.forEach((f) => console.error(chalk.red(`  ${f.package}@${f.version}: ${f.error}`)));
+    process.exitCode = 1;
+  } else {
+    applySpinner.succeed(chalk.green(`Deleted ${result.deleted.length} version(s), freed ${result.bytesFreedFormatted}`));
+  }
+
+  if (output !== 'table') {
+    const records = [
+      ...result.deleted.map((d) => ({ ...cleanupRecord(d), status: 'deleted', error: null })),
+      ...result.failed.map((d) => ({ ...cleanupRecord(d), status: 'failed', error: d.error })),
+    ];
+    process.stdout.write(formatOutput(records, output, [...CLEANUP_COLUMNS, 'status', 'error']));
+  }
+  return result;
 }
 
 // ============== DOWNLOAD ARTIFACT (using gcloud/docker) ==============
+const PLATFORM_PATTERN = /^[a-z0-9]+\/[a-z0-9_]+(\/[a-z0-9]+)?$/;
+
+// Activate the profile's service account in gcloud and let Docker use it for the registry host
+function configureDockerAuth(location, spinner) {
+  spinner.text = 'Authenticating with GCP...';
+  activateServiceAccount();
+
+  spinner.text = 'Configuring Docker authentication...';
+  execFileSync('gcloud', ['auth', 'configure-docker', `${location}-docker.pkg.dev`, '--quiet'], { stdio: 'pipe' });
+}
+
+// Commands run without a shell, so arguments reach gcloud and docker exactly as given
+function activateServiceAccount() {
+  execFileSync('gcloud', ['auth', 'activate-service-account', `--key-file=${CREDENTIALS_PATH}`], { stdio: 'pipe' });
+}
+
+// Run `docker pull`, printing the manual command when it fails
+function dockerPull(imageUri, platform) {
+  const args = ['pull', ...(platform ? ['--platform', platform] : []), imageUri];
+  console.log(chalk.blue(`\nPulling image: ${imageUri}${platform ? ` (${platform})` : ''}`));
+
+  const pullSpinner = ora('Pulling Docker image...').start();
+  try {
+    execFileSync('docker', args, { stdio: 'inherit' });
+    pullSpinner.succeed(chalk.green('Image pulled successfully!'));
+    return true;
+  } catch (pullError) {
+    pullSpinner.fail(chalk.red('Failed to pull image'));
+    console.log(chalk.yellow('\nManual pull command:'));
+    console.log(chalk.white(`docker ${args.join(' ')}`));
+    return false;
+  }
+}
+
+// A multi-arch index must list the platform; a single image must have been built for it
+async function checkPlatform(location, repository, image, reference, platform) {
+  const registry = artifactRegistryDockerClient(location);
+  const result = await inspectImage(registry, `${PROJECT_ID}/${repository}/${image}`, reference, { platform });
+
+  if (result.platforms.length === 0 && result.image.config.platform && result.image.config.platform !== platform) {
+    throw new Error(`${image}:${reference} is a ${result.image.config.platform} image, not ${platform}`);
+  }
+}
+
+// Unattended pull of IMAGE[:tag|@digest], or of every tag of IMAGE with --all-tags
+async function pullDockerImage(repository, location, reference, options = {}) {
+  const { image, tag, digest } = parseImageReference(reference);
+  const { platform, allTags } = options;
+
+  if (!isImageReference(reference)) {
+    console.error(chalk.red(`Error: ${reference} is not a valid image reference (IMAGE[:tag] or IMAGE@sha256:...)`));
+    process.exitCode = 1;
+    return null;
+  }
+  if (allTags && (tag || digest)) {
+    console.error(chalk.red('Error: --all-tags pulls every tag of the image; leave off :tag or @digest'));
+    process.exitCode = 1;
+    return null;
+  }
+  if (platform && !PLATFORM_PATTERN.test(platform)) {
+    console.error(chalk.red('Error: --platform must look like os/arch[/variant], e.g. linux/arm64'));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const imagePath = registryPath({ projectId: PROJECT_ID, location, repository, image });
+  const spinner = ora('Preparing pull...').start();
+  let imageUris;
+
+  try {
+    configureDockerAuth(location, spinner);
+
+    if (allTags) {
+      spinner.text = `Listing tags of ${image}...`;
+      const [tags] = await client.listTags({ parent: packagePath(PROJECT_ID, location, repository, image) });
+      imageUris = tags.map((entry) => `${imagePath}:${lastSegment(entry.name)}`).sort();
+      if (imageUris.length === 0) throw new Error(`${image} has no tags`);
+    } else {
+      imageUris = [digest ? `${imagePath}@${digest}` : `${imagePath}:${tag || 'latest'}`];
+    }
+
+    if (platform && !allTags) {
+      spinner.text = `Checking ${platform} is available...`;
+      await checkPlatform(location, repository, image, digest || tag || 'latest', platform);
+    }
+
+    spinner.succeed(chalk.green(allTags ? `Pulling ${imageUris.length} tags of ${image}` : 'Docker authentication configured'));
+  } catch (error) {
+    spinner.fail(chalk.red(`Cannot pull ${reference}`));
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const failed = imageUris.filter((imageUri) => !dockerPull(imageUri, platform));
+  if (failed.length > 0) {
+    console.error(chalk.red(`\n${failed.length} of ${imageUris.length} pulls failed`));
+    process.exitCode = 1;
+  }
+  return { pulled: imageUris.filter((imageUri) => !failed.includes(imageUri)), failed };
+}
+
 async function downloadArtifact(repository, location, format, options = {}) {
   const spinner = ora('Preparing download...').start();
   
   try {
-    // First, authenticate with gcloud
-    spinner.text = 'Authenticating with GCP...';
-    
-    const authCommand = `gcloud auth activate-service-account --key-file="${CREDENTIALS_PATH}"`;
-    execSync(authCommand, { stdio: 'pipe' });
-    
     const registryHost = `${location}-docker.pkg.dev`;
     
     if (format === 'DOCKER') {
-      // Configure Docker to use gcloud credentials
-      spinner.text = 'Configuring Docker authentication...';
-      execSync(`gcloud auth configure-docker ${registryHost} --quiet`, { stdio: 'pipe' });
-      
+      configureDockerAuth(location, spinner);
       spinner.succeed(chalk.green('Docker authentication configured'));
       
       // List available images
@@ -282,18 +1046,10 @@ async function downloadArtifact(repository, location, format, options = {}) {
         imageUri = `${baseUri}:${selectedImage.tags[0]}`;
       }
       
-      console.log(chalk.blue(`\nPulling image: ${imageUri}`));
-      
-      const pullSpinner = ora('Pulling Docker image...').start();
-      try {
-        execSync(`docker pull ${imageUri}`, { stdio: 'inherit' });
-        pullSpinner.succeed(chalk.green('Image pulled successfully!'));
-      } catch (pullError) {
-        pullSpinner.fail(chalk.red('Failed to pull image'));
-        console.log(chalk.yellow('\nManual pull command:'));
-        console.log(chalk.white(`docker pull ${imageUri}`));
-      }
+      dockerPull(imageUri, options.platform);
     } else {
+      spinner.text = 'Authenticating with GCP...';
+      activateServiceAccount();
       spinner.info(chalk.yellow(`Download for ${format} format - use the appropriate package manager`));
       
       console.log(chalk.blue('\nRepository URL:'));
@@ -317,22 +1073,117 @@ async function downloadArtifact(repository, location, format, options = {}) {
   }
 }
 
-// ============== UPLOAD ARTIFACT ==============
+// ============== UPLOAD ARTIFACT ==============
+// Run `docker push`, printing the manual command when it fails
+function dockerPush(fullImagePath) {
+  console.log(chalk.blue(`\nPushing image to: ${fullImagePath}`));
+  const pushSpinner = ora('Pushing Docker image...').start();
+  try {
+    execFileSync('docker', ['push', fullImagePath], { stdio: 'inherit' });
+    pushSpinner.succeed(chalk.green('Image pushed successfully!'));
+    return true;
+  } catch (pushError) {
+    pushSpinner.fail(chalk.red('Failed to push image'));
+    console.log(chalk.yellow('\nManual push command:'));
+    console.log(chalk.white(`docker push ${fullImagePath}`));
+    return false;
+  }
+}
+
+// Unattended push: tag the local image (--image) as NAME:TAG for every --tag and push each.
+// NAME defaults to the local image's name and the tag to its tag (or "latest"). Without
+// --image, NAME:TAG must already be tagged locally with the full registry path.
+async function pushDockerImage(repository, location, options = {}) {
+  const local = options.image ? parseImageReference(options.image) : null;
+  const name = options.name || (local && lastSegment(local.image));
+  const tags = options.tag?.length ? options.tag : [local?.tag || 'latest'];
+
+  if (!name) {
+    console.error(chalk.red('Error: --name is required when no local --image is given'));
+    process.exitCode = 1;
+    return null;
+  }
+  if (options.image && !isImageReference(options.image, { allowHost: true })) {
+    console.error(chalk.red(`Error: ${options.image} is not a valid local image reference`));
+    process.exitCode = 1;
+    return null;
+  }
+  if (!isImageName(name)) {
+    console.error(chalk.red(`Error: ${name} is not a valid image name (lowercase letters, digits and ".", "_", "-" separators, "/" between components)`));
+    process.exitCode = 1;
+    return null;
+  }
+  const invalidTag = tags.find((tag) => !TAG_PATTERN.test(tag));
+  if (invalidTag !== undefined) {
+    console.error(chalk.red(`Error: ${invalidTag} is not a valid tag (letters, digits, ".", "_", "-", max 128, not starting with "." or "-")`));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const imagePath = registryPath({ projectId: PROJECT_ID, location, repository, image: name });
+  const spinner = ora('Preparing push...').start();
+
+  try {
+    configureDockerAuth(location, spinner);
+    spinner.succeed(chalk.green('Docker authentication configured'));
+  } catch (error) {
+    spinner.fail(chalk.red('Push failed'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    console.log(chalk.yellow('\nMake sure gcloud CLI and Docker are installed and in your PATH.'));
+    process.exitCode = 1;
+    return null;
+  }
+
+  const pushed = [];
+  const failed = [];
+  for (const tag of tags) {
+    const fullImagePath = `${imagePath}:${tag}`;
+    try {
+      if (options.image) {
+        console.log(chalk.blue(`\nTagging local image ${options.image} as ${fullImagePath}`));
+        execFileSync('docker', ['tag', options.image, fullImagePath], { stdio: 'inherit' });
+      }
+      (dockerPush(fullImagePath) ? pushed : failed).push(fullImagePath);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      failed.push(fullImagePath);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error(chalk.red(`\n${failed.length} of ${tags.length} pushes failed`));
+    process.exitCode = 1;
+  }
+  return { pushed, failed };
+}
+
 async function uploadArtifact(repository, location, format, artifactPath) {
+  if (UPLOAD_FORMATS.includes(format)) {
+    const { files } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'files',
+        message: 'Files to upload (space separated):',
+        validate: (input) => input.trim().length > 0 || 'At least one file is required',
+      },
+    ]);
+    await uploadPackageFiles(repository, location, files.trim().split(/\s+/), {}, format);
+    return;
+  }
+
   const spinner = ora('Preparing upload...').start();
   
   try {
     // Authenticate with gcloud
     spinner.text = 'Authenticating with GCP...';
-    const authCommand = `gcloud auth activate-service-account --key-file="${CREDENTIALS_PATH}"`;
-    execSync(authCommand, { stdio: 'pipe' });
+    activateServiceAccount();
     
     const registryHost = `${location}-docker.pkg.dev`;
     
     if (format === 'DOCKER') {
       // Configure Docker authentication
       spinner.text = 'Configuring Docker authentication...';
-      execSync(`gcloud auth configure-docker ${registryHost} --quiet`, { stdio: 'pipe' });
+      execFileSync('gcloud', ['auth', 'configure-docker', registryHost, '--quiet'], { stdio: 'pipe' });
       spinner.succeed(chalk.green('Docker authentication configured'));
       
       // Get image name and tag from user
@@ -341,13 +1192,14 @@ async function uploadArtifact(repository, location, format, artifactPath) {
           type: 'input',
           name: 'imageName',
           message: 'Enter the image name:',
-          validate: (input) => input.length > 0 || 'Image name is required',
+          validate: (input) => isImageName(input) || 'Image names are lowercase letters, digits and ".", "_", "-" separators, "/" between components',
         },
         {
           type: 'input',
           name: 'imageTag',
           message: 'Enter the tag (default: latest):',
           default: 'latest',
+          validate: (input) => TAG_PATTERN.test(input) || 'Tags are letters, digits, ".", "_", "-" (max 128), not starting with "." or "-"',
         },
       ]);
       
@@ -356,33 +1208,13 @@ async function uploadArtifact(repository, location, format, artifactPath) {
       if (artifactPath) {
         // Tag existing local image
         console.log(chalk.blue(`\nTagging local image ${artifactPath} as ${fullImagePath}`));
-        execSync(`docker tag ${artifactPath} ${fullImagePath}`, { stdio: 'inherit' });
+        if (!isImageReference(artifactPath, { allowHost: true })) throw new Error(`${artifactPath} is not a valid local image reference`);
+        execFileSync('docker', ['tag', artifactPath, fullImagePath], { stdio: 'inherit' });
       }
       
-      // Push the image
-      console.log(chalk.blue(`\nPushing image to: ${fullImagePath}`));
-      const pushSpinner = ora('Pushing Docker image...').start();
-      try {
-        execSync(`docker push ${fullImagePath}`, { stdio: 'inherit' });
-        pushSpinner.succeed(chalk.green('Image pushed successfully!'));
-      } catch (pushError) {
-        pushSpinner.fail(chalk.red('Failed to push image'));
-        console.log(chalk.yellow('\nManual push command:'));
-        console.log(chalk.white(`docker push ${fullImagePath}`));
-      }
+      dockerPush(fullImagePath);
     } else {
-      spinner.info(chalk.yellow(`Upload for ${format} format - use the appropriate package manager`));
-      
-      console.log(chalk.blue('\nRepository URL:'));
-      console.log(chalk.white(`${registryHost}/${PROJECT_ID}/${repository}`));
-      
-      if (format === 'NPM') {
-        console.log(chalk.blue('\nTo publish npm package:'));
-        console.log(chalk.white(`npm publish --registry=https://${registryHost}/${PROJECT_ID}/${repository}/`));
-      } else if (format === 'PYTHON') {
-        console.log(chalk.blue('\nTo upload Python package:'));
-        console.log(chalk.white(`twine upload --repository-url https://${registryHost}/${PROJECT_ID}/${repository}/ dist/*`));
-      }
+      spinner.info(chalk.yellow(`Upload for ${format} repositories is not supported`));
     }
   } catch (error) {
     spinner.fail(chalk.red('Upload failed'));
@@ -391,9 +1223,485 @@ async function uploadArtifact(repository, location, format, artifactPath) {
   }
 }
 
+// ============== UPLOAD PACKAGES ==============
+// npm tarballs, Python wheels/sdists, Maven jars + poms and generic files, pushed through each
+// format's own protocol and checked against the SHA-256 Artifact Registry records
+async function uploadPackageFiles(repository, location, filePaths, options = {}, knownFormat = null) {
+  const spinner = ora('Preparing upload...').start();
+
+  try {
+    let format = knownFormat;
+    if (!format) {
+      const [repo] = await client.getRepository({ name: repositoryPath(PROJECT_ID, location, repository) });
+      if (repo.mode && repo.mode !== 'STANDARD_REPOSITORY' && repo.mode !== 'MODE_UNSPECIFIED') {
+        spinner.fail(chalk.red(`${repository} is a ${describeRepository(repo).mode} repository; upload to a standard one`));
+        process.exitCode = 1;
+        return null;
+      }
+      format = repo.format;
+    }
+
+    const files = filePaths.map((filePath) => ({
+      originalname: path.basename(filePath),
+      buffer: fs.readFileSync(filePath),
+    }));
+    const plan = planUpload(format, files, {
+      tag: options.tag,
+      groupId: options.groupId,
+      artifactId: options.artifactId,
+      packageId: options.package,
+      version: options.packageVersion,
+    });
+    const target = { projectId: PROJECT_ID, location, repository };
+
+    spinner.text = `Uploading ${plan.packageId}@${plan.version}...`;
+    await uploadArtifacts(target, plan, {
+      getAccessToken: () => client.auth.getAccessToken(),
+      onProgress: (event) => {
+        if (event.type === 'uploading') spinner.text = `Uploading ${event.filename} (${formatSize(event.size)})...`;
+      },
+    });
+    spinner.succeed(chalk.green(`Uploaded ${plan.packageId}@${plan.version} to ${repository}`));
+
+    const verifySpinner = ora('Verifying checksums...').start();
+    const results = await confirmUploadedFiles(client, target, plan);
+    verifySpinner.stop();
+
+    const table = new Table({
+      head: [chalk.cyan('File'), chalk.cyan('Size'), chalk.cyan('SHA-256'), chalk.cyan('Registry')],
+    });
+    results.forEach((result) => {
+      table.push([
+        result.filename,
+        formatSize(result.size),
+        result.sha256,
+        result.verified === null ? chalk.yellow('not listed yet')
+          : result.verified ? chalk.green('match') : chalk.red('MISMATCH'),
+      ]);
+    });
+    console.log(table.toString());
+
+    if (results.some((result) => result.verified === false)) {
+      console.error(chalk.red('The registry recorded a different checksum for at least one file'));
+      process.exitCode = 1;
+      return null;
+    }
+    return results;
+  } catch (error) {
+    spinner.fail(chalk.red('Upload failed'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// ============== DOWNLOAD PACKAGES ==============
+// Save every file of a package version and check it against the registry's SHA-256/MD5
+async function downloadPackageFiles(repository, location, packageName, version, options = {}) {
+  const spinner = ora(`Listing files of ${packageName}@${version}...`).start();
+  const outputDir = path.resolve(options.dir || '.');
+
+  try {
+    const target = { projectId: PROJECT_ID, location, repository };
+    const files = await listVersionFiles(client, target, packageName, version);
+    if (files.length === 0) {
+      spinner.fail(chalk.red(`No files found for ${packageName}@${version}`));
+      process.exitCode = 1;
+      return null;
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const results = [];
+    for (const file of files) {
+      spinner.text = `Downloading ${file.filename} (${formatSize(file.size)})...`;
+      results.push(await downloadFileTo(file, path.join(outputDir, file.filename), () => client.auth.getAccessToken(), {
+        onProgress: ({ received, size }) => {
+          if (size) spinner.text = `Downloading ${file.filename} (${Math.round((received / size) * 100)}%)...`;
+        },
+      }));
+    }
+    spinner.succeed(chalk.green(`Downloaded ${results.length} file(s) to ${outputDir}`));
+
+    const table = new Table({
+      head: [chalk.cyan('File'), chalk.cyan('Size'), chalk.cyan('SHA-256'), chalk.cyan('Checksum')],
+    });
+    results.forEach((result) => {
+      table.push([
+        result.filename,
+        formatSize(result.size),
+        result.sha256,
+        result.verified === null ? chalk.yellow('no registry hash')
+          : result.verified ? chalk.green('match') : chalk.red('MISMATCH (removed)'),
+      ]);
+    });
+    console.log(table.toString());
+
+    if (results.some((result) => result.verified === false)) {
+      console.error(chalk.red('At least one file did not match the checksum recorded by the registry'));
+      process.exitCode = 1;
+      return null;
+    }
+    return results;
+  } catch (error) {
+    spinner.fail(chalk.red('Download failed'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// ============== INSPECT ==============
+// Registry client for Artifact Registry's Docker endpoint, using the profile's access token
+// (or another profile's, when its client is passed)
+function artifactRegistryDockerClient(location, gcpClient = client) {
+  return new RegistryClient({
+    host: `${location}-docker.pkg.dev`,
+    credentials: async () => ({
+      username: 'oauth2accesstoken',
+      password: await gcpClient.auth.getAccessToken(),
+    }),
+  });
+}
+
+// Accept a full path (LOCATION-docker.pkg.dev/PROJECT/REPO/IMAGE[:tag|@digest])
+// or REPO/IMAGE[:tag|@digest] in the current project and --location
+function resolveDockerImage(reference, location) {
+  const full = parseRegistryImage(reference);
+  if (full) return full;
+
+  const slash = reference.indexOf('/');
+  if (slash === -1) {
+    throw new Error('Image must be REPOSITORY/IMAGE[:tag|@digest] or LOCATION-docker.pkg.dev/PROJECT/REPOSITORY/IMAGE');
+  }
+
+  return {
+    location,
+    projectId: PROJECT_ID,
+    repository: reference.slice(0, slash),
+    ...parseImageReference(reference.slice(slash + 1)),
+  };
+}
+
+function printImageInspection(result) {
+  const { image } = result;
+  const { config } = image;
+
+  console.log(chalk.blue.bold('\n📦 Image'));
+  console.log(`  Digest:     ${result.digest}`);
+  console.log(`  Media type: ${result.mediaType}`);
+  if (result.selectedPlatform) {
+    console.log(`  Inspecting: ${result.selectedPlatform} (${image.digest})`);
+  }
+  console.log(`  Size:       ${formatSize(image.totalSize)} in ${image.layers.length} layers`);
+
+  if (result.platforms.length > 0) {
+    console.log(chalk.blue.bold('\n🖥️  Platforms'));
+    const table = new Table({ head: [chalk.cyan('Platform'), chalk.cyan('Digest')] });
+    result.platforms.forEach((entry) => {
+      table.push([entry.attestation ? chalk.gray('attestation') : entry.platform, entry.digest]);
+    });
+    console.log(table.toString());
+  }
+
+  const command = [...(config.entrypoint || []), ...(config.cmd || [])];
+  console.log(chalk.blue.bold('\n⚙️  Config'));
+  console.log(`  Platform:    ${config.platform || 'N/A'}`);
+  console.log(`  Created:     ${config.created || 'N/A'}`);
+  console.log(`  Entrypoint:  ${config.entrypoint ? JSON.stringify(config.entrypoint) : 'N/A'}`);
+  console.log(`  Cmd:         ${config.cmd ? JSON.stringify(config.cmd) : 'N/A'}`);
+  console.log(`  Runs:        ${command.length ? command.join(' ') : 'N/A'}`);
+  console.log(`  Working dir: ${config.workingDir || 'N/A'}`);
+  console.log(`  User:        ${config.user || 'N/A'}`);
+  console.log(`  Ports:       ${config.exposedPorts.join(', ') || 'N/A'}`);
+  if (config.volumes.length > 0) {
+    console.log(`  Volumes:     ${config.volumes.join(', ')}`);
+  }
+
+  console.log(chalk.blue.bold('\n🌱 Environment'));
+  if (config.env.length === 0) console.log(chalk.gray('  (none)'));
+  config.env.forEach((entry) => console.log(`  ${entry}`));
+
+  console.log(chalk.blue.bold('\n🏷️  Labels'));
+  const labels = Object.entries(config.labels);
+  if (labels.length === 0) console.log(chalk.gray('  (none)'));
+  labels.forEach(([key, value]) => console.log(`  ${key}=${value}`));
+
+  console.log(chalk.blue.bold('\n🧱 Layers & History'));
+  const table = new Table({
+    head: [chalk.cyan('#'), chalk.cyan('Size'), chalk.cyan('Created By')],
+    colWidths: [5, 12, 90],
+    wordWrap: true,
+  });
+  image.history.forEach((entry, i) => {
+    table.push([
+      i + 1,
+      entry.emptyLayer ? chalk.gray('-') : formatSize(entry.size),
+      entry.createdBy || entry.comment || chalk.gray('(no history)'),
+    ]);
+  });
+  console.log(table.toString());
+}
+
+async function inspectDockerImage(reference, location, options = {}) {
+  const spinner = listingSpinner(`Inspecting ${reference}...`, options);
+
+  try {
+    const target = resolveDockerImage(reference, location);
+    const registryRepository = `${target.projectId}/${target.repository}/${target.image}`;
+    const result = await inspectImage(
+      artifactRegistryDockerClient(target.location),
+      registryRepository,
+      target.digest || target.tag || 'latest',
+      { platform: options.platform },
+    );
+
+    spinner.succeed(chalk.green(`Inspected ${target.location}-docker.pkg.dev/${registryRepository}`));
+    printReport(result, options, printImageInspection);
+    return result;
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to inspect image'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// ============== COMPARE ==============
+function printMapDiff(title, diff) {
+  console.log(chalk.blue.bold(`\n${title}`));
+  if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+    console.log(chalk.gray('  (no changes)'));
+    return;
+  }
+  diff.added.forEach((d) => console.log(chalk.green(`  + ${d.key}=${d.value}`)));
+  diff.removed.forEach((d) => console.log(chalk.red(`  - ${d.key}=${d.value}`)));
+  diff.changed.forEach((d) => {
+    console.log(chalk.red(`  - ${d.key}=${d.before}`));
+    console.log(chalk.green(`  + ${d.key}=${d.after}`));
+  });
+}
+
+function printImageComparison(result) {
+  const { layers, config, baseImage } = result;
+  const delta = result.sizeDelta;
+  const deltaText = delta === 0 ? '±0' : `${delta > 0 ? '+' : '-'}${formatSize(Math.abs(delta))}`;
+
+  console.log(chalk.blue.bold('\n🔀 Comparison'));
+  console.log(`  Base:   ${result.base.digest} (${formatSize(result.base.totalSize)}, ${result.base.layers} layers)`);
+  console.log(`  Target: ${result.target.digest} (${formatSize(result.target.totalSize)}, ${result.target.layers} layers)`);
+  console.log(`  Size:   ${delta > 0 ? chalk.red(deltaText) : chalk.green(deltaText)}`);
+
+  console.log(chalk.blue.bold('\n🧬 Base Image'));
+  if (baseImage.identical) {
+    console.log('  Identical layers');
+  } else if (baseImage.drifted) {
+    const shared = baseImage.commonPrefixLayers;
+    const reason = shared === 0 ? 'no leading layers are shared'
+      : shared < baseImage.baseLayers ? `only ${shared} of ${baseImage.baseLayers} base layers are shared`
+        : 'the recorded base digest changed';
+    console.log(chalk.yellow(`  Base image drift: ${reason}`));
+  } else {
+    console.log(`  First ${baseImage.commonPrefixLayers} layer(s) identical, diverging at layer ${baseImage.commonPrefixLayers + 1}`);
+  }
+  if (baseImage.baseName.before || baseImage.baseName.after) {
+    console.log(`  Base: ${baseImage.baseName.before || '?'} -> ${baseImage.baseName.after || '?'}`);
+  }
+  if (baseImage.divergence) {
+    console.log(chalk.red(`  - ${baseImage.divergence.before || '(no layer)'}`));
+    console.log(chalk.green(`  + ${baseImage.divergence.after || '(no layer)'}`));
+  }
+
+  console.log(chalk.blue.bold('\n🧱 Layers'));
+  console.log(`  ${layers.shared.length} shared (${formatSize(layers.sharedBytes)}), ` +
+    `${layers.onlyInTarget.length} added (${formatSize(layers.onlyInTargetBytes)}), ` +
+    `${layers.onlyInBase.length} removed (${formatSize(layers.onlyInBaseBytes)})`);
+  layers.onlyInTarget.forEach((layer) => console.log(chalk.green(`  + ${layer.digest} ${formatSize(layer.size)}`)));
+  layers.onlyInBase.forEach((layer) => console.log(chalk.red(`  - ${layer.digest} ${formatSize(layer.size)}`)));
+
+  console.log(chalk.blue.bold('\n⚙️  Config'));
+  if (config.changed.length + config.exposedPorts.added.length + config.exposedPorts.removed.length === 0) {
+    console.log(chalk.gray('  (no changes)'));
+  }
+  config.changed.forEach((c) => {
+    console.log(chalk.red(`  - ${c.field}: ${JSON.stringify(c.before)}`));
+    console.log(chalk.green(`  + ${c.field}: ${JSON.stringify(c.after)}`));
+  });
+  config.exposedPorts.added.forEach((port) => console.log(chalk.green(`  + port ${port}`)));
+  config.exposedPorts.removed.forEach((port) => console.log(chalk.red(`  - port ${port}`)));
+
+  printMapDiff('🌱 Environment', config.env);
+  printMapDiff('🏷️  Labels', config.labels);
+}
+
+// TARGET may be just ":tag" or "@digest" to reuse BASE's image path
+async function compareDockerImages(baseReference, targetReference, location, options = {}) {
+  const spinner = listingSpinner('Comparing images...', options);
+
+  try {
+    const base = resolveDockerImage(baseReference, location);
+    const target = /^[:@]/.test(targetReference)
+      ? { ...base, ...parseImageReference(`${base.image}${targetReference}`) }
+      : resolveDockerImage(targetReference, location);
+
+    const source = (ref) => ({
+      client: artifactRegistryDockerClient(ref.location),
+      repository: `${ref.projectId}/${ref.repository}/${ref.image}`,
+      reference: ref.digest || ref.tag || 'latest',
+    });
+
+    const result = await compareImages(source(base), source(target), { platform: options.platform });
+
+    spinner.succeed(chalk.green('Compared images'));
+    printReport(result, options, printImageComparison);
+    return result;
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to compare images'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// ============== PROMOTE ==============
+// TARGET is REPOSITORY[/IMAGE] in --to-location (default: the source's location) and the
+// --to-profile project, or a full LOCATION-docker.pkg.dev/PROJECT/REPOSITORY[/IMAGE] path
+function resolvePromotionTarget(reference, options, source) {
+  const full = reference.match(/^([a-z0-9-]+)-docker\.pkg\.dev\/([^/]+)\/([^/]+)(?:\/(.+))?$/);
+  if (full) {
+    return { location: full[1], projectId: full[2], repository: full[3], image: full[4] || source.image };
+  }
+
+  const [repository, ...image] = reference.split('/');
+  return {
+    location: options.toLocation || source.location,
+    projectId: null,
+    repository,
+    image: image.join('/') || source.image,
+  };
+}
+
+async function promoteDockerImage(sourceReference, targetReference, options = {}) {
+  const spinner = ora(`Promoting ${sourceReference}...`).start();
+  let resource = null;
+
+  try {
+    const source = resolveDockerImage(sourceReference, options.location);
+    const target = resolvePromotionTarget(targetReference, options, source);
+    const targetProfile = options.toProfile ? resolveProfile(options.toProfile) : null;
+    const targetClient = targetProfile ? createProfileClient(targetProfile) : client;
+    const targetProjectId = target.projectId || targetProfile?.projectId || PROJECT_ID;
+    resource = repositoryPath(targetProjectId, target.location, target.repository);
+    const { client_email: actor } = await client.auth.getCredentials();
+
+    const result = await promoteImage({
+      source: {
+        ...source,
+        client,
+        registry: artifactRegistryDockerClient(source.location),
+        reference: source.digest || source.tag || 'latest',
+      },
+      target: {
+        ...target,
+        projectId: targetProjectId,
+        client: targetClient,
+        registry: artifactRegistryDockerClient(target.location, targetClient),
+      },
+      tags: options.tag.length > 0 ? options.tag : null,
+      actor,
+      note: options.note,
+      onProgress: (event) => {
+        if (event.type === 'progress' && event.totalBytes) {
+          spinner.text = `Copying ${formatSize(event.bytesDone)} of ${formatSize(event.totalBytes)}...`;
+        } else if (event.type === 'tag') {
+          spinner.text = `Tagging ${event.tag}...`;
+        }
+      },
+    });
+
+    spinner.succeed(chalk.green(`Promoted ${result.source}`));
+    await recordCliAction('image.promote', resource, {
+      details: { source: result.source, target: result.target, tags: result.tags, provenanceRecorded: result.provenance.recorded, note: options.note },
+    });
+    console.log(chalk.blue(`  → ${result.target}`));
+    console.log(chalk.gray(`  ${result.blobs} blob(s), ${formatSize(result.totalBytes)}; blobs already in the target were skipped`));
+
+    if (result.tags.length > 0) {
+      const table = new Table({ head: [chalk.cyan('Tag'), chalk.cyan('Change')] });
+      result.tags.forEach((tag) => {
+        table.push([tag.tag, {
+          'add-tag': chalk.green('added'),
+          'move-tag': chalk.yellow(`moved from ${tag.from?.substring(0, 19)}`),
+          none: chalk.gray('already set'),
+        }[tag.action]]);
+      });
+      console.log(table.toString());
+    }
+
+    const { provenance } = result;
+    console.log(provenance.recorded
+      ? chalk.gray(`Provenance: ${provenance.by} at ${provenance.at}`)
+      : chalk.yellow('Provenance annotations could not be written to the target version'));
+    return result;
+  } catch (error) {
+    spinner.fail(chalk.red('Promotion failed'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    await recordCliAction('image.promote', resource, { error, details: { source: sourceReference, target: targetReference, note: options.note } });
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// ============== PROFILES ==============
+function printProfiles(options = {}) {
+  const profiles = listProfiles();
+  const output = options.output || 'table';
+
+  if (output !== 'table') {
+    const records = profiles.map(({ name, projectId, serviceAccount, keyFile, current }) => (
+      { name, projectId, serviceAccount: serviceAccount || null, keyFile, current: Boolean(current) }
+    ));
+    process.stdout.write(formatOutput(records, output, ['name', 'projectId', 'serviceAccount', 'keyFile', 'current']));
+    return profiles;
+  }
+
+  if (profiles.length === 0) {
+    if (options.quiet) return [];
+    console.log(chalk.yellow(`\nNo profiles configured (${PROFILES_PATH}).`));
+    console.log(chalk.gray('Add one with: gcp-artifact profile add <name> --key-file <path>'));
+    return [];
+  }
+
+  const table = new Table({
+    head: ['', chalk.cyan('Profile'), chalk.cyan('Project'), chalk.cyan('Service Account'), chalk.cyan('Key File')],
+  });
+
+  profiles.forEach((profile) => {
+    table.push([
+      profile.current ? chalk.green('*') : '',
+      profile.name,
+      profile.projectId,
+      profile.serviceAccount || 'N/A',
+      profile.keyFile,
+    ]);
+  });
+
+  console.log(`${options.quiet ? '' : '\n'}${table.toString()}`);
+  return profiles;
+}
+
+function runProfileCommand(fn) {
+  try {
+    fn();
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
 // ============== INTERACTIVE MODE ==============
 async function interactiveMode() {
   console.log(chalk.blue.bold('\n🚀 GCP Artifact Registry Tool\n'));
+  console.log(chalk.gray(`Profile: ${PROFILE_NAME}`));
   console.log(chalk.gray(`Project: ${PROJECT_ID}`));
   console.log(chalk.gray(`Credentials: ${CREDENTIALS_PATH}\n`));
   
@@ -543,49 +1851,117 @@ async function interactiveMode() {
 program
   .name('gcp-artifact')
   .description(chalk.blue('CLI tool for managing GCP Artifact Registry'))
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--profile <name>', 'Credentials profile to use (default: current profile or gcp-creds.json)')
+  .allowExcessArguments(false)
+  .action(async () => {
+    await interactiveMode();
+  });
 
-program
+// Every command except `profile ...` needs credentials
+program.hook('preAction', (thisCommand, actionCommand) => {
+  for (let command = actionCommand; command; command = command.parent) {
+    if (command.name() === 'profile') return;
+  }
+
+  try {
+    useCredentials(program.opts().profile);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+});
+
+// Listing and report commands can print JSON/YAML (and, for records, CSV) for scripts
+function withOutputOptions(command, formats = OUTPUT_FORMATS) {
+  return command
+    .addOption(new Option('-o, --output <format>', 'Output format').choices(formats).default('table'))
+    .option('-q, --quiet', 'Print only the results: no spinner, counts or hints');
+}
+
+// Nested reports have no sensible CSV form
+const REPORT_FORMATS = OUTPUT_FORMATS.filter((format) => format !== 'csv');
+
+withOutputOptions(program
   .command('list')
   .alias('ls')
   .description('List all repositories')
   .option('-l, --location <location>', 'GCP location (e.g., us-central1, asia-south1)', '-')
+  .option('--limit <n>', 'Return at most N results (one page)', Number)
+  .option('--page-token <token>', 'Continue from a previous page')
+  .option('--all-profiles', 'List repositories in every configured profile\'s project'))
   .action(async (options) => {
-    await listRepositories(options.location);
+    await listRepositories(options.location, options);
   });
 
-program
+withOutputOptions(program
   .command('packages <repository>')
   .alias('pkg')
   .description('List packages in a repository')
   .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('--limit <n>', 'Return at most N results (one page)', Number)
+  .option('--page-token <token>', 'Continue from a previous page'))
   .action(async (repository, options) => {
-    await listPackages(repository, options.location);
+    await listPackages(repository, options.location, options);
   });
 
-program
+withOutputOptions(program
   .command('versions <repository> <package>')
   .alias('ver')
   .description('List versions of a package')
   .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('--limit <n>', 'Return at most N results (one page)', Number)
+  .option('--page-token <token>', 'Continue from a previous page'))
   .action(async (repository, packageName, options) => {
-    await listVersions(repository, options.location, packageName);
+    await listVersions(repository, options.location, packageName, options);
   });
 
-program
+withOutputOptions(program
   .command('docker <repository>')
   .description('List Docker images in a repository')
   .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('--limit <n>', 'Return at most N results (one page)', Number)
+  .option('--page-token <token>', 'Continue from a previous page'))
   .action(async (repository, options) => {
-    await listDockerImages(repository, options.location);
+    await listDockerImages(repository, options.location, options);
   });
 
 program
-  .command('pull <repository>')
-  .description('Pull/download a Docker image')
+  .command('pull <repository> [image]')
+  .description('Pull a Docker image (IMAGE[:tag|@digest]); picks one interactively when IMAGE is left out')
   .option('-l, --location <location>', 'GCP location', 'us-central1')
-  .action(async (repository, options) => {
-    await downloadArtifact(repository, options.location, 'DOCKER');
+  .option('-a, --all-tags', 'Pull every tag of IMAGE')
+  .option('--platform <os/arch>', 'Platform to pull from a multi-arch image (e.g. linux/arm64)')
+  .action(async (repository, image, options) => {
+    if (image) {
+      await pullDockerImage(repository, options.location, image, options);
+    } else if (process.stdin.isTTY) {
+      await downloadArtifact(repository, options.location, 'DOCKER', options);
+    } else {
+      console.error(chalk.red('Error: IMAGE is required when not running in a terminal'));
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('promote <source> <target>')
+  .description('Copy an image digest and its tags to another repository, region or project')
+  .option('-l, --location <location>', 'Location of the source repository', 'us-central1')
+  .option('--to-location <location>', 'Location of the target repository (default: same as the source)')
+  .option('--to-profile <name>', 'Profile of the target project (default: the current profile)')
+  .option('-t, --tag <tag>', 'Tag to carry over (repeatable; default: every tag on the digest)', collectOption, [])
+  .option('-n, --note <text>', 'Note stored with the provenance')
+  .action(async (source, target, options) => {
+    await promoteDockerImage(source, target, options);
+  });
+
+program
+  .command('download <repository> <package> <version>')
+  .description('Download the files of an npm, Python, Maven or generic package version')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('-d, --dir <dir>', 'Directory to save files in', '.')
+  .action(async (repository, packageName, version, options) => {
+    await downloadPackageFiles(repository, options.location, packageName, version, options);
   });
 
 program
@@ -593,8 +1969,239 @@ program
   .description('Push/upload a Docker image')
   .option('-l, --location <location>', 'GCP location', 'us-central1')
   .option('-i, --image <image>', 'Local Docker image to push')
+  .option('--name <name>', 'Image name in the repository (default: the local image name)')
+  .option('-t, --tag <tag>', 'Tag to push (repeatable; default: the local tag or latest)', collectOption, [])
+  .action(async (repository, options) => {
+    if (!options.image && !options.name && process.stdin.isTTY) {
+      await uploadArtifact(repository, options.location, 'DOCKER', options.image);
+    } else {
+      await pushDockerImage(repository, options.location, options);
+    }
+  });
+
+program
+  .command('upload <repository> <files...>')
+  .description('Upload npm, Python, Maven or generic package files')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('-t, --tag <tag>', 'npm dist-tag', 'latest')
+  .option('--group-id <groupId>', 'Maven groupId (when there is no pom)')
+  .option('--artifact-id <artifactId>', 'Maven artifactId (when there is no pom)')
+  .option('--package <package>', 'Generic package name')
+  .option('--package-version <version>', 'Maven or generic version')
+  .action(async (repository, files, options) => {
+    await uploadPackageFiles(repository, options.location, files, options);
+  });
+
+const tagCommand = program
+  .command('tag')
+  .description('Add, move or remove tags (e.g. promote a digest to prod)');
+
+const tagOptions = (command) => command
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .requiredOption('-n, --note <text>', 'Why the tag is changing (recorded in the audit log)')
+  .option('--dry-run', 'Show the change without applying it')
+  .option('-y, --yes', 'Skip the confirmation prompt');
+
+tagOptions(tagCommand
+  .command('add <repository> <package> <tag> <version>')
+  .description('Tag a version (a sha256: digest for Docker images)'))
+  .action(async (repository, packageName, tag, version, options) => {
+    await changeTagCommand(repository, packageName, tag, { ...options, action: 'add', version });
+  });
+
+tagOptions(tagCommand
+  .command('move <repository> <package> <tag> <version>')
+  .description('Point an existing tag at another version or digest'))
+  .action(async (repository, packageName, tag, version, options) => {
+    await changeTagCommand(repository, packageName, tag, { ...options, action: 'move', version });
+  });
+
+tagOptions(tagCommand
+  .command('remove <repository> <package> <tag>')
+  .alias('rm')
+  .description('Remove a tag, keeping the version it points at'))
+  .action(async (repository, packageName, tag, options) => {
+    await changeTagCommand(repository, packageName, tag, { ...options, action: 'remove' });
+  });
+
+const deleteCommand = program
+  .command('delete')
+  .alias('rm')
+  .description('Delete Docker images, tags, package versions or whole packages');
+
+deleteCommand
+  .command('image <repository> <image>')
+  .description('Delete a Docker image by digest (image@sha256:...) and its tags')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('--dry-run', 'Show what would be deleted without deleting')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (repository, image, options) => {
+    await deleteDockerImage(repository, options.location, image, options);
+  });
+
+deleteCommand
+  .command('tag <repository> <package> <tag>')
+  .description('Delete a single tag, keeping the image or version it points at')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('--dry-run', 'Show what would be deleted without deleting')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (repository, packageName, tag, options) => {
+    await deleteTag(repository, options.location, packageName, tag, options);
+  });
+
+deleteCommand
+  .command('version <repository> <package> <version>')
+  .description('Delete a package version and the tags pointing at it')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('--dry-run', 'Show what would be deleted without deleting')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (repository, packageName, version, options) => {
+    await deleteVersion(repository, options.location, packageName, version, options);
+  });
+
+deleteCommand
+  .command('package <repository> <package>')
+  .description('Delete a package with all of its versions and tags')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('--dry-run', 'Show what would be deleted without deleting')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (repository, packageName, options) => {
+    await deletePackage(repository, options.location, packageName, options);
+  });
+
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
+const repoCommand = program
+  .command('repo')
+  .description('Create, update or delete repositories');
+
+repoCommand
+  .command('create <repository>')
+  .description('Create a repository')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('-f, --format <format>', 'docker, npm, maven, python, apt, yum, go or generic', 'docker')
+  .option('-m, --mode <mode>', 'standard, remote or virtual', 'standard')
+  .option('-d, --description <text>', 'Repository description')
+  .option('--label <key=value>', 'Label (repeatable)', collectOption, [])
+  .option('--kms-key <name>', 'Customer-managed encryption key (projects/.../cryptoKeys/...)')
+  .option('--immutable-tags', 'Prevent tags from being moved or deleted (Docker only)')
+  .option('--cleanup-policies <file>', 'JSON file with a list of cleanup policies')
+  .option('--cleanup-dry-run', 'Only log what cleanup policies would delete')
+  .option('--upstream <name>', 'Remote mode: docker-hub, maven-central, npmjs or pypi')
+  .option('--upstream-username <user>', 'Remote mode: username for the upstream')
+  .option('--upstream-password-secret <version>', 'Remote mode: Secret Manager version holding the password')
+  .option('--virtual-upstream <repo:priority>', 'Virtual mode: upstream repository (repeatable)', collectOption, [])
+  .action(async (repository, options) => {
+    await createRepositoryCommand(repository, options);
+  });
+
+repoCommand
+  .command('update <repository>')
+  .description('Change the description, labels, immutable tags or cleanup policies of a repository')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('-d, --description <text>', 'Repository description')
+  .option('--label <key=value>', 'Label (repeatable, replaces all existing labels)', collectOption, [])
+  .option('--immutable-tags', 'Prevent tags from being moved or deleted (Docker only)')
+  .option('--no-immutable-tags', 'Allow tags to be moved and deleted again')
+  .option('--cleanup-policies <file>', 'JSON file with a list of cleanup policies (replaces existing ones)')
+  .option('--clear-cleanup-policies', 'Remove every cleanup policy')
+  .option('--cleanup-dry-run', 'Only log what cleanup policies would delete')
+  .option('--no-cleanup-dry-run', 'Let cleanup policies delete')
+  .option('--virtual-upstream <repo:priority>', 'Virtual mode: upstream repository (repeatable, replaces the list)', collectOption, [])
+  .action(async (repository, options) => {
+    await updateRepositoryCommand(repository, options);
+  });
+
+repoCommand
+  .command('delete <repository>')
+  .alias('rm')
+  .description('Delete a repository and everything in it')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('--dry-run', 'Show what would be deleted without deleting')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (repository, options) => {
+    await deleteRepositoryCommand(repository, options);
+  });
+
+withOutputOptions(program
+  .command('cleanup <repository>')
+  .description('Evaluate a retention policy against a repository (dry run unless --apply)')
+  .option('-l, --location <location>', 'GCP location', 'us-central1')
+  .option('-p, --policy <file>', 'JSON policy file ({ "rules": [...] })')
+  .option('--keep <pattern:count>', 'Keep the newest N versions tagged with pattern (repeatable)', collectOption, [])
+  .option('--untagged-older-than <days>', 'Delete untagged versions older than N days')
+  .option('--protect <pattern>', 'Never delete versions tagged with pattern (repeatable)', collectOption, [])
+  .option('--apply', 'Actually delete what the policy selects')
+  .option('-y, --yes', 'Skip the confirmation prompt when applying'))
   .action(async (repository, options) => {
-    await uploadArtifact(repository, options.location, 'DOCKER', options.image);
+    await cleanupRepository(repository, options.location, options);
+  });
+
+withOutputOptions(program
+  .command('inspect <image>')
+  .description('Show the manifest, config, layers and history of a Docker image')
+  .option('-l, --location <location>', 'GCP location (when IMAGE is REPOSITORY/IMAGE)', 'us-central1')
+  .option('--platform <os/arch>', 'Platform to inspect in a multi-arch image (default: linux/amd64)'), REPORT_FORMATS)
+  .action(async (image, options) => {
+    await inspectDockerImage(image, options.location, options);
+  });
+
+withOutputOptions(program
+  .command('compare <base> <target>')
+  .alias('diff')
+  .description('Compare two Docker image tags or digests (TARGET may be ":tag" or "@digest" of the same image)')
+  .option('-l, --location <location>', 'GCP location (when images are REPOSITORY/IMAGE)', 'us-central1')
+  .option('--platform <os/arch>', 'Platform to compare in multi-arch images (default: linux/amd64)'), REPORT_FORMATS)
+  .action(async (base, target, options) => {
+    await compareDockerImages(base, target, options.location, options);
+  });
+
+const profileCommand = program
+  .command('profile')
+  .description('Manage credentials profiles');
+
+profileCommand
+  .command('add <name>')
+  .description('Add (or replace) a profile from a service account key file')
+  .requiredOption('-k, --key-file <path>', 'Service account JSON key file')
+  .option('--project <projectId>', 'Project to work on (default: the key\'s project_id)')
+  .option('--use', 'Make this the current profile')
+  .action((name, options) => {
+    runProfileCommand(() => {
+      const profile = addProfile(name, { keyFile: options.keyFile, projectId: options.project, use: options.use });
+      console.log(chalk.green(`✅ Added profile ${name} (${profile.projectId})${profile.current ? ' - now current' : ''}`));
+    });
+  });
+
+withOutputOptions(profileCommand
+  .command('list')
+  .alias('ls')
+  .description('List configured profiles'))
+  .action((options) => {
+    runProfileCommand(() => printProfiles(options));
+  });
+
+profileCommand
+  .command('use <name>')
+  .description('Set the current profile')
+  .action((name) => {
+    runProfileCommand(() => {
+      useProfile(name);
+      console.log(chalk.green(`✅ Now using profile ${name}`));
+    });
+  });
+
+profileCommand
+  .command('remove <name>')
+  .alias('rm')
+  .description('Remove a profile (the key file is left in place)')
+  .action((name) => {
+    runProfileCommand(() => {
+      removeProfile(name);
+      console.log(chalk.green(`✅ Removed profile ${name}`));
+    });
   });
 
 program
@@ -605,9 +2212,5 @@ program
     await interactiveMode();
   });
 
-// Default to interactive mode if no command specified
-if (process.argv.length <= 2) {
-  interactiveMode();
-} else {
-  program.parse();
-}
+// With no command, the root action starts interactive mode
+program.parse();
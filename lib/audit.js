@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toCsv } from './output.js';
+
+// Append-only audit log: one JSON object per line in audit.log, rotated to
+// audit.1.log ... audit.N.log when it grows past AUDIT_LOG_MAX_BYTES. Entries are
+// never rewritten; the oldest file is dropped on rotation.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const AUDIT_LOG_DIR = process.env.AUDIT_LOG_DIR || path.join(__dirname, '..', 'logs', 'audit');
+export const AUDIT_LOG_MAX_BYTES = Number(process.env.AUDIT_LOG_MAX_BYTES) || 5 * 1024 * 1024;
+export const AUDIT_LOG_FILES = Number(process.env.AUDIT_LOG_FILES) || 5;
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+const EXPORT_COLUMNS = ['timestamp', 'actor', 'project', 'action', 'resource', 'outcome', 'status', 'error', 'details'];
+
+export class AuditLog {
+    constructor({ dir = AUDIT_LOG_DIR, maxBytes = AUDIT_LOG_MAX_BYTES, maxFiles = AUDIT_LOG_FILES } = {}) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.current = path.join(dir, 'audit.log');
+        // Writes are chained so entries land in the order they were recorded
+        this.queue = Promise.resolve();
+    }
+
+    // Current file first, then the rotated ones from newest to oldest
+    files() {
+        const rotated = Array.from({ length: this.maxFiles }, (_, i) => path.join(this.dir, `audit.${i + 1}.log`));
+        return [this.current, ...rotated].filter((file) => fs.existsSync(file));
+    }
+
+    async rotate() {
+        const oldest = path.join(this.dir, `audit.${this.maxFiles}.log`);
+        await fs.promises.rm(oldest, { force: true });
+
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const file = path.join(this.dir, `audit.${i}.log`);
+            if (fs.existsSync(file)) await fs.promises.rename(file, path.join(this.dir, `audit.${i + 1}.log`));
+        }
+        await fs.promises.rename(this.current, path.join(this.dir, 'audit.1.log'));
+    }
+
+    // entry: { actor, project, action, resource, outcome, status, error, details }
+    record(entry) {
+        const line = JSON.stringify({
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            actor: entry.actor || null,
+            project: entry.project || null,
+            action: entry.action,
+            resource: entry.resource || null,
+            outcome: AUDIT_OUTCOMES.includes(entry.outcome) ? entry.outcome : 'success',
+            status: entry.status ?? null,
+            error: entry.error || null,
+            details: entry.details || {},
+        }) + '\n';
+
+        this.queue = this.queue
+            .then(async () => {
+                await fs.promises.mkdir(this.dir, { recursive: true });
+                const stat = await fs.promises.stat(this.current).catch(() => null);
+                if (stat && stat.size + line.length > this.maxBytes) await this.rotate();
+                await fs.promises.appendFile(this.current, line, { flag: 'a', mode: 0o600 });
+            })
+            .catch((error) => {
+                // Auditing must never take a request down with it
+                console.error('Failed to write audit entry:', error.message);
+            });
+
+        return this.queue;
+    }
+
+    // Newest first. filters: { projects, search, action, actor, outcome, from, to }, then
+    // offset/limit for paging.
+    async query(filters = {}, { offset = 0, limit = 100 } = {}) {
+        await this.queue;
+
+        const search = (filters.search || '').toLowerCase();
+        const from = filters.from ? Date.parse(filters.from) : null;
+        const to = filters.to ? Date.parse(filters.to) : null;
+        const matches = (entry) =>
+            (!filters.projects || filters.projects.includes(entry.project)) &&
+            (!filters.action || entry.action === filters.action || entry.action.startsWith(`${filters.action}.`)) &&
+            (!filters.actor || entry.actor === filters.actor) &&
+            (!filters.outcome || entry.outcome === filters.outcome) &&
+            (!from || Date.parse(entry.timestamp) >= from) &&
+            (!to || Date.parse(entry.timestamp) <= to) &&
+            (!search || JSON.stringify(entry).toLowerCase().includes(search));
+
+        const entries = [];
+        for (const file of this.files()) {
+            const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean).reverse();
+            for (const line of lines) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    continue; // a torn last line after a crash
+                }
+                if (matches(entry)) entries.push(entry);
+            }
+        }
+
+        return {
+            entries: entries.slice(offset, offset + limit),
+            total: entries.length,
+            actions: [...new Set(entries.map((entry) => entry.action))].sort(),
+        };
+    }
+}
+
+// Serialize entries for download: "jsonl" (as stored) or "csv"
+export function formatAuditExport(entries, format = 'jsonl') {
+    if (format === 'csv') {
+        return toCsv(entries, EXPORT_COLUMNS);
+    }
+    return entries.map((entry) => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+}
+
+export const auditLog = new AuditLog();
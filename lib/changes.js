@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listRepositoriesInAllLocations } from './locations.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { registryPath } from './promotion.js';
+import { parseDockerImageName, decodePackageId, lastSegment } from './resources.js';
+
+// Registry change detection. Artifact Registry has no change feed we can query, so
+// the contents of each repository are captured on every poll and diffed against the
+// previous capture. The last capture per project is kept in <dir>/<project>.json so
+// a restart does not replay (or miss) what happened in between.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CHANGES_STATE_DIR = process.env.CHANGES_STATE_DIR || path.join(__dirname, '..', 'data', 'changes');
+
+export const CHANGE_EVENTS = [
+    'image.pushed',
+    'image.deleted',
+    'tag.added',
+    'tag.moved',
+    'tag.removed',
+    'version.added',
+    'version.deleted',
+];
+
+const REPOSITORY_CONCURRENCY = 4;
+const PACKAGE_CONCURRENCY = 4;
+
+function repositoryKey(location, repository) {
+    return `${location}/${repository}`;
+}
+
+// Docker repositories: { images: { image: { digest: tags } } }.
+// Everything else: { packages: { package: versions } }.
+export async function captureRepository(client, repo) {
+    if (repo.format === 'DOCKER') {
+        const [dockerImages] = await client.listDockerImages({ parent: repo.name });
+        const images = {};
+        dockerImages.forEach((dockerImage) => {
+            const parsed = parseDockerImageName(dockerImage.name);
+            if (!parsed) return;
+            const image = decodePackageId(parsed.packageId);
+            images[image] = images[image] || {};
+            images[image][parsed.digest] = [...(dockerImage.tags || [])].sort();
+        });
+        return { images };
+    }
+
+    const [packages] = await client.listPackages({ parent: repo.name });
+    const versions = await mapWithConcurrency(packages, PACKAGE_CONCURRENCY, async (pkg) => {
+        const [packageVersions] = await client.listVersions({ parent: pkg.name });
+        return packageVersions.map((version) => lastSegment(version.name)).sort();
+    });
+
+    const captured = {};
+    packages.forEach((pkg, index) => {
+        captured[decodePackageId(lastSegment(pkg.name))] = versions[index];
+    });
+    return { packages: captured };
+}
+
+function tagIndex(digests = {}) {
+    const tags = new Map();
+    Object.entries(digests).forEach(([digest, digestTags]) => {
+        digestTags.forEach((tag) => tags.set(tag, digest));
+    });
+    return tags;
+}
+
+// Events between two captures of the same repository, in a stable order
+export function diffRepository(before, after, { projectId, location, repository, format }) {
+    const events = [];
+    const emit = (type, fields) => events.push({
+        id: crypto.randomUUID(),
+        type,
+        timestamp: new Date().toISOString(),
+        projectId,
+        location,
+        repository,
+        format,
+        ...fields,
+    });
+
+    if (after.images) {
+        const previous = before.images || {};
+        const imageNames = [...new Set([...Object.keys(previous), ...Object.keys(after.images)])].sort();
+
+        imageNames.forEach((image) => {
+            const was = previous[image] || {};
+            const now = after.images[image] || {};
+            const uri = registryPath({ projectId, location, repository, image });
+
+            Object.keys(now).filter((digest) => !was[digest]).forEach((digest) => {
+                emit('image.pushed', { image, digest, tags: now[digest], uri: `${uri}@${digest}` });
+            });
+            Object.keys(was).filter((digest) => !now[digest]).forEach((digest) => {
+                emit('image.deleted', { image, digest, tags: was[digest], uri: `${uri}@${digest}` });
+            });
+
+            const wasTags = tagIndex(was);
+            const nowTags = tagIndex(now);
+            nowTags.forEach((digest, tag) => {
+                if (!wasTags.has(tag)) {
+                    emit('tag.added', { image, tag, digest, uri: `${uri}:${tag}` });
+                } else if (wasTags.get(tag) !== digest) {
+                    emit('tag.moved', { image, tag, digest, from: wasTags.get(tag), uri: `${uri}:${tag}` });
+                }
+            });
+            wasTags.forEach((digest, tag) => {
+                if (!nowTags.has(tag)) emit('tag.removed', { image, tag, digest, uri: `${uri}:${tag}` });
+            });
+        });
+        return events;
+    }
+
+    const previous = before.packages || {};
+    const packageNames = [...new Set([...Object.keys(previous), ...Object.keys(after.packages || {})])].sort();
+    packageNames.forEach((pkg) => {
+        const was = new Set(previous[pkg] || []);
+        const now = new Set(after.packages[pkg] || []);
+        now.forEach((version) => {
+            if (!was.has(version)) emit('version.added', { package: pkg, version });
+        });
+        was.forEach((version) => {
+            if (!now.has(version)) emit('version.deleted', { package: pkg, version });
+        });
+    });
+    return events;
+}
+
+export class ChangeTracker {
+    constructor({ dir = CHANGES_STATE_DIR } = {}) {
+        this.dir = dir;
+    }
+
+    file(projectId) {
+        return path.join(this.dir, `${projectId.replace(/[^a-z0-9._-]/gi, '_')}.json`);
+    }
+
+    async load(projectId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file(projectId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return { repositories: {} };
+            throw error;
+        }
+    }
+
+    async save(projectId, state) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        // Write then rename, so a crash never leaves half a capture behind
+        const temp = `${this.file(projectId)}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(state), { mode: 0o600 });
+        await fs.promises.rename(temp, this.file(projectId));
+    }
+
+    // Capture the repositories `include(location, repository)` selects and diff them
+    // against the previous poll. Repositories seen for the first time only set a
+    // baseline; ones that fail to list, or sit in a location that failed to list,
+    // keep their previous capture and emit nothing.
+    async poll(client, projectId, { include = () => true } = {}) {
+        const previous = await this.load(projectId);
+        const { repositories, failures } = await listRepositoriesInAllLocations(client, projectId);
+
+        const selected = repositories
+            .map((repo) => ({ repo, location: repo.name.split('/')[3], repository: lastSegment(repo.name) }))
+            .filter(({ location, repository }) => include(location, repository));
+
+        const state = { timestamp: new Date().toISOString(), repositories: {} };
+        const failedLocations = new Set(failures.map((failure) => failure.location));
+        Object.entries(previous.repositories).forEach(([key, capture]) => {
+            if (failedLocations.has(key.split('/')[0])) state.repositories[key] = capture;
+        });
+        const events = [];
+        const baseline = [];
+
+        await mapWithConcurrency(selected, REPOSITORY_CONCURRENCY, async ({ repo, location, repository }) => {
+            const key = repositoryKey(location, repository);
+            const before = previous.repositories[key];
+
+            let after;
+            try {
+                after = await captureRepository(client, repo);
+            } catch (error) {
+                failures.push({ location, repository, error: error.message, code: error.code });
+                if (before) state.repositories[key] = before;
+                return;
+            }
+
+            state.repositories[key] = { format: repo.format, ...after };
+            if (!before || before.format !== repo.format) {
+                baseline.push(key);
+                return;
+            }
+            events.push(...diffRepository(before, after, { projectId, location, repository, format: repo.format }));
+        });
+
+        await this.save(projectId, state);
+        return { timestamp: state.timestamp, repositories: selected.length, baseline: baseline.sort(), events, failures };
+    }
+}
+
+export const changeTracker = new ChangeTracker();
@@ -0,0 +1,318 @@
+import { lastSegment, decodePackageId, parseDockerImageName, repositoryPath, versionPath } from './resources.js';
+import { applyDeletion } from './deletion.js';
+import { isIndexMediaType } from './oci-registry.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// Retention-policy engine shared by the server and the CLI.
+//
+// A policy is a list of rules evaluated per package (Docker image) in one repository:
+//   { type: 'keep-latest', tagPattern: 'release-*', count: 5 }
+//       keep the newest N versions with a tag matching the pattern, delete older matches
+//   { type: 'delete-untagged', olderThanDays: 30 }
+//       delete versions without any tag uploaded more than N days ago, except the
+//       per-platform manifests of a tagged multi-arch image
+//   { type: 'protect', tagPattern: 'prod' }
+//       never delete a version with a matching tag, whatever the other rules say
+//
+// A version is deleted only if some rule selects it and no rule keeps or protects it.
+
+const RULE_TYPES = ['keep-latest', 'delete-untagged', 'protect'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MANIFEST_CONCURRENCY = 6;
+
+function formatSize(bytes) {
+    if (!bytes) return '0 Bytes';
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)), 10);
+    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+}
+
+function toMillis(timestamp) {
+    if (!timestamp) return null;
+    return Number(timestamp.seconds) * 1000;
+}
+
+// Longest tag or repository pattern a policy or subscription may store
+export const MAX_PATTERN_LENGTH = 128;
+
+// Two-pointer glob match: on a mismatch after a "*", retry one character further
+// along the value. Never backtracks further than the last "*", so it stays linear
+// in the pattern times the value, whatever the pattern.
+function matchGlob(glob, value) {
+    let p = 0;
+    let v = 0;
+    let star = -1;
+    let resume = 0;
+
+    while (v < value.length) {
+        if (p < glob.length && (glob[p] === '?' || glob[p] === value[v])) {
+            p++;
+            v++;
+        } else if (p < glob.length && glob[p] === '*') {
+            star = p++;
+            resume = v;
+        } else if (star !== -1) {
+            p = star + 1;
+            v = ++resume;
+        } else {
+            return false;
+        }
+    }
+    while (glob[p] === '*') p++;
+    return p === glob.length;
+}
+
+// Predicate for a shell-style glob ("release-*", "v?.*"): * matches any run of
+// characters, ? exactly one, everything else itself
+export function globMatcher(pattern) {
+    const glob = String(pattern).replace(/\*+/g, '*');
+    if (glob.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    return (value) => matchGlob(glob, String(value));
+}
+
+function checkPattern(pattern, where) {
+    if (String(pattern).length > MAX_PATTERN_LENGTH) {
+        throw new Error(`${where}: tagPattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    return String(pattern);
+}
+
+// Validate a policy and return a normalized copy; throws with a readable message
+export function normalizePolicy(policy) {
+    if (!policy || !Array.isArray(policy.rules) || policy.rules.length === 0) {
+        throw new Error('Policy must have a non-empty "rules" array');
+    }
+
+    const rules = policy.rules.map((rule, index) => {
+        const where = `Rule ${index + 1}`;
+
+        if (!RULE_TYPES.includes(rule.type)) {
+            throw new Error(`${where}: type must be one of ${RULE_TYPES.join(', ')}`);
+        }
+
+        if (rule.type === 'keep-latest') {
+            const count = Number(rule.count);
+            if (!rule.tagPattern || !Number.isInteger(count) || count < 0) {
+                throw new Error(`${where}: keep-latest needs a tagPattern and a non-negative integer count`);
+            }
+            return { type: rule.type, tagPattern: checkPattern(rule.tagPattern, where), count };
+        }
+
+        if (rule.type === 'delete-untagged') {
+            const olderThanDays = Number(rule.olderThanDays ?? 0);
+            if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+                throw new Error(`${where}: delete-untagged needs a non-negative olderThanDays`);
+            }
+            return { type: rule.type, olderThanDays };
+        }
+
+        if (!rule.tagPattern) {
+            throw new Error(`${where}: protect needs a tagPattern`);
+        }
+        return { type: rule.type, tagPattern: checkPattern(rule.tagPattern, where) };
+    });
+
+    return { rules };
+}
+
+// Artifact Registry lists the platform manifests of a multi-arch image as digests of their
+// own, untagged. Record on each version the digests of the index manifests that list it.
+async function linkIndexManifests(registry, projectId, repository, versions) {
+    const byDigest = new Map(versions.map((version) => [`${version.package}@${version.version}`, version]));
+    const candidates = versions.filter((version) => !version.mediaType || isIndexMediaType(version.mediaType));
+
+    await mapWithConcurrency(candidates, MANIFEST_CONCURRENCY, async (index) => {
+        const manifest = await registry.getManifest(`${projectId}/${repository}/${index.package}`, index.version);
+        if (!isIndexMediaType(manifest.mediaType)) return;
+        (manifest.json.manifests || []).forEach((descriptor) => {
+            byDigest.get(`${index.package}@${descriptor.digest}`)?.indexes.push(index.version);
+        });
+    });
+}
+
+// Load every version in a repository as { package, version, name, tags, sizeBytes, uploadedAt },
+// plus `indexes` (see linkIndexManifests) for Docker images, read through `registry`.
+// Non-Docker repositories are read package by package; onProgress hears about each one.
+// Their sizes are the files each version owns.
+export async function collectVersions(client, projectId, location, repository, format, { registry, onProgress = () => {} } = {}) {
+    const parent = repositoryPath(projectId, location, repository);
+
+    if (format === 'DOCKER') {
+        if (!registry) throw new Error('A registry client is needed to evaluate Docker repositories');
+
+        const [images] = await client.listDockerImages({ parent });
+        const versions = images.map((image) => {
+            const parsed = parseDockerImageName(image.name);
+            const packageId = decodePackageId(parsed.packageId);
+            return {
+                package: packageId,
+                version: parsed.digest,
+                name: versionPath(projectId, location, repository, packageId, parsed.digest),
+                tags: image.tags || [],
+                sizeBytes: image.imageSizeBytes ? Number(image.imageSizeBytes) : 0,
+                uploadedAt: toMillis(image.uploadTime),
+                mediaType: image.mediaType || null,
+                indexes: [],
+            };
+        });
+        await linkIndexManifests(registry, projectId, repository, versions);
+        return versions;
+    }
+
+    const [packages] = await client.listPackages({ parent });
+    const [files] = await client.listFiles({ parent });
+    const sizes = new Map();
+    files.forEach((file) => sizes.set(file.owner, (sizes.get(file.owner) || 0) + Number(file.sizeBytes || 0)));
+
+    const versions = [];
+
+    for (const [index, pkg] of packages.entries()) {
+        const [pkgVersions] = await client.listVersions({ parent: pkg.name, view: 'FULL' });
+        const packageId = decodePackageId(lastSegment(pkg.name));
+        onProgress({ type: 'package', package: packageId, done: index + 1, total: packages.length });
+        pkgVersions.forEach((version) => {
+            versions.push({
+                package: packageId,
+                version: lastSegment(version.name),
+                name: version.name,
+                tags: (version.relatedTags || []).map((tag) => lastSegment(tag.name)),
+                sizeBytes: sizes.get(version.name) || 0,
+                uploadedAt: toMillis(version.createTime),
+            });
+        });
+    }
+
+    return versions;
+}
+
+// Decide what the policy would delete. Pure function so it can be reasoned about and reused.
+export function evaluatePolicy(policy, versions, now = Date.now()) {
+    const { rules } = normalizePolicy(policy);
+    const byPackage = new Map();
+
+    versions.forEach((version) => {
+        if (!byPackage.has(version.package)) byPackage.set(version.package, []);
+        byPackage.get(version.package).push(version);
+    });
+
+    const deletions = [];
+    let keptCount = 0;
+    let protectedCount = 0;
+
+    for (const [, pkgVersions] of byPackage) {
+        // Newest first so keep-latest can take the head of the list
+        const sorted = [...pkgVersions].sort((a, b) => (b.uploadedAt || 0) - (a.uploadedAt || 0));
+        const keepReasons = new Map();
+        const deleteReasons = new Map();
+        const taggedDigests = new Set(sorted.filter((v) => v.tags.length > 0).map((v) => v.version));
+
+        const addReason = (map, version, reason) => {
+            if (!map.has(version.name)) map.set(version.name, []);
+            map.get(version.name).push(reason);
+        };
+
+        rules.forEach((rule) => {
+            if (rule.type === 'protect') {
+                const matches = globMatcher(rule.tagPattern);
+                sorted
+                    .filter((v) => v.tags.some(matches))
+                    .forEach((v) => addReason(keepReasons, v, `protected by "${rule.tagPattern}"`));
+            } else if (rule.type === 'keep-latest') {
+                const matches = globMatcher(rule.tagPattern);
+                sorted
+                    .filter((v) => v.tags.some(matches))
+                    .forEach((v, index) => {
+                        if (index < rule.count) {
+                            addReason(keepReasons, v, `within newest ${rule.count} "${rule.tagPattern}"`);
+                        } else {
+                            addReason(deleteReasons, v, `older than newest ${rule.count} "${rule.tagPattern}"`);
+                        }
+                    });
+            } else if (rule.type === 'delete-untagged') {
+                const cutoff = now - rule.olderThanDays * DAY_MS;
+                sorted
+                    .filter((v) => v.tags.length === 0 && v.uploadedAt && v.uploadedAt < cutoff)
+                    .filter((v) => !(v.indexes || []).some((digest) => taggedDigests.has(digest)))
+                    .forEach((v) => addReason(deleteReasons, v, `untagged for more than ${rule.olderThanDays} days`));
+            }
+        });
+
+        sorted.forEach((version) => {
+            const keep = keepReasons.get(version.name);
+            const remove = deleteReasons.get(version.name);
+
+            if (remove && !keep) {
+                deletions.push({
+                    ...version,
+                    uploadedAt: version.uploadedAt ? new Date(version.uploadedAt).toISOString() : null,
+                    reasons: remove,
+                });
+            } else if (keep && keep.some((reason) => reason.startsWith('protected'))) {
+                protectedCount++;
+            } else {
+                keptCount++;
+            }
+        });
+    }
+
+    const bytesFreed = deletions.reduce((sum, d) => sum + (d.sizeBytes || 0), 0);
+
+    return {
+        evaluatedAt: new Date(now).toISOString(),
+        policy: { rules },
+        packagesScanned: byPackage.size,
+        versionsScanned: versions.length,
+        deletions,
+        keptCount,
+        protectedCount,
+        bytesFreed,
+        bytesFreedFormatted: formatSize(bytesFreed),
+    };
+}
+
+// Evaluate a policy against a live repository. registry: RegistryClient for the repository's
+// Docker endpoint, needed for Docker repositories.
+export async function runCleanupReport(client, { projectId, location, repository, format, policy, registry, onProgress }) {
+    const versions = await collectVersions(client, projectId, location, repository, format, { registry, onProgress });
+    return {
+        repository,
+        location,
+        format,
+        ...evaluatePolicy(policy, versions),
+    };
+}
+
+// Delete everything listed in a report. When `only` is given, deletions not in it are
+// skipped so that applying never removes more than the user previewed. An aborted
+// signal stops before the next deletion; what is left counts as skipped.
+export async function applyCleanupReport(client, report, { only, onProgress, signal } = {}) {
+    const allowed = only ? new Set(only) : null;
+    const targets = report.deletions.filter((d) => !allowed || allowed.has(d.name));
+    const deleted = [];
+    const failed = [];
+
+    for (const [index, target] of targets.entries()) {
+        if (signal?.aborted) break;
+        try {
+            await applyDeletion(client, { action: 'delete-version', target: target.name });
+            deleted.push(target);
+        } catch (error) {
+            failed.push({ ...target, error: error.message });
+        }
+        if (onProgress) onProgress({ done: index + 1, total: targets.length, target });
+    }
+
+    const bytesFreed = deleted.reduce((sum, d) => sum + (d.sizeBytes || 0), 0);
+
+    return {
+        ...report,
+        applied: true,
+        deleted,
+        failed,
+        skipped: report.deletions.length - deleted.length - failed.length,
+        bytesFreed,
+        bytesFreedFormatted: formatSize(bytesFreed),
+    };
+}
@@ -0,0 +1,172 @@
+import { inspectImage } from './inspect.js';
+
+// Compare two images (usually two digests of the same package) from their
+// manifests and configs only - nothing is pulled.
+
+// OCI annotations/labels some builders set to record the base image
+const BASE_NAME_LABELS = ['org.opencontainers.image.base.name'];
+const BASE_DIGEST_LABELS = ['org.opencontainers.image.base.digest'];
+
+function firstLabel(labels, keys) {
+    const key = keys.find((k) => labels[k]);
+    return key ? labels[key] : null;
+}
+
+function envToMap(env) {
+    return new Map(env.map((entry) => {
+        const eq = entry.indexOf('=');
+        return eq === -1 ? [entry, ''] : [entry.slice(0, eq), entry.slice(eq + 1)];
+    }));
+}
+
+// Added/removed/changed keys between two plain maps
+function diffMaps(before, after) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, value] of after) {
+        if (!before.has(key)) added.push({ key, value });
+        else if (before.get(key) !== value) changed.push({ key, before: before.get(key), after: value });
+    }
+    for (const [key, value] of before) {
+        if (!after.has(key)) removed.push({ key, value });
+    }
+
+    return { added, removed, changed };
+}
+
+function diffLists(before, after) {
+    return {
+        added: after.filter((item) => !before.includes(item)),
+        removed: before.filter((item) => !after.includes(item)),
+    };
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffConfig(base, target) {
+    const scalar = ['entrypoint', 'cmd', 'workingDir', 'user', 'platform']
+        .filter((field) => !sameValue(base[field], target[field]))
+        .map((field) => ({ field, before: base[field] ?? null, after: target[field] ?? null }));
+
+    return {
+        changed: scalar,
+        env: diffMaps(envToMap(base.env), envToMap(target.env)),
+        labels: diffMaps(new Map(Object.entries(base.labels)), new Map(Object.entries(target.labels))),
+        exposedPorts: diffLists(base.exposedPorts, target.exposedPorts),
+    };
+}
+
+// Which layers both images share, and which exist on one side only
+function diffLayers(base, target) {
+    const baseDigests = new Set(base.layers.map((layer) => layer.digest));
+    const targetDigests = new Set(target.layers.map((layer) => layer.digest));
+    const sum = (layers) => layers.reduce((total, layer) => total + (layer.size || 0), 0);
+
+    const shared = target.layers.filter((layer) => baseDigests.has(layer.digest));
+    const onlyInBase = base.layers.filter((layer) => !targetDigests.has(layer.digest));
+    const onlyInTarget = target.layers.filter((layer) => !baseDigests.has(layer.digest));
+
+    return {
+        shared,
+        onlyInBase,
+        onlyInTarget,
+        sharedBytes: sum(shared),
+        onlyInBaseBytes: sum(onlyInBase),
+        onlyInTargetBytes: sum(onlyInTarget),
+    };
+}
+
+// History entry that produced each layer, so the divergence point can be described
+function layerHistory(image) {
+    return image.history.filter((entry) => !entry.emptyLayer);
+}
+
+// History entries of an image's own build are created within this window of the image;
+// older ones were inherited from the base image
+const BUILD_WINDOW_MS = 60 * 60 * 1000;
+
+// Number of leading layers inherited from the base image, from the history timestamps.
+// null when the image records no usable history (or reproducible builds zeroed the times).
+function baseLayerCount(image) {
+    const created = Date.parse(image.config.created);
+    const entries = layerHistory(image);
+    if (Number.isNaN(created) || entries.length === 0 || entries.some((entry) => !entry.created)) return null;
+
+    const own = entries.findIndex((entry) => created - Date.parse(entry.created) <= BUILD_WINDOW_MS);
+    const count = own === -1 ? entries.length : own;
+    return count > 0 ? count : null;
+}
+
+// Base-image drift: how many leading layers are identical. Layers inherited from
+// the base come first, so a common prefix shorter than the base layers means the base moved.
+function diffBase(base, target) {
+    let commonPrefix = 0;
+    while (
+        commonPrefix < base.layers.length &&
+        commonPrefix < target.layers.length &&
+        base.layers[commonPrefix].digest === target.layers[commonPrefix].digest
+    ) {
+        commonPrefix++;
+    }
+
+    const baseLabel = {
+        before: firstLabel(base.config.labels, BASE_NAME_LABELS),
+        after: firstLabel(target.config.labels, BASE_NAME_LABELS),
+    };
+    const baseDigest = {
+        before: firstLabel(base.config.labels, BASE_DIGEST_LABELS),
+        after: firstLabel(target.config.labels, BASE_DIGEST_LABELS),
+    };
+
+    const identical = commonPrefix === base.layers.length && commonPrefix === target.layers.length;
+    const divergence = identical ? null : {
+        layerIndex: commonPrefix,
+        before: layerHistory(base)[commonPrefix]?.createdBy || null,
+        after: layerHistory(target)[commonPrefix]?.createdBy || null,
+    };
+
+    // Both images must keep every base layer; without history only a fully different stack counts
+    const counts = [baseLayerCount(base), baseLayerCount(target)].filter((count) => count !== null);
+    const baseLayers = counts.length > 0 ? Math.min(...counts) : null;
+    const layersDrifted = !identical && (baseLayers === null ? commonPrefix === 0 : commonPrefix < baseLayers);
+
+    return {
+        commonPrefixLayers: commonPrefix,
+        baseLayers,
+        identical,
+        // Drift when a base layer is not shared, or the recorded base digest changed
+        drifted: layersDrifted || Boolean(baseDigest.before && baseDigest.after && baseDigest.before !== baseDigest.after),
+        baseName: baseLabel,
+        baseDigest,
+        divergence,
+    };
+}
+
+export function diffInspections(baseResult, targetResult) {
+    const base = baseResult.image;
+    const target = targetResult.image;
+
+    return {
+        base: { digest: baseResult.digest, platform: baseResult.selectedPlatform || base.config.platform, totalSize: base.totalSize, layers: base.layers.length, created: base.config.created },
+        target: { digest: targetResult.digest, platform: targetResult.selectedPlatform || target.config.platform, totalSize: target.totalSize, layers: target.layers.length, created: target.config.created },
+        identical: base.digest === target.digest,
+        sizeDelta: target.totalSize - base.totalSize,
+        layers: diffLayers(base, target),
+        config: diffConfig(base.config, target.config),
+        baseImage: diffBase(base, target),
+    };
+}
+
+// source/target: { client, repository, reference }. Both sides inspect the same platform.
+export async function compareImages(baseSource, targetSource, { platform, signal } = {}) {
+    const [baseResult, targetResult] = await Promise.all([
+        inspectImage(baseSource.client, baseSource.repository, baseSource.reference, { platform, signal }),
+        inspectImage(targetSource.client, targetSource.repository, targetSource.reference, { platform, signal }),
+    ]);
+
+    return diffInspections(baseResult, targetResult);
+}
@@ -0,0 +1,17 @@
+// Run an async mapper over items with at most `limit` calls in flight.
+// Results keep the input order; the first rejection rejects the whole call.
+export async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await mapper(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, () => worker());
+    await Promise.all(workers);
+    return results;
+}
@@ -0,0 +1,100 @@
+import { decodePackageId, lastSegment } from './resources.js';
+
+// Deletion planning and execution shared by the server and the CLI.
+// Every delete is first turned into a plan describing what would go away,
+// which doubles as the dry-run preview and the confirmation prompt.
+
+function formatTimestamp(timestamp) {
+    if (!timestamp) return null;
+    return new Date(Number(timestamp.seconds) * 1000).toISOString();
+}
+
+function summarizeVersion(version) {
+    return {
+        name: version.name,
+        version: lastSegment(version.name),
+        tags: (version.relatedTags || []).map((tag) => lastSegment(tag.name)),
+        createdAt: formatTimestamp(version.createTime),
+    };
+}
+
+// Preview deleting a single version (a Docker digest or a package version) and the tags pointing at it
+export async function planVersionDeletion(client, versionName) {
+    const [version] = await client.getVersion({ name: versionName, view: 'FULL' });
+    const summary = summarizeVersion(version);
+
+    return {
+        action: 'delete-version',
+        target: versionName,
+        versions: [summary],
+        tags: summary.tags,
+    };
+}
+
+// Preview deleting a whole package with all its versions and tags
+export async function planPackageDeletion(client, packageName) {
+    await client.getPackage({ name: packageName });
+    const [versions] = await client.listVersions({ parent: packageName, view: 'FULL' });
+    const summaries = versions.map(summarizeVersion);
+
+    return {
+        action: 'delete-package',
+        target: packageName,
+        versions: summaries,
+        tags: summaries.flatMap((v) => v.tags),
+    };
+}
+
+// Preview removing a single tag; the version it points at is kept
+export async function planTagDeletion(client, tagName) {
+    const [tag] = await client.getTag({ name: tagName });
+
+    return {
+        action: 'delete-tag',
+        target: tagName,
+        versions: [],
+        tags: [lastSegment(tag.name)],
+        version: tag.version ? lastSegment(tag.version) : null,
+    };
+}
+
+// Preview deleting a repository. Only the first page of packages is listed;
+// the plan says so when there are more.
+export async function planRepositoryDeletion(client, repositoryName) {
+    const [repository] = await client.getRepository({ name: repositoryName });
+    const [packages, nextRequest] = await client.listPackages(
+        { parent: repositoryName, pageSize: 1000 },
+        { autoPaginate: false }
+    );
+
+    return {
+        action: 'delete-repository',
+        target: repositoryName,
+        versions: [],
+        tags: [],
+        packages: packages.map((pkg) => decodePackageId(lastSegment(pkg.name))),
+        packagesTruncated: Boolean(nextRequest),
+        sizeBytes: Number(repository.sizeBytes || 0),
+    };
+}
+
+// Carry out a plan produced by one of the plan* functions
+export async function applyDeletion(client, plan) {
+    if (plan.action === 'delete-tag') {
+        await client.deleteTag({ name: plan.target });
+    } else if (plan.action === 'delete-version') {
+        // force also removes the tags that point at this version
+        const [operation] = await client.deleteVersion({ name: plan.target, force: true });
+        await operation.promise();
+    } else if (plan.action === 'delete-package') {
+        const [operation] = await client.deletePackage({ name: plan.target });
+        await operation.promise();
+    } else if (plan.action === 'delete-repository') {
+        const [operation] = await client.deleteRepository({ name: plan.target });
+        await operation.promise();
+    } else {
+        throw new Error(`Unknown deletion action: ${plan.action}`);
+    }
+
+    return { ...plan, deletedAt: new Date().toISOString() };
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { repositoryPath, versionPath, lastSegment } from './resources.js';
+
+// Files of npm, Python, Maven and generic package versions: list them with the
+// hashes Artifact Registry stores, and stream downloads through the media
+// endpoint (the Node client has no download RPC).
+
+const DOWNLOAD_API = 'https://artifactregistry.googleapis.com/download/v1';
+
+// Hash.HashType enum, by number or name depending on how the client decoded it
+const HASH_TYPES = { 1: 'sha256', 2: 'md5', SHA256: 'sha256', MD5: 'md5' };
+
+export class FileDownloadError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'FileDownloadError';
+        this.status = status;
+    }
+}
+
+export function hashHex(value) {
+    if (!value) return null;
+    return typeof value === 'string' ? Buffer.from(value, 'base64').toString('hex') : Buffer.from(value).toString('hex');
+}
+
+// File IDs are URL-encoded paths ("pkg%2F1.0%2Fpkg-1.0.tgz") or, for generic
+// artifacts, "package:version:filename"
+export function describeFile(file) {
+    const fileId = lastSegment(file.name);
+    const filePath = decodeURIComponent(fileId);
+    const hashes = {};
+    (file.hashes || []).forEach((hash) => {
+        const type = HASH_TYPES[hash.type];
+        if (type) hashes[type] = hashHex(hash.value);
+    });
+
+    return {
+        id: file.name,
+        fileId,
+        path: filePath,
+        filename: filePath.split(/[/:]/).pop(),
+        size: Number(file.sizeBytes || 0),
+        hashes,
+        owner: file.owner,
+    };
+}
+
+export async function listVersionFiles(client, target, packageId, version) {
+    const owner = versionPath(target.projectId, target.location, target.repository, packageId, version);
+    const [files] = await client.listFiles({
+        parent: repositoryPath(target.projectId, target.location, target.repository),
+        filter: `owner="${owner}"`,
+    });
+    return files.map(describeFile);
+}
+
+// Start a download; the caller consumes `stream`
+export async function openFileDownload(fileName, getAccessToken) {
+    const response = await fetch(`${DOWNLOAD_API}/${fileName}:download?alt=media`, {
+        headers: { Authorization: `Bearer ${await getAccessToken()}` },
+    });
+
+    if (!response.ok) {
+        const body = await response.text();
+        let message = body.slice(0, 300);
+        try {
+            message = JSON.parse(body).error?.message || message;
+        } catch (e) {
+            // plain-text error body
+        }
+        throw new FileDownloadError(`Download failed (${response.status}): ${message}`, response.status === 404 ? 404 : 502);
+    }
+
+    return {
+        stream: Readable.fromWeb(response.body),
+        size: Number(response.headers.get('content-length')) || null,
+        contentType: response.headers.get('content-type') || 'application/octet-stream',
+    };
+}
+
+// Download to disk while hashing, then compare with the hashes the registry recorded.
+// The file is removed again when the download fails part-way or a hash does not match.
+export async function downloadFileTo(file, destination, getAccessToken, { onProgress = () => {} } = {}) {
+    const { stream } = await openFileDownload(file.id, getAccessToken);
+    const sha256 = crypto.createHash('sha256');
+    const md5 = crypto.createHash('md5');
+    let received = 0;
+
+    const hashing = new Transform({
+        transform(chunk, encoding, callback) {
+            sha256.update(chunk);
+            md5.update(chunk);
+            received += chunk.length;
+            onProgress({ filename: file.filename, received, size: file.size });
+            callback(null, chunk);
+        },
+    });
+    try {
+        await pipeline(stream, hashing, fs.createWriteStream(destination));
+    } catch (error) {
+        fs.rmSync(destination, { force: true });
+        throw error;
+    }
+
+    const actual = { sha256: sha256.digest('hex'), md5: md5.digest('hex') };
+    const checked = Object.keys(actual).filter((type) => file.hashes[type]);
+    const verified = checked.length ? checked.every((type) => file.hashes[type] === actual[type]) : null;
+
+    if (verified === false) {
+        fs.rmSync(destination, { force: true });
+    }
+    return { filename: file.filename, destination, size: received, ...actual, verified };
+}
@@ -0,0 +1,189 @@
+// Repository IAM: read the policy, add/remove reader and writer bindings with an
+// etag check so concurrent edits are never overwritten, and test which actions
+// the session's service account may perform.
+
+const RESOURCE_MANAGER_API = 'https://cloudresourcemanager.googleapis.com/v1';
+
+// Roles the editor manages; other bindings are shown but left untouched
+export const ROLES = {
+    reader: 'roles/artifactregistry.reader',
+    writer: 'roles/artifactregistry.writer',
+};
+
+// UI capability -> IAM permission
+export const CAPABILITIES = {
+    createRepository: 'artifactregistry.repositories.create',
+    updateRepository: 'artifactregistry.repositories.update',
+    deleteRepository: 'artifactregistry.repositories.delete',
+    uploadArtifacts: 'artifactregistry.repositories.uploadArtifacts',
+    deletePackage: 'artifactregistry.packages.delete',
+    deleteVersion: 'artifactregistry.versions.delete',
+    createTag: 'artifactregistry.tags.create',
+    updateTag: 'artifactregistry.tags.update',
+    deleteTag: 'artifactregistry.tags.delete',
+    getIamPolicy: 'artifactregistry.repositories.getIamPolicy',
+    setIamPolicy: 'artifactregistry.repositories.setIamPolicy',
+};
+
+export class IamConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IamConflictError';
+    }
+}
+
+const MEMBER_PATTERN = /^(allUsers|allAuthenticatedUsers|(user|serviceAccount|group|domain|principal|principalSet):\S+)$/;
+
+function etagString(etag) {
+    if (!etag) return '';
+    return Buffer.isBuffer(etag) || etag instanceof Uint8Array ? Buffer.from(etag).toString('base64') : String(etag);
+}
+
+function summarizePolicy(policy) {
+    return {
+        etag: etagString(policy.etag),
+        version: policy.version || 1,
+        bindings: (policy.bindings || []).map((binding) => ({
+            role: binding.role,
+            members: [...(binding.members || [])].sort(),
+            condition: binding.condition || null,
+        })),
+    };
+}
+
+export async function getRepositoryPolicy(client, resource) {
+    const [policy] = await client.getIamPolicy({ resource, options: { requestedPolicyVersion: 3 } });
+    return summarizePolicy(policy);
+}
+
+// changes: [{ action: 'add' | 'remove', role: 'reader' | 'writer', member }]
+export function validateChanges(changes) {
+    const errors = [];
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+        return ['no changes given'];
+    }
+
+    changes.forEach((change, index) => {
+        const label = `change ${index + 1}`;
+        if (!['add', 'remove'].includes(change.action)) errors.push(`${label}: action must be "add" or "remove"`);
+        if (!ROLES[change.role]) errors.push(`${label}: role must be ${Object.keys(ROLES).join(' or ')}`);
+        if (!MEMBER_PATTERN.test(change.member || '')) {
+            errors.push(`${label}: member must look like user:alice@example.com, serviceAccount:..., group:... or domain:...`);
+        }
+    });
+
+    return errors;
+}
+
+// Apply changes to a copy of the bindings. Conditional bindings are never modified.
+export function applyChanges(policy, changes) {
+    const bindings = policy.bindings.map((binding) => ({ ...binding, members: [...binding.members] }));
+
+    changes.forEach((change) => {
+        const role = ROLES[change.role];
+        let binding = bindings.find((b) => b.role === role && !b.condition);
+
+        if (change.action === 'add') {
+            if (!binding) {
+                binding = { role, members: [], condition: null };
+                bindings.push(binding);
+            }
+            if (!binding.members.includes(change.member)) binding.members.push(change.member);
+        } else if (binding) {
+            binding.members = binding.members.filter((member) => member !== change.member);
+        }
+    });
+
+    return {
+        ...policy,
+        bindings: bindings
+            .filter((binding) => binding.members.length > 0)
+            .map((binding) => ({ ...binding, members: binding.members.sort() })),
+    };
+}
+
+function memberSet(policy) {
+    return new Set(policy.bindings.flatMap((binding) =>
+        binding.members.map((member) => `${binding.role}\n${member}`)));
+}
+
+// Member/role pairs added or removed between two policies
+export function diffPolicies(before, after) {
+    const previous = memberSet(before);
+    const next = memberSet(after);
+    const entry = (key, change) => {
+        const [role, member] = key.split('\n');
+        return { change, role, member };
+    };
+
+    return [
+        ...[...next].filter((key) => !previous.has(key)).map((key) => entry(key, 'added')),
+        ...[...previous].filter((key) => !next.has(key)).map((key) => entry(key, 'removed')),
+    ];
+}
+
+// Preview: current policy, the policy after the changes, and what differs.
+// The returned etag is passed back to applyPolicyChanges.
+export async function planPolicyChanges(client, resource, changes) {
+    const current = await getRepositoryPolicy(client, resource);
+    const proposed = applyChanges(current, changes);
+
+    return { resource, etag: current.etag, current, proposed, diff: diffPolicies(current, proposed) };
+}
+
+// Re-reads the policy and refuses to write when it changed since the preview (etag mismatch).
+// setIamPolicy also checks the etag server-side, so a race in between fails with ABORTED.
+export async function applyPolicyChanges(client, resource, { etag, changes }) {
+    const plan = await planPolicyChanges(client, resource, changes);
+
+    if (etag && plan.etag !== etag) {
+        throw new IamConflictError('The policy was changed by someone else since the preview. Review the changes again.');
+    }
+
+    const [policy] = await client.setIamPolicy({
+        resource,
+        policy: {
+            version: plan.proposed.bindings.some((binding) => binding.condition) ? 3 : plan.current.version,
+            etag: Buffer.from(plan.etag, 'base64'),
+            bindings: plan.proposed.bindings.map((binding) => ({
+                role: binding.role,
+                members: binding.members,
+                ...(binding.condition ? { condition: binding.condition } : {}),
+            })),
+        },
+    });
+
+    return { ...plan, policy: summarizePolicy(policy) };
+}
+
+function capabilitiesFrom(granted) {
+    return Object.fromEntries(Object.entries(CAPABILITIES)
+        .map(([capability, permission]) => [capability, granted.includes(permission)]));
+}
+
+// Capabilities on a single repository (includes grants made on the repository itself)
+export async function testRepositoryPermissions(client, resource) {
+    const [response] = await client.testIamPermissions({ resource, permissions: Object.values(CAPABILITIES) });
+    return capabilitiesFrom(response.permissions || []);
+}
+
+// Capabilities granted at project level, via the Resource Manager REST API
+export async function testProjectPermissions(projectId, getAccessToken) {
+    const response = await fetch(`${RESOURCE_MANAGER_API}/projects/${projectId}:testIamPermissions`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${await getAccessToken()}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ permissions: Object.values(CAPABILITIES) }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error?.message || `Permission check failed (${response.status})`);
+        error.status = response.status;
+        throw error;
+    }
+    return capabilitiesFrom(data.permissions || []);
+}
@@ -0,0 +1,123 @@
+import { isIndexMediaType, RegistryError } from './oci-registry.js';
+
+// Read an image's manifest and config blob over the distribution API and
+// flatten them into a shape the UI and CLI can display directly.
+
+export function formatPlatform(platform) {
+    if (!platform) return null;
+    return [platform.os, platform.architecture, platform.variant].filter(Boolean).join('/');
+}
+
+// BuildKit stores provenance/SBOM attestations as "unknown/unknown" index entries
+export function isAttestation(descriptor) {
+    return descriptor.annotations?.['vnd.docker.reference.type'] === 'attestation-manifest';
+}
+
+// Pair config history with layers. Entries marked empty_layer (ENV, CMD, ...)
+// produce no layer, so layers are consumed only by the other entries.
+function describeHistory(manifest, config) {
+    const layers = manifest.layers || [];
+    let index = 0;
+
+    const entries = (config.history || []).map((entry) => {
+        const layer = entry.empty_layer ? null : layers[index++] || null;
+        return {
+            createdBy: entry.created_by || '',
+            created: entry.created || null,
+            comment: entry.comment || null,
+            emptyLayer: Boolean(entry.empty_layer),
+            digest: layer ? layer.digest : null,
+            size: layer ? layer.size : 0,
+        };
+    });
+
+    // Layers with no matching history (images built without it)
+    for (; index < layers.length; index++) {
+        entries.push({
+            createdBy: '',
+            created: null,
+            comment: null,
+            emptyLayer: false,
+            digest: layers[index].digest,
+            size: layers[index].size,
+        });
+    }
+
+    return entries;
+}
+
+function summarizeConfig(config) {
+    const runtime = config.config || {};
+    return {
+        created: config.created || null,
+        platform: formatPlatform(config),
+        env: runtime.Env || [],
+        entrypoint: runtime.Entrypoint || null,
+        cmd: runtime.Cmd || null,
+        workingDir: runtime.WorkingDir || null,
+        user: runtime.User || null,
+        exposedPorts: Object.keys(runtime.ExposedPorts || {}),
+        volumes: Object.keys(runtime.Volumes || {}),
+        labels: runtime.Labels || {},
+    };
+}
+
+async function inspectManifest(client, repository, manifest, signal) {
+    const { config: configDescriptor, layers = [] } = manifest.json;
+    const config = await client.getJsonBlob(repository, configDescriptor.digest, { signal });
+
+    return {
+        digest: manifest.digest,
+        mediaType: manifest.mediaType,
+        configDigest: configDescriptor.digest,
+        layers: layers.map((layer) => ({ digest: layer.digest, size: layer.size, mediaType: layer.mediaType })),
+        history: describeHistory(manifest.json, config),
+        totalSize: layers.reduce((sum, layer) => sum + (layer.size || 0), configDescriptor.size || 0),
+        config: summarizeConfig(config),
+    };
+}
+
+// Inspect a tag or digest. For a multi-arch index every platform is listed and one
+// of them is inspected: `platform` ("linux/arm64") when given, else linux/amd64,
+// else the first non-attestation entry.
+export async function inspectImage(client, repository, reference, { platform, signal } = {}) {
+    const top = await client.getManifest(repository, reference, { signal });
+
+    if (!isIndexMediaType(top.mediaType)) {
+        return {
+            digest: top.digest,
+            mediaType: top.mediaType,
+            platforms: [],
+            selectedPlatform: null,
+            image: await inspectManifest(client, repository, top, signal),
+        };
+    }
+
+    const platforms = (top.json.manifests || []).map((descriptor) => ({
+        digest: descriptor.digest,
+        mediaType: descriptor.mediaType,
+        size: descriptor.size,
+        platform: formatPlatform(descriptor.platform),
+        attestation: isAttestation(descriptor),
+    }));
+
+    const candidates = platforms.filter((entry) => !entry.attestation);
+    const selected = platform
+        ? candidates.find((entry) => entry.platform === platform)
+        : candidates.find((entry) => entry.platform === 'linux/amd64') || candidates[0];
+
+    if (!selected) {
+        const available = candidates.map((entry) => entry.platform).join(', ') || 'none';
+        throw new RegistryError(`Platform ${platform || '(any)'} not found in ${reference}. Available: ${available}`, 404);
+    }
+
+    const child = await client.getManifest(repository, selected.digest, { signal });
+
+    return {
+        digest: top.digest,
+        mediaType: top.mediaType,
+        platforms,
+        selectedPlatform: selected.platform,
+        image: await inspectManifest(client, repository, child, signal),
+    };
+}
@@ -0,0 +1,234 @@
+import { isIndexMediaType } from './oci-registry.js';
+import { isAttestation } from './inspect.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { parseDockerImageName, decodePackageId, lastSegment } from './resources.js';
+
+// Layer index for a Docker repository. The registry stores every blob once per
+// repository, so adding up image sizes counts shared base layers again for every
+// image built on them. Reading the manifests gives the blobs each digest really
+// references, from which unique, shared and exclusive ("freed by deleting") bytes follow.
+
+const MANIFEST_CONCURRENCY = 6;
+const MANIFEST_CACHE_SIZE = 5000;
+
+// Manifests are immutable, so what a digest references never changes.
+// Keyed by host/repository@digest; the oldest entries go first when full.
+const manifestCache = new Map();
+
+// Blobs (configs and layers) a digest references, with the ordered layer chain of
+// each platform. Index manifests are followed into every platform entry.
+export async function manifestBlobs(client, repository, digest, { signal } = {}) {
+    const key = `${client.host}/${repository}@${digest}`;
+    if (manifestCache.has(key)) return manifestCache.get(key);
+
+    const top = await client.getManifest(repository, digest, { signal });
+    const manifests = [];
+
+    if (isIndexMediaType(top.mediaType)) {
+        for (const descriptor of top.json.manifests || []) {
+            const child = await client.getManifest(repository, descriptor.digest, { signal });
+            manifests.push({ json: child.json, attestation: isAttestation(descriptor) });
+        }
+    } else {
+        manifests.push({ json: top.json, attestation: false });
+    }
+
+    const blobs = new Map();
+    const chains = [];
+    manifests.forEach(({ json, attestation }) => {
+        if (json.config) blobs.set(json.config.digest, json.config.size || 0);
+        (json.layers || []).forEach((layer) => blobs.set(layer.digest, layer.size || 0));
+        // Attestations are not image layers and never form a base
+        if (!attestation && json.layers?.length) chains.push(json.layers.map((layer) => layer.digest));
+    });
+
+    const result = { blobs, chains };
+    manifestCache.set(key, result);
+    if (manifestCache.size > MANIFEST_CACHE_SIZE) manifestCache.delete(manifestCache.keys().next().value);
+    return result;
+}
+
+// dockerImages: DockerImage resources of one repository (as listDockerImages returns them).
+// Digests whose manifests cannot be read are reported in `failures` and left out.
+export async function buildLayerIndex(client, projectId, repository, dockerImages, { signal } = {}) {
+    const failures = [];
+
+    const manifests = await mapWithConcurrency(dockerImages, MANIFEST_CONCURRENCY, async (dockerImage) => {
+        const parsed = parseDockerImageName(dockerImage.name);
+        if (!parsed) return null;
+
+        const image = decodePackageId(parsed.packageId);
+        try {
+            const { blobs, chains } = await manifestBlobs(client, `${projectId}/${repository}/${image}`, parsed.digest, { signal });
+            return {
+                image,
+                packageId: parsed.packageId,
+                digest: parsed.digest,
+                tags: dockerImage.tags || [],
+                reportedBytes: Number(dockerImage.imageSizeBytes || 0),
+                blobs,
+                chains,
+            };
+        } catch (error) {
+            failures.push({ image, digest: parsed.digest, error: error.message });
+            return null;
+        }
+    });
+
+    // blob digest -> { size, digests (manifest digests), images }
+    const blobs = new Map();
+    manifests.filter(Boolean).forEach((manifest) => {
+        manifest.blobs.forEach((size, digest) => {
+            const entry = blobs.get(digest) || { size, digests: new Set(), images: new Set() };
+            entry.digests.add(manifest.digest);
+            entry.images.add(manifest.image);
+            blobs.set(digest, entry);
+        });
+    });
+
+    return { repository, manifests: manifests.filter(Boolean), blobs, failures };
+}
+
+// digests: any iterable of blob digests
+function sumBlobs(index, digests) {
+    let bytes = 0;
+    for (const digest of digests) {
+        bytes += index.blobs.get(digest)?.size || 0;
+    }
+    return bytes;
+}
+
+// Bytes that deleting the given manifest digests would free: blobs no other digest references
+export function freedByDeleting(index, manifestDigests) {
+    const deleting = new Set(manifestDigests);
+    let bytes = 0;
+    index.blobs.forEach((entry) => {
+        if ([...entry.digests].every((digest) => deleting.has(digest))) bytes += entry.size;
+    });
+    return bytes;
+}
+
+function commonPrefix(chains) {
+    const [first, ...rest] = chains;
+    let length = first.length;
+    rest.forEach((chain) => {
+        let i = 0;
+        while (i < length && i < chain.length && chain[i] === first[i]) i++;
+        length = i;
+    });
+    return first.slice(0, length);
+}
+
+// Images built on the same bottom layer, with the layers they all share. The base is
+// named after an image whose own layers are exactly that shared stack, when there is one.
+function baseImages(index) {
+    const groups = new Map();
+    index.manifests.forEach((manifest) => {
+        manifest.chains.forEach((chain) => {
+            const group = groups.get(chain[0]) || [];
+            group.push({ manifest, chain });
+            groups.set(chain[0], group);
+        });
+    });
+
+    return [...groups.values()]
+        .filter((group) => new Set(group.map(({ manifest }) => manifest.image)).size > 1)
+        .map((group) => {
+            const layers = commonPrefix(group.map(({ chain }) => chain));
+            const images = [...new Set(group.map(({ manifest }) => manifest.image))].sort();
+            const named = group.find(({ chain }) => chain.length === layers.length);
+            const bytes = sumBlobs(index, layers);
+
+            return {
+                base: named ? `${named.manifest.image}@${named.manifest.digest}` : null,
+                bottomLayer: layers[0],
+                layers: layers.length,
+                bytes,
+                images,
+                // What storing the base once saves over every image carrying its own copy
+                savedBytes: bytes * (images.length - 1),
+            };
+        })
+        .sort((a, b) => b.savedBytes - a.savedBytes);
+}
+
+// Report for the repository, each image and each digest, plus which images share layers
+export function layerReport(index) {
+    const images = new Map();
+    index.manifests.forEach((manifest) => {
+        const entry = images.get(manifest.image) || {
+            image: manifest.image,
+            packageId: manifest.packageId,
+            digests: [],
+            tags: [],
+            reportedBytes: 0,
+            blobs: new Set(),
+        };
+        entry.digests.push(manifest.digest);
+        entry.tags.push(...manifest.tags);
+        entry.reportedBytes += manifest.reportedBytes;
+        manifest.blobs.forEach((size, digest) => entry.blobs.add(digest));
+        images.set(manifest.image, entry);
+    });
+
+    const imageReports = [...images.values()].map((entry) => {
+        const shared = new Map();
+        let sharedBytes = 0;
+
+        entry.blobs.forEach((digest) => {
+            const blob = index.blobs.get(digest);
+            if (blob.images.size < 2) return;
+            sharedBytes += blob.size;
+            blob.images.forEach((other) => {
+                if (other !== entry.image) shared.set(other, (shared.get(other) || 0) + blob.size);
+            });
+        });
+
+        return {
+            image: entry.image,
+            packageId: entry.packageId,
+            digests: entry.digests.length,
+            tags: entry.tags.sort(),
+            reportedBytes: entry.reportedBytes,
+            uniqueBytes: sumBlobs(index, entry.blobs),
+            sharedBytes,
+            freedBytes: freedByDeleting(index, entry.digests),
+            sharesWith: [...shared.entries()]
+                .map(([image, bytes]) => ({ image, bytes }))
+                .sort((a, b) => b.bytes - a.bytes),
+        };
+    }).sort((a, b) => b.uniqueBytes - a.uniqueBytes);
+
+    const digestReports = index.manifests.map((manifest) => ({
+        image: manifest.image,
+        digest: manifest.digest,
+        tags: manifest.tags,
+        reportedBytes: manifest.reportedBytes,
+        uniqueBytes: sumBlobs(index, manifest.blobs.keys()),
+        freedBytes: freedByDeleting(index, [manifest.digest]),
+    })).sort((a, b) => b.freedBytes - a.freedBytes);
+
+    const reportedBytes = index.manifests.reduce((sum, manifest) => sum + manifest.reportedBytes, 0);
+    const uniqueBytes = sumBlobs(index, index.blobs.keys());
+    let sharedBytes = 0;
+    index.blobs.forEach((blob) => {
+        if (blob.images.size > 1) sharedBytes += blob.size;
+    });
+
+    return {
+        repository: {
+            name: lastSegment(index.repository),
+            images: images.size,
+            digests: index.manifests.length,
+            blobs: index.blobs.size,
+            reportedBytes,
+            uniqueBytes,
+            sharedBytes,
+            overcountedBytes: Math.max(reportedBytes - uniqueBytes, 0),
+        },
+        images: imageReports,
+        digests: digestReports,
+        baseImages: baseImages(index),
+        failures: index.failures,
+    };
+}
@@ -0,0 +1,121 @@
+import { globMatcher } from './cleanup.js';
+
+// Paged listing helpers shared by the server routes and the CLI.
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+// Upper bound on upstream pages read for one filtered request, so a filter that
+// matches nothing cannot turn into a full scan of a huge repository
+const MAX_UPSTREAM_PAGES = 20;
+
+const DOCKER_ORDER_FIELDS = {
+    uploadTime: 'upload_time',
+    buildTime: 'build_time',
+    updateTime: 'update_time',
+    size: 'image_size_bytes',
+    name: 'name',
+};
+
+const PACKAGE_ORDER_FIELDS = {
+    createTime: 'create_time',
+    updateTime: 'update_time',
+    name: 'name',
+};
+
+export function clampPageSize(value) {
+    const size = Number(value) || DEFAULT_PAGE_SIZE;
+    return Math.max(1, Math.min(size, MAX_PAGE_SIZE));
+}
+
+// Translate { orderBy: 'size', order: 'desc' } into the API's "image_size_bytes desc"
+export function buildOrderBy(fields, orderBy, order) {
+    const field = fields[orderBy];
+    if (!field) return undefined;
+    return order === 'asc' ? field : `${field} desc`;
+}
+
+export function dockerOrderBy(orderBy = 'uploadTime', order = 'desc') {
+    return buildOrderBy(DOCKER_ORDER_FIELDS, orderBy, order);
+}
+
+export function packageOrderBy(orderBy, order = 'desc') {
+    return buildOrderBy(PACKAGE_ORDER_FIELDS, orderBy, order);
+}
+
+// Read one page from a list method without auto-pagination. When a filter is given,
+// keep reading upstream pages until enough matches are collected or the source runs out.
+export async function listPage(client, method, request, { pageSize, pageToken, filter } = {}) {
+    const size = clampPageSize(pageSize);
+    const items = [];
+    let token = pageToken || undefined;
+    let pagesScanned = 0;
+
+    do {
+        const [resources, , response] = await client[method](
+            { ...request, pageSize: size, pageToken: token },
+            { autoPaginate: false },
+        );
+        pagesScanned++;
+        items.push(...(filter ? resources.filter(filter) : resources));
+        token = response?.nextPageToken || undefined;
+    } while (filter && token && items.length < size && pagesScanned < MAX_UPSTREAM_PAGES);
+
+    return { items, nextPageToken: token || null, pagesScanned };
+}
+
+function toMillis(timestamp) {
+    return timestamp ? Number(timestamp.seconds) * 1000 : null;
+}
+
+// Build a predicate over raw DockerImage resources from query/body parameters.
+// Returns null when no filter is requested so listPage can skip filtering.
+export function dockerImageFilter({ search, tag, tagged, uploadedAfter, uploadedBefore, minSize, maxSize } = {}) {
+    const checks = [];
+
+    if (search) {
+        const term = String(search).toLowerCase();
+        checks.push((image) =>
+            image.name.toLowerCase().includes(term) ||
+            (image.tags || []).some((t) => t.toLowerCase().includes(term)));
+    }
+
+    if (tag) {
+        const matches = globMatcher(tag);
+        checks.push((image) => (image.tags || []).some(matches));
+    }
+
+    if (tagged === true || tagged === 'true') {
+        checks.push((image) => (image.tags || []).length > 0);
+    } else if (tagged === false || tagged === 'false') {
+        checks.push((image) => (image.tags || []).length === 0);
+    }
+
+    if (uploadedAfter) {
+        const after = new Date(uploadedAfter).getTime();
+        checks.push((image) => toMillis(image.uploadTime) >= after);
+    }
+
+    if (uploadedBefore) {
+        const before = new Date(uploadedBefore).getTime();
+        checks.push((image) => toMillis(image.uploadTime) <= before);
+    }
+
+    if (minSize) {
+        checks.push((image) => Number(image.imageSizeBytes || 0) >= Number(minSize));
+    }
+
+    if (maxSize) {
+        checks.push((image) => Number(image.imageSizeBytes || 0) <= Number(maxSize));
+    }
+
+    if (checks.length === 0) return null;
+    return (image) => checks.every((check) => check(image));
+}
+
+// Substring match on the last path segment, for packages and versions
+export function nameFilter(search) {
+    if (!search) return null;
+    const term = String(search).toLowerCase();
+    return (resource) => resource.name.split('/').pop().toLowerCase().includes(term);
+}
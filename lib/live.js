@@ -0,0 +1,65 @@
+// Live updates to open browser sessions over Server-Sent Events. Each connection
+// belongs to a session and hears about the projects of that session's profiles,
+// plus whatever is published to the session itself (operation progress).
+
+const HEARTBEAT_MS = 25 * 1000;
+
+export class LiveUpdates {
+    constructor({ heartbeatMs = HEARTBEAT_MS } = {}) {
+        this.clients = new Set();
+        // Comment lines keep proxies from closing idle streams
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach((client) => client.res.write(': ping\n\n'));
+        }, heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    // Turn the response into an event stream; it stays open until the browser goes away
+    connect(req, res, { sessionId, projectIds }) {
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        // Tell nginx-style proxies not to buffer the stream
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const client = { res, sessionId, projectIds: new Set(projectIds) };
+        this.clients.add(client);
+        req.on('close', () => this.clients.delete(client));
+        return client;
+    }
+
+    // Write one event to every client `accepts` picks; returns how many got it
+    send(accepts, type, data) {
+        const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+        let delivered = 0;
+        this.clients.forEach((client) => {
+            if (!accepts(client)) return;
+            client.res.write(message);
+            delivered++;
+        });
+        return delivered;
+    }
+
+    publish(projectId, type, data) {
+        return this.send((client) => client.projectIds.has(projectId), type, data);
+    }
+
+    // Events meant for one session only, such as the progress of its operations
+    publishToSession(sessionId, type, data) {
+        return this.send((client) => client.sessionId === sessionId, type, data);
+    }
+
+    // End the streams of a session that signed out
+    disconnectSession(sessionId) {
+        this.clients.forEach((client) => {
+            if (client.sessionId !== sessionId) return;
+            this.clients.delete(client);
+            client.res.end();
+        });
+    }
+}
+
+export const liveUpdates = new LiveUpdates();
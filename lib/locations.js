@@ -0,0 +1,81 @@
+import { mapWithConcurrency } from './concurrency.js';
+
+// Location discovery and cross-location repository listing
+
+export const LOCATION_CONCURRENCY = Number(process.env.LOCATION_CONCURRENCY) || 8;
+
+// Location ids as the Locations API returns them: "us", "europe", "us-central1", "asia-northeast1"
+const LOCATION_ID_PATTERN = /^[a-z]+(-[a-z]+[0-9]*)*$/;
+
+export class LocationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'LocationError';
+        this.status = status;
+    }
+}
+
+export function isLocationId(location) {
+    return typeof location === 'string' && LOCATION_ID_PATTERN.test(location);
+}
+
+// Host of a location's Docker registry. Anything but a plain location id is rejected,
+// so a request can never point the session's access token at another host.
+export function dockerRegistryHost(location) {
+    if (!isLocationId(location)) {
+        throw new LocationError(`Invalid location: ${location}`);
+    }
+    return `${location}-docker.pkg.dev`;
+}
+
+// All Artifact Registry locations available to the project, via the Locations API
+export async function listProjectLocations(client, projectId) {
+    const locations = [];
+    for await (const location of client.listLocationsAsync({ name: `projects/${projectId}` })) {
+        locations.push(location.locationId || location.name.split('/').pop());
+    }
+    return locations.sort();
+}
+
+// List repositories in every location in parallel. Failures are collected per
+// location instead of aborting the whole listing. If the Locations API itself is
+// unavailable, falls back to a single wildcard ("-") query. onLocation receives
+// { location, repositories, failure } as each location finishes.
+export async function listRepositoriesInAllLocations(client, projectId, { locations, concurrency = LOCATION_CONCURRENCY, onLocation = () => {} } = {}) {
+    let targets = locations;
+
+    if (!targets || targets.length === 0) {
+        try {
+            targets = await listProjectLocations(client, projectId);
+        } catch (error) {
+            const [repositories] = await client.listRepositories({ parent: `projects/${projectId}/locations/-` });
+            const failure = { location: '*', error: `Location discovery failed, used wildcard: ${error.message}`, code: error.code };
+            onLocation({ location: '*', repositories, failure });
+            return {
+                repositories,
+                locations: [...new Set(repositories.map((repo) => repo.name.split('/')[3]))].sort(),
+                failures: [failure],
+            };
+        }
+    }
+
+    const failures = [];
+    const results = await mapWithConcurrency(targets, concurrency, async (location) => {
+        try {
+            const [repositories] = await client.listRepositories({ parent: `projects/${projectId}/locations/${location}` });
+            onLocation({ location, repositories, failure: null });
+            return repositories;
+        } catch (error) {
+            const failure = { location, error: error.message, code: error.code };
+            failures.push(failure);
+            onLocation({ location, repositories: [], failure });
+            return [];
+        }
+    });
+
+    return {
+        repositories: results.flat(),
+        locations: targets,
+        failures,
+    };
+}
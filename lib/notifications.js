@@ -0,0 +1,390 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CHANGE_EVENTS } from './changes.js';
+import { MAX_PATTERN_LENGTH, globMatcher } from './cleanup.js';
+
+// Notification subscriptions for registry change events. Each subscription picks
+// events by type, repository and tag pattern and sends them to one sink: a webhook
+// (JSON, signed with HMAC-SHA256 when it has a secret), a Slack incoming webhook, or
+// a JSON-lines file under <dir>/events. Subscriptions are kept in <dir>/subscriptions.json.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const NOTIFICATIONS_DIR = process.env.NOTIFICATIONS_DIR || path.join(__dirname, '..', 'data', 'notifications');
+export const SINK_TYPES = ['webhook', 'slack', 'file'];
+
+const DELIVERY_ATTEMPTS = 3;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const RETRY_DELAY_MS = 1000;
+const MAX_REPOSITORY_PATTERNS = 50;
+const FILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+const USER_AGENT = 'gcp-artifact-notifications';
+
+export class NotificationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'NotificationError';
+        this.status = status;
+    }
+}
+
+function stringList(value, field) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    if (list.some((item) => typeof item !== 'string')) throw new NotificationError(`${field} must be a list of strings`);
+    return list.map((item) => item.trim()).filter(Boolean);
+}
+
+// Validate create/update input and return the normalized subscription fields.
+// On update, `existing` supplies whatever the input leaves out (the secret in particular).
+export function normalizeSubscription(input, existing = null) {
+    const merged = {
+        name: input.name ?? existing?.name,
+        enabled: input.enabled ?? existing?.enabled ?? true,
+        sink: { ...(existing?.sink || {}), ...(input.sink || {}) },
+        filters: { ...(existing?.filters || {}), ...(input.filters || {}) },
+    };
+
+    const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+    if (!name || name.length > 100) throw new NotificationError('name is required (at most 100 characters)');
+
+    const { type } = merged.sink;
+    if (!SINK_TYPES.includes(type)) throw new NotificationError(`sink.type must be one of: ${SINK_TYPES.join(', ')}`);
+
+    const sink = { type };
+    if (type === 'file') {
+        sink.file = merged.sink.file || 'events.jsonl';
+        if (!FILE_NAME_PATTERN.test(sink.file)) {
+            throw new NotificationError('sink.file must be a plain file name (letters, digits, ".", "_", "-")');
+        }
+    } else {
+        let url;
+        try {
+            url = new URL(merged.sink.url);
+        } catch (e) {
+            throw new NotificationError('sink.url must be a valid URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new NotificationError('sink.url must be an http(s) URL');
+        sink.url = url.toString();
+        if (type === 'webhook' && merged.sink.secret) sink.secret = String(merged.sink.secret);
+    }
+
+    const events = stringList(merged.filters.events, 'filters.events');
+    const unknown = events.filter((event) => !CHANGE_EVENTS.includes(event));
+    if (unknown.length) throw new NotificationError(`Unknown event types: ${unknown.join(', ')}`);
+
+    const tagPattern = typeof merged.filters.tagPattern === 'string' ? merged.filters.tagPattern.trim() : '';
+    const repositories = stringList(merged.filters.repositories, 'filters.repositories');
+    // Patterns run in the background poller, so they are bounded when saved
+    if ([tagPattern, ...repositories].some((pattern) => pattern.length > MAX_PATTERN_LENGTH)) {
+        throw new NotificationError(`Repository and tag patterns must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (repositories.length > MAX_REPOSITORY_PATTERNS) {
+        throw new NotificationError(`At most ${MAX_REPOSITORY_PATTERNS} repository patterns are allowed`);
+    }
+
+    return {
+        name,
+        enabled: Boolean(merged.enabled),
+        sink,
+        filters: {
+            // "repo" or "location/repo", with * and ? wildcards
+            repositories,
+            tagPattern,
+            events,
+        },
+    };
+}
+
+// What the UI and API responses get: the secret never leaves the server
+export function publicSubscription(subscription) {
+    const { secret, ...sink } = subscription.sink;
+    return { ...subscription, sink: { ...sink, hasSecret: Boolean(secret) } };
+}
+
+// Subscriptions saved before patterns were bounded may hold an overlong one: it matches nothing
+function patternMatcher(pattern) {
+    try {
+        return globMatcher(pattern);
+    } catch (error) {
+        return () => false;
+    }
+}
+
+function matchesRepository(patterns, location, repository) {
+    return patterns.length === 0 || patterns.some((pattern) => {
+        const matches = patternMatcher(pattern);
+        return matches(repository) || matches(`${location}/${repository}`);
+    });
+}
+
+// Whether any enabled subscription of the project wants events from this repository
+export function watchesRepository(subscriptions, location, repository) {
+    return subscriptions.some((subscription) =>
+        subscription.enabled && matchesRepository(subscription.filters.repositories, location, repository));
+}
+
+// The tag pattern applies to the event's tag, to any tag of a pushed or deleted
+// digest, and to the version of non-Docker packages
+export function matchesSubscription(subscription, event) {
+    if (!subscription.enabled || subscription.projectId !== event.projectId) return false;
+
+    const { repositories, tagPattern, events } = subscription.filters;
+    if (events.length && !events.includes(event.type)) return false;
+    if (!matchesRepository(repositories, event.location, event.repository)) return false;
+    if (!tagPattern) return true;
+
+    const candidates = event.tag ? [event.tag] : event.version ? [event.version] : event.tags || [];
+    return candidates.some(patternMatcher(tagPattern));
+}
+
+export function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function shortDigest(digest) {
+    return digest ? digest.substring(0, 19) : '';
+}
+
+// One line per event, as used for Slack messages
+export function describeEvent(event) {
+    const where = `${event.location}/${event.repository}`;
+    switch (event.type) {
+        case 'image.pushed':
+            return `New image \`${event.image}@${shortDigest(event.digest)}\` in ${where}${event.tags?.length ? ` (tags: ${event.tags.join(', ')})` : ''}`;
+        case 'image.deleted':
+            return `Deleted image \`${event.image}@${shortDigest(event.digest)}\` from ${where}`;
+        case 'tag.added':
+            return `Tag \`${event.image}:${event.tag}\` added in ${where} → ${shortDigest(event.digest)}`;
+        case 'tag.moved':
+            return `Tag \`${event.image}:${event.tag}\` moved in ${where}: ${shortDigest(event.from)} → ${shortDigest(event.digest)}`;
+        case 'tag.removed':
+            return `Tag \`${event.image}:${event.tag}\` removed from ${where}`;
+        case 'version.added':
+            return `New version \`${event.package}@${event.version}\` in ${where}`;
+        case 'version.deleted':
+            return `Deleted version \`${event.package}@${event.version}\` from ${where}`;
+        case 'ping':
+            return `Test notification for "${event.subscription}" from project ${event.projectId}`;
+        default:
+            return `${event.type} in ${where}`;
+    }
+}
+
+function retryable(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+}
+
+async function post(url, body, headers) {
+    let lastError;
+    for (let attempt = 1; attempt <= DELIVERY_ATTEMPTS; attempt++) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT, ...headers },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+            });
+            await response.arrayBuffer().catch(() => null);
+            if (response.ok) return { status: response.status, attempts: attempt };
+
+            lastError = new NotificationError(`Receiver responded with ${response.status}`, response.status);
+        } catch (error) {
+            // fetch reports "fetch failed"; the cause says why (refused, DNS, TLS)
+            lastError = error.name === 'TimeoutError' ? new Error('Receiver did not respond in time')
+                : new Error(error.cause?.message || error.message);
+        }
+        if (!retryable(lastError) || attempt === DELIVERY_ATTEMPTS) break;
+        await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+    }
+    throw lastError;
+}
+
+export class NotificationCenter {
+    constructor({ dir = NOTIFICATIONS_DIR, recentLimit = 200 } = {}) {
+        this.dir = dir;
+        this.file = path.join(dir, 'subscriptions.json');
+        this.recentLimit = recentLimit;
+        // Newest first, across projects; kept in memory only
+        this.recent = [];
+        this.subscriptions = null;
+        this.queue = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.subscriptions) {
+            try {
+                this.subscriptions = JSON.parse(await fs.promises.readFile(this.file, 'utf8')).subscriptions || [];
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                this.subscriptions = [];
+            }
+        }
+        return this.subscriptions;
+    }
+
+    // Saves are chained so concurrent changes are written in order
+    save() {
+        const content = JSON.stringify({ subscriptions: this.subscriptions }, null, 2) + '\n';
+        this.queue = this.queue.then(async () => {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            const temp = `${this.file}.tmp`;
+            await fs.promises.writeFile(temp, content, { mode: 0o600 });
+            await fs.promises.rename(temp, this.file);
+        });
+
+        const result = this.queue;
+        this.queue = this.queue.catch(() => {});
+        return result;
+    }
+
+    async list(projectId) {
+        return (await this.load()).filter((subscription) => !projectId || subscription.projectId === projectId);
+    }
+
+    // Project IDs that have at least one enabled subscription
+    async watchedProjects() {
+        return [...new Set((await this.load())
+            .filter((subscription) => subscription.enabled)
+            .map((subscription) => subscription.projectId))];
+    }
+
+    async get(projectId, id) {
+        const subscription = (await this.load()).find((entry) => entry.id === id && entry.projectId === projectId);
+        if (!subscription) throw new NotificationError(`Subscription not found: ${id}`, 404);
+        return subscription;
+    }
+
+    // A webhook without a secret gets a generated one; it is returned once, here
+    async create(projectId, input, actor) {
+        const fields = normalizeSubscription(input);
+        let generatedSecret = null;
+        if (fields.sink.type === 'webhook' && !fields.sink.secret) {
+            generatedSecret = crypto.randomBytes(24).toString('hex');
+            fields.sink.secret = generatedSecret;
+        }
+
+        const subscription = {
+            id: crypto.randomUUID(),
+            projectId,
+            ...fields,
+            createdAt: new Date().toISOString(),
+            createdBy: actor || null,
+            lastDelivery: null,
+        };
+        (await this.load()).push(subscription);
+        await this.save();
+        return { subscription, generatedSecret };
+    }
+
+    async update(projectId, id, input) {
+        const subscription = await this.get(projectId, id);
+        // The stored secret is kept unless the input replaces it, or clears it with ""
+        const fields = normalizeSubscription(input, subscription);
+        Object.assign(subscription, fields, { updatedAt: new Date().toISOString() });
+        await this.save();
+        return subscription;
+    }
+
+    async remove(projectId, id) {
+        const subscription = await this.get(projectId, id);
+        this.subscriptions = this.subscriptions.filter((entry) => entry !== subscription);
+        await this.save();
+        return subscription;
+    }
+
+    // Send one event to one subscription's sink
+    async deliver(subscription, event) {
+        const { sink } = subscription;
+
+        if (sink.type === 'file') {
+            const dir = path.join(this.dir, 'events');
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.appendFile(path.join(dir, sink.file), JSON.stringify(event) + '\n', { mode: 0o600 });
+            return { attempts: 1 };
+        }
+
+        if (sink.type === 'slack') {
+            return post(sink.url, JSON.stringify({ text: describeEvent(event) }), {});
+        }
+
+        const body = JSON.stringify({ ...event, subscription: { id: subscription.id, name: subscription.name } });
+        return post(sink.url, body, {
+            'X-Registry-Event': event.type,
+            'X-Registry-Delivery': event.id,
+            ...(sink.secret ? { 'X-Registry-Signature': signPayload(sink.secret, body) } : {}),
+        });
+    }
+
+    async recordDelivery(subscription, event, result, error) {
+        subscription.lastDelivery = {
+            timestamp: new Date().toISOString(),
+            eventId: event.id,
+            type: event.type,
+            ok: !error,
+            status: error?.status ?? result?.status ?? null,
+            error: error ? error.message : null,
+        };
+        await this.save().catch((saveError) => console.error('Failed to save subscriptions:', saveError.message));
+        return subscription.lastDelivery;
+    }
+
+    // Send a synthetic "ping" event so a receiver can be checked before real events flow
+    async test(projectId, id) {
+        const subscription = await this.get(projectId, id);
+        const event = {
+            id: crypto.randomUUID(),
+            type: 'ping',
+            timestamp: new Date().toISOString(),
+            projectId,
+            subscription: subscription.name,
+        };
+
+        let result = null;
+        let error = null;
+        try {
+            result = await this.deliver(subscription, event);
+        } catch (e) {
+            error = e;
+        }
+        return this.recordDelivery(subscription, event, result, error);
+    }
+
+    // Deliver events to every subscription that matches them. Each subscription gets
+    // its events in order; subscriptions are served side by side. A failed delivery is
+    // recorded on the subscription and the event, and never stops the others.
+    async dispatch(events) {
+        if (events.length === 0) return [];
+        const subscriptions = await this.load();
+        const entries = events.map((event) => ({ ...event, deliveries: [] }));
+
+        await Promise.all(subscriptions.map(async (subscription) => {
+            for (const entry of entries) {
+                if (!matchesSubscription(subscription, entry)) continue;
+
+                const { deliveries, ...event } = entry;
+                let result = null;
+                let error = null;
+                try {
+                    result = await this.deliver(subscription, event);
+                } catch (e) {
+                    error = e;
+                }
+                const delivery = await this.recordDelivery(subscription, event, result, error);
+                deliveries.push({ subscriptionId: subscription.id, name: subscription.name, ok: delivery.ok, error: delivery.error });
+            }
+        }));
+
+        this.recent = [...entries, ...this.recent].slice(0, this.recentLimit);
+        return entries;
+    }
+
+    recentEvents(projectId, limit = 50) {
+        return this.recent.filter((event) => event.projectId === projectId).slice(0, limit);
+    }
+}
+
+export const notificationCenter = new NotificationCenter();
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+
+// Minimal client for the OCI distribution API (Docker Registry HTTP API v2).
+// Handles anonymous, Basic and Bearer-token auth, which covers Docker Hub,
+// Artifact Registry and a plain local `registry:2` container.
+
+export const INDEX_MEDIA_TYPES = [
+    'application/vnd.oci.image.index.v1+json',
+    'application/vnd.docker.distribution.manifest.list.v2+json',
+];
+
+export const MANIFEST_MEDIA_TYPES = [
+    ...INDEX_MEDIA_TYPES,
+    'application/vnd.oci.image.manifest.v1+json',
+    'application/vnd.docker.distribution.manifest.v2+json',
+];
+
+const FOREIGN_LAYER_MEDIA_TYPES = [
+    'application/vnd.docker.image.rootfs.foreign.diff.tar.gzip',
+    'application/vnd.oci.image.layer.nondistributable.v1.tar+gzip',
+];
+
+export function isIndexMediaType(mediaType) {
+    return INDEX_MEDIA_TYPES.includes(mediaType);
+}
+
+export function isForeignLayer(descriptor) {
+    return FOREIGN_LAYER_MEDIA_TYPES.includes(descriptor.mediaType);
+}
+
+export function sha256Digest(buffer) {
+    return `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+// Parse `Bearer realm="...",service="...",scope="..."`
+function parseChallenge(header) {
+    if (!header) return null;
+
+    const space = header.indexOf(' ');
+    const scheme = header.slice(0, space).toLowerCase();
+    const params = {};
+    const regex = /(\w+)="([^"]*)"/g;
+    let match;
+    while ((match = regex.exec(header.slice(space + 1))) !== null) {
+        params[match[1]] = match[2];
+    }
+
+    return { scheme, params };
+}
+
+export class RegistryError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RegistryError';
+        this.status = status;
+    }
+}
+
+export class RegistryClient {
+    // host: "registry-1.docker.io", "us-central1-docker.pkg.dev", "localhost:5000"
+    // credentials: optional async () => ({ username, password })
+    constructor({ host, insecure = false, credentials = null }) {
+        this.host = host;
+        this.baseUrl = `${insecure ? 'http' : 'https'}://${host}`;
+        this.credentials = credentials;
+        this.tokens = new Map();
+        this.useBasic = false;
+    }
+
+    async basicHeader() {
+        if (!this.credentials) return null;
+        const { username, password } = await this.credentials();
+        return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    }
+
+    async authHeaders(scope) {
+        const token = this.tokens.get(scope);
+        if (token) return { Authorization: `Bearer ${token}` };
+        if (this.useBasic) {
+            const basic = await this.basicHeader();
+            if (basic) return { Authorization: basic };
+        }
+        return {};
+    }
+
+    async authenticate(challengeHeader, scope, signal) {
+        const challenge = parseChallenge(challengeHeader);
+        if (!challenge) {
+            throw new RegistryError(`Registry ${this.host} requires authentication`, 401);
+        }
+
+        if (challenge.scheme === 'basic') {
+            if (!this.credentials) {
+                throw new RegistryError(`Registry ${this.host} requires credentials`, 401);
+            }
+            this.useBasic = true;
+            return;
+        }
+
+        const { realm, service } = challenge.params;
+        const url = new URL(realm);
+        if (service) url.searchParams.set('service', service);
+        url.searchParams.set('scope', scope);
+
+        const headers = {};
+        const basic = await this.basicHeader();
+        if (basic) headers.Authorization = basic;
+
+        const response = await fetch(url, { headers, signal });
+        if (!response.ok) {
+            throw new RegistryError(`Token request to ${url.host} failed: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        this.tokens.set(scope, data.token || data.access_token);
+    }
+
+    async request(method, path, { headers = {}, body, scope, signal } = {}) {
+        const url = /^https?:/.test(path) ? path : `${this.baseUrl}${path}`;
+        const streaming = body && typeof body.getReader === 'function';
+        // Credentials only go to the registry itself, never to a host an upload Location points at
+        const ownHost = new URL(url).host === new URL(this.baseUrl).host;
+
+        const send = async () => fetch(url, {
+            method,
+            headers: { ...headers, ...(ownHost ? await this.authHeaders(scope) : {}) },
+            body,
+            signal,
+            ...(streaming ? { duplex: 'half' } : {}),
+        });
+
+        let response = await send();
+
+        // A streamed body cannot be replayed, so callers authenticate with a cheaper request first
+        if (response.status === 401 && !streaming && ownHost) {
+            await this.authenticate(response.headers.get('www-authenticate'), scope, signal);
+            response = await send();
+        }
+
+        return response;
+    }
+
+    async getManifest(repository, reference, { signal } = {}) {
+        const response = await this.request('GET', `/v2/${repository}/manifests/${reference}`, {
+            headers: { Accept: MANIFEST_MEDIA_TYPES.join(', ') },
+            scope: `repository:${repository}:pull`,
+            signal,
+        });
+
+        if (!response.ok) {
+            throw new RegistryError(`Manifest ${repository}:${reference} not found on ${this.host} (${response.status})`, response.status);
+        }
+
+        const body = Buffer.from(await response.arrayBuffer());
+        const json = JSON.parse(body.toString('utf8'));
+        const mediaType = json.mediaType || response.headers.get('content-type').split(';')[0];
+
+        return {
+            body,
+            json,
+            mediaType,
+            digest: response.headers.get('docker-content-digest') || sha256Digest(body),
+        };
+    }
+
+    async putManifest(repository, reference, body, mediaType, { signal } = {}) {
+        const response = await this.request('PUT', `/v2/${repository}/manifests/${reference}`, {
+            headers: { 'Content-Type': mediaType },
+            body,
+            scope: `repository:${repository}:pull,push`,
+            signal,
+        });
+
+        if (!response.ok) {
+            const text = await response.text();
+            throw new RegistryError(`Failed to push manifest ${repository}:${reference} (${response.status}): ${text}`, response.status);
+        }
+
+        return response.headers.get('docker-content-digest') || sha256Digest(body);
+    }
+
+    async hasBlob(repository, digest, { signal, push = false } = {}) {
+        const response = await this.request('HEAD', `/v2/${repository}/blobs/${digest}`, {
+            scope: `repository:${repository}:${push ? 'pull,push' : 'pull'}`,
+            signal,
+        });
+
+        if (response.status === 404) return false;
+        if (!response.ok) {
+            throw new RegistryError(`Failed to check blob ${digest} on ${this.host} (${response.status})`, response.status);
+        }
+        return true;
+    }
+
+    // Returns a web ReadableStream of the blob contents
+    async getBlob(repository, digest, { signal } = {}) {
+        const response = await this.request('GET', `/v2/${repository}/blobs/${digest}`, {
+            scope: `repository:${repository}:pull`,
+            signal,
+        });
+
+        if (!response.ok) {
+            throw new RegistryError(`Failed to fetch blob ${digest} from ${this.host} (${response.status})`, response.status);
+        }
+        return response.body;
+    }
+
+    // Small JSON blobs such as image configs
+    async getJsonBlob(repository, digest, { signal } = {}) {
+        const stream = await this.getBlob(repository, digest, { signal });
+        return new Response(stream).json();
+    }
+
+    // Monolithic upload: open an upload session, then PUT the whole blob with its digest
+    async uploadBlob(repository, digest, size, stream, { signal } = {}) {
+        const scope = `repository:${repository}:pull,push`;
+        const start = await this.request('POST', `/v2/${repository}/blobs/uploads/`, { scope, signal });
+
+        if (start.status !== 202) {
+            throw new RegistryError(`Failed to start upload of ${digest} to ${this.host} (${start.status})`, start.status);
+        }
+
+        const location = new URL(start.headers.get('location'), this.baseUrl);
+        location.searchParams.set('digest', digest);
+
+        const response = await this.request('PUT', location.toString(), {
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': String(size),
+            },
+            body: stream,
+            scope,
+            signal,
+        });
+
+        if (response.status !== 201) {
+            const text = await response.text();
+            throw new RegistryError(`Failed to upload blob ${digest} to ${this.host} (${response.status}): ${text}`, response.status);
+        }
+    }
+}
+
+// Work out registry host and repository path from a user-supplied image name:
+// "nginx" -> Docker Hub library/nginx, "bitnami/redis", "ghcr.io/org/app", "localhost:5000/app"
+export function parseImageSource(image) {
+    const parts = image.split('/');
+    const first = parts[0];
+    const hasHost = parts.length > 1 && (first.includes('.') || first.includes(':') || first === 'localhost');
+
+    if (!hasHost) {
+        return {
+            host: 'registry-1.docker.io',
+            repository: parts.length === 1 ? `library/${image}` : image,
+            insecure: false,
+        };
+    }
+
+    if (first === 'docker.io') {
+        return parseImageSource(parts.slice(1).join('/'));
+    }
+
+    return {
+        host: first,
+        repository: parts.slice(1).join('/'),
+        insecure: /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(first),
+    };
+}
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import { liveUpdates } from './live.js';
+
+// Long-running operations (transfers, uploads, cleanup runs, multi-region listings) run in
+// the background of the session that started them. Progress events and the final result
+// go to that session's live stream; finished operations are kept for a while so a page
+// that was reloaded or navigated away can still find out how they ended.
+
+const KEEP_FINISHED_MS = 30 * 60 * 1000;
+const MAX_OPERATIONS_PER_SESSION = 50;
+const EVENT_HISTORY = 200;
+
+export class OperationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OperationError';
+        this.status = status;
+    }
+}
+
+// What API responses and the live stream carry; events only on request
+function operationSummary(operation, { events = false } = {}) {
+    return {
+        id: operation.id,
+        kind: operation.kind,
+        label: operation.label,
+        projectId: operation.projectId,
+        status: operation.status,
+        startedAt: operation.startedAt,
+        finishedAt: operation.finishedAt,
+        lastEvent: operation.events[operation.events.length - 1] || null,
+        error: operation.error,
+        ...(events ? { events: operation.events } : {}),
+    };
+}
+
+export class Operations {
+    // live: { publishToSession(sessionId, type, data) }
+    constructor({ live = liveUpdates, keepFinishedMs = KEEP_FINISHED_MS } = {}) {
+        this.live = live;
+        this.keepFinishedMs = keepFinishedMs;
+        this.operations = new Map();
+    }
+
+    // task({ emit, signal }) resolves with the fields of the final "done" event. Every event,
+    // including the final "done" or "error", is pushed as { ...summary, event } with the
+    // event standing in for the summary's lastEvent.
+    // onFinish(operation, error) runs once the task settled, e.g. to audit the outcome.
+    start({ sessionId, projectId, kind, label }, task, { onFinish = () => {} } = {}) {
+        this.prune(sessionId);
+
+        const operation = {
+            id: crypto.randomUUID(),
+            sessionId,
+            projectId,
+            kind,
+            label,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            events: [],
+            error: null,
+            controller: new AbortController(),
+        };
+        this.operations.set(operation.id, operation);
+
+        const emit = (event) => {
+            // Progress events supersede each other; only the latest is worth keeping
+            const last = operation.events[operation.events.length - 1];
+            if (event.type === 'progress' && last?.type === 'progress') operation.events.pop();
+            operation.events.push(event);
+            if (operation.events.length > EVENT_HISTORY) operation.events.shift();
+            // The event is the summary's lastEvent; no need to send it twice
+            const { lastEvent, ...summary } = operationSummary(operation);
+            this.live.publishToSession(sessionId, 'operation', { ...summary, event });
+        };
+
+        Promise.resolve()
+            .then(() => task({ emit, signal: operation.controller.signal }))
+            .then((result) => {
+                // A task that stops early on cancellation still reports what it got done
+                operation.status = operation.controller.signal.aborted ? 'cancelled' : 'succeeded';
+                operation.finishedAt = new Date().toISOString();
+                emit({ type: 'done', ...result });
+                onFinish(operation, null);
+            })
+            .catch((error) => {
+                const cancelled = operation.controller.signal.aborted;
+                operation.status = cancelled ? 'cancelled' : 'failed';
+                operation.error = cancelled ? 'Cancelled' : error.message;
+                operation.finishedAt = new Date().toISOString();
+                if (!cancelled) console.error(`Operation ${kind} failed:`, error);
+                emit({ type: 'error', error: operation.error });
+                onFinish(operation, error);
+            });
+
+        return operationSummary(operation);
+    }
+
+    find(sessionId, id) {
+        const operation = this.operations.get(id);
+        if (!operation || operation.sessionId !== sessionId) throw new OperationError(`Operation not found: ${id}`, 404);
+        return operation;
+    }
+
+    get(sessionId, id) {
+        return operationSummary(this.find(sessionId, id), { events: true });
+    }
+
+    // Newest first
+    list(sessionId) {
+        this.prune(sessionId);
+        return [...this.operations.values()]
+            .filter((operation) => operation.sessionId === sessionId)
+            .reverse()
+            .map((operation) => operationSummary(operation));
+    }
+
+    cancel(sessionId, id) {
+        const operation = this.find(sessionId, id);
+        if (operation.status !== 'running') throw new OperationError(`Operation already ${operation.status}`, 409);
+        operation.controller.abort();
+        return operationSummary(operation);
+    }
+
+    // Stop everything a session still runs, e.g. when it signs out
+    cancelSession(sessionId) {
+        this.operations.forEach((operation) => {
+            if (operation.sessionId === sessionId && operation.status === 'running') operation.controller.abort();
+        });
+    }
+
+    // Drop finished operations past their keep time, and the oldest finished ones of a
+    // session that has too many
+    prune(sessionId) {
+        const cutoff = Date.now() - this.keepFinishedMs;
+        const finished = [];
+        this.operations.forEach((operation, id) => {
+            if (operation.status === 'running') return;
+            if (Date.parse(operation.finishedAt) < cutoff) {
+                this.operations.delete(id);
+            } else if (operation.sessionId === sessionId) {
+                finished.push(id);
+            }
+        });
+        finished.slice(0, Math.max(finished.length - MAX_OPERATIONS_PER_SESSION, 0)).forEach((id) => this.operations.delete(id));
+    }
+}
+
+export const operations = new Operations();
@@ -0,0 +1,82 @@
+// Machine-readable output for the CLI: listings as JSON, YAML or CSV on stdout.
+// Records are plain objects; arrays and nested objects are kept as such in JSON/YAML
+// and flattened into a single cell in CSV.
+
+export const OUTPUT_FORMATS = ['table', 'json', 'yaml', 'csv'];
+
+// Strings are written plain only when no YAML 1.1 or 1.2 parser can read them as anything
+// else: no leading digit (numbers, timestamps, versions), no indicator characters such as
+// ":" or "#", no surrounding spaces and none of the boolean/null words. Everything else is
+// double-quoted.
+const YAML_PLAIN = /^[A-Za-z_/](?:[A-Za-z0-9_./ -]*[A-Za-z0-9_./-])?$/;
+const YAML_RESERVED = /^(true|false|yes|no|y|n|on|off|null)$/i;
+
+// { seconds, nanos } from the client, or anything Date understands, as an ISO string
+export function isoTimestamp(timestamp) {
+    if (!timestamp) return null;
+    if (timestamp.seconds !== undefined) {
+        return new Date(Number(timestamp.seconds) * 1000 + Math.floor((timestamp.nanos || 0) / 1e6)).toISOString();
+    }
+    return new Date(timestamp).toISOString();
+}
+
+// Lists of plain values (tags) are joined with ";", other objects written as JSON
+export function csvCell(value) {
+    const list = Array.isArray(value) && value.every((item) => item === null || typeof item !== 'object');
+    const text = value === null || value === undefined ? ''
+        : list ? value.join(';')
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // RFC 4180 quoting, plus surrounding spaces that spreadsheet imports would trim
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(records, columns = Object.keys(records[0] || {})) {
+    const row = (cells) => cells.map(csvCell).join(',');
+    return [row(columns), ...records.map((record) => row(columns.map((column) => record[column])))].join('\n') + '\n';
+}
+
+function yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+    const text = String(value);
+    // JSON strings are valid YAML double-quoted scalars
+    return YAML_PLAIN.test(text) && !YAML_RESERVED.test(text) ? text : JSON.stringify(text);
+}
+
+function isCollection(value) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+export function toYaml(value, indent = 0) {
+    const pad = ' '.repeat(indent);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `${pad}[]\n`;
+        return value.map((item) => {
+            if (!isCollection(item)) return `${pad}- ${Array.isArray(item) ? '[]' : typeof item === 'object' && item ? '{}' : yamlScalar(item)}\n`;
+            // The first line of a nested block goes right after the dash
+            return `${pad}- ${toYaml(item, indent + 2).slice(indent + 2)}`;
+        }).join('');
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return `${pad}{}\n`;
+        return entries.map(([key, item]) => {
+            if (isCollection(item)) return `${pad}${yamlScalar(key)}:\n${toYaml(item, indent + 2)}`;
+            const empty = Array.isArray(item) ? '[]' : item !== null && typeof item === 'object' ? '{}' : null;
+            return `${pad}${yamlScalar(key)}: ${empty ?? yamlScalar(item)}\n`;
+        }).join('');
+    }
+
+    return `${pad}${yamlScalar(value)}\n`;
+}
+
+// Serialize a listing; columns pick and order the CSV columns
+export function formatOutput(records, format, columns) {
+    if (format === 'json') return JSON.stringify(records, null, 2) + '\n';
+    if (format === 'yaml') return toYaml(records);
+    if (format === 'csv') return toCsv(records, columns);
+    throw new Error(`Unknown output format "${format}" (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+}
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Named CLI profiles: each points at a service account key file and the project
+// to work on. Stored as JSON under the user's config directory; key files stay
+// where they are and are only referenced by path.
+
+export const PROFILES_PATH = process.env.GCP_ARTIFACT_PROFILES ||
+    path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'gcp-artifact', 'profiles.json');
+
+export class ProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProfileError';
+    }
+}
+
+// JSON.parse errors do not say which file was broken
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error instanceof SyntaxError) throw new ProfileError(`${file} is not valid JSON: ${error.message}`);
+        throw error;
+    }
+}
+
+export function loadProfiles() {
+    if (!fs.existsSync(PROFILES_PATH)) return { current: null, profiles: {} };
+    const config = readJson(PROFILES_PATH);
+    return { current: config.current || null, profiles: config.profiles || {} };
+}
+
+function saveProfiles(config) {
+    fs.mkdirSync(path.dirname(PROFILES_PATH), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(PROFILES_PATH, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+function readKeyFile(keyFile) {
+    if (!fs.existsSync(keyFile)) {
+        throw new ProfileError(`Key file not found: ${keyFile}`);
+    }
+
+    const credentials = readJson(keyFile);
+    if (!credentials.project_id || !credentials.private_key || !credentials.client_email) {
+        throw new ProfileError(`${keyFile} is not a service account key (needs project_id, private_key, client_email)`);
+    }
+    return credentials;
+}
+
+// Add or replace a profile. The first profile added becomes the current one.
+export function addProfile(name, { keyFile, projectId, use = false }) {
+    if (!/^[\w.-]{1,64}$/.test(name)) {
+        throw new ProfileError('Profile names may only contain letters, digits, ".", "_" and "-"');
+    }
+
+    const absoluteKeyFile = path.resolve(keyFile);
+    const credentials = readKeyFile(absoluteKeyFile);
+    const config = loadProfiles();
+
+    config.profiles[name] = {
+        keyFile: absoluteKeyFile,
+        projectId: projectId || credentials.project_id,
+        serviceAccount: credentials.client_email,
+    };
+    if (use || !config.current) config.current = name;
+
+    saveProfiles(config);
+    return { name, ...config.profiles[name], current: config.current === name };
+}
+
+export function useProfile(name) {
+    const config = loadProfiles();
+    if (!config.profiles[name]) {
+        throw new ProfileError(`Unknown profile: ${name}`);
+    }
+
+    config.current = name;
+    saveProfiles(config);
+}
+
+export function removeProfile(name) {
+    const config = loadProfiles();
+    if (!config.profiles[name]) {
+        throw new ProfileError(`Unknown profile: ${name}`);
+    }
+
+    delete config.profiles[name];
+    if (config.current === name) config.current = Object.keys(config.profiles)[0] || null;
+    saveProfiles(config);
+}
+
+export function listProfiles() {
+    const config = loadProfiles();
+    return Object.entries(config.profiles).map(([name, profile]) => ({
+        name,
+        ...profile,
+        current: config.current === name,
+    }));
+}
+
+// Pick the profile to use: explicit name, then $GCP_ARTIFACT_PROFILE, then the
+// current profile, then a legacy key file (gcp-creds.json next to the CLI).
+export function resolveProfile(name, { fallbackKeyFile } = {}) {
+    const config = loadProfiles();
+    const selected = name || process.env.GCP_ARTIFACT_PROFILE || config.current;
+
+    if (selected) {
+        const profile = config.profiles[selected];
+        if (!profile) {
+            throw new ProfileError(`Unknown profile: ${selected}. Run "gcp-artifact profile list" to see configured profiles.`);
+        }
+        readKeyFile(profile.keyFile);
+        return { name: selected, ...profile };
+    }
+
+    if (fallbackKeyFile && fs.existsSync(fallbackKeyFile)) {
+        const credentials = readKeyFile(fallbackKeyFile);
+        return {
+            name: 'default',
+            keyFile: fallbackKeyFile,
+            projectId: credentials.project_id,
+            serviceAccount: credentials.client_email,
+        };
+    }
+
+    throw new ProfileError('No credentials configured. Run "gcp-artifact profile add <name> --key-file <path>".');
+}
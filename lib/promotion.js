@@ -0,0 +1,138 @@
+import { copyImage } from './transfer.js';
+import { planTagChange, applyTagChange } from './tags.js';
+import { packagePath, versionPath, lastSegment } from './resources.js';
+import { isLocationId } from './locations.js';
+
+// Promote a Docker image digest from one Artifact Registry repository to another,
+// across regions and projects. Blobs already in the target are skipped, so running
+// a promotion again only fills in what is missing. Tags are set through the
+// Artifact Registry API and provenance is stored as annotations on the target version.
+
+const IMAGE_PATTERN = /^[a-z0-9]+([._-][a-z0-9]+)*(\/[a-z0-9]+([._-][a-z0-9]+)*)*$/;
+
+export const PROVENANCE_ANNOTATIONS = {
+    from: 'promoted-from',
+    by: 'promoted-by',
+    at: 'promoted-at',
+    note: 'promotion-note',
+};
+
+export class PromotionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PromotionError';
+        this.status = status;
+    }
+}
+
+// request: { source: { location, repository, image, reference }, target: { location, repository, image }, tags }
+export function validatePromotion(request) {
+    const errors = [];
+    const { source = {}, target = {}, tags } = request || {};
+
+    if (!source.location || !source.repository) errors.push('source location and repository are required');
+    else if (!isLocationId(source.location)) errors.push(`source location is not a location id: ${source.location}`);
+    if (!IMAGE_PATTERN.test(source.image || '')) errors.push('source image must be a lowercase image name');
+    if (!source.reference) errors.push('source reference (tag or digest) is required');
+    if (!target.location || !target.repository) errors.push('target location and repository are required');
+    else if (!isLocationId(target.location)) errors.push(`target location is not a location id: ${target.location}`);
+    if (target.image && !IMAGE_PATTERN.test(target.image)) errors.push('target image must be a lowercase image name');
+    if (tags !== undefined && tags !== null && !Array.isArray(tags)) errors.push('tags must be a list');
+
+    return errors;
+}
+
+export function registryPath({ projectId, location, repository, image }) {
+    return `${location}-docker.pkg.dev/${projectId}/${repository}/${image}`;
+}
+
+async function tagsOnVersion(client, versionName) {
+    const packageName = versionName.slice(0, versionName.lastIndexOf('/versions/'));
+    const [tags] = await client.listTags({ parent: packageName, filter: `version="${versionName}"` });
+    return tags.map((tag) => lastSegment(tag.name)).sort();
+}
+
+// Write who promoted what and when onto the target version, keeping other annotations
+async function recordProvenance(client, versionName, provenance) {
+    const [version] = await client.getVersion({ name: versionName });
+    const annotations = {
+        ...(version.annotations || {}),
+        [PROVENANCE_ANNOTATIONS.from]: provenance.from,
+        [PROVENANCE_ANNOTATIONS.by]: provenance.by,
+        [PROVENANCE_ANNOTATIONS.at]: provenance.at,
+        ...(provenance.note ? { [PROVENANCE_ANNOTATIONS.note]: provenance.note } : {}),
+    };
+
+    await client.updateVersion({
+        version: { name: versionName, annotations },
+        updateMask: { paths: ['annotations'] },
+    });
+}
+
+// source/target: { client (ArtifactRegistryClient), registry (RegistryClient), projectId, location,
+// repository, image[, reference] }. tags: names to carry over, or null for every tag on the digest.
+// onProgress receives copyImage's events plus { type: 'tags' | 'tag' | 'provenance' }.
+export async function promoteImage({ source, target, tags = null, actor, note, onProgress = () => {}, signal }) {
+    const targetImage = { ...target, image: target.image || source.image };
+    const sourceRepository = `${source.projectId}/${source.repository}/${source.image}`;
+    const targetRepository = `${targetImage.projectId}/${targetImage.repository}/${targetImage.image}`;
+
+    if (sourceRepository === targetRepository && source.location === targetImage.location) {
+        throw new PromotionError('Source and target are the same image');
+    }
+
+    const { digest } = await source.registry.getManifest(sourceRepository, source.reference, { signal });
+    const sourceVersion = versionPath(source.projectId, source.location, source.repository, source.image, digest);
+    const available = await tagsOnVersion(source.client, sourceVersion);
+    const selected = tags ?? available;
+    const missing = selected.filter((tag) => !available.includes(tag));
+
+    if (missing.length > 0) {
+        throw new PromotionError(`Not tags of ${digest.substring(0, 19)}: ${missing.join(', ')}`);
+    }
+    onProgress({ type: 'tags', digest, tags: selected, available });
+
+    const copied = await copyImage({
+        source: { client: source.registry, repository: sourceRepository, reference: digest },
+        target: { client: targetImage.registry, repository: targetRepository, reference: digest },
+        onProgress,
+        signal,
+    });
+
+    const provenance = {
+        from: `${registryPath(source)}@${digest}`,
+        by: actor || 'unknown',
+        at: new Date().toISOString(),
+        note: note || '',
+    };
+    const tagNote = `Promoted from ${provenance.from}${note ? ` - ${note}` : ''}`;
+    const targetPackage = packagePath(targetImage.projectId, targetImage.location, targetImage.repository, targetImage.image);
+
+    const tagResults = [];
+    for (const tag of selected) {
+        const plan = await planTagChange(targetImage.client, targetPackage, { action: 'set', tag, version: digest, note: tagNote });
+        const result = await applyTagChange(targetImage.client, plan);
+        tagResults.push({ tag, action: result.action, from: result.from });
+        onProgress({ type: 'tag', tag, action: result.action, from: result.from });
+    }
+
+    let provenanceRecorded = true;
+    try {
+        await recordProvenance(targetImage.client, `${targetPackage}/versions/${digest}`, provenance);
+    } catch (error) {
+        // The image and tags are in place; missing annotations should not fail the promotion
+        provenanceRecorded = false;
+        onProgress({ type: 'provenance', recorded: false, error: error.message });
+    }
+    if (provenanceRecorded) onProgress({ type: 'provenance', recorded: true, ...provenance });
+
+    return {
+        digest,
+        source: provenance.from,
+        target: `${registryPath(targetImage)}@${digest}`,
+        tags: tagResults,
+        blobs: copied.blobs,
+        totalBytes: copied.totalBytes,
+        provenance: { ...provenance, recorded: provenanceRecorded },
+    };
+}
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { parseRegistryImage } from './resources.js';
+
+// Pub/Sub push delivery of Artifact Registry's "gcr" topic. Each push request carries
+// a Google-signed OIDC token (Authorization: Bearer ...) that is checked against
+// Google's public keys, the expected audience and the push service account before
+// the message is trusted. The message data is JSON such as
+// { "action": "INSERT", "digest": "us-docker.pkg.dev/p/repo/app@sha256:...", "tag": "us-docker.pkg.dev/p/repo/app:v1" }.
+
+export const PUBSUB_PUSH_AUDIENCE = process.env.PUBSUB_PUSH_AUDIENCE || null;
+export const PUBSUB_PUSH_SERVICE_ACCOUNT = process.env.PUBSUB_PUSH_SERVICE_ACCOUNT || null;
+export const PUBSUB_JWKS_URL = process.env.PUBSUB_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs';
+
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+const CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_KEYS_MAX_AGE_MS = 60 * 60 * 1000;
+// An unknown kid refreshes the keys at most this often, so made-up kids can't make every request fetch
+const KEYS_REFETCH_INTERVAL_MS = 60 * 1000;
+const REGISTRY_ACTIONS = ['INSERT', 'DELETE'];
+
+export class PushAuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'PushAuthError';
+        this.status = status;
+    }
+}
+
+export class PushMessageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PushMessageError';
+        this.status = 400;
+    }
+}
+
+// jwksUrl -> { keys: Map(kid -> KeyObject), expiresAt, fetchedAt }
+const keyCache = new Map();
+// jwksUrl -> promise of the fetch in flight, shared by concurrent requests
+const pendingFetches = new Map();
+
+async function fetchSigningKeys(jwksUrl) {
+    const response = await fetch(jwksUrl, { signal: AbortSignal.timeout(10 * 1000) });
+    if (!response.ok) throw new Error(`Fetching signing keys failed (${response.status})`);
+
+    const { keys = [] } = await response.json();
+    const maxAge = Number((response.headers.get('cache-control') || '').match(/max-age=(\d+)/)?.[1]);
+    const entry = {
+        keys: new Map(keys.filter((jwk) => jwk.kty === 'RSA').map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+        expiresAt: Date.now() + (maxAge ? maxAge * 1000 : DEFAULT_KEYS_MAX_AGE_MS),
+        fetchedAt: Date.now(),
+    };
+    keyCache.set(jwksUrl, entry);
+    return entry;
+}
+
+function refreshSigningKeys(jwksUrl) {
+    if (!pendingFetches.has(jwksUrl)) {
+        pendingFetches.set(jwksUrl, fetchSigningKeys(jwksUrl).finally(() => pendingFetches.delete(jwksUrl)));
+    }
+    return pendingFetches.get(jwksUrl);
+}
+
+// Keys are rotated regularly; an unknown kid refreshes the set before failing, unless it
+// was refreshed within the last minute (the miss is then answered from the cache)
+async function signingKey(jwksUrl, kid) {
+    let entry = keyCache.get(jwksUrl);
+    const expired = !entry || entry.expiresAt <= Date.now();
+    const unknown = entry && !entry.keys.has(kid) && Date.now() - entry.fetchedAt >= KEYS_REFETCH_INTERVAL_MS;
+    if (expired || unknown) {
+        entry = await refreshSigningKeys(jwksUrl);
+    }
+    return entry.keys.get(kid) || null;
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw new PushAuthError('Malformed token');
+    }
+}
+
+// Verify the bearer token of a push request and return its claims. The audience is
+// what the push subscription was configured with; the service account, when given,
+// must be the one the subscription authenticates as.
+export async function verifyPushToken(authorization, {
+    audience = PUBSUB_PUSH_AUDIENCE,
+    serviceAccount = PUBSUB_PUSH_SERVICE_ACCOUNT,
+    jwksUrl = PUBSUB_JWKS_URL,
+} = {}) {
+    if (!audience) throw new PushAuthError('Pub/Sub push endpoint is not configured (set PUBSUB_PUSH_AUDIENCE)', 503);
+
+    const token = (authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (!token) throw new PushAuthError('Missing bearer token');
+
+    const segments = token.split('.');
+    if (segments.length !== 3) throw new PushAuthError('Malformed token');
+    const [header, payload, signature] = segments;
+
+    const { alg, kid } = decodeSegment(header);
+    if (alg !== 'RS256') throw new PushAuthError(`Unsupported token algorithm: ${alg}`);
+
+    const key = await signingKey(jwksUrl, kid);
+    if (!key) throw new PushAuthError('Token signed with an unknown key');
+
+    const valid = crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), key, Buffer.from(signature, 'base64url'));
+    if (!valid) throw new PushAuthError('Invalid token signature');
+
+    const claims = decodeSegment(payload);
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!GOOGLE_ISSUERS.includes(claims.iss)) throw new PushAuthError(`Unexpected token issuer: ${claims.iss}`);
+    if (!(claims.exp > now - CLOCK_SKEW_SECONDS)) throw new PushAuthError('Token expired');
+    if (claims.iat && claims.iat > now + CLOCK_SKEW_SECONDS) throw new PushAuthError('Token issued in the future');
+    if (![].concat(claims.aud).includes(audience)) throw new PushAuthError('Token audience does not match', 403);
+    if (serviceAccount && (claims.email !== serviceAccount || claims.email_verified !== true)) {
+        throw new PushAuthError(`Token not issued to ${serviceAccount}`, 403);
+    }
+
+    return claims;
+}
+
+// Unwrap a push request body into the registry change it reports
+export function parsePushMessage(body) {
+    const message = body?.message;
+    if (!message || typeof message.data !== 'string') throw new PushMessageError('Not a Pub/Sub push message');
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(message.data, 'base64').toString('utf8'));
+    } catch (e) {
+        throw new PushMessageError('Message data is not JSON');
+    }
+
+    if (!REGISTRY_ACTIONS.includes(data.action)) throw new PushMessageError(`Unknown registry action: ${data.action}`);
+
+    // DELETE messages of a tag carry only the tag; INSERT carries the digest too
+    const image = parseRegistryImage(data.digest || data.tag || '');
+    if (!image) throw new PushMessageError('Not an Artifact Registry Docker image');
+
+    return {
+        messageId: message.messageId || message.message_id || null,
+        publishTime: message.publishTime || message.publish_time || null,
+        subscription: body.subscription || null,
+        action: data.action,
+        projectId: image.projectId,
+        location: image.location,
+        repository: image.repository,
+        image: image.image,
+        digest: data.digest ? parseRegistryImage(data.digest)?.digest || null : null,
+        tag: data.tag ? parseRegistryImage(data.tag)?.tag || null : null,
+    };
+}
@@ -0,0 +1,388 @@
+import { repositoryPath, lastSegment } from './resources.js';
+
+// Repository create/update/delete shared by the server and the CLI.
+// Input is a friendly spec (lowercase enums, days instead of durations) that is
+// validated up front, then translated into the Artifact Registry resource.
+
+export const FORMATS = ['DOCKER', 'NPM', 'MAVEN', 'PYTHON', 'APT', 'YUM', 'GO', 'GENERIC'];
+
+export const MODES = {
+    standard: 'STANDARD_REPOSITORY',
+    remote: 'REMOTE_REPOSITORY',
+    virtual: 'VIRTUAL_REPOSITORY',
+};
+
+// Public upstreams a remote repository can proxy, keyed by the name used in specs
+export const REMOTE_UPSTREAMS = {
+    'docker-hub': { label: 'Docker Hub', format: 'DOCKER', field: 'dockerRepository', publicRepository: 'DOCKER_HUB' },
+    'maven-central': { label: 'Maven Central', format: 'MAVEN', field: 'mavenRepository', publicRepository: 'MAVEN_CENTRAL' },
+    npmjs: { label: 'npm', format: 'NPM', field: 'npmRepository', publicRepository: 'NPMJS' },
+    pypi: { label: 'PyPI', format: 'PYTHON', field: 'pythonRepository', publicRepository: 'PYPI' },
+};
+
+const TAG_STATES = { tagged: 'TAGGED', untagged: 'UNTAGGED', any: 'ANY' };
+const MAX_CLEANUP_POLICIES = 10;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Fields that cannot change after creation
+const IMMUTABLE_FIELDS = ['format', 'mode', 'kmsKeyName'];
+
+export class RepositoryValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid repository settings: ${errors.join('; ')}`);
+        this.name = 'RepositoryValidationError';
+        this.errors = errors;
+    }
+}
+
+// "env=prod,team=web" or ["env=prod", ...] -> { env: 'prod', team: 'web' }
+export function parseLabels(value) {
+    if (!value) return {};
+    if (typeof value === 'object' && !Array.isArray(value)) return value;
+
+    const entries = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+    return Object.fromEntries(entries
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const eq = entry.indexOf('=');
+            return eq === -1 ? [entry, ''] : [entry.slice(0, eq).trim(), entry.slice(eq + 1).trim()];
+        }));
+}
+
+function validateCleanupPolicy(policy, index, errors) {
+    const label = `cleanup policy ${policy.id || index + 1}`;
+
+    if (!policy.id || !/^[a-z0-9][a-z0-9-]{0,62}$/.test(policy.id)) {
+        errors.push(`${label}: id must be lowercase letters, digits and hyphens`);
+    }
+    if (!['delete', 'keep'].includes(policy.action)) {
+        errors.push(`${label}: action must be "delete" or "keep"`);
+    }
+    if (policy.tagState && !TAG_STATES[policy.tagState]) {
+        errors.push(`${label}: tagState must be tagged, untagged or any`);
+    }
+    if (policy.tagState === 'tagged' && !(policy.tagPrefixes || []).length) {
+        errors.push(`${label}: tagged policies need at least one tag prefix`);
+    }
+    ['olderThanDays', 'newerThanDays'].forEach((field) => {
+        if (policy[field] !== undefined && policy[field] !== null && !(Number(policy[field]) > 0)) {
+            errors.push(`${label}: ${field} must be a positive number`);
+        }
+    });
+    if (policy.keepCount !== undefined && policy.keepCount !== null) {
+        if (policy.action !== 'keep') errors.push(`${label}: keepCount only applies to keep policies`);
+        if (!Number.isInteger(Number(policy.keepCount)) || Number(policy.keepCount) < 1) {
+            errors.push(`${label}: keepCount must be a positive integer`);
+        }
+    }
+}
+
+function validateUpstreams(upstreams, errors) {
+    if (!Array.isArray(upstreams) || upstreams.length === 0) {
+        errors.push('virtual repositories need at least one upstream repository');
+        return;
+    }
+
+    upstreams.forEach((upstream, index) => {
+        const label = `upstream ${upstream.id || index + 1}`;
+        if (!upstream.repository) errors.push(`${label}: repository is required`);
+        if (upstream.id && !/^[a-z0-9][a-z0-9-]{0,62}$/.test(upstream.id)) {
+            errors.push(`${label}: id must be lowercase letters, digits and hyphens`);
+        }
+        if (!Number.isInteger(Number(upstream.priority ?? 0)) || Number(upstream.priority ?? 0) < 0) {
+            errors.push(`${label}: priority must be a whole number of at least 0`);
+        }
+    });
+
+    const repositories = upstreams.map((upstream) => upstream.repository);
+    if (new Set(repositories).size !== repositories.length) errors.push('each upstream repository may only be listed once');
+}
+
+// Remote repositories need an upstream matching their format; virtual ones an upstream list.
+// Only the virtual upstream list can change after creation.
+function validateModeConfig(spec, update, errors) {
+    if (update) {
+        if (spec.remote !== undefined) errors.push('the upstream of a remote repository cannot be changed after creation');
+        if (spec.virtual !== undefined) validateUpstreams(spec.virtual?.upstreams, errors);
+        return;
+    }
+
+    const mode = spec.mode || 'standard';
+    if (mode !== 'remote' && spec.remote) errors.push('remote settings only apply to remote repositories');
+    if (mode !== 'virtual' && spec.virtual) errors.push('upstreams only apply to virtual repositories');
+
+    if (mode === 'remote') {
+        const upstream = REMOTE_UPSTREAMS[spec.remote?.upstream];
+        if (!upstream) {
+            errors.push(`remote repositories need an upstream: ${Object.keys(REMOTE_UPSTREAMS).join(', ')}`);
+        } else if (String(spec.format || '').toUpperCase() !== upstream.format) {
+            errors.push(`${upstream.label} can only be proxied by a ${upstream.format.toLowerCase()} repository`);
+        }
+        if (spec.remote?.username && !/^projects\/[^/]+\/secrets\/[^/]+\/versions\/[^/]+$/.test(spec.remote.passwordSecretVersion || '')) {
+            errors.push('upstream credentials need a Secret Manager version (projects/P/secrets/S/versions/V) for the password');
+        }
+    }
+
+    if (mode === 'virtual') validateUpstreams(spec.virtual?.upstreams, errors);
+}
+
+// Returns a list of problems; empty when the spec is valid
+export function validateRepositorySpec(spec, { update = false } = {}) {
+    const errors = [];
+
+    if (!update) {
+        if (!spec.repositoryId || !/^[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/.test(spec.repositoryId)) {
+            errors.push('name must start with a letter, use lowercase letters, digits and hyphens, and be at most 63 characters');
+        }
+        if (!spec.location || !/^[a-z0-9-]+$/.test(spec.location)) {
+            errors.push('location is required (e.g. us-central1)');
+        }
+        if (!FORMATS.includes(String(spec.format || '').toUpperCase())) {
+            errors.push(`format must be one of ${FORMATS.map((f) => f.toLowerCase()).join(', ')}`);
+        }
+    } else {
+        IMMUTABLE_FIELDS
+            .filter((field) => spec[field] !== undefined)
+            .forEach((field) => errors.push(`${field} cannot be changed after creation`));
+    }
+
+    if (spec.mode !== undefined && !MODES[spec.mode]) {
+        errors.push('mode must be standard, remote or virtual');
+    }
+
+    if (spec.description !== undefined && String(spec.description).length > 2048) {
+        errors.push('description must be at most 2048 characters');
+    }
+
+    if (spec.labels !== undefined) {
+        const labels = parseLabels(spec.labels);
+        if (Object.keys(labels).length > 64) errors.push('at most 64 labels are allowed');
+        Object.entries(labels).forEach(([key, value]) => {
+            if (!/^[a-z][a-z0-9_-]{0,62}$/.test(key)) errors.push(`label key "${key}" must start with a lowercase letter and use a-z, 0-9, _ or -`);
+            if (!/^[a-z0-9_-]{0,63}$/.test(value)) errors.push(`label value "${value}" may only use lowercase letters, digits, _ or -`);
+        });
+    }
+
+    if (spec.kmsKeyName && !/^projects\/[^/]+\/locations\/[^/]+\/keyRings\/[^/]+\/cryptoKeys\/[^/]+$/.test(spec.kmsKeyName)) {
+        errors.push('kmsKeyName must be projects/P/locations/L/keyRings/R/cryptoKeys/K');
+    }
+
+    if (spec.immutableTags && !update && String(spec.format).toUpperCase() !== 'DOCKER') {
+        errors.push('immutable tags are only supported for Docker repositories');
+    }
+
+    validateModeConfig(spec, update, errors);
+
+    if (spec.cleanupPolicies !== undefined) {
+        if (!Array.isArray(spec.cleanupPolicies)) {
+            errors.push('cleanupPolicies must be a list');
+        } else {
+            if (spec.cleanupPolicies.length > MAX_CLEANUP_POLICIES) {
+                errors.push(`at most ${MAX_CLEANUP_POLICIES} cleanup policies are allowed`);
+            }
+            spec.cleanupPolicies.forEach((policy, index) => validateCleanupPolicy(policy, index, errors));
+            const ids = spec.cleanupPolicies.map((policy) => policy.id);
+            if (new Set(ids).size !== ids.length) errors.push('cleanup policy ids must be unique');
+        }
+    }
+
+    return errors;
+}
+
+function toDuration(days) {
+    return days ? { seconds: Math.round(Number(days) * DAY_SECONDS) } : undefined;
+}
+
+function fromDuration(duration) {
+    return duration?.seconds ? Number(duration.seconds) / DAY_SECONDS : null;
+}
+
+// Friendly policy list -> API map keyed by policy id
+function toCleanupPolicies(policies) {
+    return Object.fromEntries(policies.map((policy) => {
+        const resource = { id: policy.id, action: policy.action === 'keep' ? 'KEEP' : 'DELETE' };
+
+        if (policy.keepCount) {
+            resource.mostRecentVersions = {
+                packageNamePrefixes: policy.packageNamePrefixes || [],
+                keepCount: Number(policy.keepCount),
+            };
+        } else {
+            resource.condition = {
+                tagState: TAG_STATES[policy.tagState || 'any'],
+                tagPrefixes: policy.tagPrefixes || [],
+                versionNamePrefixes: policy.versionNamePrefixes || [],
+                packageNamePrefixes: policy.packageNamePrefixes || [],
+                olderThan: toDuration(policy.olderThanDays),
+                newerThan: toDuration(policy.newerThanDays),
+            };
+        }
+
+        return [policy.id, resource];
+    }));
+}
+
+function fromCleanupPolicies(policies) {
+    return Object.values(policies || {}).map((policy) => {
+        const condition = policy.condition || {};
+        return {
+            id: policy.id,
+            action: policy.action === 'KEEP' ? 'keep' : 'delete',
+            tagState: condition.tagState ? String(condition.tagState).toLowerCase() : null,
+            tagPrefixes: condition.tagPrefixes || [],
+            versionNamePrefixes: condition.versionNamePrefixes || [],
+            packageNamePrefixes: condition.packageNamePrefixes || policy.mostRecentVersions?.packageNamePrefixes || [],
+            olderThanDays: fromDuration(condition.olderThan),
+            newerThanDays: fromDuration(condition.newerThan),
+            keepCount: policy.mostRecentVersions?.keepCount || null,
+        };
+    });
+}
+
+function toRemoteConfig(remote) {
+    const upstream = REMOTE_UPSTREAMS[remote.upstream];
+    const config = {
+        description: remote.description || `Proxy for ${upstream.label}`,
+        [upstream.field]: { publicRepository: upstream.publicRepository },
+    };
+
+    if (remote.username) {
+        config.upstreamCredentials = {
+            usernamePasswordCredentials: {
+                username: remote.username,
+                passwordSecretVersion: remote.passwordSecretVersion,
+            },
+        };
+    }
+    return config;
+}
+
+function fromRemoteConfig(config) {
+    if (!config) return null;
+    const upstream = Object.keys(REMOTE_UPSTREAMS)
+        .find((key) => config[REMOTE_UPSTREAMS[key].field]?.publicRepository === REMOTE_UPSTREAMS[key].publicRepository);
+    const credentials = config.upstreamCredentials?.usernamePasswordCredentials;
+
+    return {
+        upstream: upstream || 'custom',
+        label: upstream ? REMOTE_UPSTREAMS[upstream].label : 'Custom upstream',
+        description: config.description || '',
+        username: credentials?.username || null,
+        passwordSecretVersion: credentials?.passwordSecretVersion || null,
+    };
+}
+
+// Upstreams are listed highest priority first, as they are consulted
+function fromVirtualConfig(config) {
+    if (!config) return null;
+    const upstreams = (config.upstreamPolicies || []).map((policy) => ({
+        id: policy.id,
+        repository: lastSegment(policy.repository),
+        name: policy.repository,
+        priority: Number(policy.priority || 0),
+    }));
+
+    return { upstreams: upstreams.sort((a, b) => b.priority - a.priority) };
+}
+
+// Build the Repository resource plus the update mask paths for the fields present in spec.
+// Virtual upstreams given by repository id are resolved in projectId/location.
+export function buildRepositoryResource(spec, { projectId, location } = {}) {
+    const repository = {};
+    const paths = [];
+
+    if (spec.format !== undefined) repository.format = String(spec.format).toUpperCase();
+    if (spec.mode !== undefined) repository.mode = MODES[spec.mode];
+    if (spec.kmsKeyName) repository.kmsKeyName = spec.kmsKeyName;
+
+    if (spec.description !== undefined) {
+        repository.description = spec.description;
+        paths.push('description');
+    }
+    if (spec.labels !== undefined) {
+        repository.labels = parseLabels(spec.labels);
+        paths.push('labels');
+    }
+    if (spec.immutableTags !== undefined) {
+        repository.dockerConfig = { immutableTags: Boolean(spec.immutableTags) };
+        paths.push('docker_config.immutable_tags');
+    }
+    if (spec.cleanupPolicies !== undefined) {
+        repository.cleanupPolicies = toCleanupPolicies(spec.cleanupPolicies);
+        paths.push('cleanup_policies');
+    }
+    if (spec.cleanupPolicyDryRun !== undefined) {
+        repository.cleanupPolicyDryRun = Boolean(spec.cleanupPolicyDryRun);
+        paths.push('cleanup_policy_dry_run');
+    }
+    if (spec.remote) {
+        repository.remoteRepositoryConfig = toRemoteConfig(spec.remote);
+    }
+    if (spec.virtual !== undefined) {
+        repository.virtualRepositoryConfig = {
+            upstreamPolicies: spec.virtual.upstreams.map((upstream) => ({
+                id: upstream.id || lastSegment(upstream.repository),
+                repository: upstream.repository.startsWith('projects/')
+                    ? upstream.repository
+                    : repositoryPath(projectId, location, upstream.repository),
+                priority: Number(upstream.priority ?? 0),
+            })),
+        };
+        paths.push('virtual_repository_config');
+    }
+
+    return { repository, paths };
+}
+
+// Repository resource -> the same friendly shape the forms and CLI use
+export function describeRepository(repo) {
+    const nameParts = repo.name.split('/');
+    const mode = Object.keys(MODES).find((key) => MODES[key] === repo.mode) || 'standard';
+
+    return {
+        id: repo.name,
+        name: lastSegment(repo.name),
+        location: nameParts[3],
+        projectId: nameParts[1],
+        format: repo.format || 'UNKNOWN',
+        mode,
+        description: repo.description || '',
+        labels: repo.labels || {},
+        kmsKeyName: repo.kmsKeyName || null,
+        immutableTags: Boolean(repo.dockerConfig?.immutableTags),
+        cleanupPolicies: fromCleanupPolicies(repo.cleanupPolicies),
+        cleanupPolicyDryRun: Boolean(repo.cleanupPolicyDryRun),
+        remote: fromRemoteConfig(repo.remoteRepositoryConfig),
+        virtual: fromVirtualConfig(repo.virtualRepositoryConfig),
+    };
+}
+
+export async function createRepository(client, projectId, spec) {
+    const errors = validateRepositorySpec(spec);
+    if (errors.length > 0) throw new RepositoryValidationError(errors);
+
+    const { repository } = buildRepositoryResource({ mode: 'standard', ...spec }, { projectId, location: spec.location });
+    const [operation] = await client.createRepository({
+        parent: `projects/${projectId}/locations/${spec.location}`,
+        repositoryId: spec.repositoryId,
+        repository,
+    });
+    const [created] = await operation.promise();
+    return created;
+}
+
+// Only the fields present in spec are changed
+export async function updateRepository(client, projectId, location, repositoryId, spec) {
+    const errors = validateRepositorySpec(spec, { update: true });
+    if (errors.length > 0) throw new RepositoryValidationError(errors);
+
+    const { repository, paths } = buildRepositoryResource(spec, { projectId, location });
+    if (paths.length === 0) throw new RepositoryValidationError(['nothing to update']);
+
+    const [updated] = await client.updateRepository({
+        repository: { ...repository, name: repositoryPath(projectId, location, repositoryId) },
+        updateMask: { paths },
+    });
+    return updated;
+}
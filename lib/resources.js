@@ -0,0 +1,99 @@
+// Helpers for building and parsing Artifact Registry resource names
+
+// Package IDs containing slashes (e.g. nested Docker images) are URL-encoded in resource names
+export function encodePackageId(packageId) {
+    return packageId.replace(/\//g, '%2F');
+}
+
+export function decodePackageId(packageId) {
+    return packageId.replace(/%2F/gi, '/');
+}
+
+export function lastSegment(name) {
+    const parts = name.split('/');
+    return parts[parts.length - 1];
+}
+
+export function repositoryPath(projectId, location, repository) {
+    return `projects/${projectId}/locations/${location}/repositories/${repository}`;
+}
+
+export function packagePath(projectId, location, repository, packageId) {
+    return `${repositoryPath(projectId, location, repository)}/packages/${encodePackageId(packageId)}`;
+}
+
+export function versionPath(projectId, location, repository, packageId, version) {
+    return `${packagePath(projectId, location, repository, packageId)}/versions/${version}`;
+}
+
+export function tagPath(projectId, location, repository, packageId, tag) {
+    return `${packagePath(projectId, location, repository, packageId)}/tags/${tag}`;
+}
+
+// Split "projects/p/locations/l/repositories/r/dockerImages/app@sha256:..." into its parts
+export function parseDockerImageName(name) {
+    const match = name.match(/^(projects\/[^/]+\/locations\/[^/]+\/repositories\/[^/]+)\/dockerImages\/(.+)@(sha256:[a-f0-9]+)$/);
+    if (!match) return null;
+
+    const [, repository, packageId, digest] = match;
+    const parts = repository.split('/');
+    return {
+        projectId: parts[1],
+        location: parts[3],
+        repository: parts[5],
+        packageId,
+        digest,
+    };
+}
+
+// Docker tag rules; other formats accept the same subset
+export const TAG_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+
+// Repository names as Docker parses them: lowercase components joined by "/"
+const NAME_COMPONENT = '[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*';
+const IMAGE_NAME_PATTERN = new RegExp(`^${NAME_COMPONENT}(?:/${NAME_COMPONENT})*$`);
+const REGISTRY_HOST_PATTERN = /^(?:localhost|[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*)(?::\d{1,5})?$/;
+
+export function isImageName(name) {
+    return name.length <= 255 && IMAGE_NAME_PATTERN.test(name);
+}
+
+// IMAGE[:tag|@digest]; with `allowHost` the name may start with a registry host, as local
+// images pushed elsewhere do (the first component is a host if it has "." or ":" or is localhost)
+export function isImageReference(reference, { allowHost = false } = {}) {
+    const { image, tag, digest } = parseImageReference(reference);
+    if (tag !== null && !TAG_PATTERN.test(tag)) return false;
+    if (digest !== null && !/^sha256:[a-f0-9]{64}$/.test(digest)) return false;
+
+    const slash = image.indexOf('/');
+    const first = image.slice(0, slash);
+    if (allowHost && slash !== -1 && (/[.:]/.test(first) || first === 'localhost')) {
+        return REGISTRY_HOST_PATTERN.test(first) && isImageName(image.slice(slash + 1));
+    }
+    return isImageName(image);
+}
+
+// Split "image@sha256:..." or "image:tag" references as typed on the command line
+export function parseImageReference(reference) {
+    const at = reference.indexOf('@');
+    if (at !== -1) {
+        return { image: reference.slice(0, at), digest: reference.slice(at + 1), tag: null };
+    }
+
+    const colon = reference.lastIndexOf(':');
+    if (colon > reference.lastIndexOf('/')) {
+        return { image: reference.slice(0, colon), digest: null, tag: reference.slice(colon + 1) };
+    }
+
+    return { image: reference, digest: null, tag: null };
+}
+
+// Split a full Artifact Registry image path as used by `docker pull`:
+// "us-central1-docker.pkg.dev/project/repo/app[:tag|@sha256:...]"
+export function parseRegistryImage(reference) {
+    const match = reference.match(/^([a-z0-9-]+)-docker\.pkg\.dev\/([^/]+)\/([^/]+)\/(.+)$/);
+    if (!match) return null;
+
+    const [, location, projectId, repository, rest] = match;
+    return { location, projectId, repository, ...parseImageReference(rest) };
+}
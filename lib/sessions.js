@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+
+// Session cookie name and lifetime
+export const SESSION_COOKIE = 'gcp_artifact_session';
+export const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 480) * 60 * 1000;
+
+export const PROFILE_NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+export class SessionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SessionError';
+        this.status = status;
+    }
+}
+
+// Key used to encrypt credentials at rest. Derived from SESSION_SECRET when set so
+// that an external store survives restarts; otherwise a random per-process key.
+const ENCRYPTION_KEY = process.env.SESSION_SECRET
+    ? crypto.createHash('sha256').update(process.env.SESSION_SECRET).digest()
+    : crypto.randomBytes(32);
+
+function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+function decrypt(payload) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+}
+
+// Default in-memory store. Any object exposing async get/set/delete can replace it
+// (e.g. a Redis-backed store) via setSessionStore().
+export class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    async get(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    async set(id, record) {
+        this.sessions.set(id, record);
+    }
+
+    async delete(id) {
+        this.sessions.delete(id);
+    }
+
+    async prune(now = Date.now()) {
+        for (const [id, record] of this.sessions) {
+            if (record.expiresAt <= now) this.sessions.delete(id);
+        }
+    }
+}
+
+let store = new MemorySessionStore();
+
+export function setSessionStore(customStore) {
+    store = customStore;
+}
+
+// Profiles are keyed by user-chosen names, so they live in null-prototype objects and are
+// only looked up as own properties ("__proto__" or "constructor" are just names)
+function profileMap(profiles = {}) {
+    return Object.assign(Object.create(null), profiles);
+}
+
+function hasProfile(record, name) {
+    return Object.hasOwn(record.profiles, name);
+}
+
+// The name defaults to the project, which must then pass the same check as a chosen name
+function profileNameFor(credentials, { profileName, projectId }) {
+    const name = profileName || projectId || credentials.project_id;
+    if (!PROFILE_NAME_PATTERN.test(String(name || ''))) {
+        throw new SessionError('Profile names may only contain letters, digits, ".", "_" and "-" (max 64)');
+    }
+    return name;
+}
+
+function profileEntry(credentials, projectId) {
+    return {
+        credentials: encrypt(credentials),
+        projectId: projectId || credentials.project_id,
+        serviceAccount: credentials.client_email,
+        addedAt: Date.now(),
+    };
+}
+
+// Create a session holding one named profile (an encrypted service account key
+// plus the project it targets). More profiles can be added with addProfile().
+export async function createSession(credentials, { profileName, projectId } = {}) {
+    const id = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    const name = profileNameFor(credentials, { profileName, projectId });
+
+    await store.set(id, {
+        profiles: profileMap({ [name]: profileEntry(credentials, projectId) }),
+        activeProfile: name,
+        createdAt: Date.now(),
+        expiresAt,
+    });
+
+    return { id, expiresAt, profileName: name };
+}
+
+async function loadRecord(id) {
+    if (!id) return null;
+
+    const record = await store.get(id);
+    if (!record) return null;
+
+    if (record.expiresAt <= Date.now()) {
+        await store.delete(id);
+        return null;
+    }
+
+    return record;
+}
+
+// Look up a session and return its active profile's decrypted credentials, or null if missing/expired.
+// `credentialsFor(name)` decrypts any other profile on demand.
+export async function getSession(id) {
+    const record = await loadRecord(id);
+    if (!record) return null;
+
+    const credentialsFor = (name) => {
+        if (!hasProfile(record, name)) return null;
+        const profile = record.profiles[name];
+        // The project may differ from the key's own project_id when a profile targets another project
+        return { ...decrypt(profile.credentials), project_id: profile.projectId };
+    };
+
+    try {
+        const active = record.profiles[record.activeProfile];
+        return {
+            id,
+            credentials: credentialsFor(record.activeProfile),
+            credentialsFor,
+            activeProfile: record.activeProfile,
+            profiles: Object.entries(record.profiles).map(([name, profile]) => ({
+                name,
+                projectId: profile.projectId,
+                serviceAccount: profile.serviceAccount,
+            })),
+            projectId: active.projectId,
+            serviceAccount: active.serviceAccount,
+            expiresAt: record.expiresAt,
+        };
+    } catch (e) {
+        // Encrypted with a different key (e.g. after a restart) - treat as revoked
+        await store.delete(id);
+        return null;
+    }
+}
+
+// Add (or replace) a profile and make it the active one
+export async function addProfile(id, credentials, { profileName, projectId } = {}) {
+    const record = await loadRecord(id);
+    if (!record) return null;
+
+    const name = profileNameFor(credentials, { profileName, projectId });
+    record.profiles = profileMap(record.profiles);
+    record.profiles[name] = profileEntry(credentials, projectId);
+    record.activeProfile = name;
+    await store.set(id, record);
+    return name;
+}
+
+export async function setActiveProfile(id, name) {
+    const record = await loadRecord(id);
+    if (!record || !hasProfile(record, name)) return false;
+
+    record.activeProfile = name;
+    await store.set(id, record);
+    return true;
+}
+
+// Remove a profile; the last remaining profile cannot be removed (log out instead)
+export async function removeProfile(id, name) {
+    const record = await loadRecord(id);
+    if (!record || !hasProfile(record, name)) return false;
+    if (Object.keys(record.profiles).length === 1) {
+        throw new Error('Cannot remove the only profile; disconnect instead');
+    }
+
+    delete record.profiles[name];
+    if (record.activeProfile === name) {
+        record.activeProfile = Object.keys(record.profiles)[0];
+    }
+    await store.set(id, record);
+    return true;
+}
+
+export async function destroySession(id) {
+    if (id) await store.delete(id);
+}
+
+// Read the session id from the Cookie header
+export function getSessionId(req) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+
+    for (const part of header.split(';')) {
+        const [name, ...rest] = part.trim().split('=');
+        if (name === SESSION_COOKIE) return decodeURIComponent(rest.join('='));
+    }
+    return null;
+}
+
+export function sessionCookieOptions(req, expiresAt) {
+    return {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        path: '/',
+        expires: new Date(expiresAt),
+    };
+}
+
+// Periodically drop expired sessions from stores that support it
+setInterval(() => {
+    if (typeof store.prune === 'function') {
+        store.prune().catch((e) => console.error('Session prune failed:', e));
+    }
+}, 10 * 60 * 1000).unref();
@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listRepositoriesInAllLocations } from './locations.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { parseDockerImageName, decodePackageId, lastSegment } from './resources.js';
+
+// Storage usage history. Artifact Registry only reports current sizes, so snapshots
+// of every repository (and of every Docker image in it) are taken periodically and
+// kept locally, one JSON line per snapshot in <dir>/<project>.jsonl.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const STORAGE_SNAPSHOT_DIR = process.env.STORAGE_SNAPSHOT_DIR || path.join(__dirname, '..', 'data', 'storage');
+export const STORAGE_SNAPSHOT_INTERVAL_MS = (Number(process.env.STORAGE_SNAPSHOT_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+export const STORAGE_RETENTION_DAYS = Number(process.env.STORAGE_RETENTION_DAYS) || 365;
+
+// Largest digests kept per snapshot; per-image totals are always kept in full
+const LARGEST_DIGESTS = 50;
+const IMAGE_LISTING_CONCURRENCY = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function repositoryKey(location, repository) {
+    return `${location}/${repository}`;
+}
+
+// Sum the Docker images of one repository per image name, tracking untagged digests
+function summarizeDockerImages(location, repository, dockerImages) {
+    const images = new Map();
+    const digests = [];
+
+    dockerImages.forEach((dockerImage) => {
+        const parsed = parseDockerImageName(dockerImage.name);
+        const image = parsed ? decodePackageId(parsed.packageId) : lastSegment(dockerImage.name);
+        const size = Number(dockerImage.imageSizeBytes || 0);
+        const tagged = (dockerImage.tags || []).length > 0;
+
+        const entry = images.get(image) || { location, repository, image, sizeBytes: 0, digests: 0, untaggedDigests: 0, untaggedBytes: 0 };
+        entry.sizeBytes += size;
+        entry.digests += 1;
+        if (!tagged) {
+            entry.untaggedDigests += 1;
+            entry.untaggedBytes += size;
+        }
+        images.set(image, entry);
+        digests.push({ location, repository, image, digest: parsed?.digest || null, tags: dockerImage.tags || [], sizeBytes: size });
+    });
+
+    return { images: [...images.values()], digests };
+}
+
+// Current sizes for every repository of the project. Docker repositories are broken
+// down by image; `sizeBytes` of a repository is what Artifact Registry reports.
+export async function collectStorageSnapshot(client, projectId) {
+    const { repositories, failures } = await listRepositoriesInAllLocations(client, projectId);
+    const dockerRepositories = repositories.filter((repo) => repo.format === 'DOCKER');
+
+    const breakdowns = await mapWithConcurrency(dockerRepositories, IMAGE_LISTING_CONCURRENCY, async (repo) => {
+        const location = repo.name.split('/')[3];
+        const repository = lastSegment(repo.name);
+        try {
+            const [dockerImages] = await client.listDockerImages({ parent: repo.name });
+            return summarizeDockerImages(location, repository, dockerImages);
+        } catch (error) {
+            failures.push({ location, repository, error: error.message, code: error.code });
+            return { images: [], digests: [] };
+        }
+    });
+
+    const images = breakdowns.flatMap((breakdown) => breakdown.images);
+    const largest = breakdowns.flatMap((breakdown) => breakdown.digests)
+        .sort((a, b) => b.sizeBytes - a.sizeBytes)
+        .slice(0, LARGEST_DIGESTS);
+
+    return {
+        timestamp: new Date().toISOString(),
+        projectId,
+        totalBytes: repositories.reduce((sum, repo) => sum + Number(repo.sizeBytes || 0), 0),
+        untaggedBytes: images.reduce((sum, image) => sum + image.untaggedBytes, 0),
+        repositories: repositories.map((repo) => ({
+            location: repo.name.split('/')[3],
+            repository: lastSegment(repo.name),
+            format: repo.format,
+            sizeBytes: Number(repo.sizeBytes || 0),
+        })),
+        images,
+        largest,
+        failures,
+    };
+}
+
+export class StorageHistory {
+    constructor({ dir = STORAGE_SNAPSHOT_DIR, retentionDays = STORAGE_RETENTION_DAYS } = {}) {
+        this.dir = dir;
+        this.retentionMs = retentionDays * DAY_MS;
+        this.queue = Promise.resolve();
+    }
+
+    file(projectId) {
+        return path.join(this.dir, `${projectId.replace(/[^a-z0-9._-]/gi, '_')}.jsonl`);
+    }
+
+    // Oldest first
+    async snapshots(projectId, { since } = {}) {
+        await this.queue;
+
+        const content = await fs.promises.readFile(this.file(projectId), 'utf8').catch((error) => {
+            if (error.code === 'ENOENT') return '';
+            throw error;
+        });
+        const from = since ? Date.parse(since) : 0;
+
+        return content.split('\n').filter(Boolean).flatMap((line) => {
+            try {
+                const snapshot = JSON.parse(line);
+                return Date.parse(snapshot.timestamp) >= from ? [snapshot] : [];
+            } catch (e) {
+                return []; // a torn last line after a crash
+            }
+        });
+    }
+
+    async latest(projectId) {
+        const snapshots = await this.snapshots(projectId);
+        return snapshots[snapshots.length - 1] || null;
+    }
+
+    // Append a snapshot, dropping the ones older than the retention period
+    record(snapshot) {
+        const file = this.file(snapshot.projectId);
+        const line = JSON.stringify(snapshot) + '\n';
+
+        this.queue = this.queue.then(async () => {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+
+            const cutoff = Date.now() - this.retentionMs;
+            const existing = (await fs.promises.readFile(file, 'utf8').catch(() => '')).split('\n').filter(Boolean);
+            const kept = existing.filter((entry) => {
+                try {
+                    return Date.parse(JSON.parse(entry).timestamp) >= cutoff;
+                } catch (e) {
+                    return false;
+                }
+            });
+
+            if (kept.length === existing.length) {
+                await fs.promises.appendFile(file, line, { mode: 0o600 });
+            } else {
+                await fs.promises.writeFile(file, kept.map((entry) => `${entry}\n`).join('') + line, { mode: 0o600 });
+            }
+        });
+
+        // Keep the chain usable after a failed write; the caller still sees the error
+        const result = this.queue;
+        this.queue = this.queue.catch(() => {});
+        return result;
+    }
+
+    async isDue(projectId, intervalMs = STORAGE_SNAPSHOT_INTERVAL_MS) {
+        const latest = await this.latest(projectId);
+        return !latest || Date.now() - Date.parse(latest.timestamp) >= intervalMs;
+    }
+}
+
+// Bytes per day between the first and last point of a series, null with fewer than two points
+function dailyGrowth(points) {
+    if (points.length < 2) return null;
+    const first = points[0];
+    const last = points[points.length - 1];
+    const days = (Date.parse(last.timestamp) - Date.parse(first.timestamp)) / DAY_MS;
+    return days > 0 ? (last.bytes - first.bytes) / days : null;
+}
+
+function trend(points) {
+    const growth = dailyGrowth(points);
+    return {
+        currentBytes: points.length ? points[points.length - 1].bytes : 0,
+        changeBytes: points.length ? points[points.length - 1].bytes - points[0].bytes : 0,
+        dailyGrowthBytes: growth,
+        history: points,
+    };
+}
+
+// Everything the dashboard shows, from the snapshots of one project (oldest first):
+// totals over time, each repository's and the top images' history and growth, and
+// where untagged bytes sit in the latest snapshot.
+export function summarizeStorage(snapshots, { top = 10 } = {}) {
+    const latest = snapshots[snapshots.length - 1] || null;
+    if (!latest) {
+        return { latest: null, snapshots: 0, totals: trend([]), untagged: trend([]), repositories: [], topImages: [], largestDigests: [] };
+    }
+
+    const series = (pick) => snapshots
+        .map((snapshot) => ({ timestamp: snapshot.timestamp, bytes: pick(snapshot) }))
+        .filter((point) => point.bytes !== undefined);
+
+    const repositories = latest.repositories.map((repo) => {
+        const key = repositoryKey(repo.location, repo.repository);
+        const untagged = latest.images
+            .filter((image) => repositoryKey(image.location, image.repository) === key)
+            .reduce((sum, image) => sum + image.untaggedBytes, 0);
+
+        return {
+            ...repo,
+            untaggedBytes: untagged,
+            ...trend(series((snapshot) => snapshot.repositories
+                .find((entry) => repositoryKey(entry.location, entry.repository) === key)?.sizeBytes)),
+        };
+    }).sort((a, b) => b.sizeBytes - a.sizeBytes);
+
+    const topImages = [...latest.images]
+        .sort((a, b) => b.sizeBytes - a.sizeBytes)
+        .slice(0, top)
+        .map((image) => {
+            const key = `${repositoryKey(image.location, image.repository)}/${image.image}`;
+            return {
+                ...image,
+                ...trend(series((snapshot) => snapshot.images
+                    .find((entry) => `${repositoryKey(entry.location, entry.repository)}/${entry.image}` === key)?.sizeBytes)),
+            };
+        });
+
+    return {
+        latest: { timestamp: latest.timestamp, totalBytes: latest.totalBytes, untaggedBytes: latest.untaggedBytes, failures: latest.failures },
+        snapshots: snapshots.length,
+        totals: trend(series((snapshot) => snapshot.totalBytes)),
+        untagged: trend(series((snapshot) => snapshot.untaggedBytes)),
+        repositories,
+        topImages,
+        largestDigests: latest.largest.slice(0, top),
+    };
+}
+
+export const storageHistory = new StorageHistory();
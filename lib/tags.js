@@ -0,0 +1,117 @@
+import { TAG_PATTERN, lastSegment, decodePackageId } from './resources.js';
+
+// Add, move and remove tags. Every change is planned first so it can be
+// confirmed, and carries a note saying why it was made for the audit trail.
+
+const NOTE_MAX_LENGTH = 500;
+
+export const TAG_ACTIONS = ['add', 'move', 'set', 'remove'];
+
+export class TagChangeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TagChangeError';
+        this.status = status;
+    }
+}
+
+async function findTag(client, name) {
+    try {
+        const [tag] = await client.getTag({ name });
+        return tag;
+    } catch (error) {
+        if (error.code === 5) return null;
+        throw error;
+    }
+}
+
+// packageName: full package resource name. change: { action, tag, version, note }
+// where version is a digest for Docker images and a version string otherwise.
+//   add    - the tag must not exist yet (or already point at version)
+//   move   - the tag must exist; it is pointed at version
+//   set    - add or move, whichever applies
+//   remove - the tag must exist; the version it points at is kept
+export async function planTagChange(client, packageName, change) {
+    const { action, tag, version } = change;
+    const note = String(change.note || '').trim();
+
+    if (!TAG_ACTIONS.includes(action)) {
+        throw new TagChangeError(`action must be one of: ${TAG_ACTIONS.join(', ')}`);
+    }
+    if (!TAG_PATTERN.test(tag || '')) {
+        throw new TagChangeError('Tag must start with a letter, digit or "_" and contain only letters, digits, ".", "_", "-" (max 128)');
+    }
+    if (!note) {
+        throw new TagChangeError('A note explaining the change is required');
+    }
+    if (note.length > NOTE_MAX_LENGTH) {
+        throw new TagChangeError(`The note must be at most ${NOTE_MAX_LENGTH} characters`);
+    }
+    if (action !== 'remove' && !version) {
+        throw new TagChangeError(`A version or digest is required to ${action} a tag`);
+    }
+
+    const tagName = `${packageName}/tags/${tag}`;
+    const existing = await findTag(client, tagName);
+    const from = existing?.version ? lastSegment(existing.version) : null;
+    const resolved = action === 'set' ? (existing ? 'move' : 'add') : action;
+    let versionName = null;
+
+    if (action !== 'remove') {
+        versionName = `${packageName}/versions/${version}`;
+        // Fails with NOT_FOUND when the version does not exist
+        await client.getVersion({ name: versionName });
+    }
+
+    if (resolved === 'add' && existing && from !== version) {
+        throw new TagChangeError(`Tag ${tag} already points at ${from}; move it instead`, 409);
+    }
+    if (resolved !== 'add' && !existing) {
+        throw new TagChangeError(`Tag ${tag} does not exist`, 404);
+    }
+
+    const unchanged = action !== 'remove' && from === version;
+
+    return {
+        action: unchanged ? 'none' : `${resolved}-tag`,
+        target: tagName,
+        package: decodePackageId(lastSegment(packageName)),
+        tag,
+        from,
+        to: action === 'remove' ? null : version,
+        versionName,
+        note,
+    };
+}
+
+export async function applyTagChange(client, plan) {
+    if (plan.action === 'add-tag') {
+        await client.createTag({
+            parent: plan.target.slice(0, plan.target.lastIndexOf('/tags/')),
+            tagId: plan.tag,
+            tag: { name: plan.target, version: plan.versionName },
+        });
+    } else if (plan.action === 'move-tag') {
+        await client.updateTag({
+            tag: { name: plan.target, version: plan.versionName },
+            updateMask: { paths: ['version'] },
+        });
+    } else if (plan.action === 'remove-tag') {
+        await client.deleteTag({ name: plan.target });
+    }
+
+    return { ...plan, applied: plan.action !== 'none' };
+}
+
+// One line describing a tag change and its note
+export function describeTagChange(plan) {
+    const short = (version) => (version && version.startsWith('sha256:') ? version.substring(0, 19) : version);
+    const what = {
+        'add-tag': `added ${plan.package}:${plan.tag} -> ${short(plan.to)}`,
+        'move-tag': `moved ${plan.package}:${plan.tag} ${short(plan.from)} -> ${short(plan.to)}`,
+        'remove-tag': `removed ${plan.package}:${plan.tag} (was ${short(plan.from)})`,
+        none: `left ${plan.package}:${plan.tag} at ${short(plan.to)}`,
+    }[plan.action];
+
+    return `${what}: ${plan.note}`;
+}
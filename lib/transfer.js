@@ -0,0 +1,117 @@
+import { isIndexMediaType, isForeignLayer } from './oci-registry.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// Copy an image (single manifest or multi-arch index) between two registries
+// over the distribution API. Manifests are pushed byte-for-byte, so digests and
+// multi-arch indexes are preserved exactly.
+//
+// source/target: { client: RegistryClient, repository, reference }
+// onProgress receives plain event objects suitable for streaming to the UI.
+
+const PROGRESS_STEP_BYTES = 4 * 1024 * 1024;
+
+// Registries the server may pull transfer sources from, so a request cannot make it
+// fetch internal addresses. TRANSFER_SOURCE_HOSTS (comma-separated, "*.example.com"
+// for subdomains) replaces the list, e.g. to add a local registry:2 for testing.
+export const TRANSFER_SOURCE_HOSTS = (process.env.TRANSFER_SOURCE_HOSTS
+    || 'registry-1.docker.io,ghcr.io,quay.io,gcr.io,*.gcr.io,*.pkg.dev,public.ecr.aws,mcr.microsoft.com,registry.k8s.io')
+    .split(',').map((host) => host.trim().toLowerCase()).filter(Boolean);
+
+export function isAllowedSourceHost(host, allowed = TRANSFER_SOURCE_HOSTS) {
+    const value = String(host || '').toLowerCase();
+    return allowed.some((pattern) => (pattern.startsWith('*.') ? value.endsWith(pattern.slice(1)) : value === pattern));
+}
+
+// Fetch the top-level manifest and, for indexes, every child manifest
+async function resolveManifests(source, signal) {
+    const top = await source.client.getManifest(source.repository, source.reference, { signal });
+    const children = [];
+
+    const walk = async (manifest) => {
+        if (!isIndexMediaType(manifest.mediaType)) return;
+
+        for (const descriptor of manifest.json.manifests || []) {
+            const child = await source.client.getManifest(source.repository, descriptor.digest, { signal });
+            child.platform = descriptor.platform || null;
+            await walk(child);
+            children.push(child);
+        }
+    };
+
+    await walk(top);
+    return { top, children };
+}
+
+// Unique blobs (configs and layers) referenced by the image manifests
+function collectBlobs(manifests) {
+    const blobs = new Map();
+
+    manifests
+        .filter((manifest) => !isIndexMediaType(manifest.mediaType))
+        .forEach((manifest) => {
+            const descriptors = [manifest.json.config, ...(manifest.json.layers || [])].filter(Boolean);
+            descriptors
+                .filter((descriptor) => !isForeignLayer(descriptor))
+                .forEach((descriptor) => blobs.set(descriptor.digest, descriptor));
+        });
+
+    return [...blobs.values()];
+}
+
+export async function copyImage({ source, target, onProgress = () => {}, signal, concurrency = 3 }) {
+    const { top, children } = await resolveManifests(source, signal);
+    const blobs = collectBlobs([top, ...children]);
+    const totalBytes = blobs.reduce((sum, blob) => sum + (blob.size || 0), 0);
+
+    onProgress({
+        type: 'resolved',
+        digest: top.digest,
+        mediaType: top.mediaType,
+        manifests: children.length + 1,
+        platforms: children.filter((c) => c.platform).map((c) => c.platform),
+        blobs: blobs.length,
+        totalBytes,
+    });
+
+    let bytesDone = 0;
+    let lastReported = 0;
+    const reportBytes = (count) => {
+        bytesDone += count;
+        if (bytesDone - lastReported >= PROGRESS_STEP_BYTES || bytesDone === totalBytes) {
+            lastReported = bytesDone;
+            onProgress({ type: 'progress', bytesDone, totalBytes });
+        }
+    };
+
+    await mapWithConcurrency(blobs, concurrency, async (blob) => {
+        if (await target.client.hasBlob(target.repository, blob.digest, { signal, push: true })) {
+            reportBytes(blob.size || 0);
+            onProgress({ type: 'blob', digest: blob.digest, size: blob.size, status: 'exists' });
+            return;
+        }
+
+        onProgress({ type: 'blob', digest: blob.digest, size: blob.size, status: 'copying' });
+
+        const stream = await source.client.getBlob(source.repository, blob.digest, { signal });
+        const counted = stream.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                reportBytes(chunk.byteLength);
+                controller.enqueue(chunk);
+            },
+        }));
+
+        await target.client.uploadBlob(target.repository, blob.digest, blob.size, counted, { signal });
+        onProgress({ type: 'blob', digest: blob.digest, size: blob.size, status: 'copied' });
+    });
+
+    // Children first (by digest) so the index never references a missing manifest
+    for (const child of children) {
+        await target.client.putManifest(target.repository, child.digest, child.body, child.mediaType, { signal });
+        onProgress({ type: 'manifest', digest: child.digest, mediaType: child.mediaType, platform: child.platform });
+    }
+
+    const digest = await target.client.putManifest(target.repository, target.reference, top.body, top.mediaType, { signal });
+    onProgress({ type: 'manifest', digest, mediaType: top.mediaType, reference: target.reference });
+
+    return { digest, mediaType: top.mediaType, manifests: children.length + 1, blobs: blobs.length, totalBytes };
+}
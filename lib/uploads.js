@@ -0,0 +1,402 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { setTimeout as sleep } from 'timers/promises';
+import { repositoryPath } from './resources.js';
+import { listVersionFiles } from './files.js';
+
+// Upload npm, Python, Maven and generic artifacts through each format's own
+// protocol (npm publish, the PyPI legacy upload API, Maven PUTs, and the
+// genericArtifacts media upload). Files are checksummed before anything is sent
+// and compared with the hashes Artifact Registry reports afterwards.
+
+const ARTIFACT_REGISTRY_API = 'https://artifactregistry.googleapis.com';
+// Seconds to wait for a generic upload operation before reporting it as unfinished
+const GENERIC_UPLOAD_POLLS = 60;
+
+export const UPLOAD_FORMATS = ['NPM', 'PYTHON', 'MAVEN', 'GENERIC'];
+
+export class UploadError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+export function checksums(buffer) {
+    const hash = (algorithm, encoding = 'hex') => crypto.createHash(algorithm).update(buffer).digest(encoding);
+    return {
+        md5: hash('md5'),
+        sha1: hash('sha1'),
+        sha256: hash('sha256'),
+        sha512: hash('sha512', 'base64'),
+    };
+}
+
+// First regular file in a .tgz whose path matches `wanted`
+function readTarEntry(tarball, wanted) {
+    let tar;
+    try {
+        tar = zlib.gunzipSync(tarball);
+    } catch (error) {
+        throw new UploadError('npm packages must be gzipped tarballs (.tgz from "npm pack")');
+    }
+
+    const field = (header, start, end) => header.toString('utf8', start, end).replace(/\0[\s\S]*$/, '');
+
+    for (let offset = 0; offset + 512 <= tar.length;) {
+        const header = tar.subarray(offset, offset + 512);
+        if (header.every((byte) => byte === 0)) break;
+
+        const prefix = field(header, 345, 500);
+        const name = prefix ? `${prefix}/${field(header, 0, 100)}` : field(header, 0, 100);
+        const size = parseInt(field(header, 124, 136).trim() || '0', 8);
+        const type = field(header, 156, 157);
+
+        offset += 512;
+        if ((type === '' || type === '0') && wanted(name)) {
+            return tar.subarray(offset, offset + size);
+        }
+        offset += Math.ceil(size / 512) * 512;
+    }
+    return null;
+}
+
+function npmPackageJson(tarball) {
+    const content = readTarEntry(tarball, (name) => /^[^/]+\/package\.json$/.test(name));
+    if (!content) throw new UploadError('The tarball has no package.json');
+
+    const pkg = JSON.parse(content.toString('utf8'));
+    if (!pkg.name || !pkg.version) throw new UploadError('package.json needs a name and a version');
+    return pkg;
+}
+
+// PEP 503 normalized project name, which Artifact Registry uses as the package id
+export function normalizePythonName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+// Name and version from a wheel (name-version[-build]-py-abi-platform.whl) or sdist file name
+export function parsePythonFilename(filename) {
+    if (filename.endsWith('.whl')) {
+        const parts = filename.slice(0, -4).split('-');
+        if (parts.length !== 5 && parts.length !== 6) {
+            throw new UploadError(`${filename} is not a valid wheel file name`);
+        }
+        return { name: parts[0], version: parts[1], filetype: 'bdist_wheel', pyversion: parts[parts.length - 3] };
+    }
+
+    const match = filename.match(/^(.+)-(\d[^-]*)\.(tar\.gz|zip)$/);
+    if (!match) {
+        throw new UploadError(`${filename} is not a wheel (.whl) or source distribution (.tar.gz, .zip)`);
+    }
+    return { name: match[1], version: match[2], filetype: 'sdist', pyversion: 'source' };
+}
+
+function pomValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>\\s*([^<]+?)\\s*</${tag}>`));
+    return match ? match[1] : null;
+}
+
+// Coordinates of a pom, ignoring nested blocks that have their own groupId/version
+export function parsePom(xml) {
+    const parent = xml.match(/<parent>([\s\S]*?)<\/parent>/)?.[1] || '';
+    const own = xml.replace(/<(parent|dependencies|dependencyManagement|build|profiles|reporting|pluginRepositories|repositories|distributionManagement)>[\s\S]*?<\/\1>/g, '');
+
+    return {
+        groupId: pomValue(own, 'groupId') || pomValue(parent, 'groupId'),
+        artifactId: pomValue(own, 'artifactId'),
+        version: pomValue(own, 'version') || pomValue(parent, 'version'),
+        packaging: pomValue(own, 'packaging') || 'jar',
+    };
+}
+
+function minimalPom({ groupId, artifactId, version, packaging }) {
+    return Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0">
+  <modelVersion>4.0.0</modelVersion>
+  <groupId>${groupId}</groupId>
+  <artifactId>${artifactId}</artifactId>
+  <version>${version}</version>
+  <packaging>${packaging}</packaging>
+</project>
+`);
+}
+
+// File names become URL path segments, so they may not climb out of the version directory
+function checkFilenames(files) {
+    files.forEach((file) => {
+        if (/[/\\]/.test(file.originalname) || file.originalname.includes('..')) {
+            throw new UploadError(`Invalid file name: ${file.originalname}`);
+        }
+    });
+}
+
+function extension(filename) {
+    return filename.match(/\.(tar\.gz|[^.]+)$/)?.[1] || '';
+}
+
+// Work out what is being uploaded and validate it before anything leaves the server.
+// files: [{ originalname, buffer }] (multer); fields: form fields for coordinates the files don't carry.
+export function planUpload(format, files, fields = {}) {
+    if (!UPLOAD_FORMATS.includes(format)) {
+        throw new UploadError(`Uploading ${format} artifacts is not supported here`);
+    }
+    if (!files || files.length === 0) {
+        throw new UploadError('No files were uploaded');
+    }
+
+    const withHashes = (filename, buffer) => ({ filename, buffer, size: buffer.length, ...checksums(buffer) });
+
+    if (format === 'NPM') {
+        if (files.length !== 1) throw new UploadError('Upload one npm tarball at a time');
+        const pkg = npmPackageJson(files[0].buffer);
+        const basename = pkg.name.split('/').pop();
+        return {
+            format,
+            packageId: pkg.name,
+            version: pkg.version,
+            distTag: fields.tag || 'latest',
+            packageJson: pkg,
+            files: [withHashes(`${basename}-${pkg.version}.tgz`, files[0].buffer)],
+        };
+    }
+
+    if (format === 'PYTHON') {
+        const dists = files.map((file) => ({ ...withHashes(file.originalname, file.buffer), ...parsePythonFilename(file.originalname) }));
+        const packageId = normalizePythonName(dists[0].name);
+        const version = dists[0].version;
+
+        if (dists.some((dist) => normalizePythonName(dist.name) !== packageId || dist.version !== version)) {
+            throw new UploadError('All Python files in one upload must be the same project and version');
+        }
+        return { format, packageId, version, files: dists };
+    }
+
+    if (format === 'MAVEN') {
+        checkFilenames(files);
+        const pomFile = files.find((file) => file.originalname.endsWith('.pom') || file.originalname === 'pom.xml');
+        const coordinates = pomFile ? parsePom(pomFile.buffer.toString('utf8')) : {};
+        const groupId = fields.groupId || coordinates.groupId;
+        const artifactId = fields.artifactId || coordinates.artifactId;
+        const version = fields.version || coordinates.version;
+
+        if (!groupId || !artifactId || !version) {
+            throw new UploadError('Maven uploads need a pom, or groupId, artifactId and version');
+        }
+        if (!/^[\w.-]+$/.test(groupId) || !/^[\w.-]+$/.test(artifactId) || !/^[\w.+-]+$/.test(version)) {
+            throw new UploadError('groupId, artifactId and version may only contain letters, digits, ".", "_", "-"');
+        }
+
+        // Maven layout: artifactId-version[-classifier].ext; other names get the canonical one
+        const base = `${artifactId}-${version}`;
+        const mavenFiles = files
+            .filter((file) => file !== pomFile)
+            .map((file) => withHashes(
+                file.originalname.startsWith(base) ? file.originalname : `${base}.${extension(file.originalname)}`,
+                file.buffer
+            ));
+        const pom = pomFile
+            ? pomFile.buffer
+            : minimalPom({ groupId, artifactId, version, packaging: extension(mavenFiles[0]?.filename || 'jar') });
+        mavenFiles.push(withHashes(`${base}.pom`, pom));
+
+        return { format, packageId: `${groupId}:${artifactId}`, groupId, artifactId, version, files: mavenFiles };
+    }
+
+    // GENERIC
+    const packageId = fields.packageId;
+    const version = fields.version;
+    if (!packageId || !/^[a-z0-9][a-z0-9._-]*$/.test(packageId)) {
+        throw new UploadError('Generic uploads need a package name (lowercase letters, digits, ".", "_", "-")');
+    }
+    if (!version || !/^[a-zA-Z0-9][a-zA-Z0-9._+-]*$/.test(version)) {
+        throw new UploadError('Generic uploads need a version (letters, digits, ".", "_", "+", "-")');
+    }
+    checkFilenames(files);
+    return { format, packageId, version, files: files.map((file) => withHashes(file.originalname, file.buffer)) };
+}
+
+// expected: { filename: sha256 } computed by the client before sending
+export function verifyClientChecksums(plan, files, expected) {
+    if (!expected) return;
+
+    files.forEach((file) => {
+        const want = expected[file.originalname];
+        if (!want) return;
+        const actual = checksums(file.buffer).sha256;
+        if (actual !== String(want).toLowerCase()) {
+            throw new UploadError(`Checksum mismatch for ${file.originalname}: sent ${want}, received ${actual}`, 422);
+        }
+    });
+}
+
+async function checkResponse(response, what) {
+    if (response.ok) return response.status === 204 ? null : response.text();
+
+    const body = await response.text();
+    let message = body.slice(0, 300);
+    try {
+        const data = JSON.parse(body);
+        message = data.error?.message || data.error || data.message || message;
+    } catch (e) {
+        // plain-text error body
+    }
+    const error = new UploadError(`${what} failed (${response.status}): ${message}`, response.status === 409 ? 409 : 502);
+    error.upstreamStatus = response.status;
+    throw error;
+}
+
+function basicAuth(token) {
+    return `Basic ${Buffer.from(`oauth2accesstoken:${token}`).toString('base64')}`;
+}
+
+async function publishNpm(target, plan, token, signal) {
+    const registry = `https://${target.location}-npm.pkg.dev/${target.projectId}/${target.repository}`;
+    const [file] = plan.files;
+    const { packageJson: pkg, packageId: name, version } = plan;
+
+    const document = {
+        _id: name,
+        name,
+        description: pkg.description,
+        'dist-tags': { [plan.distTag]: version },
+        versions: {
+            [version]: {
+                ...pkg,
+                _id: `${name}@${version}`,
+                dist: {
+                    shasum: file.sha1,
+                    integrity: `sha512-${file.sha512}`,
+                    tarball: `${registry}/${name}/-/${file.filename}`,
+                },
+            },
+        },
+        _attachments: {
+            [file.filename]: { content_type: 'application/octet-stream', data: file.buffer.toString('base64'), length: file.size },
+        },
+    };
+
+    const response = await fetch(`${registry}/${name.replace('/', '%2f')}`, {
+        method: 'PUT',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(document),
+        signal,
+    });
+    await checkResponse(response, `npm publish of ${name}@${version}`);
+}
+
+async function uploadPythonFile(target, plan, file, token, signal) {
+    const form = new FormData();
+    form.append(':action', 'file_upload');
+    form.append('protocol_version', '1');
+    form.append('metadata_version', '2.1');
+    form.append('name', file.name);
+    form.append('version', plan.version);
+    form.append('filetype', file.filetype);
+    form.append('pyversion', file.pyversion);
+    form.append('md5_digest', file.md5);
+    form.append('sha256_digest', file.sha256);
+    form.append('content', new Blob([file.buffer]), file.filename);
+
+    const response = await fetch(`https://${target.location}-python.pkg.dev/${target.projectId}/${target.repository}/`, {
+        method: 'POST',
+        headers: { Authorization: basicAuth(token) },
+        body: form,
+        signal,
+    });
+    await checkResponse(response, `Upload of ${file.filename}`);
+}
+
+async function uploadMavenFile(target, plan, file, token, signal) {
+    const url = [
+        `https://${target.location}-maven.pkg.dev/${target.projectId}/${target.repository}`,
+        plan.groupId.replace(/\./g, '/'),
+        plan.artifactId,
+        plan.version,
+        file.filename,
+    ].join('/');
+
+    const response = await fetch(url, {
+        method: 'PUT',
+        headers: { Authorization: basicAuth(token), 'Content-Type': 'application/octet-stream' },
+        body: file.buffer,
+        signal,
+    });
+    await checkResponse(response, `Upload of ${file.filename}`);
+}
+
+// Media upload (multipart/related: JSON metadata, then the file), then wait for the operation
+async function uploadGenericFile(target, plan, file, token, signal) {
+    const boundary = `gcp-artifact-${crypto.randomBytes(8).toString('hex')}`;
+    const metadata = JSON.stringify({ packageId: plan.packageId, versionId: plan.version, filename: file.filename });
+    const body = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${metadata}\r\n`),
+        Buffer.from(`--${boundary}\r\nContent-Type: application/octet-stream\r\n\r\n`),
+        file.buffer,
+        Buffer.from(`\r\n--${boundary}--\r\n`),
+    ]);
+
+    const parent = repositoryPath(target.projectId, target.location, target.repository);
+    const response = await fetch(`${ARTIFACT_REGISTRY_API}/upload/v1/${parent}/genericArtifacts:create?alt=json&uploadType=multipart`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': `multipart/related; boundary=${boundary}` },
+        body,
+        signal,
+    });
+    let { operation } = JSON.parse(await checkResponse(response, `Upload of ${file.filename}`));
+
+    for (let attempt = 0; operation && !operation.done && attempt < GENERIC_UPLOAD_POLLS; attempt++) {
+        await sleep(1000, undefined, { signal });
+        const poll = await fetch(`${ARTIFACT_REGISTRY_API}/v1/${operation.name}`, { headers: { Authorization: `Bearer ${token}` }, signal });
+        operation = JSON.parse(await checkResponse(poll, 'Upload status check'));
+    }
+    if (operation && !operation.done) {
+        throw new UploadError(`Upload of ${file.filename} did not finish within ${GENERIC_UPLOAD_POLLS}s; check ${operation.name} before retrying`, 504);
+    }
+    if (operation?.error) {
+        throw new UploadError(`Upload of ${file.filename} failed: ${operation.error.message}`, 502);
+    }
+}
+
+// Compare the SHA-256 Artifact Registry stores for each uploaded file with ours.
+// verified is null when the file could not be found (e.g. still being indexed).
+export async function confirmUploadedFiles(client, target, plan) {
+    const registryFiles = await listVersionFiles(client, target, plan.packageId, plan.version);
+
+    return plan.files.map((file) => {
+        const match = registryFiles.find((f) => f.path.endsWith(file.filename));
+        const registrySha256 = match?.hashes.sha256 || null;
+
+        return {
+            filename: file.filename,
+            size: file.size,
+            sha256: file.sha256,
+            registrySha256,
+            verified: registrySha256 ? registrySha256 === file.sha256 : null,
+        };
+    });
+}
+
+// Push every file of a plan. onProgress receives { type: 'uploading' | 'uploaded', filename, size }.
+// An aborted signal cancels the request in flight and skips the files after it.
+export async function uploadArtifacts(target, plan, { getAccessToken, onProgress = () => {}, signal }) {
+    const token = await getAccessToken();
+    signal?.throwIfAborted();
+
+    if (plan.format === 'NPM') {
+        const [file] = plan.files;
+        onProgress({ type: 'uploading', filename: file.filename, size: file.size });
+        await publishNpm(target, plan, token, signal);
+        onProgress({ type: 'uploaded', filename: file.filename, size: file.size });
+        return;
+    }
+
+    const uploadFile = { PYTHON: uploadPythonFile, MAVEN: uploadMavenFile, GENERIC: uploadGenericFile }[plan.format];
+    for (const file of plan.files) {
+        signal?.throwIfAborted();
+        onProgress({ type: 'uploading', filename: file.filename, size: file.size });
+        await uploadFile(target, plan, file, token, signal);
+        onProgress({ type: 'uploaded', filename: file.filename, size: file.size });
+    }
+}
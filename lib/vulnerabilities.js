@@ -0,0 +1,380 @@
+import fs from 'fs';
+import path from 'path';
+
+// Vulnerability data behind a small provider interface so the UI works the same
+// against Artifact Analysis, a local fixture or an imported Grype/Trivy report.
+//
+// A provider implements:
+//   name
+//   async summaries({ projectId })  -> [{ resourceUri, digest, counts, total, fixable }]
+//   async findings({ projectId, resourceUri, digest }) -> [finding] | null (null = never scanned)
+//
+// finding: { id, severity, package, installedVersion, fixedVersion, cvss, description, url }
+
+export const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'MINIMAL', 'UNKNOWN'];
+
+const CONTAINER_ANALYSIS_API = 'https://containeranalysis.googleapis.com/v1';
+const SUMMARY_CACHE_MS = 60 * 1000;
+
+// Project-wide Artifact Analysis summaries, cached briefly (projectId -> { summaries, expiresAt })
+const summaryCache = new Map();
+
+// Drop a project's cached summaries, e.g. once images were pushed or deleted
+export function invalidateVulnerabilitySummaries(projectId) {
+    summaryCache.delete(projectId);
+}
+
+export function normalizeSeverity(severity) {
+    const value = String(severity || '').toUpperCase();
+    if (value === 'NEGLIGIBLE') return 'MINIMAL';
+    return SEVERITIES.includes(value) ? value : 'UNKNOWN';
+}
+
+// Artifact Analysis uses "https://LOCATION-docker.pkg.dev/...", listDockerImages omits the scheme
+export function normalizeResourceUri(uri) {
+    return uri ? uri.replace(/^https?:\/\//, '') : null;
+}
+
+export function digestOf(uri) {
+    const match = (uri || '').match(/@(sha256:[a-f0-9]{64})$/);
+    return match ? match[1] : null;
+}
+
+// "us-docker.pkg.dev/project/repo/image@sha256:..." -> { location, projectId, repository }
+export function parseResourceUri(uri) {
+    const match = normalizeResourceUri(uri || '').match(/^([a-z0-9-]+)-docker\.pkg\.dev\/([^/]+)\/([^/]+)\//);
+    if (!match) return null;
+    return { location: match[1], projectId: match[2], repository: match[3] };
+}
+
+function emptyCounts() {
+    return Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]));
+}
+
+export function highestSeverity(counts) {
+    return SEVERITIES.find((severity) => counts[severity] > 0) || null;
+}
+
+export function summarizeFindings(findings, resourceUri) {
+    const counts = emptyCounts();
+    findings.forEach((finding) => counts[finding.severity]++);
+
+    return {
+        resourceUri: normalizeResourceUri(resourceUri),
+        digest: digestOf(resourceUri),
+        counts,
+        total: findings.length,
+        fixable: findings.filter((finding) => finding.fixedVersion).length,
+        highest: highestSeverity(counts),
+    };
+}
+
+// Roll image summaries up to "location/repository" keys for the Repositories view
+export function rollupByRepository(summaries) {
+    const rollup = {};
+
+    summaries.forEach((summary) => {
+        const parsed = parseResourceUri(summary.resourceUri);
+        if (!parsed) return;
+
+        const key = `${parsed.location}/${parsed.repository}`;
+        const entry = rollup[key] || (rollup[key] = { images: 0, counts: emptyCounts(), total: 0, fixable: 0 });
+        entry.images++;
+        entry.total += summary.total;
+        entry.fixable += summary.fixable;
+        SEVERITIES.forEach((severity) => { entry.counts[severity] += summary.counts[severity]; });
+    });
+
+    Object.values(rollup).forEach((entry) => { entry.highest = highestSeverity(entry.counts); });
+    return rollup;
+}
+
+// ============== REPORT PARSERS ==============
+
+function grypeFindings(report) {
+    return (report.matches || []).map((match) => {
+        const vulnerability = match.vulnerability || {};
+        const scores = (vulnerability.cvss || []).map((c) => c.metrics?.baseScore).filter((s) => s !== undefined);
+        return {
+            id: vulnerability.id,
+            severity: normalizeSeverity(vulnerability.severity),
+            package: match.artifact?.name || null,
+            installedVersion: match.artifact?.version || null,
+            fixedVersion: (vulnerability.fix?.versions || [])[0] || null,
+            cvss: scores.length ? Math.max(...scores) : null,
+            description: vulnerability.description || null,
+            url: vulnerability.dataSource || (vulnerability.urls || [])[0] || null,
+        };
+    });
+}
+
+function trivyFindings(report) {
+    return (report.Results || []).flatMap((result) => (result.Vulnerabilities || []).map((vulnerability) => {
+        const scores = Object.values(vulnerability.CVSS || {}).map((c) => c.V3Score ?? c.V2Score).filter((s) => s !== undefined);
+        return {
+            id: vulnerability.VulnerabilityID,
+            severity: normalizeSeverity(vulnerability.Severity),
+            package: vulnerability.PkgName || null,
+            installedVersion: vulnerability.InstalledVersion || null,
+            fixedVersion: vulnerability.FixedVersion || null,
+            cvss: scores.length ? Math.max(...scores) : null,
+            description: vulnerability.Title || vulnerability.Description || null,
+            url: vulnerability.PrimaryURL || null,
+        };
+    }));
+}
+
+// Image references a scanner recorded, so the report can be matched to a registry digest
+function grypeImageUris(report) {
+    return report.source?.target?.repoDigests || [];
+}
+
+function trivyImageUris(report) {
+    return report.Metadata?.RepoDigests || [];
+}
+
+export function detectReportFormat(report) {
+    if (Array.isArray(report.matches)) return 'grype';
+    if (Array.isArray(report.Results) || report.SchemaVersion) return 'trivy';
+    if (Array.isArray(report.images)) return 'fixture';
+    return null;
+}
+
+// Parse a Grype, Trivy or fixture report into [{ resourceUri, findings }].
+// `resourceUri` overrides the image recorded in the report (e.g. a scan of a local tag).
+export function parseReport(report, { format = 'auto', resourceUri } = {}) {
+    const detected = format === 'auto' ? detectReportFormat(report) : format;
+
+    if (detected === 'fixture') {
+        return report.images.map((image) => ({
+            resourceUri: normalizeResourceUri(image.resourceUri),
+            findings: (image.findings || []).map((finding) => ({ ...finding, severity: normalizeSeverity(finding.severity) })),
+        }));
+    }
+
+    if (detected !== 'grype' && detected !== 'trivy') {
+        throw new Error('Unrecognized report format; expected Grype or Trivy JSON');
+    }
+
+    const findings = detected === 'grype' ? grypeFindings(report) : trivyFindings(report);
+    const uris = resourceUri ? [resourceUri] : (detected === 'grype' ? grypeImageUris(report) : trivyImageUris(report));
+    const matched = uris.map(normalizeResourceUri).filter(digestOf);
+
+    if (matched.length === 0) {
+        throw new Error('Report does not name an image digest; pass the image URI (LOCATION-docker.pkg.dev/PROJECT/REPO/IMAGE@sha256:...)');
+    }
+
+    return matched.map((uri) => ({ resourceUri: uri, findings }));
+}
+
+// ============== PROVIDERS ==============
+
+// Findings held in memory: loaded from fixture files at startup or imported reports.
+// Reports are kept per project so a session only ever sees its own projects' imports.
+export class LocalReportProvider {
+    constructor() {
+        this.name = 'local';
+        this.reports = new Map(); // projectId -> Map(digest -> { resourceUri, findings, importedAt })
+    }
+
+    add(entries) {
+        const scoped = entries.map((entry) => ({ ...entry, projectId: parseResourceUri(entry.resourceUri)?.projectId }));
+        const unscoped = scoped.find((entry) => !entry.projectId);
+        if (unscoped) {
+            throw new Error(`Cannot tell which project ${unscoped.resourceUri || 'the report'} belongs to; expected LOCATION-docker.pkg.dev/PROJECT/REPO/IMAGE@sha256:...`);
+        }
+
+        return scoped.map(({ resourceUri, projectId, findings }) => {
+            const digest = digestOf(resourceUri);
+            if (!this.reports.has(projectId)) this.reports.set(projectId, new Map());
+            this.reports.get(projectId).set(digest, { resourceUri, findings, importedAt: new Date().toISOString() });
+            return { resourceUri, projectId, digest, total: findings.length };
+        });
+    }
+
+    // Load a report file, or every .json file in a directory
+    loadPath(target) {
+        const files = fs.statSync(target).isDirectory()
+            ? fs.readdirSync(target).filter((file) => file.endsWith('.json')).map((file) => path.join(target, file))
+            : [target];
+
+        return files.flatMap((file) => this.add(parseReport(JSON.parse(fs.readFileSync(file, 'utf8')))));
+    }
+
+    async summaries({ projectId } = {}) {
+        const projects = projectId ? [this.reports.get(projectId) || new Map()] : [...this.reports.values()];
+        return projects
+            .flatMap((reports) => [...reports.values()])
+            .map((report) => summarizeFindings(report.findings, report.resourceUri));
+    }
+
+    async findings({ projectId, digest, resourceUri }) {
+        const reports = this.reports.get(projectId || parseResourceUri(resourceUri)?.projectId);
+        const report = reports?.get(digest || digestOf(resourceUri));
+        return report ? report.findings : null;
+    }
+}
+
+// Artifact Analysis (Container Analysis API) occurrences of kind VULNERABILITY
+export class ArtifactAnalysisProvider {
+    // getAccessToken: async () => OAuth access token for the session's service account
+    constructor({ getAccessToken }) {
+        this.name = 'artifact-analysis';
+        this.getAccessToken = getAccessToken;
+    }
+
+    async request(url) {
+        const response = await fetch(url, {
+            headers: { Authorization: `Bearer ${await this.getAccessToken()}` },
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.error?.message || `Artifact Analysis request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    async summaries({ projectId }) {
+        const cached = summaryCache.get(projectId);
+        if (cached && cached.expiresAt > Date.now()) return cached.summaries;
+
+        const data = await this.request(`${CONTAINER_ANALYSIS_API}/projects/${projectId}/occurrences:vulnerabilitySummary`);
+        const byUri = new Map();
+
+        (data.counts || []).forEach((count) => {
+            const severity = normalizeSeverity(count.severity);
+            // SEVERITY_UNSPECIFIED rows carry the per-resource totals
+            if (count.severity === 'SEVERITY_UNSPECIFIED' || !count.resourceUri) return;
+
+            const uri = normalizeResourceUri(count.resourceUri);
+            const entry = byUri.get(uri) || { resourceUri: uri, digest: digestOf(uri), counts: emptyCounts(), total: 0, fixable: 0 };
+            entry.counts[severity] += Number(count.totalCount || 0);
+            entry.total += Number(count.totalCount || 0);
+            entry.fixable += Number(count.fixableCount || 0);
+            byUri.set(uri, entry);
+        });
+
+        const summaries = [...byUri.values()].map((entry) => ({ ...entry, highest: highestSeverity(entry.counts) }));
+        summaryCache.set(projectId, { summaries, expiresAt: Date.now() + SUMMARY_CACHE_MS });
+        return summaries;
+    }
+
+    async findings({ projectId, resourceUri }) {
+        const filter = `kind="VULNERABILITY" AND resourceUrl="https://${normalizeResourceUri(resourceUri)}"`;
+        const occurrences = [];
+        let pageToken = '';
+
+        do {
+            const url = new URL(`${CONTAINER_ANALYSIS_API}/projects/${projectId}/occurrences`);
+            url.searchParams.set('filter', filter);
+            url.searchParams.set('pageSize', '1000');
+            if (pageToken) url.searchParams.set('pageToken', pageToken);
+
+            const data = await this.request(url);
+            occurrences.push(...(data.occurrences || []));
+            pageToken = data.nextPageToken || '';
+        } while (pageToken);
+
+        if (occurrences.length === 0) return null;
+
+        return occurrences.flatMap((occurrence) => {
+            const vulnerability = occurrence.vulnerability || {};
+            const issues = vulnerability.packageIssue?.length ? vulnerability.packageIssue : [{}];
+            return issues.map((issue) => ({
+                id: (occurrence.noteName || '').split('/').pop(),
+                severity: normalizeSeverity(vulnerability.effectiveSeverity || vulnerability.severity),
+                package: issue.affectedPackage || null,
+                installedVersion: issue.affectedVersion?.fullName || null,
+                fixedVersion: issue.fixAvailable === false ? null : issue.fixedVersion?.fullName || null,
+                cvss: vulnerability.cvssV3?.baseScore ?? vulnerability.cvssScore ?? null,
+                description: vulnerability.shortDescription || null,
+                url: vulnerability.relatedUrls?.[0]?.url || null,
+            }));
+        });
+    }
+}
+
+// Finding identity across sources: the same CVE in the same installed package
+function findingKey(finding) {
+    return `${finding.id}|${finding.package}|${finding.installedVersion}`;
+}
+
+// Merge every provider's data so an imported report never hides what Artifact
+// Analysis found (or the other way round); each result lists its `sources`
+export class CompositeProvider {
+    constructor(providers) {
+        this.providers = providers;
+        this.name = providers.map((provider) => provider.name).join('+');
+    }
+
+    async summaries(options) {
+        const merged = new Map();
+        for (const provider of this.providers) {
+            for (const summary of await provider.summaries(options)) {
+                const existing = merged.get(summary.digest);
+                if (!existing) {
+                    merged.set(summary.digest, { ...summary, counts: { ...summary.counts }, sources: [provider.name] });
+                    continue;
+                }
+
+                // Summaries carry no finding ids, so the overlap between sources is unknown:
+                // take the larger count per severity, which never drops what either reported
+                SEVERITIES.forEach((severity) => {
+                    existing.counts[severity] = Math.max(existing.counts[severity], summary.counts[severity]);
+                });
+                existing.total = SEVERITIES.reduce((sum, severity) => sum + existing.counts[severity], 0);
+                existing.fixable = Math.max(existing.fixable, summary.fixable);
+                existing.highest = highestSeverity(existing.counts);
+                if (!existing.sources.includes(provider.name)) existing.sources.push(provider.name);
+            }
+        }
+        return [...merged.values()];
+    }
+
+    // null only when no provider has scanned the digest
+    async findings(options) {
+        const merged = new Map();
+        let scanned = false;
+
+        for (const provider of this.providers) {
+            const findings = await provider.findings(options);
+            if (!findings) continue;
+            scanned = true;
+
+            findings.forEach((finding) => {
+                const key = findingKey(finding);
+                const existing = merged.get(key);
+                if (!existing) {
+                    merged.set(key, { ...finding, sources: [provider.name] });
+                } else if (!existing.sources.includes(provider.name)) {
+                    existing.sources.push(provider.name);
+                }
+            });
+        }
+        return scanned ? [...merged.values()] : null;
+    }
+}
+
+// Imported reports and fixtures live for the lifetime of the process
+export const localReports = new LocalReportProvider();
+
+// VULNERABILITY_PROVIDER=local skips Artifact Analysis entirely (offline/testing);
+// VULNERABILITY_FIXTURES=path preloads report files into the local provider.
+export const VULNERABILITY_PROVIDER = process.env.VULNERABILITY_PROVIDER || 'artifact-analysis';
+
+if (process.env.VULNERABILITY_FIXTURES) {
+    try {
+        const loaded = localReports.loadPath(process.env.VULNERABILITY_FIXTURES);
+        console.log(`Loaded vulnerability reports for ${loaded.length} image(s) from ${process.env.VULNERABILITY_FIXTURES}`);
+    } catch (e) {
+        console.error('Failed to load vulnerability fixtures:', e.message);
+    }
+}
+
+export function createVulnerabilityProvider({ getAccessToken }) {
+    if (VULNERABILITY_PROVIDER === 'local') return localReports;
+    return new CompositeProvider([localReports, new ArtifactAnalysisProvider({ getAccessToken })]);
+}
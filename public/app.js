@@ -1,46 +1,88 @@
-// LocalStorage key for credentials
-const STORAGE_KEY = 'gcp_artifact_credentials';
+// Legacy localStorage key - credentials now live in a server-side session
+const LEGACY_STORAGE_KEY = 'gcp_artifact_credentials';
 
 // State
 let repositories = [];
 let currentRepo = null;
 let selectedTransferImage = null;
-let credentials = null;
+let session = null;            // { projectId, serviceAccount, activeProfile, profiles, expiresAt }
+let addingProfile = false;     // Auth screen opened from the app to add another profile
 
 // Enhanced state for Docker images
 let allDockerImages = [];      // Raw images from API
 let groupedImages = {};        // Grouped by base image name
-let dockerSearchTerm = '';     // Current search filter
+let dockerSearchTerm = '';     // Current search filter (applied server-side)
+let dockerNextPageToken = null; // Token for the next page of images, null when exhausted
+let dockerLoadingMore = false;  // Guards against overlapping page loads
+let dockerSearchTimer = null;   // Debounce for the search box
 let currentLocation = '';      // Current repo location
 let currentRepository = '';    // Current repo name
 
-// Get credentials from localStorage
-function getStoredCredentials() {
+// Cleanup policy state
+let cleanupReport = null;      // Last dry-run report, applied as-is on confirm
+
+// Vulnerability summaries for the active project: { provider, images: { digest: summary }, repositories }
+let vulnerabilitySummary = null;
+let vulnerabilitySummaryRequest = null;
+let permissions = null;         // capability -> allowed for the active profile, null when unknown
+let downloadImageGroups = [];   // Grouped images of the repository picked in the Download view
+let dockerLayerReport = null;   // { key: 'location/repository', report } from the layer index
+let auditEntries = [];          // Audit entries loaded so far, for the details modal
+let auditSearchTimer = null;    // Debounce for the audit search box
+let notificationData = null;    // Last notifications response: subscriptions, events, event types
+let liveUpdates = null;         // { source: EventSource, key } streaming registry changes and operation progress
+let liveRefreshTimer = null;    // Coalesces bursts of changes into one refresh of the listing on screen
+let liveRefreshImages = false;  // Whether the pending refresh includes the Docker images of the current repository
+let operationHandlers = new Map();  // operation id -> { handleEvent, resolve } for operations this page waits on
+let operationBacklog = new Map();   // operation id -> updates that arrived while start requests were in flight
+let pendingOperationStarts = 0;     // Start requests sent but not answered yet
+let trackedOperations = new Map();  // operation id -> latest summary, shown in the operations tray
+
+// Remove private keys left behind by older versions of the UI
+function purgeLegacyCredentials() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      return JSON.parse(stored);
-    }
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
   } catch (e) {
-    console.error('Failed to parse stored credentials:', e);
+    console.error('Failed to clear legacy credentials:', e);
   }
-  return null;
 }
 
-// Store credentials in localStorage
-function storeCredentials(creds) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(creds));
-    credentials = creds;
-  } catch (e) {
-    console.error('Failed to store credentials:', e);
+// Call an authenticated API route. The session cookie is sent automatically;
+// a 401 means the session expired, so drop back to the auth screen.
+async function apiRequest(method, url, body = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'same-origin',
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+
+  if (response.status === 401 && data.requiresAuth) {
+    handleSessionExpired();
+    throw new Error(data.error || 'Session expired');
   }
+
+  return data;
+}
+
+function apiPost(url, body = {}) {
+  return apiRequest('POST', url, body);
 }
 
-// Clear credentials from localStorage
-function clearCredentials() {
-  localStorage.removeItem(STORAGE_KEY);
-  credentials = null;
+function apiDelete(url, body = {}) {
+  return apiRequest('DELETE', url, body);
+}
+
+function handleSessionExpired() {
+  if (!session) return;
+  disconnectLiveUpdates();
+  abandonOperations('Session expired');
+  session = null;
+  addingProfile = false;
+  repositories = [];
+  showAuthScreen();
+  showAuthError('Your session has expired. Please connect again.');
 }
 
 // DOM Elements
@@ -51,9 +93,13 @@ const elements = {
   credentialsInput: document.getElementById('credentialsInput'),
   validateCredentials: document.getElementById('validateCredentials'),
   authError: document.getElementById('authError'),
+  profileNameInput: document.getElementById('profileNameInput'),
+  profileProjectInput: document.getElementById('profileProjectInput'),
+  cancelAddProfile: document.getElementById('cancelAddProfile'),
 
   // Main App
   projectId: document.getElementById('projectId'),
+  projectSwitcher: document.getElementById('projectSwitcher'),
   pageTitle: document.getElementById('pageTitle'),
   pageSubtitle: document.getElementById('pageSubtitle'),
   refreshBtn: document.getElementById('refreshBtn'),
@@ -72,7 +118,18 @@ const elements = {
   repoTableBody: document.getElementById('repoTableBody'),
   dockerTableBody: document.getElementById('dockerTableBody'),
   repoSearch: document.getElementById('repoSearch'),
+  repoRegionFilter: document.getElementById('repoRegionFilter'),
+  repoAllProjects: document.getElementById('repoAllProjects'),
+  repoAllProjectsToggle: document.getElementById('repoAllProjectsToggle'),
+  newRepoBtn: document.getElementById('newRepoBtn'),
+  locationFailures: document.getElementById('locationFailures'),
   dockerSearch: document.getElementById('dockerSearch'),
+  dockerSortSelect: document.getElementById('dockerSortSelect'),
+  dockerUploadedSelect: document.getElementById('dockerUploadedSelect'),
+  dockerSizeSelect: document.getElementById('dockerSizeSelect'),
+  dockerTaggedSelect: document.getElementById('dockerTaggedSelect'),
+  dockerLayersBtn: document.getElementById('dockerLayersBtn'),
+  dockerScrollSentinel: document.getElementById('dockerScrollSentinel'),
 
   // Selects
   dockerRepoSelect: document.getElementById('dockerRepoSelect'),
@@ -83,9 +140,37 @@ const elements = {
   pullCommands: document.getElementById('pullCommands'),
   pullAuthCmd: document.getElementById('pullAuthCmd'),
   pullImageCmd: document.getElementById('pullImageCmd'),
+  promotePanel: document.getElementById('promotePanel'),
+  promoteDigest: document.getElementById('promoteDigest'),
+  promoteRepoSelect: document.getElementById('promoteRepoSelect'),
+  promoteTargetName: document.getElementById('promoteTargetName'),
+  promoteTags: document.getElementById('promoteTags'),
+  promoteNote: document.getElementById('promoteNote'),
+  executePromote: document.getElementById('executePromote'),
+  promoteProgress: document.getElementById('promoteProgress'),
+  promoteProgressTitle: document.getElementById('promoteProgressTitle'),
+  promoteProgressFill: document.getElementById('promoteProgressFill'),
+  promoteProgressText: document.getElementById('promoteProgressText'),
+  promoteLog: document.getElementById('promoteLog'),
 
   // Docker Hub Browser
   popularGrid: document.getElementById('popularGrid'),
+  proxyGrid: document.getElementById('proxyGrid'),
+  proxyTableContainer: document.getElementById('proxyTableContainer'),
+  proxyTableBody: document.getElementById('proxyTableBody'),
+  proxyHint: document.getElementById('proxyHint'),
+  uploadRepoSelect: document.getElementById('uploadRepoSelect'),
+  uploadDropzone: document.getElementById('uploadDropzone'),
+  uploadFileInput: document.getElementById('uploadFileInput'),
+  uploadFileList: document.getElementById('uploadFileList'),
+  uploadFields: document.getElementById('uploadFields'),
+  uploadStart: document.getElementById('uploadStart'),
+  uploadClear: document.getElementById('uploadClear'),
+  uploadProgress: document.getElementById('uploadProgress'),
+  uploadProgressTitle: document.getElementById('uploadProgressTitle'),
+  uploadProgressFill: document.getElementById('uploadProgressFill'),
+  uploadProgressText: document.getElementById('uploadProgressText'),
+  uploadLog: document.getElementById('uploadLog'),
   dockerHubSearch: document.getElementById('dockerHubSearch'),
   searchDockerHub: document.getElementById('searchDockerHub'),
   searchResults: document.getElementById('searchResults'),
@@ -100,6 +185,12 @@ const elements = {
   transferTagSelect: document.getElementById('transferTagSelect'),
   transferTargetName: document.getElementById('transferTargetName'),
   generateTransferCmd: document.getElementById('generateTransferCmd'),
+  executeTransfer: document.getElementById('executeTransfer'),
+  transferProgress: document.getElementById('transferProgress'),
+  transferProgressTitle: document.getElementById('transferProgressTitle'),
+  transferProgressFill: document.getElementById('transferProgressFill'),
+  transferProgressText: document.getElementById('transferProgressText'),
+  transferLog: document.getElementById('transferLog'),
   transferCommands: document.getElementById('transferCommands'),
   transferSteps: document.getElementById('transferSteps'),
   copyAllCommands: document.getElementById('copyAllCommands'),
@@ -108,6 +199,53 @@ const elements = {
   settingsProjectId: document.getElementById('settingsProjectId'),
   settingsServiceAccount: document.getElementById('settingsServiceAccount'),
   clearCredentialsBtn: document.getElementById('clearCredentials'),
+  profileList: document.getElementById('profileList'),
+  vulnReportFile: document.getElementById('vulnReportFile'),
+  vulnReportUri: document.getElementById('vulnReportUri'),
+  importVulnReport: document.getElementById('importVulnReport'),
+  addProfileBtn: document.getElementById('addProfileBtn'),
+
+  // Cleanup
+  cleanupRepoSelect: document.getElementById('cleanupRepoSelect'),
+  cleanupKeepPattern: document.getElementById('cleanupKeepPattern'),
+  cleanupKeepCount: document.getElementById('cleanupKeepCount'),
+  cleanupUntaggedDays: document.getElementById('cleanupUntaggedDays'),
+  cleanupProtect: document.getElementById('cleanupProtect'),
+  cleanupPreviewBtn: document.getElementById('cleanupPreviewBtn'),
+  cleanupApplyBtn: document.getElementById('cleanupApplyBtn'),
+  cleanupReport: document.getElementById('cleanupReport'),
+
+  // Storage
+  storageTotal: document.getElementById('storageTotal'),
+  storageChange: document.getElementById('storageChange'),
+  storageChangeLabel: document.getElementById('storageChangeLabel'),
+  storageGrowth: document.getElementById('storageGrowth'),
+  storageUntagged: document.getElementById('storageUntagged'),
+  storageDays: document.getElementById('storageDays'),
+  storageTop: document.getElementById('storageTop'),
+  storageSnapshotBtn: document.getElementById('storageSnapshotBtn'),
+  storageChart: document.getElementById('storageChart'),
+  storageMeta: document.getElementById('storageMeta'),
+  storageRepoBody: document.getElementById('storageRepoBody'),
+  storageImageBody: document.getElementById('storageImageBody'),
+  storageDigestBody: document.getElementById('storageDigestBody'),
+
+  // Audit
+  auditTableBody: document.getElementById('auditTableBody'),
+  auditSearch: document.getElementById('auditSearch'),
+  auditActionFilter: document.getElementById('auditActionFilter'),
+  auditOutcomeFilter: document.getElementById('auditOutcomeFilter'),
+  auditFrom: document.getElementById('auditFrom'),
+  auditTo: document.getElementById('auditTo'),
+  auditExportCsv: document.getElementById('auditExportCsv'),
+  auditExportJsonl: document.getElementById('auditExportJsonl'),
+
+  // Notifications
+  notificationPollBtn: document.getElementById('notificationPollBtn'),
+  notificationAddBtn: document.getElementById('notificationAddBtn'),
+  notificationMeta: document.getElementById('notificationMeta'),
+  notificationSubscriptionBody: document.getElementById('notificationSubscriptionBody'),
+  notificationEventBody: document.getElementById('notificationEventBody'),
 
   // Modal
   modal: document.getElementById('modal'),
@@ -115,6 +253,9 @@ const elements = {
   modalBody: document.getElementById('modalBody'),
   modalClose: document.getElementById('modalClose'),
 
+  // Background operations
+  operationsTray: document.getElementById('operationsTray'),
+
   // Toast
   toast: document.getElementById('toast'),
   toastMessage: document.getElementById('toastMessage'),
@@ -150,12 +291,38 @@ function getFormatBadgeClass(format) {
   return 'unknown';
 }
 
+// Badge for a vulnerability summary/rollup: worst severity and its count
+function renderSeverityBadge(summary) {
+  if (!summary) return '';
+  if (!summary.highest) {
+    return '<span class="severity-badge severity-none" title="No known vulnerabilities">No CVEs</span>';
+  }
+
+  const counts = Object.entries(summary.counts)
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity.toLowerCase()}`)
+    .join(', ');
+  return `<span class="severity-badge severity-${summary.highest.toLowerCase()}" title="${counts}">
+    ${summary.counts[summary.highest]} ${summary.highest.toLowerCase()}
+  </span>`;
+}
+
 function formatStars(stars) {
   if (stars >= 1000000) return (stars / 1000000).toFixed(1) + 'M';
   if (stars >= 1000) return (stars / 1000).toFixed(1) + 'K';
   return stars.toString();
 }
 
+// Escape text from manifests and configs (history commands, labels) before rendering
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Extract base image name (removes SHA digest)
 function getBaseImageName(imageName) {
   // Image name format: "sha256:abc.../imagename" or "imagename@sha256:abc..."
@@ -202,20 +369,15 @@ function groupDockerImages(images) {
     }
   });
 
-  // Convert Sets to arrays and sort by latest upload
+  // Convert Sets to arrays; groups keep the order the server sorted images in
   return Object.values(groups)
-    .map(g => ({ ...g, allTags: Array.from(g.allTags) }))
-    .sort((a, b) => {
-      if (!a.latestUpload) return 1;
-      if (!b.latestUpload) return -1;
-      return new Date(b.latestUpload) - new Date(a.latestUpload);
-    });
+    .map(g => ({ ...g, allTags: Array.from(g.allTags) }));
 }
 
 // Format file size
 function formatSize(bytes) {
   if (!bytes || bytes === 0) return 'N/A';
-  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
   const i = Math.floor(Math.log(bytes) / Math.log(1024));
   return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${sizes[i]}`;
 }
@@ -223,7 +385,7 @@ function formatSize(bytes) {
 // Generate correct pull command
 function generatePullCommand(location, repository, imageName, tag) {
   const registryHost = `${location}-docker.pkg.dev`;
-  const projectId = credentials?.project_id || 'PROJECT_ID';
+  const projectId = session?.projectId || 'PROJECT_ID';
   const tagSuffix = tag ? `:${tag}` : ':latest';
   return `docker pull ${registryHost}/${projectId}/${repository}/${imageName}${tagSuffix}`;
 }
@@ -232,22 +394,257 @@ function generatePullCommand(location, repository, imageName, tag) {
 function showAuthScreen() {
   elements.authScreen.classList.remove('hidden');
   elements.mainApp.classList.add('hidden');
+  elements.cancelAddProfile.classList.toggle('hidden', !addingProfile);
 }
 
 function showMainApp() {
   elements.authScreen.classList.add('hidden');
   elements.mainApp.classList.remove('hidden');
+  renderSessionInfo();
+  connectLiveUpdates();
+}
+
+// Registry changes pushed by the server (Pub/Sub notifications and change polls) and the
+// progress of background operations. The stream covers the projects of the session's
+// profiles at connect time, so it is reopened when they change.
+function connectLiveUpdates() {
+  if (!session || !window.EventSource) return;
+
+  const key = [...new Set((session.profiles || []).map(p => p.projectId))].sort().join(',');
+  if (liveUpdates?.key === key && liveUpdates.source.readyState !== EventSource.CLOSED) return;
+
+  disconnectLiveUpdates();
+  const source = new EventSource('/api/live');
+  source.addEventListener('registry', (e) => handleRegistryChange(JSON.parse(e.data)));
+  source.addEventListener('operation', (e) => handleOperationUpdate(JSON.parse(e.data)));
+  // Also fires on reconnects, after which missed operation events have to be caught up on
+  source.addEventListener('open', syncOperations);
+  liveUpdates = { source, key };
+}
+
+function disconnectLiveUpdates() {
+  liveUpdates?.source.close();
+  liveUpdates = null;
+  clearTimeout(liveRefreshTimer);
+}
+
+// Name of the view on screen, e.g. 'repositories'
+function activeView() {
+  return [...elements.views].find(v => v.classList.contains('active'))?.id.replace(/View$/, '');
+}
+
+// change: { action: 'INSERT' | 'DELETE', projectId, location, repository, image, digest, tag },
+// or package, version and tag instead for non-Docker formats (just package for a whole package)
+function handleRegistryChange(change) {
+  if (!session || change.projectId !== session.projectId) return;
+
+  // Cached results that no longer describe the repository
+  vulnerabilitySummary = null;
+  vulnerabilitySummaryRequest = null;
+  if (dockerLayerReport?.key === `${change.location}/${change.repository}`) dockerLayerReport = null;
+
+  const inCurrentRepository = change.location === currentLocation && change.repository === currentRepository;
+  if (inCurrentRepository) {
+    const what = change.image
+      ? `${change.image}${change.tag ? `:${change.tag}` : change.digest ? `@${change.digest.substring(0, 19)}` : ''}`
+      : change.package ? `${change.package}${change.version ? `@${change.version}` : change.tag ? `:${change.tag}` : ''}`
+      : `versions in ${change.repository}`;
+    showToast(`${change.action === 'INSERT' ? 'Pushed' : 'Deleted'} ${what}`);
+  }
+
+  liveRefreshImages = liveRefreshImages || inCurrentRepository;
+  clearTimeout(liveRefreshTimer);
+  liveRefreshTimer = setTimeout(refreshLiveListings, 1000);
+}
+
+// Refresh in place whatever listing a burst of registry changes touched
+function refreshLiveListings() {
+  const view = activeView();
+  if (liveRefreshImages && currentLocation && currentRepository) {
+    fetchDockerImages(currentLocation, currentRepository, { silent: true });
+  }
+  liveRefreshImages = false;
+
+  if (view === 'repositories') fetchRepositories({ silent: true });
+  if (view === 'notifications') loadNotifications();
+}
+
+// Update the sidebar switcher, settings and anything else derived from the active profile
+function renderSessionInfo() {
+  if (!session) return;
+
+  elements.projectId.textContent = session.projectId;
+  if (elements.settingsProjectId) {
+    elements.settingsProjectId.textContent = session.projectId;
+  }
+  if (elements.settingsServiceAccount) {
+    elements.settingsServiceAccount.textContent = session.serviceAccount;
+  }
+
+  const profiles = session.profiles || [];
+
+  elements.projectSwitcher.innerHTML = profiles.map(p =>
+    `<option value="${p.name}">${p.name}${p.name !== p.projectId ? ` (${escapeHtml(p.projectId)})` : ''}</option>`
+  ).join('') + '<option value="__add__">+ Add profile...</option>';
+  elements.projectSwitcher.value = session.activeProfile;
+
+  // Aggregating only makes sense with more than one project
+  const projects = new Set(profiles.map(p => p.projectId));
+  elements.repoAllProjectsToggle.classList.toggle('hidden', projects.size < 2);
+  if (projects.size < 2) elements.repoAllProjects.checked = false;
+
+  if (elements.profileList) {
+    elements.profileList.innerHTML = profiles.map(p => `
+      <div class="profile-row ${p.active ? 'active' : ''}">
+        <div class="profile-details">
+          <strong>${p.name}</strong>
+          <span>${escapeHtml(p.projectId)} &middot; ${escapeHtml(p.serviceAccount)}</span>
+        </div>
+        <div class="profile-actions">
+          ${p.active ? '<span class="profile-active-badge">Active</span>' : `
+            <button class="btn btn-secondary btn-small" onclick="switchProfile('${p.name}')">Switch</button>
+          `}
+          <button class="btn btn-danger btn-small" onclick="removeProfile('${p.name}')" ${profiles.length === 1 ? 'disabled' : ''}>Remove</button>
+        </div>
+      </div>
+    `).join('');
+  }
+}
+
+// Open the credentials screen to add another profile to the current session
+function showAddProfile() {
+  addingProfile = true;
+  elements.credentialsInput.value = '';
+  elements.profileNameInput.value = '';
+  elements.profileProjectInput.value = '';
+  hideAuthError();
+  showAuthScreen();
+}
+
+function cancelAddProfile() {
+  addingProfile = false;
+  showMainApp();
+}
+
+// Forget the selected repository/images of the previous project
+function resetRepositoryState() {
+  permissions = null;
+  currentLocation = '';
+  currentRepository = '';
+  allDockerImages = [];
+  groupedImages = {};
+  dockerNextPageToken = null;
+  vulnerabilitySummary = null;
+  vulnerabilitySummaryRequest = null;
+  resetCleanupReport();
+  const grid = document.getElementById('dockerImagesGrid');
+  if (grid) {
+    grid.innerHTML = `
+      <div class="empty-state">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect>
+          <path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path>
+        </svg>
+        <p>Select a repository to view Docker images</p>
+      </div>
+    `;
+  }
+  elements.dockerScrollSentinel.classList.add('hidden');
+}
+
+async function switchProfile(name) {
+  if (!session || name === session.activeProfile) return;
+
+  try {
+    const data = await apiPost('/api/profiles/switch', { name });
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    session = data;
+    renderSessionInfo();
+    resetRepositoryState();
+    loadPermissions();
+
+    // An aggregated listing already contains every project, only the selects change
+    if (elements.repoAllProjects.checked) {
+      populateRepoSelects();
+      loadVulnerabilitySummary().then(applyRepoFilters);
+    } else {
+      await fetchRepositories();
+    }
+    showToast(`Switched to ${session.activeProfile} (${session.projectId})`);
+  } catch (error) {
+    console.error('Failed to switch profile:', error);
+    showToast('Error: ' + error.message);
+    renderSessionInfo();
+  }
+}
 
-  // Update displays
-  if (credentials) {
-    elements.projectId.textContent = credentials.project_id;
-    if (elements.settingsProjectId) {
-      elements.settingsProjectId.textContent = credentials.project_id;
+async function removeProfile(name) {
+  if (!confirm(`Remove profile "${name}" from this session?`)) return;
+
+  try {
+    const wasActive = name === session.activeProfile;
+    const data = await apiDelete(`/api/profiles/${encodeURIComponent(name)}`);
+    if (data.error) {
+      throw new Error(data.error);
     }
-    if (elements.settingsServiceAccount) {
-      elements.settingsServiceAccount.textContent = credentials.client_email;
+
+    session = data;
+    renderSessionInfo();
+    if (wasActive) {
+      resetRepositoryState();
+      loadPermissions();
     }
+    await fetchRepositories();
+    showToast(`Removed profile ${name}`);
+  } catch (error) {
+    console.error('Failed to remove profile:', error);
+    showToast('Error: ' + error.message);
+  }
+}
+
+// Run a row action against the repository's own profile, switching to it first
+async function inProfile(profileName, action, ...args) {
+  if (profileName && session && profileName !== session.activeProfile) {
+    await switchProfile(profileName);
+  }
+  return action(...args);
+}
+
+// Unknown permissions (check failed or still loading) hide nothing; GCP enforces them anyway
+function can(capability, profileName) {
+  if (profileName && session && profileName !== session.activeProfile) return true;
+  return !permissions || permissions[capability] !== false;
+}
+
+// Project-level testIamPermissions for the active profile, then hide what it may not do
+async function loadPermissions() {
+  try {
+    const data = await apiPost('/api/permissions');
+    permissions = data.checked ? data.permissions : null;
+  } catch (error) {
+    console.error('Failed to check permissions:', error);
+    permissions = null;
+  }
+  applyPermissions();
+}
+
+function applyPermissions() {
+  document.querySelectorAll('[data-requires]').forEach(el => {
+    el.classList.toggle('hidden', !can(el.dataset.requires));
+  });
+
+  const settingsPermissions = document.getElementById('settingsPermissions');
+  if (settingsPermissions) {
+    const denied = permissions ? Object.keys(permissions).filter(key => !permissions[key]) : [];
+    settingsPermissions.textContent = !permissions
+      ? 'Not checked'
+      : denied.length === 0 ? 'All actions allowed' : `Cannot: ${denied.join(', ')}`;
   }
+  applyRepoFilters();
+  renderProxyRepositories();
 }
 
 // Validate and connect with credentials
@@ -281,16 +678,29 @@ async function validateAndConnect() {
     const response = await fetch('/api/validate-credentials', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ credentials: creds }),
+      credentials: 'same-origin',
+      body: JSON.stringify({
+        credentials: creds,
+        profileName: elements.profileNameInput.value.trim() || undefined,
+        projectId: elements.profileProjectInput.value.trim() || undefined,
+        addProfile: addingProfile,
+      }),
     });
 
     const data = await response.json();
 
     if (data.valid) {
-      storeCredentials(creds);
+      const added = addingProfile;
+      session = data;
+      addingProfile = false;
+      elements.credentialsInput.value = '';
+      elements.profileNameInput.value = '';
+      elements.profileProjectInput.value = '';
       showMainApp();
+      resetRepositoryState();
+      loadPermissions();
       await fetchRepositories();
-      showToast('Connected successfully!');
+      showToast(added ? `Added profile ${session.activeProfile}` : 'Connected successfully!');
     } else {
       showAuthError(data.error || 'Failed to validate credentials');
     }
@@ -317,35 +727,54 @@ function hideAuthError() {
   elements.authError.classList.add('hidden');
 }
 
-// Logout / disconnect
-function logout() {
-  clearCredentials();
+// Logout / disconnect - revokes the server-side session
+async function logout() {
+  try {
+    await fetch('/api/logout', { method: 'POST', credentials: 'same-origin' });
+  } catch (e) {
+    console.error('Failed to revoke session:', e);
+  }
+
+  disconnectLiveUpdates();
+  abandonOperations('Disconnected');
+  session = null;
+  addingProfile = false;
   repositories = [];
   showAuthScreen();
   elements.credentialsInput.value = '';
   showToast('Disconnected');
 }
 
-// API Functions - all now send credentials via POST
-async function fetchRepositories() {
-  if (!credentials) return;
+// API Functions - authenticated by the session cookie
 
-  elements.repoTableBody.innerHTML = `
-    <tr class="loading-row">
-      <td colspan="6">
-        <div class="loading-spinner"></div>
-        <span>Loading repositories...</span>
-      </td>
-    </tr>
-  `;
+// With the live stream open, repositories appear region by region as they are listed.
+// `silent` refreshes in place, without the loading state and toast (live updates).
+async function fetchRepositories({ silent = false } = {}) {
+  if (!session) return;
+
+  if (!silent) {
+    elements.repoTableBody.innerHTML = `
+      <tr class="loading-row">
+        <td colspan="7">
+          <div class="loading-spinner"></div>
+          <span>Loading repositories...</span>
+        </td>
+      </tr>
+    `;
+  }
+
+  const body = { allProfiles: elements.repoAllProjects.checked };
+  const listed = [];
 
   try {
-    const response = await fetch('/api/repositories', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ credentials }),
-    });
-    const data = await response.json();
+    const data = silent
+      ? await apiPost('/api/repositories', body)
+      : await backgroundRequest('/api/repositories', body, (event) => {
+        if (event.type !== 'location' || event.repositories.length === 0) return;
+        listed.push(...event.repositories);
+        repositories = [...listed];
+        applyRepoFilters();
+      });
 
     if (data.error) {
       throw new Error(data.error);
@@ -353,30 +782,54 @@ async function fetchRepositories() {
 
     repositories = data.repositories;
     updateStats();
-    renderRepositories(repositories);
+    populateRegionFilter();
+    applyRepoFilters();
     populateRepoSelects();
+    renderProxyRepositories();
+    renderLocationFailures(data.failures || []);
+    loadVulnerabilitySummary().then(applyRepoFilters);
 
-    showToast(`Loaded ${repositories.length} repositories`);
+    if (!silent) showToast(`Loaded ${repositories.length} repositories`);
   } catch (error) {
     console.error('Failed to fetch repositories:', error);
+    if (silent) return;
     elements.repoTableBody.innerHTML = `
       <tr class="empty-row">
-        <td colspan="6">Error: ${error.message}</td>
+        <td colspan="7">Error: ${error.message}</td>
       </tr>
     `;
   }
 }
 
-async function fetchDockerImages(location, repository) {
-  if (!credentials) return;
+// Sort and filter parameters for the Docker images list, read from the filter bar
+function getDockerQuery() {
+  const [orderBy, order] = elements.dockerSortSelect.value.split('|');
+  const query = { orderBy, order, pageSize: 100 };
 
-  // Store current selection
+  if (dockerSearchTerm) query.search = dockerSearchTerm;
+  if (elements.dockerUploadedSelect.value) {
+    const days = Number(elements.dockerUploadedSelect.value);
+    query.uploadedAfter = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (elements.dockerSizeSelect.value) query.minSize = elements.dockerSizeSelect.value;
+  if (elements.dockerTaggedSelect.value) query.tagged = elements.dockerTaggedSelect.value;
+
+  return query;
+}
+
+// `silent` refreshes in place, without the loading state and toast (live updates)
+async function fetchDockerImages(location, repository, { silent = false } = {}) {
+  if (!session) return;
+
+  // Store current selection and start over from the first page
   currentLocation = location;
   currentRepository = repository;
+  allDockerImages = [];
+  dockerNextPageToken = null;
 
   // Show loading state in card grid
   const grid = document.getElementById('dockerImagesGrid');
-  if (grid) {
+  if (grid && !silent) {
     grid.innerHTML = `
       <div class="loading-state">
         <div class="loading-spinner"></div>
@@ -384,25 +837,32 @@ async function fetchDockerImages(location, repository) {
       </div>
     `;
   }
+  elements.dockerScrollSentinel.classList.add('hidden');
 
   try {
-    const response = await fetch(`/api/repositories/${location}/${repository}/docker-images`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ credentials }),
-    });
-    const data = await response.json();
+    const data = await apiPost(`/api/repositories/${location}/${repository}/docker-images`, getDockerQuery());
 
     if (data.error) {
       throw new Error(data.error);
     }
 
+    // Ignore a response for a repository that is no longer selected
+    if (location !== currentLocation || repository !== currentRepository) return;
+
     // Store and group images
     allDockerImages = data.images || [];
+    dockerNextPageToken = data.nextPageToken || null;
     const grouped = groupDockerImages(allDockerImages);
 
     renderDockerImagesGrid(grouped);
-    showToast(`Loaded ${grouped.length} image groups (${allDockerImages.length} total variants)`);
+    elements.dockerScrollSentinel.classList.toggle('hidden', !dockerNextPageToken);
+    fillDockerViewport();
+    if (!vulnerabilitySummary) {
+      loadVulnerabilitySummary().then(() => renderDockerImagesGrid(groupDockerImages(allDockerImages)));
+    }
+    if (!silent) {
+      showToast(`Loaded ${grouped.length} image groups (${allDockerImages.length} variants${dockerNextPageToken ? ', scroll for more' : ''})`);
+    }
   } catch (error) {
     console.error('Failed to fetch Docker images:', error);
     if (grid) {
@@ -415,21 +875,86 @@ async function fetchDockerImages(location, repository) {
   }
 }
 
-async function fetchPackages(location, repository) {
-  if (!credentials) return [];
+// Infinite scroll - append the next page when the sentinel comes into view
+async function loadMoreDockerImages() {
+  if (!dockerNextPageToken || dockerLoadingMore) return;
+
+  dockerLoadingMore = true;
+  const location = currentLocation;
+  const repository = currentRepository;
 
   try {
-    const response = await fetch(`/api/repositories/${location}/${repository}/packages`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ credentials }),
+    const data = await apiPost(`/api/repositories/${location}/${repository}/docker-images`, {
+      ...getDockerQuery(),
+      pageToken: dockerNextPageToken,
     });
-    const data = await response.json();
-    return data.packages || [];
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    if (location !== currentLocation || repository !== currentRepository) return;
+
+    allDockerImages = allDockerImages.concat(data.images || []);
+    dockerNextPageToken = data.nextPageToken || null;
+    renderDockerImagesGrid(groupDockerImages(allDockerImages));
+  } catch (error) {
+    console.error('Failed to load more Docker images:', error);
+    showToast('Error: ' + error.message);
+    dockerNextPageToken = null;
+  } finally {
+    dockerLoadingMore = false;
+    elements.dockerScrollSentinel.classList.toggle('hidden', !dockerNextPageToken);
+    fillDockerViewport();
+  }
+}
+
+// The observer only fires on visibility changes, so keep loading while the
+// sentinel is still on screen (e.g. a filtered page that was short)
+function fillDockerViewport() {
+  // offsetParent is null while the Docker view (or the sentinel) is hidden
+  if (!dockerNextPageToken || elements.dockerScrollSentinel.offsetParent === null) return;
+  const rect = elements.dockerScrollSentinel.getBoundingClientRect();
+  if (rect.top < window.innerHeight + 400) {
+    setTimeout(loadMoreDockerImages, 0);
+  }
+}
+
+async function fetchPackages(location, repository, pageToken = null) {
+  if (!session) return { packages: [], nextPageToken: null };
+
+  try {
+    const data = await apiPost(`/api/repositories/${location}/${repository}/packages`, { pageToken });
+    return { packages: data.packages || [], nextPageToken: data.nextPageToken || null };
   } catch (error) {
     console.error('Failed to fetch packages:', error);
-    return [];
+    return { packages: [], nextPageToken: null };
+  }
+}
+
+// Load the project's vulnerability summary once; failures (e.g. the Container
+// Analysis API not enabled) just leave badges out
+function loadVulnerabilitySummary() {
+  if (!vulnerabilitySummaryRequest) {
+    const request = apiPost('/api/vulnerabilities/summary')
+      .then(data => {
+        if (data.error) throw new Error(data.error);
+        // Ignore a response for a project that is no longer active
+        if (request !== vulnerabilitySummaryRequest) return;
+        vulnerabilitySummary = {
+          provider: data.provider,
+          images: Object.fromEntries(data.images.map(summary => [summary.digest, summary])),
+          repositories: data.repositories,
+        };
+      })
+      .catch(error => {
+        console.warn('Vulnerability summary unavailable:', error.message);
+        if (request !== vulnerabilitySummaryRequest) return;
+        vulnerabilitySummary = { provider: null, images: {}, repositories: {} };
+      });
+    vulnerabilitySummaryRequest = request;
   }
+  return vulnerabilitySummaryRequest;
 }
 
 async function fetchPopularImages() {
@@ -493,6 +1018,53 @@ async function fetchImageTags(imageName) {
   }
 }
 
+// Region filter options come from the locations that actually hold repositories
+function populateRegionFilter() {
+  if (!elements.repoRegionFilter) return;
+
+  const selected = elements.repoRegionFilter.value;
+  const regions = [...new Set(repositories.map(r => r.location))].sort();
+
+  elements.repoRegionFilter.innerHTML = `<option value="">All regions (${regions.length})</option>` +
+    regions.map(region => {
+      const count = repositories.filter(r => r.location === region).length;
+      return `<option value="${region}">${region} (${count})</option>`;
+    }).join('');
+
+  elements.repoRegionFilter.value = regions.includes(selected) ? selected : '';
+}
+
+function applyRepoFilters() {
+  const query = (elements.repoSearch?.value || '').toLowerCase();
+  const region = elements.repoRegionFilter?.value || '';
+
+  const filtered = repositories.filter(r =>
+    (!region || r.location === region) &&
+    (r.name.toLowerCase().includes(query) ||
+      r.format.toLowerCase().includes(query) ||
+      r.location.toLowerCase().includes(query) ||
+      (r.projectId || '').toLowerCase().includes(query))
+  );
+  renderRepositories(filtered);
+}
+
+function renderLocationFailures(failures) {
+  if (!elements.locationFailures) return;
+
+  if (failures.length === 0) {
+    elements.locationFailures.classList.add('hidden');
+    return;
+  }
+
+  elements.locationFailures.innerHTML = `
+    <strong>Some locations could not be listed:</strong>
+    <ul>
+      ${failures.map(f => `<li>${f.projectId && elements.repoAllProjects.checked ? `${f.projectId}/` : ''}${f.location}: ${f.error}</li>`).join('')}
+    </ul>
+  `;
+  elements.locationFailures.classList.remove('hidden');
+}
+
 // Render Functions
 function updateStats() {
   const docker = repositories.filter(r => r.format === 'DOCKER').length;
@@ -507,43 +1079,95 @@ function renderRepositories(repos) {
   if (repos.length === 0) {
     elements.repoTableBody.innerHTML = `
       <tr class="empty-row">
-        <td colspan="6">No repositories found</td>
+        <td colspan="7">No repositories found</td>
       </tr>
     `;
     return;
   }
 
+  const showProject = elements.repoAllProjects.checked;
+
   elements.repoTableBody.innerHTML = repos.map(repo => `
     <tr>
       <td>
         <strong style="color: var(--text-primary)">${repo.name}</strong>
+        ${repoVulnerabilityBadge(repo)}
+        ${showProject ? `<div class="repo-project">${repo.projectId}</div>` : ''}
       </td>
       <td>
         <span class="format-badge ${getFormatBadgeClass(repo.format)}">${repo.format}</span>
       </td>
+      <td>${repoModeCell(repo)}</td>
       <td>${repo.location}</td>
-      <td>${repo.description || '-'}</td>
+      <td>${escapeHtml(repo.description || '-')}</td>
       <td>${formatDate(repo.createdAt)}</td>
       <td>
-        <button class="action-btn" onclick="viewRepoDetails('${repo.location}', '${repo.name}', '${repo.format}')" title="View Details">
+        <button class="action-btn" onclick="inProfile('${repo.profile}', viewRepoDetails, '${repo.location}', '${repo.name}', '${repo.format}')" title="View Details">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
             <circle cx="12" cy="12" r="3"></circle>
           </svg>
         </button>
         ${repo.format === 'DOCKER' ? `
-          <button class="action-btn" onclick="showDockerImagesForRepo('${repo.location}', '${repo.name}')" title="View Docker Images">
+          <button class="action-btn" onclick="inProfile('${repo.profile}', showDockerImagesForRepo, '${repo.location}', '${repo.name}')" title="View Docker Images">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect>
               <path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path>
             </svg>
           </button>
         ` : ''}
+        ${can('updateRepository', repo.profile) ? `
+        <button class="action-btn" onclick="inProfile('${repo.profile}', openRepositoryForm, '${repo.location}', '${repo.name}')" title="Edit Repository">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M12 20h9"></path>
+            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+          </svg>
+        </button>
+        ` : ''}
+        ${can('deleteRepository', repo.profile) ? `
+        <button class="action-btn danger" onclick="inProfile('${repo.profile}', deleteRepository, '${repo.location}', '${repo.name}')" title="Delete Repository">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="3 6 5 6 21 6"></polyline>
+            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+          </svg>
+        </button>
+        ` : ''}
       </td>
     </tr>
   `).join('');
 }
 
+// Remote repos name their upstream; virtual ones list upstreams by priority
+function repoModeCell(repo) {
+  if (repo.mode === 'remote') {
+    return `<span class="mode-badge mode-remote">remote</span>
+      <div class="repo-upstreams">↑ ${repo.remote?.label || 'upstream'}</div>`;
+  }
+  if (repo.mode === 'virtual') {
+    const upstreams = repo.virtual?.upstreams || [];
+    return `<span class="mode-badge mode-virtual">virtual</span>
+      <div class="repo-upstreams">${upstreams.map(u => `${u.repository} <span class="muted">(${u.priority})</span>`).join(', ') || 'no upstreams'}</div>`;
+  }
+  return '<span class="mode-badge">standard</span>';
+}
+
+// Summaries cover the active project only
+function repoVulnerabilityBadge(repo) {
+  if (!vulnerabilitySummary || (repo.projectId && repo.projectId !== session?.projectId)) return '';
+  return renderSeverityBadge(vulnerabilitySummary.repositories[`${repo.location}/${repo.name}`]);
+}
+
+// Most recently uploaded variant of an image group
+function latestVariant(group) {
+  return group.variants.reduce((latest, v) =>
+    !latest || new Date(v.uploadedAt) > new Date(latest.uploadedAt) ? v : latest, null);
+}
+
+function imageVulnerabilityBadge(variant) {
+  if (!vulnerabilitySummary || !variant) return '';
+  return renderSeverityBadge(vulnerabilitySummary.images[variant.digest]);
+}
+
 function renderDockerImagesGrid(groups) {
   const grid = document.getElementById('dockerImagesGrid');
   if (!grid) return;
@@ -561,17 +1185,8 @@ function renderDockerImagesGrid(groups) {
     return;
   }
 
-  // Apply search filter if set
-  let filtered = groups;
-  if (dockerSearchTerm) {
-    const term = dockerSearchTerm.toLowerCase();
-    filtered = groups.filter(g =>
-      g.name.toLowerCase().includes(term) ||
-      g.allTags.some(t => t.toLowerCase().includes(term))
-    );
-  }
-
-  grid.innerHTML = filtered.map(group => `
+  // Search and filters are applied server-side, so every loaded group is shown
+  grid.innerHTML = groups.map(group => `
     <div class="image-card" onclick="showImageDetails('${group.name}')" data-image-name="${group.name}">
       <div class="image-card-header">
         <div class="image-card-icon">
@@ -584,6 +1199,7 @@ function renderDockerImagesGrid(groups) {
           <h4>${group.name}</h4>
           <span class="image-card-meta">${group.variants.length} variant${group.variants.length !== 1 ? 's' : ''}</span>
         </div>
+        ${imageVulnerabilityBadge(latestVariant(group))}
       </div>
       
       <div class="image-card-tags">
@@ -594,10 +1210,7 @@ function renderDockerImagesGrid(groups) {
       </div>
       
       <div class="image-card-stats">
-        <div class="stat">
-          <span class="stat-label">Total Size</span>
-          <span class="stat-value">${formatSize(group.totalSize)}</span>
-        </div>
+        ${imageSizeStat(group)}
         <div class="stat">
           <span class="stat-label">Latest</span>
           <span class="stat-value">${formatDate(group.latestUpload)}</span>
@@ -614,6 +1227,20 @@ function renderDockerImagesGrid(groups) {
   `).join('');
 }
 
+// Variants share layers, so once the layer index is loaded the card shows deduplicated bytes
+function imageSizeStat(group) {
+  const usage = imageLayerUsage(group.name);
+  return usage ? `
+        <div class="stat" title="Reported ${layerBytes(usage.reportedBytes)}; ${layerBytes(usage.freedBytes)} freed if deleted">
+          <span class="stat-label">Unique Size</span>
+          <span class="stat-value">${formatSize(usage.uniqueBytes)}</span>
+        </div>` : `
+        <div class="stat">
+          <span class="stat-label">Total Size</span>
+          <span class="stat-value">${formatSize(group.totalSize)}</span>
+        </div>`;
+}
+
 // Show image details modal
 function showImageDetails(imageName) {
   const group = groupDockerImages(allDockerImages).find(g => g.name === imageName);
@@ -640,6 +1267,9 @@ function showImageDetails(imageName) {
             <span class="label">Variants</span>
             <span class="value">${group.variants.length}</span>
           </div>
+          <div class="meta-item meta-actions">
+            ${can('deletePackage') ? `<button class="btn btn-danger btn-small" onclick="deleteDockerImage('${imageName}')">Delete Image</button>` : ''}
+          </div>
         </div>
       </div>
       
@@ -676,6 +1306,7 @@ function showImageDetails(imageName) {
                     <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
                     <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
                   </svg>
+                  ${can('deleteTag') ? `<button class="tag-delete" title="Remove tag" onclick="event.stopPropagation(); changeDockerTag('${imageName}', 'remove', '${tag}')">&times;</button>` : ''}
                 </div>
               `).join('')
       : '<p class="muted">No tags available</p>'}
@@ -690,56 +1321,466 @@ function showImageDetails(imageName) {
               <div class="variant-info">
                 <span class="variant-tags">${v.tags?.join(', ') || 'untagged'}</span>
                 <span class="variant-meta">${v.sizeFormatted} • ${formatDate(v.uploadedAt)}</span>
+                <div class="variant-actions">
+                  ${imageVulnerabilityBadge(v)}
+                  <button class="btn btn-secondary btn-small" onclick="loadImageVulnerabilities('${imageName}', '${v.digest}')">CVEs</button>
+                  <button class="btn btn-secondary btn-small" onclick="inspectDockerDigest('${imageName}', '${v.digest}')">Inspect</button>
+                  ${can('createTag') ? `<button class="btn btn-secondary btn-small" onclick="changeDockerTag('${imageName}', 'add', '', '${v.digest}')">Tag</button>` : ''}
+                  ${can('deleteVersion') ? `<button class="btn btn-danger btn-small" onclick="deleteDockerDigest('${imageName}', '${v.digest}')">Delete</button>` : ''}
+                </div>
               </div>
             </div>
           `).join('')}
         </div>
       </div>
+
+      <div class="image-details-section">
+        <h4>🛡️ Vulnerabilities</h4>
+        <div id="vulnerabilityPanel"></div>
+      </div>
+
+      ${group.variants.length > 1 ? `
+        <div class="image-details-section">
+          <h4>🔀 Compare Variants</h4>
+          <div class="compare-picker">
+            <select id="compareBase">
+              ${group.variants.map((v, i) => `<option value="${v.digest}" ${i === 1 ? 'selected' : ''}>${variantLabel(v)}</option>`).join('')}
+            </select>
+            <span>&rarr;</span>
+            <select id="compareTarget">
+              ${group.variants.map((v, i) => `<option value="${v.digest}" ${i === 0 ? 'selected' : ''}>${variantLabel(v)}</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary btn-small" onclick="compareDockerDigests('${imageName}')">Compare</button>
+          </div>
+        </div>
+      ` : ''}
     </div>
   `;
 
   elements.modal.classList.remove('hidden');
+  loadImageVulnerabilities(imageName, latestVariant(group).digest);
 }
 
-// Keep old function for backward compatibility
-function renderDockerImages(images) {
-  allDockerImages = images;
-  const grouped = groupDockerImages(images);
-  renderDockerImagesGrid(grouped);
-}
+// CVE table for one digest, rendered into the image details modal
+async function loadImageVulnerabilities(imageName, digest) {
+  const panel = document.getElementById('vulnerabilityPanel');
+  if (!panel) return;
 
-function renderPopularImages(images) {
-  if (!elements.popularGrid) return;
+  panel.innerHTML = '<div class="loading-spinner"></div>';
 
-  elements.popularGrid.innerHTML = images.map(img => `
-    <div class="popular-card" onclick="selectImageForTransfer('${img.name}')">
-      <div class="popular-card-name">
-        ${img.name}
-        ${!img.name.includes('/') ? '<span class="official-badge">Official</span>' : ''}
+  try {
+    const url = `/api/repositories/${currentLocation}/${currentRepository}/docker-images/${encodeURIComponent(imageName)}/${digest}/vulnerabilities`;
+    const data = await apiPost(url);
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    const heading = `<p class="variant-meta">${digest.substring(7, 19)} &middot; source: ${data.provider}</p>`;
+
+    if (!data.scanned) {
+      panel.innerHTML = `${heading}<p class="muted">No scan results for this digest</p>`;
+      return;
+    }
+
+    if (data.findings.length === 0) {
+      panel.innerHTML = `${heading}<p class="muted">No known vulnerabilities</p>`;
+      return;
+    }
+
+    const severityOrder = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'MINIMAL', 'UNKNOWN'];
+    const findings = [...data.findings].sort((a, b) =>
+      severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity) || (b.cvss || 0) - (a.cvss || 0));
+    // Merged results name the provider(s) behind each finding
+    const showSources = findings.some(f => f.sources);
+
+    panel.innerHTML = `
+      ${heading}
+      <p>${renderSeverityBadge(data.summary)} ${data.summary.total} findings, ${data.summary.fixable} fixable</p>
+      <div class="cve-table-wrapper">
+        <table class="data-table cve-table">
+          <thead>
+            <tr>
+              <th>CVE</th>
+              <th>Severity</th>
+              <th>Package</th>
+              <th>Installed</th>
+              <th>Fixed In</th>
+              <th>CVSS</th>
+              ${showSources ? '<th>Source</th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${findings.map(f => `
+              <tr>
+                <td title="${escapeHtml(f.description || '')}">
+                  ${f.url ? `<a href="${escapeHtml(f.url)}" target="_blank" rel="noopener">${escapeHtml(f.id)}</a>` : escapeHtml(f.id)}
+                </td>
+                <td><span class="severity-badge severity-${f.severity.toLowerCase()}">${f.severity.toLowerCase()}</span></td>
+                <td>${escapeHtml(f.package || '-')}</td>
+                <td><code>${escapeHtml(f.installedVersion || '-')}</code></td>
+                <td>${f.fixedVersion ? `<code>${escapeHtml(f.fixedVersion)}</code>` : '<span class="muted">no fix</span>'}</td>
+                <td>${f.cvss ?? '-'}</td>
+                ${showSources ? `<td>${escapeHtml((f.sources || []).join(', '))}</td>` : ''}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
       </div>
-      <div class="popular-card-desc">${img.description}</div>
-      <span class="popular-card-category">${img.category}</span>
-    </div>
-  `).join('');
+    `;
+  } catch (error) {
+    console.error('Failed to load vulnerabilities:', error);
+    panel.innerHTML = `<p class="muted">Error: ${escapeHtml(error.message)}</p>`;
+  }
 }
 
-function renderSearchResults(results) {
-  if (results.length === 0) {
-    elements.searchResultsBody.innerHTML = `
-      <tr class="empty-row">
-        <td colspan="5">No images found</td>
-      </tr>
-    `;
+// Import a Grype/Trivy JSON report from Settings (served by the local provider)
+async function importVulnerabilityReport() {
+  const file = elements.vulnReportFile.files[0];
+  if (!file) {
+    showToast('Choose a Grype or Trivy JSON report first');
+    return;
+  }
+
+  try {
+    const report = JSON.parse(await file.text());
+    const data = await apiPost('/api/vulnerabilities/import', {
+      report,
+      resourceUri: elements.vulnReportUri.value.trim() || undefined,
+    });
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    vulnerabilitySummary = null;
+    vulnerabilitySummaryRequest = null;
+    loadVulnerabilitySummary().then(applyRepoFilters);
+    elements.vulnReportFile.value = '';
+    showToast(`Imported findings for ${data.imported.length} image(s)`);
+  } catch (error) {
+    console.error('Failed to import report:', error);
+    showToast('Error: ' + error.message);
+  }
+}
+
+function variantLabel(variant) {
+  const tags = variant.tags?.length ? variant.tags.join(', ') : 'untagged';
+  return `${tags} (${variant.digest.substring(7, 19)}, ${formatDate(variant.uploadedAt)})`;
+}
+
+// Compare the two variants picked in the image details modal
+async function compareDockerDigests(imageName) {
+  const base = document.getElementById('compareBase').value;
+  const target = document.getElementById('compareTarget').value;
+
+  if (base === target) {
+    showToast('Pick two different variants to compare');
+    return;
+  }
+
+  elements.modalTitle.textContent = `Compare ${imageName}`;
+  elements.modalBody.innerHTML = '<div class="loading-spinner"></div><p>Comparing manifests and configs...</p>';
+
+  try {
+    const url = `/api/repositories/${currentLocation}/${currentRepository}/docker-images/${encodeURIComponent(imageName)}/compare`;
+    const data = await apiPost(url, { base, target });
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    elements.modalBody.innerHTML = renderImageComparison(imageName, data);
+  } catch (error) {
+    console.error('Failed to compare images:', error);
+    elements.modalBody.innerHTML = `
+      <p class="muted">Error: ${escapeHtml(error.message)}</p>
+      <button class="btn btn-secondary btn-small" onclick="showImageDetails('${imageName}')">&larr; Back</button>
+    `;
+  }
+}
+
+function formatSizeDelta(bytes) {
+  if (bytes === 0) return '±0';
+  return `${bytes > 0 ? '+' : '-'}${formatSize(Math.abs(bytes))}`;
+}
+
+function renderMapDiff(diff) {
+  const rows = [
+    ...diff.added.map(d => `<div class="diff-line added">+ ${escapeHtml(d.key)}=${escapeHtml(d.value)}</div>`),
+    ...diff.removed.map(d => `<div class="diff-line removed">- ${escapeHtml(d.key)}=${escapeHtml(d.value)}</div>`),
+    ...diff.changed.map(d => `
+      <div class="diff-line removed">- ${escapeHtml(d.key)}=${escapeHtml(d.before)}</div>
+      <div class="diff-line added">+ ${escapeHtml(d.key)}=${escapeHtml(d.after)}</div>
+    `),
+  ];
+  return rows.length ? `<div class="diff-block">${rows.join('')}</div>` : '<p class="muted">No changes</p>';
+}
+
+function renderImageComparison(imageName, data) {
+  const { layers, config, baseImage } = data;
+  const formatValue = (value) => value === null ? '(unset)' : escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+
+  const configRows = [
+    ...config.changed.map(c => `
+      <div class="diff-line removed">- ${c.field}: ${formatValue(c.before)}</div>
+      <div class="diff-line added">+ ${c.field}: ${formatValue(c.after)}</div>
+    `),
+    ...config.exposedPorts.added.map(p => `<div class="diff-line added">+ port ${p}</div>`),
+    ...config.exposedPorts.removed.map(p => `<div class="diff-line removed">- port ${p}</div>`),
+  ];
+
+  const layerRow = (layer, state) => `
+    <tr class="layer-${state}">
+      <td>${state === 'shared' ? '=' : state === 'added' ? '+' : '-'}</td>
+      <td><code>${layer.digest.substring(7, 19)}</code></td>
+      <td>${formatSize(layer.size)}</td>
+    </tr>
+  `;
+
+  let baseSummary;
+  if (baseImage.identical) {
+    baseSummary = 'Both images have identical layers.';
+  } else if (baseImage.drifted) {
+    const shared = baseImage.commonPrefixLayers;
+    const reason = shared === 0 ? 'no leading layers are shared'
+      : shared < baseImage.baseLayers ? `only ${shared} of ${baseImage.baseLayers} base layers are shared`
+        : 'the recorded base digest changed';
+    baseSummary = `<strong class="diff-warning">Base image drift:</strong> ${reason}.`;
+  } else {
+    baseSummary = `The first ${baseImage.commonPrefixLayers} layer(s) are identical; the images diverge at layer ${baseImage.commonPrefixLayers + 1}.`;
+  }
+
+  return `
+    <div class="image-details">
+      <div class="image-details-header">
+        <div class="image-meta">
+          <div class="meta-item">
+            <span class="label">Base</span>
+            <span class="value">${data.base.digest.substring(7, 19)} (${formatSize(data.base.totalSize)})</span>
+          </div>
+          <div class="meta-item">
+            <span class="label">Target</span>
+            <span class="value">${data.target.digest.substring(7, 19)} (${formatSize(data.target.totalSize)})</span>
+          </div>
+          <div class="meta-item">
+            <span class="label">Size Delta</span>
+            <span class="value ${data.sizeDelta > 0 ? 'diff-grew' : 'diff-shrank'}">${formatSizeDelta(data.sizeDelta)}</span>
+          </div>
+          <div class="meta-item meta-actions">
+            <button class="btn btn-secondary btn-small" onclick="showImageDetails('${imageName}')">&larr; Back</button>
+          </div>
+        </div>
+      </div>
+
+      <div class="image-details-section">
+        <h4>🧬 Base Image</h4>
+        <p>${baseSummary}</p>
+        ${baseImage.baseName.before || baseImage.baseName.after ? `
+          <p class="variant-meta">Base: ${escapeHtml(baseImage.baseName.before || '?')} &rarr; ${escapeHtml(baseImage.baseName.after || '?')}</p>
+        ` : ''}
+        ${baseImage.divergence ? `
+          <div class="diff-block">
+            <div class="diff-line removed">- ${escapeHtml(baseImage.divergence.before || '(no layer)')}</div>
+            <div class="diff-line added">+ ${escapeHtml(baseImage.divergence.after || '(no layer)')}</div>
+          </div>
+        ` : ''}
+      </div>
+
+      <div class="image-details-section">
+        <h4>🧱 Layers</h4>
+        <p class="variant-meta">
+          ${layers.shared.length} shared (${formatSize(layers.sharedBytes)}) &middot;
+          ${layers.onlyInTarget.length} added (${formatSize(layers.onlyInTargetBytes)}) &middot;
+          ${layers.onlyInBase.length} removed (${formatSize(layers.onlyInBaseBytes)})
+        </p>
+        <table class="data-table inspect-layers">
+          <tbody>
+            ${layers.shared.map(l => layerRow(l, 'shared')).join('')}
+            ${layers.onlyInTarget.map(l => layerRow(l, 'added')).join('')}
+            ${layers.onlyInBase.map(l => layerRow(l, 'removed')).join('')}
+          </tbody>
+        </table>
+      </div>
+
+      <div class="image-details-section">
+        <h4>⚙️ Config</h4>
+        ${configRows.length ? `<div class="diff-block">${configRows.join('')}</div>` : '<p class="muted">No changes</p>'}
+      </div>
+
+      <div class="image-details-section">
+        <h4>🌱 Environment</h4>
+        ${renderMapDiff(config.env)}
+      </div>
+
+      <div class="image-details-section">
+        <h4>🏷️ Labels</h4>
+        ${renderMapDiff(config.labels)}
+      </div>
+    </div>
+  `;
+}
+
+// Manifest/config inspector, shown in the image details modal.
+// `platform` selects an entry of a multi-arch index (defaults server-side).
+async function inspectDockerDigest(imageName, digest, platform = '') {
+  elements.modalTitle.textContent = `${imageName}@${digest.substring(7, 19)}`;
+  elements.modalBody.innerHTML = '<div class="loading-spinner"></div><p>Fetching manifest and config...</p>';
+  elements.modal.classList.remove('hidden');
+
+  try {
+    const url = `/api/repositories/${currentLocation}/${currentRepository}/docker-images/${encodeURIComponent(imageName)}/${digest}/inspect`;
+    const data = await apiPost(url, platform ? { platform } : {});
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    elements.modalBody.innerHTML = renderImageInspection(imageName, digest, data);
+  } catch (error) {
+    console.error('Failed to inspect image:', error);
+    elements.modalBody.innerHTML = `
+      <p class="muted">Error: ${escapeHtml(error.message)}</p>
+      <button class="btn btn-secondary btn-small" onclick="showImageDetails('${imageName}')">&larr; Back</button>
+    `;
+  }
+}
+
+function renderImageInspection(imageName, digest, data) {
+  const image = data.image;
+  const config = image.config;
+  const command = [...(config.entrypoint || []), ...(config.cmd || [])];
+  const labels = Object.entries(config.labels);
+
+  const platformPicker = data.platforms.length > 0 ? `
+    <div class="image-details-section">
+      <h4>🖥️ Platforms</h4>
+      <div class="inspect-platforms">
+        ${data.platforms.map(p => p.attestation ? `
+          <span class="platform-chip attestation" title="${p.digest}">attestation</span>
+        ` : `
+          <button class="platform-chip ${p.platform === data.selectedPlatform ? 'active' : ''}" title="${p.digest}"
+            onclick="inspectDockerDigest('${imageName}', '${digest}', '${p.platform}')">${p.platform}</button>
+        `).join('')}
+      </div>
+    </div>
+  ` : '';
+
+  return `
+    <div class="image-details">
+      <div class="image-details-header">
+        <div class="image-meta">
+          <div class="meta-item">
+            <span class="label">Media Type</span>
+            <span class="value">${data.mediaType.split('/').pop()}</span>
+          </div>
+          <div class="meta-item">
+            <span class="label">Platform</span>
+            <span class="value">${config.platform || '-'}</span>
+          </div>
+          <div class="meta-item">
+            <span class="label">Layers</span>
+            <span class="value">${image.layers.length} (${formatSize(image.totalSize)})</span>
+          </div>
+          <div class="meta-item meta-actions">
+            <button class="btn btn-secondary btn-small" onclick="showImageDetails('${imageName}')">&larr; Back</button>
+          </div>
+        </div>
+        <code class="digest">${data.digest}</code>
+      </div>
+
+      ${platformPicker}
+
+      <div class="image-details-section">
+        <h4>⚙️ Config</h4>
+        <div class="settings-info inspect-config">
+          <div class="info-row"><span class="info-label">Created:</span><span class="info-value">${config.created ? formatDate(config.created) : '-'}</span></div>
+          <div class="info-row"><span class="info-label">Command:</span><span class="info-value"><code>${command.length ? escapeHtml(command.join(' ')) : '-'}</code></span></div>
+          <div class="info-row"><span class="info-label">Working Dir:</span><span class="info-value">${escapeHtml(config.workingDir || '-')}</span></div>
+          <div class="info-row"><span class="info-label">User:</span><span class="info-value">${escapeHtml(config.user || '-')}</span></div>
+          <div class="info-row"><span class="info-label">Ports:</span><span class="info-value">${config.exposedPorts.join(', ') || '-'}</span></div>
+          ${config.volumes.length ? `<div class="info-row"><span class="info-label">Volumes:</span><span class="info-value">${escapeHtml(config.volumes.join(', '))}</span></div>` : ''}
+        </div>
+      </div>
+
+      <div class="image-details-section">
+        <h4>🌱 Environment</h4>
+        ${config.env.length
+      ? `<div class="inspect-list">${config.env.map(e => `<code>${escapeHtml(e)}</code>`).join('')}</div>`
+      : '<p class="muted">No environment variables</p>'}
+      </div>
+
+      <div class="image-details-section">
+        <h4>🏷️ Labels</h4>
+        ${labels.length
+      ? `<div class="inspect-list">${labels.map(([k, v]) => `<code>${escapeHtml(k)}=${escapeHtml(v)}</code>`).join('')}</div>`
+      : '<p class="muted">No labels</p>'}
+      </div>
+
+      <div class="image-details-section">
+        <h4>🧱 Layers &amp; History</h4>
+        <table class="data-table inspect-layers">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Size</th>
+              <th>Created By</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${image.history.map((h, i) => `
+              <tr class="${h.emptyLayer ? 'empty-layer' : ''}">
+                <td>${i + 1}</td>
+                <td title="${h.digest || 'no layer'}">${h.emptyLayer ? '-' : formatSize(h.size)}</td>
+                <td><code>${escapeHtml(h.createdBy || h.comment || '(no history)')}</code></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+// Keep old function for backward compatibility
+function renderDockerImages(images) {
+  allDockerImages = images;
+  const grouped = groupDockerImages(images);
+  renderDockerImagesGrid(grouped);
+}
+
+function renderPopularImages(images) {
+  if (!elements.popularGrid) return;
+
+  elements.popularGrid.innerHTML = images.map(img => `
+    <div class="popular-card" onclick="selectImageForTransfer('${img.name}')">
+      <div class="popular-card-name">
+        ${img.name}
+        ${!img.name.includes('/') ? '<span class="official-badge">Official</span>' : ''}
+      </div>
+      <div class="popular-card-desc">${img.description}</div>
+      <span class="popular-card-category">${img.category}</span>
+    </div>
+  `).join('');
+}
+
+function renderSearchResults(results) {
+  if (results.length === 0) {
+    elements.searchResultsBody.innerHTML = `
+      <tr class="empty-row">
+        <td colspan="5">No images found</td>
+      </tr>
+    `;
     return;
   }
 
   elements.searchResultsBody.innerHTML = results.map(result => `
     <tr>
       <td>
-        <strong style="color: var(--text-primary)">${result.name}</strong>
+        <strong style="color: var(--text-primary)">${escapeHtml(result.name)}</strong>
       </td>
       <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-        ${result.description || '-'}
+        ${escapeHtml(result.description || '-')}
       </td>
       <td>
         <span class="stars">⭐ ${formatStars(result.stars)}</span>
@@ -757,7 +1798,9 @@ function renderSearchResults(results) {
 }
 
 function populateRepoSelects() {
-  const dockerRepos = repositories.filter(r => r.format === 'DOCKER');
+  // Selects drive actions on the active profile, so other projects are left out
+  const ownRepos = repositories.filter(r => !r.profile || r.profile === session?.activeProfile);
+  const dockerRepos = ownRepos.filter(r => r.format === 'DOCKER');
 
   const dockerOptions = dockerRepos.map(r =>
     `<option value="${r.location}|${r.name}">${r.name} (${r.location})</option>`
@@ -769,15 +1812,349 @@ function populateRepoSelects() {
   if (elements.downloadRepoSelect) {
     elements.downloadRepoSelect.innerHTML = `<option value="">-- Select a repository --</option>${dockerOptions}`;
   }
+  // Remote and virtual repositories cannot be pushed to
+  const pushRepos = dockerRepos.filter(r => r.mode === 'standard');
   if (elements.transferRepoSelect) {
-    elements.transferRepoSelect.innerHTML = `<option value="">-- Select a Docker repository --</option>${dockerOptions}`;
+    const pushOptions = pushRepos.map(r =>
+      `<option value="${r.location}|${r.name}">${r.name} (${r.location})</option>`
+    ).join('');
+    elements.transferRepoSelect.innerHTML = `<option value="">-- Select a Docker repository --</option>${pushOptions}`;
+  }
+  if (elements.promoteRepoSelect) {
+    // Promotion may also target repositories of the session's other profiles (projects)
+    const activeProfile = session?.activeProfile || '';
+    const otherRepos = repositories.filter(r => r.profile && r.profile !== activeProfile && r.format === 'DOCKER' && r.mode === 'standard');
+    const promoteOptions = [...pushRepos, ...otherRepos].map(r => {
+      const profile = r.profile || activeProfile;
+      return `<option value="${profile}|${r.location}|${r.name}">${r.name} (${r.location}${profile !== activeProfile ? `, ${profile}` : ''})</option>`;
+    }).join('');
+    elements.promoteRepoSelect.innerHTML = `<option value="">-- Select a Docker repository --</option>${promoteOptions}`;
+  }
+  if (elements.uploadRepoSelect) {
+    const selected = elements.uploadRepoSelect.value;
+    const uploadOptions = ownRepos
+      .filter(r => r.mode === 'standard' && ['NPM', 'PYTHON', 'MAVEN', 'GENERIC'].includes(r.format))
+      .map(r => `<option value="${r.location}|${r.name}|${r.format}">${r.name} (${r.format}, ${r.location})</option>`)
+      .join('');
+    elements.uploadRepoSelect.innerHTML = `<option value="">-- Select an npm, Python, Maven or generic repository --</option>${uploadOptions}`;
+    elements.uploadRepoSelect.value = selected;
+    if (!elements.uploadRepoSelect.value) elements.uploadRepoSelect.value = '';
+    renderUploadFields();
+  }
+  if (elements.cleanupRepoSelect) {
+    const allOptions = ownRepos.map(r =>
+      `<option value="${r.location}|${r.name}">${r.name} (${r.format}, ${r.location})</option>`
+    ).join('');
+    elements.cleanupRepoSelect.innerHTML = `<option value="">-- Select a repository --</option>${allOptions}`;
+  }
+}
+
+// Public registries a remote repository can proxy (mirrors REMOTE_UPSTREAMS in lib/repositories.js)
+const REMOTE_UPSTREAMS = {
+  'docker-hub': { label: 'Docker Hub', format: 'DOCKER', description: 'Cache Docker Hub images and avoid pull rate limits' },
+  'maven-central': { label: 'Maven Central', format: 'MAVEN', description: 'Proxy Java dependencies from Maven Central' },
+  npmjs: { label: 'npm', format: 'NPM', description: 'Proxy packages from the public npm registry' },
+  pypi: { label: 'PyPI', format: 'PYTHON', description: 'Proxy Python packages from PyPI' },
+};
+
+// URL clients point at: a Docker host path, or the package index for other formats
+function repositoryEndpoint(repo) {
+  const path = `${repo.projectId || session?.projectId}/${repo.name}`;
+  switch (repo.format) {
+    case 'DOCKER': return `${repo.location}-docker.pkg.dev/${path}`;
+    case 'NPM': return `https://${repo.location}-npm.pkg.dev/${path}/`;
+    case 'PYTHON': return `https://${repo.location}-python.pkg.dev/${path}/simple/`;
+    case 'MAVEN': return `https://${repo.location}-maven.pkg.dev/${path}`;
+    default: return `${repo.location}-${repo.format.toLowerCase()}.pkg.dev/${path}`;
+  }
+}
+
+function renderProxyGrid() {
+  if (!elements.proxyGrid) return;
+
+  elements.proxyGrid.innerHTML = Object.entries(REMOTE_UPSTREAMS).map(([key, upstream]) => `
+    <div class="popular-card" onclick="openRepositoryForm(null, null, { mode: 'remote', format: '${upstream.format}', remote: { upstream: '${key}' } })">
+      <div class="popular-card-name">${upstream.label}</div>
+      <div class="popular-card-desc">${upstream.description}</div>
+      <span class="popular-card-category">remote · ${upstream.format.toLowerCase()}</span>
+    </div>
+  `).join('') + `
+    <div class="popular-card" onclick="openRepositoryForm(null, null, { mode: 'virtual' })">
+      <div class="popular-card-name">Virtual Repository</div>
+      <div class="popular-card-desc">Serve several repositories of one format behind a single URL, in priority order</div>
+      <span class="popular-card-category">virtual</span>
+    </div>
+  `;
+}
+
+// Remote and virtual repositories of the active project
+function renderProxyRepositories() {
+  if (!elements.proxyTableBody) return;
+
+  const proxies = repositories.filter(r =>
+    (!r.profile || r.profile === session?.activeProfile) && r.mode !== 'standard');
+
+  elements.proxyTableContainer.classList.toggle('hidden', proxies.length === 0);
+  elements.proxyTableBody.innerHTML = proxies.map(repo => `
+    <tr>
+      <td><strong style="color: var(--text-primary)">${repo.name}</strong><div class="repo-project">${repo.location}</div></td>
+      <td><span class="format-badge ${getFormatBadgeClass(repo.format)}">${repo.format}</span> ${repoModeCell(repo)}</td>
+      <td>${repo.mode === 'remote'
+        ? repo.remote?.label || '-'
+        : (repo.virtual?.upstreams || []).map(u => `${u.repository} (${u.priority})`).join('<br>') || '-'}</td>
+      <td><code>${repositoryEndpoint(repo)}</code></td>
+      <td>
+        ${can('updateRepository') ? `
+        <button class="action-btn" onclick="openRepositoryForm('${repo.location}', '${repo.name}')" title="Edit Repository">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M12 20h9"></path>
+            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+          </svg>
+        </button>
+        ` : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+// When a Docker Hub proxy exists, show how to pull the selected image through it instead
+function updateProxyHint() {
+  if (!elements.proxyHint) return;
+
+  const proxy = repositories.find(r =>
+    (!r.profile || r.profile === session?.activeProfile) && r.mode === 'remote' && r.remote?.upstream === 'docker-hub');
+
+  if (!proxy || !selectedTransferImage) {
+    elements.proxyHint.classList.add('hidden');
+    return;
+  }
+
+  // Official images live under library/ on Docker Hub
+  const image = selectedTransferImage.includes('/') ? selectedTransferImage : `library/${selectedTransferImage}`;
+  const tag = elements.transferTagSelect.value || 'latest';
+  const command = `docker pull ${repositoryEndpoint(proxy)}/${image}:${tag}`;
+
+  elements.proxyHint.innerHTML = `
+    <div class="step-content">
+      <p>No copy needed: <strong>${proxy.name}</strong> proxies Docker Hub. Pull through it:</p>
+      <code>${command}</code>
+      <button class="copy-btn" onclick="copyToClipboard('${command}')">Copy</button>
+    </div>
+  `;
+  elements.proxyHint.classList.remove('hidden');
+}
+
+// Package uploads (npm, Python, Maven, generic)
+let uploadFiles = [];           // [{ file, sha256 }] queued in the upload panel
+
+function selectedUploadRepo() {
+  const [location, name, format] = (elements.uploadRepoSelect.value || '').split('|');
+  return name ? { location, name, format } : null;
+}
+
+// Coordinates the files themselves don't carry
+function renderUploadFields() {
+  const repo = selectedUploadRepo();
+  const fields = {
+    NPM: `
+      <div class="form-group">
+        <label>Dist-tag</label>
+        <input type="text" id="uploadTag" placeholder="latest">
+      </div>`,
+    MAVEN: `
+      <p class="muted">Coordinates are read from the pom. Without one, fill them in and a minimal pom is generated.</p>
+      <div class="cleanup-rules">
+        <div class="form-group"><label>Group ID</label><input type="text" id="uploadGroupId" placeholder="com.example"></div>
+        <div class="form-group"><label>Artifact ID</label><input type="text" id="uploadArtifactId" placeholder="my-lib"></div>
+        <div class="form-group"><label>Version</label><input type="text" id="uploadVersion" placeholder="1.0.0"></div>
+      </div>`,
+    GENERIC: `
+      <div class="cleanup-rules">
+        <div class="form-group"><label>Package</label><input type="text" id="uploadPackageId" placeholder="my-tool"></div>
+        <div class="form-group"><label>Version</label><input type="text" id="uploadVersion" placeholder="1.0.0"></div>
+      </div>`,
+  };
+
+  elements.uploadFields.innerHTML = repo ? fields[repo.format] || '' : '';
+  elements.uploadStart.disabled = !repo || uploadFiles.length === 0;
+}
+
+async function sha256Hex(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function renderUploadFileList() {
+  elements.uploadFileList.innerHTML = uploadFiles.map((entry, index) => `
+    <li>
+      <span>${escapeHtml(entry.file.name)}</span>
+      <span class="muted">${formatSize(entry.file.size)}</span>
+      <code title="SHA-256">${entry.sha256 ? entry.sha256.substring(0, 16) + '…' : 'hashing…'}</code>
+      <button class="tag-delete" title="Remove" onclick="removeUploadFile(${index})">&times;</button>
+    </li>
+  `).join('');
+  elements.uploadStart.disabled = !selectedUploadRepo() || uploadFiles.length === 0 || uploadFiles.some(e => !e.sha256);
+}
+
+async function addUploadFiles(fileList) {
+  const added = [...fileList].map(file => ({ file, sha256: null }));
+  uploadFiles.push(...added);
+  renderUploadFileList();
+
+  // Hash in the browser so the server can prove it received the same bytes
+  for (const entry of added) {
+    entry.sha256 = await sha256Hex(entry.file);
+    renderUploadFileList();
+  }
+}
+
+function removeUploadFile(index) {
+  uploadFiles.splice(index, 1);
+  renderUploadFileList();
+}
+
+function clearUploadFiles() {
+  uploadFiles = [];
+  elements.uploadFileInput.value = '';
+  renderUploadFileList();
+  elements.uploadProgress.classList.add('hidden');
+}
+
+// XHR rather than fetch for upload progress; the response is NDJSON read as it arrives,
+// or with the live stream open just the operation whose events then arrive over it
+function startUpload() {
+  const repo = selectedUploadRepo();
+  if (!repo || uploadFiles.length === 0) return;
+
+  const form = new FormData();
+  uploadFiles.forEach(entry => form.append('files', entry.file, entry.file.name));
+  form.append('checksums', JSON.stringify(Object.fromEntries(uploadFiles.map(e => [e.file.name, e.sha256]))));
+
+  const field = (id) => document.getElementById(id)?.value.trim();
+  [['tag', 'uploadTag'], ['groupId', 'uploadGroupId'], ['artifactId', 'uploadArtifactId'],
+    ['packageId', 'uploadPackageId'], ['version', 'uploadVersion']].forEach(([name, id]) => {
+    if (field(id)) form.append(name, field(id));
+  });
+
+  const background = liveStreamOpen();
+  if (background) form.append('background', 'true');
+
+  elements.uploadStart.disabled = true;
+  elements.uploadProgress.classList.remove('hidden');
+  elements.uploadProgressTitle.textContent = `📤 Uploading to ${repo.name}...`;
+  elements.uploadProgressFill.style.width = '0%';
+  elements.uploadProgressText.textContent = 'Sending files...';
+  elements.uploadLog.innerHTML = '';
+
+  const log = (message, isError = false) => {
+    elements.uploadLog.insertAdjacentHTML('beforeend', `<li class="${isError ? 'error' : ''}">${escapeHtml(message)}</li>`);
+  };
+
+  let totalFiles = 0;
+  let filesDone = 0;
+
+  const handleEvent = (event) => {
+    if (event.type === 'start') {
+      totalFiles = event.files.length;
+      log(`${event.format} ${event.packageId}@${event.version}: ${event.files.map(f => f.filename).join(', ')}`);
+      log('Checksums match what the browser computed');
+    } else if (event.type === 'uploading') {
+      elements.uploadProgressText.textContent = `Pushing ${event.filename} (${formatSize(event.size)}) to Artifact Registry...`;
+    } else if (event.type === 'uploaded') {
+      filesDone++;
+      // The first half of the bar is the browser upload, the second half the push
+      elements.uploadProgressFill.style.width = `${50 + Math.round((filesDone / totalFiles) * 50)}%`;
+      log(`Pushed ${event.filename}`);
+    } else if (event.type === 'verified') {
+      log(event.verified === null
+        ? `${event.filename}: not listed yet, checksum not confirmed`
+        : `${event.filename}: registry SHA-256 ${event.verified ? 'matches' : 'DIFFERS'}`, event.verified === false);
+    } else if (event.type === 'done') {
+      elements.uploadProgressFill.style.width = '100%';
+      elements.uploadProgressTitle.textContent = '✅ Upload complete';
+      elements.uploadProgressText.textContent = `${event.packageId}@${event.version}`;
+      showToast(`Uploaded ${event.packageId}@${event.version}`);
+      uploadFiles = [];
+      renderUploadFileList();
+    } else if (event.type === 'error') {
+      elements.uploadProgressTitle.textContent = '❌ Upload failed';
+      elements.uploadProgressText.textContent = event.error;
+      log(event.error, true);
+    }
+  };
+
+  // Settled by the XHR once the server answers with the operation
+  let operationStarted = null;
+  if (background) {
+    awaitOperation(() => new Promise((resolve, reject) => { operationStarted = { resolve, reject }; }), handleEvent)
+      .catch(error => handleEvent({ type: 'error', error: error.message }))
+      .finally(renderUploadFileList);
   }
+
+  const fail = (message) => {
+    if (operationStarted) {
+      operationStarted.reject(new Error(message));
+    } else {
+      handleEvent({ type: 'error', error: message });
+    }
+  };
+
+  const xhr = new XMLHttpRequest();
+  let consumed = 0;
+
+  const readEvents = () => {
+    const text = xhr.responseText;
+    const end = text.lastIndexOf('\n') + 1;
+    if (end <= consumed) return;
+    text.substring(consumed, end).split('\n').filter(Boolean).forEach(line => handleEvent(JSON.parse(line)));
+    consumed = end;
+  };
+
+  xhr.upload.onprogress = (e) => {
+    if (!e.lengthComputable) return;
+    const percent = Math.round((e.loaded / e.total) * 100);
+    elements.uploadProgressFill.style.width = `${Math.round(percent / 2)}%`;
+    elements.uploadProgressText.textContent = `Sending ${formatSize(e.loaded)} of ${formatSize(e.total)} (${percent}%)`;
+  };
+
+  xhr.onprogress = () => {
+    if (xhr.status === 200) readEvents();
+  };
+
+  xhr.onload = () => {
+    if (xhr.status === 202) {
+      elements.uploadProgressText.textContent = 'Pushing to Artifact Registry...';
+      operationStarted.resolve(JSON.parse(xhr.responseText).operation);
+      return;
+    }
+
+    if (xhr.status === 200) {
+      readEvents();
+    } else {
+      let data = {};
+      try { data = JSON.parse(xhr.responseText); } catch (e) { /* not JSON */ }
+      if (xhr.status === 401 && data.requiresAuth) handleSessionExpired();
+      fail(data.error || `Upload failed (${xhr.status})`);
+    }
+    renderUploadFileList();
+  };
+
+  xhr.onerror = () => {
+    fail('Network error while uploading');
+    renderUploadFileList();
+  };
+
+  xhr.open('POST', `/api/repositories/${repo.location}/${repo.name}/uploads`);
+  xhr.withCredentials = true;
+  xhr.send(form);
 }
 
 // Transfer Functions
 async function selectImageForTransfer(imageName) {
   selectedTransferImage = imageName;
 
+  document.querySelector('.package-upload-section').classList.add('hidden');
+  document.querySelector('.proxy-section').classList.add('hidden');
   document.querySelector('.popular-images-section').classList.add('hidden');
   document.querySelector('.search-section').classList.add('hidden');
   elements.transferSection.classList.remove('hidden');
@@ -787,6 +2164,7 @@ async function selectImageForTransfer(imageName) {
 
   elements.transferTargetName.value = '';
   elements.transferCommands.classList.add('hidden');
+  elements.transferProgress.classList.add('hidden');
 
   elements.transferTagSelect.innerHTML = '<option value="">Loading tags...</option>';
   const tags = await fetchImageTags(imageName);
@@ -809,12 +2187,15 @@ async function selectImageForTransfer(imageName) {
     elements.transferTagSelect.innerHTML = '<option value="latest">latest</option>';
   }
 
+  updateProxyHint();
   showToast(`Selected ${imageName} for transfer`);
 }
 
 function cancelTransferSelection() {
   selectedTransferImage = null;
 
+  document.querySelector('.package-upload-section').classList.remove('hidden');
+  document.querySelector('.proxy-section').classList.remove('hidden');
   document.querySelector('.popular-images-section').classList.remove('hidden');
   document.querySelector('.search-section').classList.remove('hidden');
   elements.transferSection.classList.add('hidden');
@@ -838,21 +2219,14 @@ async function generateTransferCommands() {
   const [location, repository] = repoValue.split('|');
 
   try {
-    const response = await fetch('/api/transfer-commands', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        sourceImage: selectedTransferImage,
-        sourceTag: tag,
-        targetRepo: repository,
-        targetLocation: location,
-        targetName: targetName || null,
-        credentials: credentials,
-      }),
+    const data = await apiPost('/api/transfer-commands', {
+      sourceImage: selectedTransferImage,
+      sourceTag: tag,
+      targetRepo: repository,
+      targetLocation: location,
+      targetName: targetName || null,
     });
 
-    const data = await response.json();
-
     if (data.error) {
       throw new Error(data.error);
     }
@@ -882,16 +2256,409 @@ async function generateTransferCommands() {
   }
 }
 
-// Action Functions
-async function viewRepoDetails(location, repoName, format) {
+// Run the transfer on the server and follow its newline-delimited JSON progress stream
+// POST a JSON body and pass each line of the newline-delimited JSON response to handleEvent
+async function streamNdjson(url, body, handleEvent) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'same-origin',
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const data = await response.json();
+    if (response.status === 401 && data.requiresAuth) handleSessionExpired();
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(Boolean).forEach(line => handleEvent(JSON.parse(line)));
+  }
+}
+
+// Background operations. With the live stream open, long-running requests are started as
+// operations on the server and their events arrive over the stream, so the page is not
+// tied to one open request and can follow several at once in the operations tray.
+const OPERATION_LINGER_MS = 8000;
+
+function liveStreamOpen() {
+  return Boolean(liveUpdates && liveUpdates.source.readyState === EventSource.OPEN);
+}
+
+// Same contract as streamNdjson: handleEvent sees every event, ending with "done" or "error"
+async function startOperation(url, body, handleEvent) {
+  if (!liveStreamOpen()) return streamNdjson(url, body, handleEvent);
+  await runBackgroundOperation(url, body, handleEvent);
+}
+
+// For routes that answer with plain JSON unless run in the background: resolves with what
+// the request would have returned, the "done" event when it ran as an operation
+async function backgroundRequest(url, body, handleEvent = () => {}) {
+  if (!liveStreamOpen()) return apiPost(url, body);
+
+  let result = null;
+  const operation = await runBackgroundOperation(url, body, (event) => {
+    if (event.type === 'done') result = event;
+    handleEvent(event);
+  });
+  return result || { error: operation.error || 'Operation failed' };
+}
+
+function runBackgroundOperation(url, body, handleEvent) {
+  return awaitOperation(async () => {
+    const data = await apiPost(url, { ...body, background: true });
+    if (!data.operation) throw new Error(data.error || 'Failed to start the operation');
+    return data.operation;
+  }, handleEvent);
+}
+
+// start() sends the request and resolves with the operation it started. Updates that
+// arrive before it does are held back and replayed, so no event is missed. Resolves with
+// the finished operation.
+async function awaitOperation(start, handleEvent) {
+  pendingOperationStarts++;
+  let operation;
+  try {
+    operation = await start();
+  } finally {
+    pendingOperationStarts--;
+  }
+
+  const backlog = operationBacklog.get(operation.id) || [];
+  operationBacklog.delete(operation.id);
+  if (pendingOperationStarts === 0) operationBacklog.clear();
+  if (!trackedOperations.has(operation.id)) trackOperation(operation);
+
+  return new Promise((resolve) => {
+    const handler = { handleEvent, resolve };
+    operationHandlers.set(operation.id, handler);
+    backlog.forEach(update => deliverOperationUpdate(handler, update));
+  });
+}
+
+function deliverOperationUpdate(handler, update) {
+  handler.handleEvent(update.event);
+  if (update.status === 'running') return;
+  operationHandlers.delete(update.id);
+  handler.resolve(update);
+}
+
+// update: the operation's summary, with the event it reports in place of lastEvent
+function handleOperationUpdate(update) {
+  trackOperation({ ...update, lastEvent: update.event });
+
+  const handler = operationHandlers.get(update.id);
+  if (handler) {
+    deliverOperationUpdate(handler, update);
+  } else if (pendingOperationStarts > 0) {
+    operationBacklog.set(update.id, [...(operationBacklog.get(update.id) || []), update]);
+  }
+}
+
+// Catch up after (re)connecting: running operations of the session show up in the tray,
+// and operations that ended while the stream was down are settled
+async function syncOperations() {
+  try {
+    const data = await apiPost('/api/operations');
+    if (data.error) throw new Error(data.error);
+
+    data.operations
+      .filter(op => op.status === 'running' || trackedOperations.has(op.id))
+      .forEach(trackOperation);
+
+    operationHandlers.forEach((handler, id) => {
+      const operation = data.operations.find(op => op.id === id);
+      if (!operation) {
+        deliverOperationUpdate(handler, { id, status: 'failed', error: 'Operation lost', event: { type: 'error', error: 'Operation lost' } });
+      } else if (operation.status !== 'running') {
+        deliverOperationUpdate(handler, { ...operation, event: operation.lastEvent });
+      }
+    });
+  } catch (error) {
+    console.error('Failed to load operations:', error);
+  }
+}
+
+// Finished operations stay in the tray for a moment so their outcome can be seen
+function trackOperation(operation) {
+  const previous = trackedOperations.get(operation.id);
+  trackedOperations.set(operation.id, operation);
+
+  if (operation.status !== 'running' && (!previous || previous.status === 'running')) {
+    setTimeout(() => {
+      trackedOperations.delete(operation.id);
+      renderOperationsTray();
+    }, OPERATION_LINGER_MS);
+  }
+  renderOperationsTray();
+}
+
+function describeOperationProgress(operation) {
+  if (operation.status === 'failed') return operation.error;
+  if (operation.status === 'cancelled') return 'Cancelled';
+  if (operation.status === 'succeeded') return 'Done';
+
+  const event = operation.lastEvent;
+  if (!event) return 'Starting...';
+  if (event.type === 'progress' && event.totalBytes) {
+    return `${formatSize(event.bytesDone)} of ${formatSize(event.totalBytes)}`;
+  }
+  if (event.type === 'progress' && event.stage) {
+    return `${event.stage === 'deleting' ? 'Deleting' : 'Reading packages'} ${event.done} of ${event.total}`;
+  }
+  if (event.type === 'location') return `Listed ${event.location}`;
+  if (event.type === 'evaluated') return `${event.deletions} of ${event.versions} version(s) match`;
+  if (event.type === 'uploading') return `Pushing ${event.filename}`;
+  if (event.type === 'blob') return 'Copying layers...';
+  if (event.type === 'tag') return `Tagging ${event.tag}`;
+  return 'Running...';
+}
+
+function renderOperationsTray() {
+  const list = [...trackedOperations.values()];
+  elements.operationsTray.classList.toggle('hidden', list.length === 0);
+
+  elements.operationsTray.innerHTML = list.map(op => `
+    <div class="operation-item ${op.status}">
+      <div class="operation-info">
+        <div class="operation-label" title="${escapeHtml(op.label)}">${escapeHtml(op.label)}</div>
+        <div class="operation-progress">${escapeHtml(describeOperationProgress(op) || '')}</div>
+      </div>
+      ${op.status === 'running' ? `<button class="btn btn-secondary btn-small" onclick="cancelOperation('${op.id}')">Cancel</button>` : ''}
+    </div>
+  `).join('');
+}
+
+// The server cancels a session's operations when it ends; settle whatever still waits on them
+function abandonOperations(reason) {
+  operationHandlers.forEach((handler, id) => {
+    deliverOperationUpdate(handler, { id, status: 'cancelled', error: reason, event: { type: 'error', error: reason } });
+  });
+  operationBacklog.clear();
+  trackedOperations.clear();
+  renderOperationsTray();
+}
+
+async function cancelOperation(id) {
+  try {
+    const data = await apiDelete(`/api/operations/${id}`);
+    if (data.error) throw new Error(data.error);
+    showToast('Cancelling...');
+  } catch (error) {
+    showToast('Error: ' + error.message);
+  }
+}
+
+async function executeTransfer() {
+  const repoValue = elements.transferRepoSelect.value;
+  const tag = elements.transferTagSelect.value;
+  const targetName = elements.transferTargetName.value.trim();
+
+  if (!repoValue) {
+    showToast('Please select a target repository');
+    return;
+  }
+
+  if (!tag) {
+    showToast('Please select a tag');
+    return;
+  }
+
+  const [location, repository] = repoValue.split('|');
+
+  elements.executeTransfer.disabled = true;
+  elements.transferCommands.classList.add('hidden');
+  elements.transferProgress.classList.remove('hidden');
+  elements.transferProgressTitle.textContent = '🚚 Transferring image...';
+  elements.transferProgressFill.style.width = '0%';
+  elements.transferProgressText.textContent = 'Resolving manifest...';
+  elements.transferLog.innerHTML = '';
+
+  const log = (message, isError = false) => {
+    elements.transferLog.insertAdjacentHTML('beforeend', `<li class="${isError ? 'error' : ''}">${message}</li>`);
+    elements.transferLog.scrollTop = elements.transferLog.scrollHeight;
+  };
+
+  const handleEvent = (event) => {
+    if (event.type === 'start') {
+      elements.transferSource.textContent = event.source;
+      elements.transferDest.textContent = event.target;
+    } else if (event.type === 'resolved') {
+      const platforms = event.platforms.map(p => `${p.os}/${p.architecture}${p.variant ? '/' + p.variant : ''}`);
+      log(`Resolved ${event.digest.substring(0, 19)} - ${event.manifests} manifest(s), ${event.blobs} blob(s), ${formatSize(event.totalBytes)}`);
+      if (platforms.length > 0) log(`Platforms: ${platforms.join(', ')}`);
+    } else if (event.type === 'progress') {
+      const percent = event.totalBytes ? Math.round((event.bytesDone / event.totalBytes) * 100) : 100;
+      elements.transferProgressFill.style.width = `${percent}%`;
+      elements.transferProgressText.textContent = `${formatSize(event.bytesDone)} of ${formatSize(event.totalBytes)} (${percent}%)`;
+    } else if (event.type === 'blob' && event.status !== 'copying') {
+      log(`${event.status === 'exists' ? 'Skipped (exists)' : 'Copied'} ${event.digest.substring(0, 19)} ${formatSize(event.size)}`);
+    } else if (event.type === 'manifest') {
+      log(`Pushed manifest ${event.reference || event.digest.substring(0, 19)}`);
+    } else if (event.type === 'done') {
+      elements.transferProgressFill.style.width = '100%';
+      elements.transferProgressTitle.textContent = '✅ Transfer complete';
+      elements.transferProgressText.textContent = `${event.target} (${event.digest.substring(0, 19)})`;
+      showToast('Image transferred!');
+    } else if (event.type === 'error') {
+      elements.transferProgressTitle.textContent = '❌ Transfer failed';
+      elements.transferProgressText.textContent = event.error;
+      log(event.error, true);
+    }
+  };
+
+  try {
+    await startOperation('/api/transfers', {
+      sourceImage: selectedTransferImage,
+      sourceTag: tag,
+      targetRepo: repository,
+      targetLocation: location,
+      targetName: targetName || null,
+    }, handleEvent);
+  } catch (error) {
+    console.error('Transfer failed:', error);
+    handleEvent({ type: 'error', error: error.message });
+  } finally {
+    elements.executeTransfer.disabled = false;
+  }
+}
+
+// Promotion: copy the digest picked in the Download view to another repository
+let promoteSource = null;       // { location, repository, image, reference } of the selected digest
+
+function renderPromotePanel(location, repository, imageName, tag) {
+  const group = downloadImageGroups.find(g => g.name === imageName);
+  const variant = group?.variants.find(v => v.tags?.includes(tag)) || (group && latestVariant(group));
+
+  if (!variant) {
+    elements.promotePanel.classList.add('hidden');
+    promoteSource = null;
+    return;
+  }
+
+  promoteSource = { location, repository, image: imageName, reference: variant.digest };
+  elements.promoteDigest.textContent = `${imageName}@${variant.digest}`;
+  elements.promoteTags.innerHTML = (variant.tags || []).length > 0
+    ? variant.tags.map(t => `
+        <label class="checkbox-label">
+          <input type="checkbox" value="${escapeHtml(t)}" checked> ${escapeHtml(t)}
+        </label>
+      `).join('')
+    : '<span class="muted">Untagged - only the digest is copied</span>';
+  elements.promoteProgress.classList.add('hidden');
+  elements.promotePanel.classList.remove('hidden');
+}
+
+async function executePromotion() {
+  const targetValue = elements.promoteRepoSelect.value;
+  if (!promoteSource || !targetValue) {
+    showToast('Please select a target repository');
+    return;
+  }
+
+  const [profile, location, repository] = targetValue.split('|');
+  const tags = [...elements.promoteTags.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+
+  elements.executePromote.disabled = true;
+  elements.promoteProgress.classList.remove('hidden');
+  elements.promoteProgressTitle.textContent = '🚀 Promoting...';
+  elements.promoteProgressFill.style.width = '0%';
+  elements.promoteProgressText.textContent = 'Resolving manifest...';
+  elements.promoteLog.innerHTML = '';
+
+  const log = (message, isError = false) => {
+    elements.promoteLog.insertAdjacentHTML('beforeend', `<li class="${isError ? 'error' : ''}">${escapeHtml(message)}</li>`);
+    elements.promoteLog.scrollTop = elements.promoteLog.scrollHeight;
+  };
+
+  const handleEvent = (event) => {
+    if (event.type === 'start') {
+      log(`${event.source} → ${event.target}`);
+    } else if (event.type === 'resolved') {
+      log(`${event.manifests} manifest(s), ${event.blobs} blob(s), ${formatSize(event.totalBytes)}`);
+    } else if (event.type === 'progress') {
+      const percent = event.totalBytes ? Math.round((event.bytesDone / event.totalBytes) * 100) : 100;
+      elements.promoteProgressFill.style.width = `${percent}%`;
+      elements.promoteProgressText.textContent = `${formatSize(event.bytesDone)} of ${formatSize(event.totalBytes)} (${percent}%)`;
+    } else if (event.type === 'blob' && event.status !== 'copying') {
+      log(`${event.status === 'exists' ? 'Already in target' : 'Copied'} ${event.digest.substring(0, 19)} ${formatSize(event.size)}`);
+    } else if (event.type === 'tag') {
+      const verb = { 'add-tag': 'Added', 'move-tag': `Moved (was ${event.from?.substring(0, 19)})`, none: 'Already set' }[event.action];
+      log(`Tag ${event.tag}: ${verb}`);
+    } else if (event.type === 'provenance') {
+      log(event.recorded ? `Provenance recorded (${event.by}, ${new Date(event.at).toLocaleString()})` : `Provenance not recorded: ${event.error}`, !event.recorded);
+    } else if (event.type === 'done') {
+      elements.promoteProgressFill.style.width = '100%';
+      elements.promoteProgressTitle.textContent = '✅ Promotion complete';
+      elements.promoteProgressText.textContent = event.target;
+      showToast('Image promoted!');
+    } else if (event.type === 'error') {
+      elements.promoteProgressTitle.textContent = '❌ Promotion failed';
+      elements.promoteProgressText.textContent = event.error;
+      log(event.error, true);
+    }
+  };
+
+  try {
+    await startOperation('/api/promotions', {
+      source: promoteSource,
+      target: { profile, location, repository, image: elements.promoteTargetName.value.trim() || null },
+      tags,
+      note: elements.promoteNote.value.trim(),
+    }, handleEvent);
+  } catch (error) {
+    console.error('Promotion failed:', error);
+    handleEvent({ type: 'error', error: error.message });
+  } finally {
+    elements.executePromote.disabled = false;
+  }
+}
+
+// Action Functions
+async function viewRepoDetails(location, repoName, format) {
   elements.modalTitle.textContent = `${repoName} Details`;
-  elements.modalBody.innerHTML = '<div class="loading-spinner"></div><p>Loading packages...</p>';
+  elements.modalBody.innerHTML = `
+    <div class="modal-tabs">
+      <button class="modal-tab active" data-tab="packages">Packages</button>
+      ${can('getIamPolicy') ? '<button class="modal-tab" data-tab="permissions">Permissions</button>' : ''}
+    </div>
+    <div id="repoDetailsPanel"></div>
+  `;
   elements.modal.classList.remove('hidden');
 
-  const packages = await fetchPackages(location, repoName);
+  elements.modalBody.querySelectorAll('.modal-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      elements.modalBody.querySelectorAll('.modal-tab').forEach(t => t.classList.toggle('active', t === tab));
+      if (tab.dataset.tab === 'permissions') {
+        showRepoPermissions(location, repoName);
+      } else {
+        showRepoPackages(location, repoName, format);
+      }
+    });
+  });
+
+  await showRepoPackages(location, repoName, format);
+}
+
+async function showRepoPackages(location, repoName, format) {
+  const panel = document.getElementById('repoDetailsPanel');
+  panel.innerHTML = '<div class="loading-spinner"></div><p>Loading packages...</p>';
+
+  const { packages, nextPageToken } = await fetchPackages(location, repoName);
 
   if (packages.length === 0) {
-    elements.modalBody.innerHTML = `
+    panel.innerHTML = `
       <div style="text-align: center; padding: 40px; color: var(--text-muted);">
         <p>No packages found in this ${format} repository.</p>
         ${format === 'DOCKER' ? '<p>Use the Docker Images view to see container images.</p>' : ''}
@@ -900,28 +2667,1090 @@ async function viewRepoDetails(location, repoName, format) {
     return;
   }
 
-  elements.modalBody.innerHTML = `
+  panel.innerHTML = `
     <table class="data-table">
       <thead>
         <tr>
           <th>Package Name</th>
           <th>Created</th>
           <th>Updated</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody id="packageTableBody">
+        ${renderPackageRows(location, repoName, format, packages)}
+      </tbody>
+    </table>
+  `;
+
+  renderPackagesLoadMore(location, repoName, format, nextPageToken);
+}
+
+// Pending binding changes for the permissions tab, reviewed as a diff before applying
+let iamChanges = [];
+
+async function showRepoPermissions(location, repoName) {
+  const panel = document.getElementById('repoDetailsPanel');
+  panel.innerHTML = '<div class="loading-spinner"></div><p>Loading IAM policy...</p>';
+  iamChanges = [];
+
+  let data;
+  try {
+    data = await apiPost(`/api/repositories/${location}/${repoName}/iam`);
+    if (data.error) {
+      throw new Error(data.error);
+    }
+  } catch (error) {
+    panel.innerHTML = `<p>Error: ${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  const { policy, roles } = data;
+  const editable = data.permissions.setIamPolicy;
+  const roleKey = (role) => Object.keys(roles).find(key => roles[key] === role);
+
+  panel.innerHTML = `
+    <table class="data-table iam-table">
+      <thead>
+        <tr>
+          <th>Role</th>
+          <th>Members</th>
         </tr>
       </thead>
       <tbody>
-        ${packages.map(pkg => `
+        ${policy.bindings.length === 0 ? '<tr class="empty-row"><td colspan="2">No repository-level bindings. Access is inherited from the project.</td></tr>' : ''}
+        ${policy.bindings.map(binding => `
           <tr>
-            <td><strong style="color: var(--text-primary)">${pkg.name}</strong></td>
-            <td>${formatDate(pkg.createdAt)}</td>
-            <td>${formatDate(pkg.updatedAt)}</td>
+            <td><code>${binding.role}</code>${binding.condition ? `<div class="muted">if ${escapeHtml(binding.condition.title || binding.condition.expression)}</div>` : ''}</td>
+            <td>
+              ${binding.members.map(member => `
+                <span class="member-chip">
+                  ${escapeHtml(member)}
+                  ${editable && roleKey(binding.role) && !binding.condition ? `<button class="tag-delete" title="Remove" data-role="${roleKey(binding.role)}" data-member="${escapeHtml(member)}">&times;</button>` : ''}
+                </span>
+              `).join('')}
+            </td>
           </tr>
         `).join('')}
       </tbody>
     </table>
+
+    ${editable ? `
+      <div class="iam-add">
+        <input type="text" id="iamMember" placeholder="user:alice@example.com or serviceAccount:ci@project.iam.gserviceaccount.com">
+        <select id="iamRole">
+          ${Object.keys(roles).map(key => `<option value="${key}">${key}</option>`).join('')}
+        </select>
+        <button class="btn btn-secondary btn-small" id="iamAdd">Add</button>
+      </div>
+      <div id="iamPending" class="iam-pending"></div>
+      <div id="iamDiff"></div>
+      <div class="deletion-actions">
+        <button class="btn btn-primary" id="iamReview" disabled>Review Changes</button>
+      </div>
+    ` : '<p class="muted">You can view this policy but not change it (missing artifactregistry.repositories.setIamPolicy).</p>'}
+  `;
+
+  if (!editable) return;
+
+  const renderPending = () => {
+    document.getElementById('iamPending').innerHTML = iamChanges.length === 0 ? '' : `
+      <div class="diff-block">
+        ${iamChanges.map(change => `
+          <div class="diff-line ${change.action === 'add' ? 'added' : 'removed'}">${change.action === 'add' ? '+' : '-'} ${escapeHtml(change.member)} as ${change.role}</div>
+        `).join('')}
+      </div>
+    `;
+    document.getElementById('iamReview').disabled = iamChanges.length === 0;
+    document.getElementById('iamDiff').innerHTML = '';
+  };
+
+  panel.querySelectorAll('.member-chip .tag-delete').forEach(button => {
+    button.addEventListener('click', () => {
+      iamChanges.push({ action: 'remove', role: button.dataset.role, member: button.dataset.member });
+      button.closest('.member-chip').classList.add('removed');
+      button.remove();
+      renderPending();
+    });
+  });
+
+  document.getElementById('iamAdd').addEventListener('click', () => {
+    const member = document.getElementById('iamMember').value.trim();
+    if (!member) return;
+    iamChanges.push({ action: 'add', role: document.getElementById('iamRole').value, member });
+    document.getElementById('iamMember').value = '';
+    renderPending();
+  });
+
+  document.getElementById('iamReview').addEventListener('click', () => reviewIamChanges(location, repoName));
+}
+
+// Dry run first; the preview's etag makes the apply fail if someone else edited the policy meanwhile
+async function reviewIamChanges(location, repoName) {
+  const url = `/api/repositories/${location}/${repoName}/iam/bindings`;
+  const diffEl = document.getElementById('iamDiff');
+
+  try {
+    const preview = await apiPost(url, { changes: iamChanges, dryRun: true });
+    if (preview.error) {
+      throw new Error(preview.error);
+    }
+
+    const { plan } = preview;
+    diffEl.innerHTML = `
+      <h4>Policy diff</h4>
+      ${plan.diff.length === 0 ? '<p class="muted">These changes leave the policy as it is.</p>' : `
+        <div class="diff-block">
+          ${plan.diff.map(d => `
+            <div class="diff-line ${d.change === 'added' ? 'added' : 'removed'}">${d.change === 'added' ? '+' : '-'} ${d.role} ${escapeHtml(d.member)}</div>
+          `).join('')}
+        </div>
+        <div class="deletion-actions">
+          <button class="btn btn-primary" id="iamApply">Apply to Policy</button>
+        </div>
+      `}
+    `;
+
+    document.getElementById('iamApply')?.addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      e.target.textContent = 'Applying...';
+
+      try {
+        const result = await apiPost(url, { changes: iamChanges, etag: plan.etag, dryRun: false });
+        if (result.error) {
+          throw new Error(result.error);
+        }
+        showToast(`Updated permissions on ${repoName}`);
+      } catch (error) {
+        console.error('Failed to update IAM policy:', error);
+        showToast('Error: ' + error.message);
+      }
+      showRepoPermissions(location, repoName);
+    });
+  } catch (error) {
+    diffEl.innerHTML = `<p>Error: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function renderPackageRows(location, repoName, format, packages) {
+  return packages.map(pkg => `
+    <tr>
+      <td><strong style="color: var(--text-primary)">${pkg.name}</strong></td>
+      <td>${formatDate(pkg.createdAt)}</td>
+      <td>${formatDate(pkg.updatedAt)}</td>
+      <td>
+        ${format !== 'DOCKER' ? `<button class="btn btn-secondary btn-small" onclick="showPackageVersions('${location}', '${repoName}', '${format}', '${pkg.name}')">Versions</button>` : ''}
+        ${can('deletePackage') ? `<button class="btn btn-danger btn-small" onclick="deletePackage('${location}', '${repoName}', '${pkg.name}', '${format}')">Delete</button>` : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Append a "Load more" row while the server reports further pages
+function renderPackagesLoadMore(location, repoName, format, pageToken) {
+  const tbody = document.getElementById('packageTableBody');
+  if (!tbody || !pageToken) return;
+
+  tbody.insertAdjacentHTML('beforeend', `
+    <tr class="load-more-row">
+      <td colspan="4"><button class="btn btn-secondary btn-small" id="loadMorePackages">Load more</button></td>
+    </tr>
+  `);
+
+  document.getElementById('loadMorePackages').addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    e.target.textContent = 'Loading...';
+
+    const { packages, nextPageToken } = await fetchPackages(location, repoName, pageToken);
+    e.target.closest('tr').remove();
+    tbody.insertAdjacentHTML('beforeend', renderPackageRows(location, repoName, format, packages));
+    renderPackagesLoadMore(location, repoName, format, nextPageToken);
+  });
+}
+
+// Package drill-down: package -> versions -> files (non-Docker formats)
+function packageBreadcrumb(location, repoName, format, packageName, version = null) {
+  return `
+    <div class="package-breadcrumb">
+      <button class="btn btn-secondary btn-small" onclick="showRepoPackages('${location}', '${repoName}', '${format}')">Packages</button>
+      <span>/</span>
+      ${version
+        ? `<button class="btn btn-secondary btn-small" onclick="showPackageVersions('${location}', '${repoName}', '${format}', '${escapeHtml(packageName)}')">${escapeHtml(packageName)}</button>
+           <span>/</span><strong>${escapeHtml(version)}</strong>`
+        : `<strong>${escapeHtml(packageName)}</strong>`}
+    </div>
   `;
 }
 
+async function fetchVersions(location, repoName, packageName, pageToken = null) {
+  const data = await apiPost(`/api/repositories/${location}/${repoName}/packages/${encodeURIComponent(packageName)}/versions`, { pageToken });
+  if (data.error) throw new Error(data.error);
+  return { versions: data.versions || [], nextPageToken: data.nextPageToken || null };
+}
+
+function renderVersionRows(location, repoName, format, packageName, versions) {
+  return versions.map(version => `
+    <tr>
+      <td><strong style="color: var(--text-primary)">${escapeHtml(version.name)}</strong></td>
+      <td>${formatDate(version.createdAt)}</td>
+      <td>${formatDate(version.updatedAt)}</td>
+      <td>
+        <button class="btn btn-secondary btn-small" onclick="showVersionFiles('${location}', '${repoName}', '${format}', '${escapeHtml(packageName)}', '${escapeHtml(version.name)}')">Files</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function showPackageVersions(location, repoName, format, packageName) {
+  const panel = document.getElementById('repoDetailsPanel');
+  panel.innerHTML = '<div class="loading-spinner"></div><p>Loading versions...</p>';
+
+  try {
+    const { versions, nextPageToken } = await fetchVersions(location, repoName, packageName);
+
+    panel.innerHTML = `
+      ${packageBreadcrumb(location, repoName, format, packageName)}
+      ${versions.length === 0 ? '<p class="muted">No versions found.</p>' : `
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Version</th>
+              <th>Created</th>
+              <th>Updated</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody id="versionTableBody">
+            ${renderVersionRows(location, repoName, format, packageName, versions)}
+          </tbody>
+        </table>
+      `}
+    `;
+    renderVersionsLoadMore(location, repoName, format, packageName, nextPageToken);
+  } catch (error) {
+    panel.innerHTML = `${packageBreadcrumb(location, repoName, format, packageName)}<p>Error: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function renderVersionsLoadMore(location, repoName, format, packageName, pageToken) {
+  const tbody = document.getElementById('versionTableBody');
+  if (!tbody || !pageToken) return;
+
+  tbody.insertAdjacentHTML('beforeend', `
+    <tr class="load-more-row">
+      <td colspan="4"><button class="btn btn-secondary btn-small" id="loadMoreVersions">Load more</button></td>
+    </tr>
+  `);
+
+  document.getElementById('loadMoreVersions').addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    e.target.textContent = 'Loading...';
+
+    try {
+      const { versions, nextPageToken } = await fetchVersions(location, repoName, packageName, pageToken);
+      e.target.closest('tr').remove();
+      tbody.insertAdjacentHTML('beforeend', renderVersionRows(location, repoName, format, packageName, versions));
+      renderVersionsLoadMore(location, repoName, format, packageName, nextPageToken);
+    } catch (error) {
+      showToast(error.message);
+      e.target.disabled = false;
+      e.target.textContent = 'Load more';
+    }
+  });
+}
+
+function hashCell(value) {
+  return value ? `<code class="file-hash" title="${value}">${value.substring(0, 16)}…</code>` : '<span class="muted">—</span>';
+}
+
+async function showVersionFiles(location, repoName, format, packageName, version) {
+  const panel = document.getElementById('repoDetailsPanel');
+  panel.innerHTML = '<div class="loading-spinner"></div><p>Loading files...</p>';
+
+  const data = await apiPost(`/api/repositories/${location}/${repoName}/packages/${encodeURIComponent(packageName)}/versions/${encodeURIComponent(version)}/files`);
+  const breadcrumb = packageBreadcrumb(location, repoName, format, packageName, version);
+
+  if (data.error) {
+    panel.innerHTML = `${breadcrumb}<p>Error: ${escapeHtml(data.error)}</p>`;
+    return;
+  }
+  if (data.files.length === 0) {
+    panel.innerHTML = `${breadcrumb}<p class="muted">No files found for this version.</p>`;
+    return;
+  }
+
+  panel.innerHTML = `
+    ${breadcrumb}
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>File</th>
+          <th>Size</th>
+          <th>SHA-256</th>
+          <th>MD5</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${data.files.map(file => `
+          <tr>
+            <td title="${escapeHtml(file.path)}"><strong style="color: var(--text-primary)">${escapeHtml(file.filename)}</strong></td>
+            <td>${formatSize(file.size)}</td>
+            <td>${hashCell(file.hashes.sha256)}</td>
+            <td>${hashCell(file.hashes.md5)}</td>
+            <td>
+              <a class="btn btn-secondary btn-small" download="${escapeHtml(file.filename)}"
+                href="/api/repositories/${location}/${repoName}/files/${encodeURIComponent(file.fileId)}/download">Download</a>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Cleanup Policy Functions
+function buildCleanupPolicy() {
+  const rules = [];
+
+  const keepPattern = elements.cleanupKeepPattern.value.trim();
+  const keepCount = elements.cleanupKeepCount.value.trim();
+  if (keepPattern && keepCount !== '') {
+    rules.push({ type: 'keep-latest', tagPattern: keepPattern, count: Number(keepCount) });
+  }
+
+  const untaggedDays = elements.cleanupUntaggedDays.value.trim();
+  if (untaggedDays !== '') {
+    rules.push({ type: 'delete-untagged', olderThanDays: Number(untaggedDays) });
+  }
+
+  elements.cleanupProtect.value.split(',')
+    .map(p => p.trim())
+    .filter(Boolean)
+    .forEach(tagPattern => rules.push({ type: 'protect', tagPattern }));
+
+  return { rules };
+}
+
+function renderCleanupReport(report, applied) {
+  const rows = (applied ? report.deleted : report.deletions).map(d => `
+    <tr>
+      <td><strong style="color: var(--text-primary)">${d.package}</strong><br><code class="digest">${d.version.substring(0, 19)}</code></td>
+      <td>${d.tags.length > 0 ? d.tags.map(t => `<span class="tag">${t}</span>`).join(' ') : '<span class="muted">untagged</span>'}</td>
+      <td>${formatSize(d.sizeBytes)}</td>
+      <td>${formatDate(d.uploadedAt)}</td>
+      <td>${d.reasons.join('; ')}</td>
+    </tr>
+  `).join('');
+
+  elements.cleanupReport.innerHTML = `
+    <div class="cleanup-summary">
+      <div class="stat"><span class="stat-label">${applied ? 'Deleted' : 'Would delete'}</span><span class="stat-value">${applied ? report.deleted.length : report.deletions.length}</span></div>
+      <div class="stat"><span class="stat-label">${applied ? 'Freed' : 'Would free'}</span><span class="stat-value">${report.bytesFreedFormatted}</span></div>
+      <div class="stat"><span class="stat-label">Kept</span><span class="stat-value">${report.keptCount}</span></div>
+      <div class="stat"><span class="stat-label">Protected</span><span class="stat-value">${report.protectedCount}</span></div>
+      <div class="stat"><span class="stat-label">Scanned</span><span class="stat-value">${report.versionsScanned}</span></div>
+    </div>
+    ${applied && report.failed.length > 0 ? `<p class="deletion-warning">${report.failed.length} deletion(s) failed: ${report.failed.map(f => `${f.package}@${f.version.substring(0, 19)} (${f.error})`).join(', ')}</p>` : ''}
+    ${rows ? `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Image / Version</th>
+            <th>Tags</th>
+            <th>Size</th>
+            <th>Uploaded</th>
+            <th>Reason</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    ` : '<p class="muted">Nothing matches this policy.</p>'}
+  `;
+  elements.cleanupReport.classList.remove('hidden');
+}
+
+async function runCleanup(dryRun) {
+  const repoValue = elements.cleanupRepoSelect.value;
+  if (!repoValue) {
+    showToast('Please select a repository');
+    return;
+  }
+
+  const policy = buildCleanupPolicy();
+  if (policy.rules.length === 0) {
+    showToast('Please configure at least one rule');
+    return;
+  }
+
+  const [location, repository] = repoValue.split('|');
+  const button = dryRun ? elements.cleanupPreviewBtn : elements.cleanupApplyBtn;
+  button.disabled = true;
+
+  try {
+    const data = await backgroundRequest(`/api/repositories/${location}/${repository}/cleanup`, {
+      policy,
+      dryRun,
+      // Never delete more than what was shown in the preview
+      only: dryRun ? undefined : cleanupReport.deletions.map(d => d.name),
+    });
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    renderCleanupReport(data.report, !dryRun);
+
+    if (dryRun) {
+      cleanupReport = data.report;
+      elements.cleanupApplyBtn.disabled = data.report.deletions.length === 0;
+      showToast(`Dry run: ${data.report.deletions.length} version(s), ${data.report.bytesFreedFormatted}`);
+    } else {
+      cleanupReport = null;
+      showToast(`Cleanup freed ${data.report.bytesFreedFormatted}`);
+      fetchRepositories();
+    }
+  } catch (error) {
+    console.error('Cleanup failed:', error);
+    showToast('Error: ' + error.message);
+  } finally {
+    elements.cleanupPreviewBtn.disabled = false;
+    if (!dryRun && cleanupReport) elements.cleanupApplyBtn.disabled = false;
+  }
+}
+
+function applyCleanup() {
+  if (!cleanupReport) return;
+
+  const count = cleanupReport.deletions.length;
+  if (!confirm(`Permanently delete ${count} version(s) and free ${cleanupReport.bytesFreedFormatted}? This cannot be undone.`)) {
+    return;
+  }
+  runCleanup(false);
+}
+
+function resetCleanupReport() {
+  cleanupReport = null;
+  elements.cleanupApplyBtn.disabled = true;
+  elements.cleanupReport.classList.add('hidden');
+}
+
+// Deletion - every delete is previewed with a dry run and confirmed in the modal.
+// freedBytes (from the layer index, when loaded) is what the deletion would really free.
+async function confirmDeletion(url, label, onDeleted, freedBytes = null) {
+  elements.modalTitle.textContent = `Delete ${label}`;
+  elements.modalBody.innerHTML = '<div class="loading-spinner"></div><p>Preparing deletion preview...</p>';
+  elements.modal.classList.remove('hidden');
+
+  let preview;
+  try {
+    preview = await apiDelete(url, { dryRun: true });
+    if (preview.error) {
+      throw new Error(preview.error);
+    }
+  } catch (error) {
+    elements.modalBody.innerHTML = `<div class="deletion-preview"><p>Error: ${error.message}</p></div>`;
+    return;
+  }
+
+  const { plan } = preview;
+
+  elements.modalBody.innerHTML = `
+    <div class="deletion-preview">
+      <p class="deletion-warning">This cannot be undone. The following will be permanently removed:</p>
+      ${plan.versions.length > 0 ? `
+        <h4>Versions (${plan.versions.length})</h4>
+        <ul class="deletion-list">
+          ${plan.versions.map(v => `
+            <li><code>${v.version}</code> ${v.tags.length > 0 ? v.tags.map(t => `<span class="tag">${t}</span>`).join(' ') : '<span class="muted">untagged</span>'}</li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      ${plan.action === 'delete-repository' ? `
+        <h4>Packages (${plan.packages.length}${plan.packagesTruncated ? '+' : ''}, ${formatSize(plan.sizeBytes)})</h4>
+        ${plan.packages.length > 0 ? `
+          <ul class="deletion-list">${plan.packages.map(p => `<li><code>${escapeHtml(p)}</code></li>`).join('')}</ul>
+        ` : '<p class="muted">The repository is empty.</p>'}
+      ` : ''}
+      ${plan.tags.length > 0 ? `
+        <h4>Tags (${plan.tags.length})</h4>
+        <div class="tag-list">${plan.tags.map(t => `<span class="tag">${t}</span>`).join('')}</div>
+      ` : ''}
+      ${plan.action === 'delete-tag' && plan.version ? `<p class="muted">The image <code>${plan.version}</code> itself is kept.</p>` : ''}
+      ${freedBytes !== null ? `<p class="muted">Frees ${layerBytes(freedBytes)}; layers other images use are kept.</p>` : ''}
+      <div class="deletion-actions">
+        <button class="btn btn-secondary" id="cancelDeletion">Cancel</button>
+        <button class="btn btn-danger" id="confirmDeletion">Delete</button>
+      </div>
+    </div>
+  `;
+
+  document.getElementById('cancelDeletion').addEventListener('click', () => {
+    elements.modal.classList.add('hidden');
+  });
+
+  document.getElementById('confirmDeletion').addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    e.target.textContent = 'Deleting...';
+
+    try {
+      const data = await apiDelete(url, { dryRun: false });
+      if (data.error) {
+        throw new Error(data.error);
+      }
+      elements.modal.classList.add('hidden');
+      showToast(`Deleted ${label}`);
+      if (onDeleted) onDeleted();
+    } catch (error) {
+      console.error('Failed to delete:', error);
+      showToast('Error: ' + error.message);
+      e.target.disabled = false;
+      e.target.textContent = 'Delete';
+    }
+  });
+}
+
+// Deleting changes what the remaining images share, so the layer index is dropped
+function refreshAfterImageDeletion() {
+  dockerLayerReport = null;
+  fetchDockerImages(currentLocation, currentRepository);
+}
+
+function deleteDockerImage(imageName) {
+  const url = `/api/repositories/${currentLocation}/${currentRepository}/packages/${encodeURIComponent(imageName)}`;
+  const usage = imageLayerUsage(imageName);
+  confirmDeletion(url, `image ${imageName}`, refreshAfterImageDeletion, usage ? usage.freedBytes : null);
+}
+
+function deleteDockerDigest(imageName, digest) {
+  const url = `/api/repositories/${currentLocation}/${currentRepository}/docker-images/${encodeURIComponent(imageName)}/${digest}`;
+  const usage = currentLayerReport()?.digests.find(entry => entry.digest === digest);
+  confirmDeletion(url, `${imageName}@${digest.substring(0, 19)}`, refreshAfterImageDeletion, usage ? usage.freedBytes : null);
+}
+
+// Layer index: deduplicated bytes per image, digest and base image of the selected repository
+function currentLayerReport() {
+  return dockerLayerReport?.key === `${currentLocation}/${currentRepository}` ? dockerLayerReport.report : null;
+}
+
+// Group names are package IDs ("team%2Fapp")
+function imageLayerUsage(packageId) {
+  return currentLayerReport()?.images.find(image => image.packageId === packageId) || null;
+}
+
+function layerBytes(bytes) {
+  return bytes ? formatSize(bytes) : '0 B';
+}
+
+function renderLayerReport(report) {
+  const { repository } = report;
+
+  return `
+    <div class="image-meta">
+      <div class="meta-item">
+        <span class="label">Reported (sum of images)</span>
+        <span class="value">${layerBytes(repository.reportedBytes)}</span>
+      </div>
+      <div class="meta-item">
+        <span class="label">Unique</span>
+        <span class="value">${layerBytes(repository.uniqueBytes)}</span>
+      </div>
+      <div class="meta-item">
+        <span class="label">Counted twice or more</span>
+        <span class="value">${layerBytes(repository.overcountedBytes)}</span>
+      </div>
+      <div class="meta-item">
+        <span class="label">Blobs</span>
+        <span class="value">${repository.blobs} in ${repository.digests} digests</span>
+      </div>
+    </div>
+    ${report.failures.length ? `<p class="muted">${report.failures.length} digest(s) could not be read and are left out.</p>` : ''}
+
+    <h4 class="layer-heading">Images</h4>
+    <table class="data-table layer-table">
+      <thead>
+        <tr><th>Image</th><th>Digests</th><th>Reported</th><th>Unique</th><th>Freed if deleted</th><th>Shares layers with</th></tr>
+      </thead>
+      <tbody>
+        ${report.images.map(image => `
+          <tr>
+            <td><strong>${escapeHtml(image.image)}</strong></td>
+            <td>${image.digests}</td>
+            <td>${layerBytes(image.reportedBytes)}</td>
+            <td>${layerBytes(image.uniqueBytes)}</td>
+            <td>${layerBytes(image.freedBytes)}</td>
+            <td>${image.sharesWith.length
+              ? image.sharesWith.slice(0, 3).map(other => `${escapeHtml(other.image)} <span class="muted">(${layerBytes(other.bytes)})</span>`).join(', ') +
+                (image.sharesWith.length > 3 ? ` <span class="muted">+${image.sharesWith.length - 3} more</span>` : '')
+              : '<span class="muted">nothing</span>'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+
+    <h4 class="layer-heading">Base images</h4>
+    ${report.baseImages.length ? `
+      <table class="data-table layer-table">
+        <thead>
+          <tr><th>Base</th><th>Layers</th><th>Size</th><th>Saved by sharing</th><th>Images on it</th></tr>
+        </thead>
+        <tbody>
+          ${report.baseImages.map(base => `
+            <tr>
+              <td>${base.base ? escapeHtml(base.base.replace(/@(sha256:.{12}).*/, '@$1')) : `<code>${escapeHtml(base.bottomLayer.substring(0, 19))}</code> <span class="muted">(not in this repository)</span>`}</td>
+              <td>${base.layers}</td>
+              <td>${layerBytes(base.bytes)}</td>
+              <td>${layerBytes(base.savedBytes)}</td>
+              <td>${base.images.map(escapeHtml).join(', ')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : '<p class="muted">No two images share a base.</p>'}
+
+    <h4 class="layer-heading">Digests by bytes freed if deleted</h4>
+    <table class="data-table layer-table">
+      <thead>
+        <tr><th>Image</th><th>Digest</th><th>Tags</th><th>Unique</th><th>Freed if deleted</th></tr>
+      </thead>
+      <tbody>
+        ${report.digests.slice(0, 20).map(entry => `
+          <tr>
+            <td>${escapeHtml(entry.image)}</td>
+            <td><code>${entry.digest.substring(0, 19)}</code></td>
+            <td>${entry.tags.length ? entry.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ') : '<span class="muted">untagged</span>'}</td>
+            <td>${layerBytes(entry.uniqueBytes)}</td>
+            <td>${layerBytes(entry.freedBytes)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function showLayerUsage() {
+  if (!currentRepository) {
+    showToast('Select a repository first');
+    return;
+  }
+
+  const key = `${currentLocation}/${currentRepository}`;
+  elements.modalTitle.textContent = `Layer usage in ${currentRepository}`;
+  elements.modalBody.innerHTML = '<div class="loading-spinner"></div><p>Reading manifests of every image...</p>';
+  elements.modal.classList.remove('hidden');
+
+  try {
+    const report = await apiPost(`/api/repositories/${currentLocation}/${currentRepository}/layers`);
+    if (report.error) throw new Error(report.error);
+
+    dockerLayerReport = { key, report };
+    elements.modalBody.innerHTML = renderLayerReport(report);
+    // Cards switch from summed to deduplicated sizes
+    renderDockerImagesGrid(groupDockerImages(allDockerImages));
+  } catch (error) {
+    elements.modalBody.innerHTML = `<p>Error: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// Tag changes (add, move, remove): fill in the tag and a note, preview, then confirm
+function changeDockerTag(imageName, action, tag = '', digest = null) {
+  const group = groupDockerImages(allDockerImages).find(g => g.name === imageName);
+  const titles = { add: 'Add tag', move: 'Move tag', remove: 'Remove tag' };
+  const url = () => `/api/repositories/${currentLocation}/${currentRepository}/packages/${encodeURIComponent(imageName)}/tags/${encodeURIComponent(tag)}`;
+
+  elements.modalTitle.textContent = `${titles[action]} · ${imageName}`;
+  elements.modalBody.innerHTML = `
+    <div class="tag-change">
+      ${digest ? `<p>Digest <code>${digest}</code></p>` : ''}
+      <div class="form-group">
+        <label>Tag</label>
+        <input type="text" id="tagChangeName" value="${escapeHtml(tag)}" placeholder="prod" ${action === 'remove' ? 'disabled' : ''}>
+      </div>
+      <div class="form-group">
+        <label>Note (recorded with the change)</label>
+        <input type="text" id="tagChangeNote" maxlength="500" placeholder="Why is this tag changing?">
+      </div>
+      <div id="tagChangePreview"></div>
+      <div class="deletion-actions">
+        <button class="btn btn-secondary" id="tagChangeCancel">Cancel</button>
+        <button class="btn btn-primary" id="tagChangeReview">Review</button>
+      </div>
+    </div>
+  `;
+  elements.modal.classList.remove('hidden');
+
+  const preview = document.getElementById('tagChangePreview');
+  const reviewBtn = document.getElementById('tagChangeReview');
+  let reviewed = null;
+
+  document.getElementById('tagChangeCancel').addEventListener('click', () => showImageDetails(imageName));
+  ['tagChangeName', 'tagChangeNote'].forEach(id => document.getElementById(id).addEventListener('input', () => {
+    reviewed = null;
+    preview.innerHTML = '';
+    reviewBtn.textContent = 'Review';
+  }));
+
+  reviewBtn.addEventListener('click', async () => {
+    const body = { note: document.getElementById('tagChangeNote').value.trim(), version: digest };
+    tag = document.getElementById('tagChangeName').value.trim();
+
+    // A tag already on another digest of this image is moved rather than added
+    body.action = action === 'remove' ? 'remove'
+      : group?.variants.some(v => v.digest !== digest && v.tags?.includes(tag)) ? 'move' : 'add';
+
+    reviewBtn.disabled = true;
+    try {
+      if (!reviewed) {
+        const data = await apiPost(url(), { ...body, dryRun: true });
+        if (data.error) throw new Error(data.error);
+        reviewed = data.plan;
+        preview.innerHTML = renderTagChangePlan(imageName, reviewed);
+        reviewBtn.textContent = reviewed.action === 'none' ? 'Close' : 'Confirm';
+      } else if (reviewed.action === 'none') {
+        showImageDetails(imageName);
+      } else {
+        const data = await apiPost(url(), { ...body, dryRun: false });
+        if (data.error) throw new Error(data.error);
+        showToast(`Tag ${tag} ${{ 'add-tag': 'added', 'move-tag': 'moved', 'remove-tag': 'removed' }[data.plan.action]}`);
+        elements.modal.classList.add('hidden');
+        fetchDockerImages(currentLocation, currentRepository);
+      }
+    } catch (error) {
+      preview.innerHTML = `<p class="deletion-warning">${escapeHtml(error.message)}</p>`;
+      reviewed = null;
+      reviewBtn.textContent = 'Review';
+    }
+    reviewBtn.disabled = false;
+  });
+}
+
+function renderTagChangePlan(imageName, plan) {
+  const short = digest => digest ? `<code>${digest.substring(0, 19)}</code>` : '';
+  const summary = {
+    'add-tag': `Add <span class="tag">${escapeHtml(plan.tag)}</span> to ${short(plan.to)}`,
+    'move-tag': `Move <span class="tag">${escapeHtml(plan.tag)}</span> from ${short(plan.from)} to ${short(plan.to)}`,
+    'remove-tag': `Remove <span class="tag">${escapeHtml(plan.tag)}</span> from ${short(plan.from)}. The image itself is kept.`,
+    none: `<span class="tag">${escapeHtml(plan.tag)}</span> already points at ${short(plan.to)}; nothing to change.`,
+  }[plan.action];
+
+  return `
+    <div class="tag-change-plan">
+      <p>${summary}</p>
+      <p class="muted">${escapeHtml(imageName)} · note: ${escapeHtml(plan.note)}</p>
+    </div>
+  `;
+}
+
+function deletePackage(location, repoName, packageName, format) {
+  const url = `/api/repositories/${location}/${repoName}/packages/${encodeURIComponent(packageName)}`;
+  confirmDeletion(url, `package ${packageName}`, () => viewRepoDetails(location, repoName, format));
+}
+
+function deleteRepository(location, repoName) {
+  const url = `/api/repositories/${location}/${repoName}`;
+  confirmDeletion(url, `repository ${repoName}`, fetchRepositories);
+}
+
+const REPOSITORY_FORMATS = ['DOCKER', 'NPM', 'MAVEN', 'PYTHON', 'APT', 'YUM', 'GO', 'GENERIC'];
+
+function cleanupPolicyRow(policy = {}) {
+  return `
+    <div class="policy-row">
+      <input type="text" class="policy-id" placeholder="policy-id" value="${escapeHtml(policy.id || '')}">
+      <select class="policy-action">
+        <option value="delete" ${policy.action !== 'keep' ? 'selected' : ''}>Delete</option>
+        <option value="keep" ${policy.action === 'keep' ? 'selected' : ''}>Keep</option>
+      </select>
+      <select class="policy-tag-state">
+        ${['any', 'tagged', 'untagged'].map(state => `
+          <option value="${state}" ${(policy.tagState || 'any') === state ? 'selected' : ''}>${state}</option>
+        `).join('')}
+      </select>
+      <input type="text" class="policy-tag-prefixes" placeholder="tag prefixes" value="${escapeHtml((policy.tagPrefixes || []).join(', '))}">
+      <input type="number" class="policy-older-than" min="1" placeholder="older than (days)" value="${policy.olderThanDays || ''}">
+      <input type="number" class="policy-keep-count" min="1" placeholder="keep newest" value="${policy.keepCount || ''}">
+      <button type="button" class="tag-delete" title="Remove policy" onclick="this.parentElement.remove()">&times;</button>
+    </div>
+  `;
+}
+
+function upstreamRow(upstream = {}, candidates = []) {
+  return `
+    <div class="upstream-row">
+      <select class="upstream-repository">
+        <option value="">-- Repository --</option>
+        ${candidates.map(r => `<option value="${r.name}" ${upstream.repository === r.name ? 'selected' : ''}>${r.name} (${r.mode})</option>`).join('')}
+      </select>
+      <input type="number" class="upstream-priority" min="0" placeholder="priority" value="${upstream.priority ?? ''}">
+      <button type="button" class="tag-delete" title="Remove upstream" onclick="this.parentElement.remove()">&times;</button>
+    </div>
+  `;
+}
+
+// Upstream/upstreams section of the repository form, which depends on mode, format and location
+function renderRepositoryModeFields(repo, editing) {
+  const container = document.getElementById('repoFormModeFields');
+  const mode = document.getElementById('repoFormMode').value;
+  const format = document.getElementById('repoFormFormat').value;
+  const location = document.getElementById('repoFormLocation').value.trim();
+
+  if (mode === 'remote') {
+    if (editing) {
+      container.innerHTML = `<p class="muted">Proxies <strong>${repo.remote?.label || 'an upstream'}</strong>${repo.remote?.username ? ` as ${escapeHtml(repo.remote.username)}` : ''}. The upstream cannot be changed.</p>`;
+      return;
+    }
+
+    const upstreams = Object.entries(REMOTE_UPSTREAMS).filter(([, u]) => u.format === format);
+    container.innerHTML = upstreams.length === 0
+      ? `<p class="muted">There is no public upstream preset for ${format} repositories.</p>`
+      : `
+        <h4>Upstream</h4>
+        <div class="form-group">
+          <select id="repoFormUpstream">
+            ${upstreams.map(([key, u]) => `<option value="${key}" ${repo.remote?.upstream === key ? 'selected' : ''}>${u.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Username <span class="optional">(optional, e.g. to raise Docker Hub limits)</span></label>
+            <input type="text" id="repoFormUpstreamUser">
+          </div>
+          <div class="form-group">
+            <label>Password Secret Version</label>
+            <input type="text" id="repoFormUpstreamSecret" placeholder="projects/P/secrets/S/versions/1">
+          </div>
+        </div>
+      `;
+    return;
+  }
+
+  if (mode === 'virtual') {
+    // Upstreams must share the virtual repository's project, format and location
+    const candidates = repositories.filter(r =>
+      (!r.profile || r.profile === session?.activeProfile) &&
+      r.format === format && r.location === location && r.mode !== 'virtual' && r.name !== repo.name);
+
+    container.innerHTML = `
+      <h4>Upstreams</h4>
+      <p class="muted">Higher priority upstreams are searched first. Only ${format} repositories in ${location || 'the same location'} can be used.</p>
+      <div id="repoFormUpstreams">${(repo.virtual?.upstreams || [{}]).map(u => upstreamRow(u, candidates)).join('')}</div>
+      <button type="button" class="btn btn-secondary btn-small" id="repoFormAddUpstream">Add Upstream</button>
+    `;
+    document.getElementById('repoFormAddUpstream').addEventListener('click', () => {
+      document.getElementById('repoFormUpstreams').insertAdjacentHTML('beforeend', upstreamRow({}, candidates));
+    });
+    return;
+  }
+
+  container.innerHTML = '';
+}
+
+// Create (no name) or edit a repository. Format, mode, location and KMS key are fixed once created.
+// `defaults` pre-fills a new repository, e.g. { mode: 'remote', format: 'DOCKER', remote: { upstream: 'docker-hub' } }.
+async function openRepositoryForm(location, repoName, defaults = {}) {
+  const editing = Boolean(repoName);
+  let repo = { format: 'DOCKER', mode: 'standard', labels: {}, cleanupPolicies: [], ...defaults };
+
+  elements.modalTitle.textContent = editing ? `Edit ${repoName}` : 'New Repository';
+  elements.modalBody.innerHTML = '<div class="loading-spinner"></div>';
+  elements.modal.classList.remove('hidden');
+
+  if (editing) {
+    try {
+      const data = await apiPost(`/api/repositories/${location}/${repoName}`);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+      repo = data.repository;
+    } catch (error) {
+      elements.modalBody.innerHTML = `<p>Error: ${error.message}</p>`;
+      return;
+    }
+  }
+
+  const regions = [...new Set(repositories.map(r => r.location))].sort();
+
+  elements.modalBody.innerHTML = `
+    <form class="repo-form" id="repoForm">
+      <div class="form-row">
+        <div class="form-group">
+          <label>Name</label>
+          <input type="text" id="repoFormName" value="${repoName || ''}" placeholder="my-repo" ${editing ? 'disabled' : ''}>
+        </div>
+        <div class="form-group">
+          <label>Location</label>
+          <input type="text" id="repoFormLocation" list="repoFormLocations" value="${location || regions[0] || ''}" placeholder="us-central1" ${editing ? 'disabled' : ''}>
+          <datalist id="repoFormLocations">${regions.map(r => `<option value="${r}">`).join('')}</datalist>
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label>Format</label>
+          <select id="repoFormFormat" ${editing ? 'disabled' : ''}>
+            ${REPOSITORY_FORMATS.map(f => `<option value="${f}" ${repo.format === f ? 'selected' : ''}>${f}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Mode</label>
+          <select id="repoFormMode" ${editing ? 'disabled' : ''}>
+            ${['standard', 'remote', 'virtual'].map(m => `<option value="${m}" ${repo.mode === m ? 'selected' : ''}>${m}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div id="repoFormModeFields"></div>
+      <div class="form-group">
+        <label>Description</label>
+        <input type="text" id="repoFormDescription" value="${escapeHtml(repo.description || '')}">
+      </div>
+      <div class="form-group">
+        <label>Labels <span class="optional">(key=value, comma-separated)</span></label>
+        <input type="text" id="repoFormLabels" value="${escapeHtml(Object.entries(repo.labels).map(([k, v]) => `${k}=${v}`).join(', '))}" placeholder="env=prod, team=web">
+      </div>
+      <div class="form-group">
+        <label>KMS Key <span class="optional">(customer-managed encryption)</span></label>
+        <input type="text" id="repoFormKmsKey" value="${escapeHtml(repo.kmsKeyName || '')}" placeholder="projects/P/locations/L/keyRings/R/cryptoKeys/K" ${editing ? 'disabled' : ''}>
+      </div>
+      <label class="checkbox-label" id="repoFormImmutableRow">
+        <input type="checkbox" id="repoFormImmutableTags" ${repo.immutableTags ? 'checked' : ''}>
+        Immutable tags (tags cannot be moved or deleted)
+      </label>
+
+      <h4>Cleanup Policies</h4>
+      <p class="muted">Applied by Artifact Registry in the background. "Keep newest" turns a keep policy into a most-recent-versions rule.</p>
+      <div id="repoFormPolicies">${repo.cleanupPolicies.map(cleanupPolicyRow).join('')}</div>
+      <button type="button" class="btn btn-secondary btn-small" id="repoFormAddPolicy">Add Policy</button>
+      <label class="checkbox-label">
+        <input type="checkbox" id="repoFormPolicyDryRun" ${repo.cleanupPolicyDryRun ? 'checked' : ''}>
+        Dry run (log what the policies would delete without deleting)
+      </label>
+
+      <ul id="repoFormErrors" class="form-errors hidden"></ul>
+      <div class="deletion-actions">
+        <button type="button" class="btn btn-secondary" id="repoFormCancel">Cancel</button>
+        <button type="submit" class="btn btn-primary" id="repoFormSubmit">${editing ? 'Save Changes' : 'Create Repository'}</button>
+      </div>
+    </form>
+  `;
+
+  const formatSelect = document.getElementById('repoFormFormat');
+  const toggleImmutable = () => {
+    document.getElementById('repoFormImmutableRow').classList.toggle('hidden', formatSelect.value !== 'DOCKER');
+  };
+  formatSelect.addEventListener('change', toggleImmutable);
+  toggleImmutable();
+
+  const renderModeFields = () => renderRepositoryModeFields(repo, editing);
+  ['repoFormMode', 'repoFormFormat', 'repoFormLocation'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderModeFields);
+  });
+  renderModeFields();
+
+  document.getElementById('repoFormAddPolicy').addEventListener('click', () => {
+    document.getElementById('repoFormPolicies').insertAdjacentHTML('beforeend', cleanupPolicyRow());
+  });
+  document.getElementById('repoFormCancel').addEventListener('click', () => {
+    elements.modal.classList.add('hidden');
+  });
+  document.getElementById('repoForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitRepositoryForm(editing);
+  });
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readRepositoryForm(editing) {
+  const value = (id) => document.getElementById(id).value.trim();
+  const format = value('repoFormFormat');
+
+  const spec = {
+    description: value('repoFormDescription'),
+    labels: value('repoFormLabels'),
+    cleanupPolicies: [...document.querySelectorAll('#repoFormPolicies .policy-row')].map(row => {
+      const field = (cls) => row.querySelector(cls).value.trim();
+      return {
+        id: field('.policy-id'),
+        action: field('.policy-action'),
+        tagState: field('.policy-tag-state'),
+        tagPrefixes: splitList(field('.policy-tag-prefixes')),
+        olderThanDays: field('.policy-older-than') ? Number(field('.policy-older-than')) : undefined,
+        keepCount: field('.policy-keep-count') ? Number(field('.policy-keep-count')) : undefined,
+      };
+    }),
+    cleanupPolicyDryRun: document.getElementById('repoFormPolicyDryRun').checked,
+  };
+
+  if (format === 'DOCKER') {
+    spec.immutableTags = document.getElementById('repoFormImmutableTags').checked;
+  }
+
+  if (!editing) {
+    spec.format = format;
+    spec.mode = value('repoFormMode');
+    if (value('repoFormKmsKey')) spec.kmsKeyName = value('repoFormKmsKey');
+  }
+
+  if (!editing && spec.mode === 'remote') {
+    spec.remote = {
+      upstream: document.getElementById('repoFormUpstream')?.value,
+      username: document.getElementById('repoFormUpstreamUser')?.value.trim() || undefined,
+      passwordSecretVersion: document.getElementById('repoFormUpstreamSecret')?.value.trim() || undefined,
+    };
+  }
+
+  if (value('repoFormMode') === 'virtual') {
+    spec.virtual = {
+      upstreams: [...document.querySelectorAll('#repoFormUpstreams .upstream-row')]
+        .map(row => ({
+          repository: row.querySelector('.upstream-repository').value,
+          priority: Number(row.querySelector('.upstream-priority').value || 0),
+        }))
+        .filter(upstream => upstream.repository),
+    };
+  }
+
+  return spec;
+}
+
+async function submitRepositoryForm(editing) {
+  const name = document.getElementById('repoFormName').value.trim();
+  const location = document.getElementById('repoFormLocation').value.trim();
+  const submit = document.getElementById('repoFormSubmit');
+  const errorList = document.getElementById('repoFormErrors');
+
+  if (!name || !location) {
+    errorList.innerHTML = '<li>Name and location are required</li>';
+    errorList.classList.remove('hidden');
+    return;
+  }
+
+  submit.disabled = true;
+  submit.textContent = editing ? 'Saving...' : 'Creating...';
+  errorList.classList.add('hidden');
+
+  try {
+    const data = await apiRequest(editing ? 'PATCH' : 'PUT', `/api/repositories/${location}/${name}`, readRepositoryForm(editing));
+
+    if (data.error) {
+      errorList.innerHTML = (data.errors || [data.error]).map(err => `<li>${escapeHtml(err)}</li>`).join('');
+      errorList.classList.remove('hidden');
+      return;
+    }
+
+    elements.modal.classList.add('hidden');
+    showToast(editing ? `Updated ${name}` : `Created ${name}`);
+    fetchRepositories();
+  } catch (error) {
+    console.error('Failed to save repository:', error);
+    showToast('Error: ' + error.message);
+  } finally {
+    submit.disabled = false;
+    submit.textContent = editing ? 'Save Changes' : 'Create Repository';
+  }
+}
+
 function showDockerImagesForRepo(location, repoName) {
   switchView('docker');
   elements.dockerRepoSelect.value = `${location}|${repoName}`;
@@ -973,6 +3802,608 @@ function copyToClipboard(text) {
   });
 }
 
+// Storage dashboard: sizes over time from the server's periodic snapshots
+function storageSize(bytes) {
+  return bytes ? formatSize(bytes) : '0 B';
+}
+
+function storageGrowth(bytesPerDay) {
+  return bytesPerDay === null ? '-' : `${formatSizeDelta(Math.round(bytesPerDay))}/day`;
+}
+
+// SVG polyline points for a { timestamp, bytes } series, scaled to width x height
+function seriesPoints(points, width, height, { start, end, max }) {
+  const span = end - start || 1;
+  return points.map(point => {
+    const x = points.length === 1 ? width / 2 : ((Date.parse(point.timestamp) - start) / span) * width;
+    const y = height - (max ? (point.bytes / max) * height : 0);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+}
+
+function sparkline(points) {
+  if (points.length < 2) return '<span class="storage-muted">-</span>';
+
+  const times = points.map(point => Date.parse(point.timestamp));
+  const bounds = { start: Math.min(...times), end: Math.max(...times), max: Math.max(...points.map(point => point.bytes)) };
+  return `
+    <svg class="storage-sparkline" viewBox="0 0 100 24" preserveAspectRatio="none">
+      <polyline points="${seriesPoints(points, 100, 22, bounds)}" />
+    </svg>
+  `;
+}
+
+function renderStorageChart(totals, untagged) {
+  const points = totals.history;
+  if (points.length === 0) {
+    elements.storageChart.innerHTML = '<p class="storage-muted">No snapshots yet.</p>';
+    return;
+  }
+
+  const times = points.map(point => Date.parse(point.timestamp));
+  const bounds = { start: Math.min(...times), end: Math.max(...times), max: Math.max(...points.map(point => point.bytes)) };
+
+  elements.storageChart.innerHTML = `
+    <div class="storage-chart-legend">
+      <span class="storage-legend-total">Total</span>
+      <span class="storage-legend-untagged">Untagged</span>
+      <span class="storage-muted">max ${storageSize(bounds.max)}</span>
+    </div>
+    <svg viewBox="0 0 800 200" preserveAspectRatio="none">
+      <polyline class="storage-line-total" points="${seriesPoints(points, 800, 196, bounds)}" />
+      <polyline class="storage-line-untagged" points="${seriesPoints(untagged.history, 800, 196, bounds)}" />
+    </svg>
+    <div class="storage-chart-axis">
+      <span>${formatDate(points[0].timestamp)}</span>
+      <span>${formatDate(points[points.length - 1].timestamp)}</span>
+    </div>
+  `;
+}
+
+function renderStorage(data) {
+  if (!data.latest) {
+    renderStorageChart(data.totals, data.untagged);
+    elements.storageMeta.textContent = '';
+    return;
+  }
+
+  elements.storageTotal.textContent = storageSize(data.totals.currentBytes);
+  elements.storageChange.textContent = formatSizeDelta(data.totals.changeBytes);
+  elements.storageChangeLabel.textContent = data.days ? `Change in ${data.days} Days` : 'Change';
+  elements.storageGrowth.textContent = storageGrowth(data.totals.dailyGrowthBytes);
+  elements.storageUntagged.textContent = storageSize(data.untagged.currentBytes);
+
+  renderStorageChart(data.totals, data.untagged);
+
+  const failures = data.latest.failures || [];
+  elements.storageMeta.textContent = `${data.snapshots} snapshot${data.snapshots === 1 ? '' : 's'} in range, ` +
+    `latest ${formatDate(data.latest.timestamp)}, taken every ${data.intervalHours}h` +
+    (failures.length ? `. ${failures.length} location(s) or repositories could not be read.` : '');
+
+  elements.storageRepoBody.innerHTML = data.repositories.length === 0
+    ? '<tr class="empty-row"><td colspan="7">No repositories</td></tr>'
+    : data.repositories.map(repo => `
+      <tr>
+        <td><strong style="color: var(--text-primary)">${escapeHtml(repo.repository)}</strong><div class="storage-muted">${escapeHtml(repo.location)}</div></td>
+        <td><span class="format-badge ${getFormatBadgeClass(repo.format)}">${escapeHtml(repo.format || 'N/A')}</span></td>
+        <td>${storageSize(repo.sizeBytes)}</td>
+        <td>${repo.format === 'DOCKER' ? storageSize(repo.untaggedBytes) : '-'}</td>
+        <td>${formatSizeDelta(repo.changeBytes)}</td>
+        <td>${storageGrowth(repo.dailyGrowthBytes)}</td>
+        <td>${sparkline(repo.history)}</td>
+      </tr>
+    `).join('');
+
+  elements.storageImageBody.innerHTML = data.topImages.length === 0
+    ? '<tr class="empty-row"><td colspan="7">No Docker images</td></tr>'
+    : data.topImages.map(image => `
+      <tr>
+        <td><strong style="color: var(--text-primary)">${escapeHtml(image.image)}</strong></td>
+        <td>${escapeHtml(image.repository)}<div class="storage-muted">${escapeHtml(image.location)}</div></td>
+        <td>${storageSize(image.sizeBytes)}</td>
+        <td>${image.digests}</td>
+        <td>${image.untaggedDigests ? `${image.untaggedDigests} (${storageSize(image.untaggedBytes)})` : '0'}</td>
+        <td>${formatSizeDelta(image.changeBytes)}</td>
+        <td>${sparkline(image.history)}</td>
+      </tr>
+    `).join('');
+
+  elements.storageDigestBody.innerHTML = data.largestDigests.length === 0
+    ? '<tr class="empty-row"><td colspan="4">No Docker images</td></tr>'
+    : data.largestDigests.map(entry => `
+      <tr>
+        <td>${escapeHtml(entry.image)}<div class="storage-muted">${escapeHtml(entry.repository)}</div></td>
+        <td><code>${escapeHtml((entry.digest || '').substring(0, 19))}</code></td>
+        <td>${entry.tags.length ? entry.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ') : '<span class="storage-muted">untagged</span>'}</td>
+        <td>${storageSize(entry.sizeBytes)}</td>
+      </tr>
+    `).join('');
+}
+
+async function loadStorage() {
+  elements.storageChart.innerHTML = '<div class="loading-spinner"></div>';
+  elements.storageMeta.textContent = 'Loading storage history (the first visit takes a snapshot, which can take a while)...';
+
+  try {
+    const data = await apiPost('/api/storage', { days: Number(elements.storageDays.value), top: Number(elements.storageTop.value) });
+    if (data.error) throw new Error(data.error);
+    renderStorage(data);
+  } catch (error) {
+    elements.storageChart.innerHTML = `<p>Error: ${escapeHtml(error.message)}</p>`;
+    elements.storageMeta.textContent = '';
+  }
+}
+
+async function takeStorageSnapshot() {
+  const button = elements.storageSnapshotBtn;
+  button.disabled = true;
+  button.textContent = 'Taking snapshot...';
+
+  try {
+    const data = await apiPost('/api/storage/snapshots');
+    if (data.error) throw new Error(data.error);
+    showToast(`Snapshot taken: ${storageSize(data.totalBytes)}`);
+    await loadStorage();
+  } catch (error) {
+    showToast(`Snapshot failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Snapshot now';
+  }
+}
+
+// Audit log: who listed, transferred, deleted or retagged what, newest first
+const AUDIT_PAGE_SIZE = 100;
+
+function auditQuery() {
+  const query = {
+    search: elements.auditSearch.value.trim(),
+    action: elements.auditActionFilter.value,
+    outcome: elements.auditOutcomeFilter.value,
+    // Date inputs are local days; "to" covers the whole day
+    from: elements.auditFrom.value ? new Date(`${elements.auditFrom.value}T00:00:00`).toISOString() : '',
+    to: elements.auditTo.value ? new Date(`${elements.auditTo.value}T23:59:59.999`).toISOString() : '',
+  };
+  return Object.fromEntries(Object.entries(query).filter(([, value]) => value));
+}
+
+function renderAuditRows(entries, offset) {
+  return entries.map((entry, i) => `
+    <tr class="audit-row" onclick="showAuditEntry(${offset + i})">
+      <td>${formatDate(entry.timestamp)}</td>
+      <td>
+        <div>${escapeHtml(entry.actor || '-')}</div>
+        <div class="audit-project">${escapeHtml(entry.project || '')}</div>
+      </td>
+      <td><code>${escapeHtml(entry.action)}</code></td>
+      <td class="audit-resource">${escapeHtml(entry.resource || '-')}</td>
+      <td>
+        <span class="audit-outcome audit-outcome-${entry.outcome}">${entry.outcome}</span>
+        ${entry.status ? `<span class="audit-status">${entry.status}</span>` : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+function renderAuditActions(actions) {
+  const select = elements.auditActionFilter;
+  const selected = select.value;
+  // Offer the action groups too ("image" matches image.delete, image.inspect, ...)
+  const groups = [...new Set(actions.map(action => action.split('.')[0]))];
+  const options = [...new Set([...groups, ...actions, selected].filter(Boolean))].sort();
+
+  select.innerHTML = '<option value="">All actions</option>' +
+    options.map(action => `<option value="${escapeHtml(action)}">${escapeHtml(action)}</option>`).join('');
+  select.value = selected;
+}
+
+async function loadAudit(append = false) {
+  const tbody = elements.auditTableBody;
+  const offset = append ? auditEntries.length : 0;
+
+  if (!append) {
+    tbody.innerHTML = '<tr class="loading-row"><td colspan="5"><div class="loading-spinner"></div><span>Loading audit log...</span></td></tr>';
+  }
+
+  try {
+    const data = await apiPost('/api/audit', { ...auditQuery(), offset, limit: AUDIT_PAGE_SIZE });
+    if (data.error) throw new Error(data.error);
+
+    auditEntries = append ? [...auditEntries, ...data.entries] : data.entries;
+    // The action list is only complete when no action filter narrows it
+    if (!elements.auditActionFilter.value) renderAuditActions(data.actions);
+
+    tbody.querySelector('.load-more-row')?.remove();
+    if (!append) tbody.innerHTML = '';
+
+    if (auditEntries.length === 0) {
+      tbody.innerHTML = '<tr class="empty-row"><td colspan="5">No audit entries match</td></tr>';
+      return;
+    }
+
+    tbody.insertAdjacentHTML('beforeend', renderAuditRows(data.entries, offset));
+    if (auditEntries.length < data.total) {
+      tbody.insertAdjacentHTML('beforeend', `
+        <tr class="load-more-row">
+          <td colspan="5">
+            <button class="btn btn-secondary btn-small" onclick="loadAudit(true)">Load more (${auditEntries.length} of ${data.total})</button>
+          </td>
+        </tr>
+      `);
+    }
+  } catch (error) {
+    if (append) {
+      showToast(error.message);
+    } else {
+      tbody.innerHTML = `<tr class="empty-row"><td colspan="5">Error: ${escapeHtml(error.message)}</td></tr>`;
+    }
+  }
+}
+
+function showAuditEntry(index) {
+  const entry = auditEntries[index];
+  if (!entry) return;
+
+  elements.modalTitle.textContent = entry.action;
+  elements.modalBody.innerHTML = `
+    <div class="image-meta">
+      <div class="meta-item">
+        <span class="label">Time</span>
+        <span class="value">${escapeHtml(new Date(entry.timestamp).toLocaleString())}</span>
+      </div>
+      <div class="meta-item">
+        <span class="label">Actor</span>
+        <span class="value">${escapeHtml(entry.actor || '-')}</span>
+      </div>
+      <div class="meta-item">
+        <span class="label">Project</span>
+        <span class="value">${escapeHtml(entry.project || '-')}</span>
+      </div>
+      <div class="meta-item">
+        <span class="label">Outcome</span>
+        <span class="value"><span class="audit-outcome audit-outcome-${entry.outcome}">${entry.outcome}</span> ${entry.status || ''}</span>
+      </div>
+    </div>
+    <h4 class="audit-heading">Resource</h4>
+    <code class="audit-resource">${escapeHtml(entry.resource || '-')}</code>
+    ${entry.error ? `<h4 class="audit-heading">Error</h4><p>${escapeHtml(entry.error)}</p>` : ''}
+    <h4 class="audit-heading">Details</h4>
+    <pre class="audit-details">${escapeHtml(JSON.stringify(entry.details, null, 2))}</pre>
+  `;
+  elements.modal.classList.remove('hidden');
+}
+
+// The export endpoint takes the current filters and answers with an attachment
+function auditExportUrl(format) {
+  return `/api/audit/export?${new URLSearchParams({ ...auditQuery(), format })}`;
+}
+
+// Notifications: subscriptions to registry changes found by the server's poller
+function notificationDigest(digest) {
+  return digest ? escapeHtml(digest.substring(0, 19)) : '';
+}
+
+function notificationSinkSummary(sink) {
+  if (sink.type === 'file') {
+    return `<strong>File</strong><div class="notification-muted">events/${escapeHtml(sink.file)}</div>`;
+  }
+
+  let host = sink.url;
+  try {
+    host = new URL(sink.url).host;
+  } catch (e) {
+    // Shown as stored
+  }
+  return `<strong>${sink.type === 'slack' ? 'Slack' : 'Webhook'}</strong>` +
+    `<div class="notification-muted">${escapeHtml(host)}${sink.hasSecret ? ' · signed' : ''}</div>`;
+}
+
+function notificationFilterSummary(filters) {
+  const parts = [
+    filters.repositories.length ? filters.repositories.map(escapeHtml).join(', ') : 'All repositories',
+    filters.tagPattern ? `tags ${escapeHtml(filters.tagPattern)}` : '',
+    filters.events.length ? filters.events.map(escapeHtml).join(', ') : 'All events',
+  ];
+  return parts.filter(Boolean).join('<br>');
+}
+
+function notificationDeliverySummary(delivery) {
+  if (!delivery) return '<span class="notification-muted">Never</span>';
+  return `
+    <span class="notification-delivery ${delivery.ok ? 'ok' : 'failed'}">${delivery.ok ? 'Delivered' : 'Failed'}</span>
+    <div class="notification-muted">${escapeHtml(delivery.type)} · ${formatDate(delivery.timestamp)}</div>
+    ${delivery.error ? `<div class="notification-error">${escapeHtml(delivery.error)}</div>` : ''}
+  `;
+}
+
+function notificationChange(event) {
+  switch (event.type) {
+    case 'image.pushed':
+    case 'image.deleted':
+      return `<code>${escapeHtml(event.image)}@${notificationDigest(event.digest)}</code>` +
+        (event.tags?.length ? ` ${event.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ')}` : '');
+    case 'tag.moved':
+      return `<code>${escapeHtml(event.image)}:${escapeHtml(event.tag)}</code> ${notificationDigest(event.from)} → ${notificationDigest(event.digest)}`;
+    case 'tag.added':
+    case 'tag.removed':
+      return `<code>${escapeHtml(event.image)}:${escapeHtml(event.tag)}</code> ${notificationDigest(event.digest)}`;
+    default:
+      return `<code>${escapeHtml(event.package)}@${escapeHtml(event.version)}</code>`;
+  }
+}
+
+function renderNotifications(data) {
+  const lastPoll = data.lastPoll;
+  elements.notificationMeta.textContent = `Repositories are checked every ${data.pollIntervalSeconds}s while a subscription is enabled. ` +
+    (data.polling ? 'Polling now...'
+      : !lastPoll ? 'Not polled yet.'
+      : lastPoll.error ? `Last poll ${formatDate(lastPoll.timestamp)} failed: ${lastPoll.error}`
+      : `Last poll ${formatDate(lastPoll.timestamp)}: ${lastPoll.repositories} repositories, ${lastPoll.events} events` +
+        (lastPoll.failures.length ? `, ${lastPoll.failures.length} could not be read` : '') + '.');
+
+  elements.notificationSubscriptionBody.innerHTML = data.subscriptions.length === 0
+    ? '<tr class="empty-row"><td colspan="5">No subscriptions yet</td></tr>'
+    : data.subscriptions.map(subscription => `
+      <tr class="${subscription.enabled ? '' : 'notification-disabled'}">
+        <td>
+          <strong style="color: var(--text-primary)">${escapeHtml(subscription.name)}</strong>
+          ${subscription.enabled ? '' : '<div class="notification-muted">Paused</div>'}
+        </td>
+        <td>${notificationSinkSummary(subscription.sink)}</td>
+        <td class="notification-filters">${notificationFilterSummary(subscription.filters)}</td>
+        <td>${notificationDeliverySummary(subscription.lastDelivery)}</td>
+        <td>
+          <div class="notification-actions">
+            <button class="btn btn-secondary btn-small" onclick="testSubscription('${subscription.id}')">Test</button>
+            <button class="btn btn-secondary btn-small" onclick="openSubscriptionForm('${subscription.id}')">Edit</button>
+            <button class="btn btn-secondary btn-small" onclick="toggleSubscription('${subscription.id}', ${!subscription.enabled})">${subscription.enabled ? 'Pause' : 'Resume'}</button>
+            <button class="btn btn-danger btn-small" onclick="deleteSubscription('${subscription.id}')">Delete</button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+
+  elements.notificationEventBody.innerHTML = data.events.length === 0
+    ? '<tr class="empty-row"><td colspan="5">No changes seen since the server started</td></tr>'
+    : data.events.map(event => `
+      <tr>
+        <td>${formatDate(event.timestamp)}</td>
+        <td><code>${escapeHtml(event.type)}</code></td>
+        <td>${escapeHtml(event.repository)}<div class="notification-muted">${escapeHtml(event.location)}</div></td>
+        <td>${notificationChange(event)}</td>
+        <td>${event.deliveries.length === 0 ? '<span class="notification-muted">No matching subscription</span>'
+          : event.deliveries.map(delivery => `<span class="notification-delivery ${delivery.ok ? 'ok' : 'failed'}" title="${escapeHtml(delivery.error || '')}">${escapeHtml(delivery.name)}</span>`).join(' ')}</td>
+      </tr>
+    `).join('');
+}
+
+async function loadNotifications() {
+  try {
+    const data = await apiPost('/api/notifications');
+    if (data.error) throw new Error(data.error);
+    notificationData = data;
+    renderNotifications(data);
+  } catch (error) {
+    elements.notificationSubscriptionBody.innerHTML = `<tr class="empty-row"><td colspan="5">Error: ${escapeHtml(error.message)}</td></tr>`;
+  }
+}
+
+async function pollNotifications() {
+  const button = elements.notificationPollBtn;
+  button.disabled = true;
+  button.textContent = 'Polling...';
+
+  try {
+    const data = await apiPost('/api/notifications/poll');
+    if (data.error) throw new Error(data.error);
+    showToast(data.baseline.length && !data.events.length
+      ? `Recorded the current state of ${data.baseline.length} repositories; changes show from the next poll`
+      : `${data.events.length} change(s) in ${data.repositories} repositories`);
+    await loadNotifications();
+  } catch (error) {
+    showToast(`Poll failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Poll now';
+  }
+}
+
+function openSubscriptionForm(id = null) {
+  const subscription = id ? notificationData?.subscriptions.find(entry => entry.id === id) : null;
+  if (id && !subscription) return;
+
+  const { sink = { type: 'webhook' }, filters = { repositories: [], tagPattern: '', events: [] } } = subscription || {};
+  const eventTypes = notificationData?.eventTypes || [];
+
+  elements.modalTitle.textContent = subscription ? `Edit ${subscription.name}` : 'New Subscription';
+  elements.modalBody.innerHTML = `
+    <form class="repo-form" id="subscriptionForm">
+      <div class="form-row">
+        <div class="form-group">
+          <label>Name</label>
+          <input type="text" id="subscriptionName" value="${escapeHtml(subscription?.name || '')}" placeholder="Release tags to #deploys">
+        </div>
+        <div class="form-group">
+          <label>Sink</label>
+          <select id="subscriptionSinkType">
+            ${[['webhook', 'Webhook (signed JSON)'], ['slack', 'Slack incoming webhook'], ['file', 'Local file (JSON lines)']]
+              .map(([type, label]) => `<option value="${type}" ${sink.type === type ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div class="form-group" id="subscriptionUrlRow">
+        <label>URL</label>
+        <input type="text" id="subscriptionUrl" value="${escapeHtml(sink.url || '')}" placeholder="https://example.com/hooks/registry">
+      </div>
+      <div class="form-group" id="subscriptionSecretRow">
+        <label>Signing Secret <span class="optional">(${sink.hasSecret ? 'leave empty to keep the current one' : 'leave empty to generate one'})</span></label>
+        <input type="password" id="subscriptionSecret" autocomplete="new-password">
+        <p class="notification-muted">Requests carry <code>X-Registry-Signature: sha256=&lt;HMAC-SHA256 of the body&gt;</code>.</p>
+      </div>
+      <div class="form-group" id="subscriptionFileRow">
+        <label>File Name <span class="optional">(under data/notifications/events on the server)</span></label>
+        <input type="text" id="subscriptionFile" value="${escapeHtml(sink.file || 'events.jsonl')}">
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label>Repositories <span class="optional">(comma-separated, * and ? wildcards)</span></label>
+          <input type="text" id="subscriptionRepositories" value="${escapeHtml(filters.repositories.join(', '))}" placeholder="All repositories, or e.g. prod-*, us-central1/apps">
+        </div>
+        <div class="form-group">
+          <label>Tag Pattern <span class="optional">(or version, for packages)</span></label>
+          <input type="text" id="subscriptionTagPattern" value="${escapeHtml(filters.tagPattern)}" placeholder="v*">
+        </div>
+      </div>
+      <div class="form-group">
+        <label>Events <span class="optional">(none selected means all)</span></label>
+        <div class="notification-event-options">
+          ${eventTypes.map(type => `
+            <label class="checkbox-label">
+              <input type="checkbox" class="subscription-event" value="${type}" ${filters.events.includes(type) ? 'checked' : ''}>
+              ${type}
+            </label>
+          `).join('')}
+        </div>
+      </div>
+      <label class="checkbox-label">
+        <input type="checkbox" id="subscriptionEnabled" ${subscription?.enabled === false ? '' : 'checked'}>
+        Enabled
+      </label>
+
+      <ul id="subscriptionErrors" class="form-errors hidden"></ul>
+      <div class="deletion-actions">
+        <button type="button" class="btn btn-secondary" id="subscriptionCancel">Cancel</button>
+        <button type="submit" class="btn btn-primary" id="subscriptionSubmit">${subscription ? 'Save Changes' : 'Create Subscription'}</button>
+      </div>
+    </form>
+  `;
+  elements.modal.classList.remove('hidden');
+
+  const typeSelect = document.getElementById('subscriptionSinkType');
+  const toggleSinkFields = () => {
+    document.getElementById('subscriptionUrlRow').classList.toggle('hidden', typeSelect.value === 'file');
+    document.getElementById('subscriptionSecretRow').classList.toggle('hidden', typeSelect.value !== 'webhook');
+    document.getElementById('subscriptionFileRow').classList.toggle('hidden', typeSelect.value !== 'file');
+  };
+  typeSelect.addEventListener('change', toggleSinkFields);
+  toggleSinkFields();
+
+  document.getElementById('subscriptionCancel').addEventListener('click', () => {
+    elements.modal.classList.add('hidden');
+  });
+  document.getElementById('subscriptionForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitSubscriptionForm(id);
+  });
+}
+
+function readSubscriptionForm() {
+  const value = (id) => document.getElementById(id).value.trim();
+  const type = value('subscriptionSinkType');
+  const sink = { type };
+
+  if (type === 'file') {
+    sink.file = value('subscriptionFile');
+  } else {
+    sink.url = value('subscriptionUrl');
+  }
+  // An empty secret field keeps (or generates) the secret
+  if (type === 'webhook' && value('subscriptionSecret')) sink.secret = value('subscriptionSecret');
+
+  return {
+    name: value('subscriptionName'),
+    enabled: document.getElementById('subscriptionEnabled').checked,
+    sink,
+    filters: {
+      repositories: splitList(value('subscriptionRepositories')),
+      tagPattern: value('subscriptionTagPattern'),
+      events: [...document.querySelectorAll('.subscription-event:checked')].map(input => input.value),
+    },
+  };
+}
+
+async function submitSubscriptionForm(id) {
+  const submit = document.getElementById('subscriptionSubmit');
+  const errorList = document.getElementById('subscriptionErrors');
+  submit.disabled = true;
+  errorList.classList.add('hidden');
+
+  try {
+    const data = id
+      ? await apiRequest('PATCH', `/api/notifications/subscriptions/${id}`, readSubscriptionForm())
+      : await apiRequest('PUT', '/api/notifications/subscriptions', readSubscriptionForm());
+
+    if (data.error) {
+      errorList.innerHTML = `<li>${escapeHtml(data.error)}</li>`;
+      errorList.classList.remove('hidden');
+      return;
+    }
+
+    if (data.secret) {
+      // Generated secrets are only ever shown here
+      elements.modalTitle.textContent = 'Subscription Created';
+      elements.modalBody.innerHTML = `
+        <div class="command-output" style="margin-top: 0;">
+          <div class="command-step">
+            <div class="step-content">
+              <p>Verify the <code>X-Registry-Signature</code> header of each request with this secret. It will not be shown again.</p>
+              <code>${data.secret}</code>
+              <button class="copy-btn" onclick="copyToClipboard('${data.secret}')">Copy</button>
+            </div>
+          </div>
+        </div>
+      `;
+    } else {
+      elements.modal.classList.add('hidden');
+      showToast(id ? `Updated ${data.subscription.name}` : `Created ${data.subscription.name}`);
+    }
+    loadNotifications();
+  } catch (error) {
+    console.error('Failed to save subscription:', error);
+    showToast('Error: ' + error.message);
+  } finally {
+    submit.disabled = false;
+  }
+}
+
+async function toggleSubscription(id, enabled) {
+  try {
+    const data = await apiRequest('PATCH', `/api/notifications/subscriptions/${id}`, { enabled });
+    if (data.error) throw new Error(data.error);
+    showToast(`${data.subscription.name} ${enabled ? 'resumed' : 'paused'}`);
+    loadNotifications();
+  } catch (error) {
+    showToast('Error: ' + error.message);
+  }
+}
+
+async function testSubscription(id) {
+  showToast('Sending test notification...');
+
+  try {
+    const data = await apiPost(`/api/notifications/subscriptions/${id}/test`);
+    if (data.error) throw new Error(data.error);
+    showToast(data.delivery.ok ? 'Test notification delivered' : `Test notification failed: ${data.delivery.error}`);
+    loadNotifications();
+  } catch (error) {
+    showToast('Error: ' + error.message);
+  }
+}
+
+async function deleteSubscription(id) {
+  const subscription = notificationData?.subscriptions.find(entry => entry.id === id);
+  if (!confirm(`Delete subscription "${subscription?.name || id}"?`)) return;
+
+  try {
+    const data = await apiDelete(`/api/notifications/subscriptions/${id}`);
+    if (data.error) throw new Error(data.error);
+    showToast('Subscription deleted');
+    loadNotifications();
+  } catch (error) {
+    showToast('Error: ' + error.message);
+  }
+}
+
 // View Switching
 function switchView(viewName) {
   elements.navItems.forEach(item => {
@@ -988,6 +4419,9 @@ function switchView(viewName) {
     docker: { title: 'Docker Images', subtitle: 'Browse and pull Docker images from your registry' },
     upload: { title: 'Upload from Docker Hub', subtitle: 'Transfer public Docker images to your GCP Artifact Registry' },
     download: { title: 'Download', subtitle: 'Pull Docker images from your repository' },
+    storage: { title: 'Storage', subtitle: 'Storage use per repository and image over time' },
+    audit: { title: 'Audit Log', subtitle: 'Listings, transfers, deletions and tag changes across your projects' },
+    notifications: { title: 'Notifications', subtitle: 'Webhook, Slack and file notifications for new, moved and deleted tags' },
     settings: { title: 'Settings', subtitle: 'Manage your credentials and preferences' },
   };
 
@@ -997,8 +4431,21 @@ function switchView(viewName) {
 
   if (viewName === 'upload') {
     cancelTransferSelection();
+    renderProxyGrid();
     fetchPopularImages();
   }
+
+  if (viewName === 'storage') {
+    loadStorage();
+  }
+
+  if (viewName === 'audit') {
+    loadAudit();
+  }
+
+  if (viewName === 'notifications') {
+    loadNotifications();
+  }
 }
 
 // Event Listeners
@@ -1021,6 +4468,23 @@ function initEventListeners() {
     elements.clearCredentialsBtn.addEventListener('click', logout);
   }
 
+  // Profiles
+  elements.projectSwitcher.addEventListener('change', () => {
+    const value = elements.projectSwitcher.value;
+    if (value === '__add__') {
+      elements.projectSwitcher.value = session.activeProfile;
+      showAddProfile();
+    } else {
+      switchProfile(value);
+    }
+  });
+  elements.addProfileBtn.addEventListener('click', showAddProfile);
+
+  // Vulnerability report import
+  elements.importVulnReport.addEventListener('click', importVulnerabilityReport);
+  elements.cancelAddProfile.addEventListener('click', cancelAddProfile);
+  elements.repoAllProjects.addEventListener('change', fetchRepositories);
+
   // Navigation
   elements.navItems.forEach(item => {
     item.addEventListener('click', (e) => {
@@ -1032,17 +4496,62 @@ function initEventListeners() {
   // Refresh
   elements.refreshBtn.addEventListener('click', fetchRepositories);
 
-  // Search repositories
+  elements.newRepoBtn.addEventListener('click', () => openRepositoryForm());
+
+  // Search and region filter for repositories
   if (elements.repoSearch) {
-    elements.repoSearch.addEventListener('input', (e) => {
-      const query = e.target.value.toLowerCase();
-      const filtered = repositories.filter(r =>
-        r.name.toLowerCase().includes(query) ||
-        r.format.toLowerCase().includes(query) ||
-        r.location.toLowerCase().includes(query)
-      );
-      renderRepositories(filtered);
+    elements.repoSearch.addEventListener('input', applyRepoFilters);
+  }
+
+  if (elements.repoRegionFilter) {
+    elements.repoRegionFilter.addEventListener('change', applyRepoFilters);
+  }
+
+  // Cleanup policy panel - any change invalidates the last dry run
+  if (elements.cleanupPreviewBtn) {
+    elements.cleanupPreviewBtn.addEventListener('click', () => runCleanup(true));
+    elements.cleanupApplyBtn.addEventListener('click', applyCleanup);
+
+    [elements.cleanupRepoSelect, elements.cleanupKeepPattern, elements.cleanupKeepCount,
+      elements.cleanupUntaggedDays, elements.cleanupProtect].forEach(input => {
+      input.addEventListener('input', resetCleanupReport);
+    });
+  }
+
+  // Layer usage of the selected Docker repository
+  if (elements.dockerLayersBtn) {
+    elements.dockerLayersBtn.addEventListener('click', showLayerUsage);
+  }
+
+  // Storage dashboard
+  if (elements.storageSnapshotBtn) {
+    elements.storageSnapshotBtn.addEventListener('click', takeStorageSnapshot);
+    [elements.storageDays, elements.storageTop].forEach(select => select.addEventListener('change', loadStorage));
+  }
+
+  // Audit filters - the search box is debounced, the rest reload at once
+  if (elements.auditTableBody) {
+    elements.auditSearch.addEventListener('input', () => {
+      clearTimeout(auditSearchTimer);
+      auditSearchTimer = setTimeout(() => loadAudit(), 300);
+    });
+
+    [elements.auditActionFilter, elements.auditOutcomeFilter, elements.auditFrom, elements.auditTo].forEach(input => {
+      input.addEventListener('change', () => loadAudit());
     });
+
+    [[elements.auditExportCsv, 'csv'], [elements.auditExportJsonl, 'jsonl']].forEach(([link, format]) => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        window.location.href = auditExportUrl(format);
+      });
+    });
+  }
+
+  // Notifications
+  if (elements.notificationPollBtn) {
+    elements.notificationPollBtn.addEventListener('click', pollNotifications);
+    elements.notificationAddBtn.addEventListener('click', () => openSubscriptionForm());
   }
 
   // Docker repo select
@@ -1056,15 +4565,32 @@ function initEventListeners() {
     });
   }
 
-  // Docker search - wire up real-time filtering
+  // Docker search - filtered server-side, debounced while typing
   if (elements.dockerSearch) {
     elements.dockerSearch.addEventListener('input', (e) => {
       dockerSearchTerm = e.target.value.trim();
-      if (allDockerImages.length > 0) {
-        const grouped = groupDockerImages(allDockerImages);
-        renderDockerImagesGrid(grouped);
-      }
+      clearTimeout(dockerSearchTimer);
+      dockerSearchTimer = setTimeout(() => {
+        if (currentRepository) fetchDockerImages(currentLocation, currentRepository);
+      }, 300);
+    });
+  }
+
+  // Docker sort and filter bar
+  [elements.dockerSortSelect, elements.dockerUploadedSelect, elements.dockerSizeSelect, elements.dockerTaggedSelect]
+    .filter(Boolean)
+    .forEach(select => {
+      select.addEventListener('change', () => {
+        if (currentRepository) fetchDockerImages(currentLocation, currentRepository);
+      });
     });
+
+  // Docker infinite scroll
+  if (elements.dockerScrollSentinel && 'IntersectionObserver' in window) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) loadMoreDockerImages();
+    }, { rootMargin: '400px' });
+    observer.observe(elements.dockerScrollSentinel);
   }
 
   // Download repo select
@@ -1072,21 +4598,23 @@ function initEventListeners() {
     elements.downloadRepoSelect.addEventListener('change', async (e) => {
       const value = e.target.value;
       elements.pullCommands.classList.add('hidden');
+      elements.promotePanel.classList.add('hidden');
+      downloadImageGroups = [];
 
       if (value) {
         const [location, name] = value.split('|');
 
         try {
-          const response = await fetch(`/api/repositories/${location}/${name}/docker-images`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ credentials }),
+          const data = await apiPost(`/api/repositories/${location}/${name}/docker-images`, {
+            orderBy: 'uploadTime',
+            order: 'desc',
+            pageSize: 1000,
           });
-          const data = await response.json();
 
           if (data.images && data.images.length > 0) {
             // Group images by base name for cleaner display
             const grouped = groupDockerImages(data.images);
+            downloadImageGroups = grouped;
 
             // Create options for each grouped image with its tags
             const options = [];
@@ -1129,7 +4657,7 @@ function initEventListeners() {
         const [location, repo, imageName, tag] = value.split('|');
 
         const registryHost = `${location}-docker.pkg.dev`;
-        const projectId = credentials?.project_id || 'PROJECT_ID';
+        const projectId = session?.projectId || 'PROJECT_ID';
 
         const authCmd = `gcloud auth configure-docker ${registryHost} --quiet`;
         const pullCmd = `docker pull ${registryHost}/${projectId}/${repo}/${imageName}:${tag || 'latest'}`;
@@ -1137,12 +4665,18 @@ function initEventListeners() {
         elements.pullAuthCmd.textContent = authCmd;
         elements.pullImageCmd.textContent = pullCmd;
         elements.pullCommands.classList.remove('hidden');
+        renderPromotePanel(location, repo, imageName, tag);
       } else {
         elements.pullCommands.classList.add('hidden');
+        elements.promotePanel.classList.add('hidden');
       }
     });
   }
 
+  if (elements.executePromote) {
+    elements.executePromote.addEventListener('click', executePromotion);
+  }
+
   // Docker Hub Search
   if (elements.searchDockerHub) {
     elements.searchDockerHub.addEventListener('click', () => {
@@ -1171,11 +4705,44 @@ function initEventListeners() {
     elements.cancelTransfer.addEventListener('click', cancelTransferSelection);
   }
 
+  if (elements.transferTagSelect) {
+    elements.transferTagSelect.addEventListener('change', updateProxyHint);
+  }
+
+  // Package upload panel
+  if (elements.uploadDropzone) {
+    elements.uploadRepoSelect.addEventListener('change', renderUploadFields);
+    elements.uploadDropzone.addEventListener('click', () => elements.uploadFileInput.click());
+    elements.uploadFileInput.addEventListener('change', () => {
+      addUploadFiles(elements.uploadFileInput.files);
+      elements.uploadFileInput.value = '';
+    });
+    elements.uploadDropzone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      elements.uploadDropzone.classList.add('dragging');
+    });
+    elements.uploadDropzone.addEventListener('dragleave', () => {
+      elements.uploadDropzone.classList.remove('dragging');
+    });
+    elements.uploadDropzone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      elements.uploadDropzone.classList.remove('dragging');
+      addUploadFiles(e.dataTransfer.files);
+    });
+    elements.uploadStart.addEventListener('click', startUpload);
+    elements.uploadClear.addEventListener('click', clearUploadFiles);
+  }
+
   // Generate transfer commands
   if (elements.generateTransferCmd) {
     elements.generateTransferCmd.addEventListener('click', generateTransferCommands);
   }
 
+  // Server-side transfer
+  if (elements.executeTransfer) {
+    elements.executeTransfer.addEventListener('click', executeTransfer);
+  }
+
   // Copy all commands
   if (elements.copyAllCommands) {
     elements.copyAllCommands.addEventListener('click', () => {
@@ -1204,15 +4771,24 @@ function initEventListeners() {
 
 // Initialize
 async function init() {
-  // Check if we have stored credentials
-  credentials = getStoredCredentials();
+  purgeLegacyCredentials();
+
+  // Resume an existing server-side session if the cookie is still valid
+  try {
+    const response = await fetch('/api/info', { method: 'POST', credentials: 'same-origin' });
+    if (response.ok) {
+      session = await response.json();
+    }
+  } catch (e) {
+    console.error('Failed to check session:', e);
+  }
 
-  if (credentials) {
-    // Already have credentials, show main app
+  if (session) {
     showMainApp();
+    loadPermissions();
     await fetchRepositories();
   } else {
-    // No credentials, show auth screen
+    // No session, show auth screen
     showAuthScreen();
   }
 
@@ -1221,11 +4797,34 @@ async function init() {
 
 // Make functions global for onclick handlers
 window.viewRepoDetails = viewRepoDetails;
+window.inProfile = inProfile;
+window.switchProfile = switchProfile;
+window.removeProfile = removeProfile;
 window.showDockerImagesForRepo = showDockerImagesForRepo;
 window.showPullCommand = showPullCommand;
 window.copyToClipboard = copyToClipboard;
 window.selectImageForTransfer = selectImageForTransfer;
 window.showImageDetails = showImageDetails;
+window.inspectDockerDigest = inspectDockerDigest;
+window.compareDockerDigests = compareDockerDigests;
+window.loadImageVulnerabilities = loadImageVulnerabilities;
+window.deleteDockerImage = deleteDockerImage;
+window.deleteDockerDigest = deleteDockerDigest;
+window.changeDockerTag = changeDockerTag;
+window.deletePackage = deletePackage;
+window.removeUploadFile = removeUploadFile;
+window.showRepoPackages = showRepoPackages;
+window.showPackageVersions = showPackageVersions;
+window.showVersionFiles = showVersionFiles;
+window.openRepositoryForm = openRepositoryForm;
+window.deleteRepository = deleteRepository;
+window.loadAudit = loadAudit;
+window.showAuditEntry = showAuditEntry;
+window.openSubscriptionForm = openSubscriptionForm;
+window.toggleSubscription = toggleSubscription;
+window.testSubscription = testSubscription;
+window.deleteSubscription = deleteSubscription;
+window.cancelOperation = cancelOperation;
 
 // Start the app
 init();
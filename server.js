@@ -1,9 +1,56 @@
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
 import { ArtifactRegistryClient } from '@google-cloud/artifact-registry';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+    SESSION_COOKIE,
+    PROFILE_NAME_PATTERN,
+    SessionError,
+    createSession,
+    getSession,
+    destroySession,
+    addProfile,
+    setActiveProfile,
+    removeProfile,
+    getSessionId,
+    sessionCookieOptions,
+} from './lib/sessions.js';
+import { packagePath, versionPath, tagPath, repositoryPath, decodePackageId } from './lib/resources.js';
+import { planPackageDeletion, planVersionDeletion, planTagDeletion, planRepositoryDeletion, applyDeletion } from './lib/deletion.js';
+import { RepositoryValidationError, createRepository, updateRepository, describeRepository } from './lib/repositories.js';
+import {
+    ROLES,
+    IamConflictError,
+    getRepositoryPolicy,
+    validateChanges,
+    planPolicyChanges,
+    applyPolicyChanges,
+    testRepositoryPermissions,
+    testProjectPermissions,
+} from './lib/iam.js';
+import { validatePromotion, promoteImage } from './lib/promotion.js';
+import { TagChangeError, planTagChange, applyTagChange } from './lib/tags.js';
+import { FileDownloadError, describeFile, listVersionFiles, openFileDownload } from './lib/files.js';
+import { UploadError, planUpload, verifyClientChecksums, uploadArtifacts, confirmUploadedFiles } from './lib/uploads.js';
+import { auditLog, formatAuditExport } from './lib/audit.js';
+import { STORAGE_SNAPSHOT_INTERVAL_MS, collectStorageSnapshot, summarizeStorage, storageHistory } from './lib/storage.js';
+import { normalizePolicy, runCleanupReport, applyCleanupReport } from './lib/cleanup.js';
+import { RegistryClient, parseImageSource } from './lib/oci-registry.js';
+import { copyImage, isAllowedSourceHost } from './lib/transfer.js';
+import { inspectImage } from './lib/inspect.js';
+import { compareImages } from './lib/compare.js';
+import { buildLayerIndex, layerReport } from './lib/layers.js';
+import { CHANGE_EVENTS, changeTracker } from './lib/changes.js';
+import { NotificationError, SINK_TYPES, notificationCenter, publicSubscription, watchesRepository } from './lib/notifications.js';
+import { PushAuthError, verifyPushToken, parsePushMessage } from './lib/pubsub.js';
+import { liveUpdates } from './lib/live.js';
+import { OperationError, operations } from './lib/operations.js';
+import { createVulnerabilityProvider, invalidateVulnerabilitySummaries, localReports, parseReport, parseResourceUri, rollupByRepository, summarizeFindings } from './lib/vulnerabilities.js';
+import { listPage, dockerOrderBy, packageOrderBy, dockerImageFilter, nameFilter } from './lib/listing.js';
+import { dockerRegistryHost, isLocationId, listProjectLocations, listRepositoriesInAllLocations } from './lib/locations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,51 +88,243 @@ function createClient(credentials) {
     });
 }
 
-// Middleware to extract and validate credentials from request
-function withCredentials(req, res, next) {
-    const credentials = req.body.credentials || req.query.credentials;
+// Clients are cached per session and profile so they are not rebuilt on every request
+const sessionClients = new Map();
 
-    if (!credentials) {
-        return res.status(401).json({
-            error: 'No credentials provided',
-            requiresAuth: true
-        });
+function getSessionClient(session, profileName = session.activeProfile) {
+    const key = `${session.id}:${profileName}`;
+    let client = sessionClients.get(key);
+    if (!client) {
+        client = createClient(session.credentialsFor(profileName));
+        sessionClients.set(key, client);
+    }
+    return client;
+}
+
+// Release one profile's client, or every client of the session when no profile is given
+function releaseSessionClient(sessionId, profileName) {
+    const prefix = profileName === undefined ? `${sessionId}:` : `${sessionId}:${profileName}`;
+
+    for (const [key, client] of sessionClients) {
+        if (profileName === undefined ? !key.startsWith(prefix) : key !== prefix) continue;
+        sessionClients.delete(key);
+        client.close().catch(() => {});
     }
+}
+
+// Middleware to resolve the session cookie into credentials and a client.
+// `?profile=name` runs a single request against another profile without switching.
+async function withCredentials(req, res, next) {
+    const sessionId = getSessionId(req);
 
     try {
-        const creds = typeof credentials === 'string' ? JSON.parse(credentials) : credentials;
+        const session = await getSession(sessionId);
 
-        if (!creds.project_id || !creds.private_key || !creds.client_email) {
-            return res.status(400).json({
-                error: 'Invalid credentials format. Required: project_id, private_key, client_email',
+        if (!session) {
+            releaseSessionClient(sessionId);
+            res.clearCookie(SESSION_COOKIE, { path: '/' });
+            return res.status(401).json({
+                error: 'Session expired or not found',
                 requiresAuth: true
             });
         }
 
-        req.gcpCredentials = creds;
-        req.gcpClient = createClient(creds);
+        const profileName = req.query.profile || session.activeProfile;
+        if (!session.profiles.some((profile) => profile.name === profileName)) {
+            return res.status(404).json({ error: `Profile not found: ${profileName}` });
+        }
+
+        req.session = session;
+        req.profileName = profileName;
+        req.gcpCredentials = session.credentialsFor(profileName);
+        req.gcpClient = getSessionClient(session, profileName);
+        projectSources.set(req.gcpCredentials.project_id, { sessionId, profileName });
         next();
     } catch (e) {
-        return res.status(400).json({
-            error: 'Failed to parse credentials: ' + e.message,
-            requiresAuth: true
+        console.error('Failed to load session:', e);
+        return res.status(500).json({ error: 'Failed to load session: ' + e.message });
+    }
+}
+
+function sessionSummary(session) {
+    return {
+        projectId: session.projectId,
+        serviceAccount: session.serviceAccount,
+        activeProfile: session.activeProfile,
+        profiles: session.profiles.map((profile) => ({
+            ...profile,
+            active: profile.name === session.activeProfile,
+        })),
+        expiresAt: new Date(session.expiresAt).toISOString(),
+    };
+}
+
+// Resource name of the request's target, built from whichever route params are present
+function auditResource(req) {
+    const { location, repository, package: packageId, image, version, digest, tag, file } = req.params;
+    const projectId = req.gcpCredentials?.project_id;
+    if (!projectId) return null;
+
+    let name = `projects/${projectId}`;
+    if (location) name += `/locations/${location}`;
+    if (repository) name += `/repositories/${repository}`;
+    if (packageId || image) name += `/packages/${packageId || image}`;
+    if (version || digest) name += `/versions/${version || digest}`;
+    if (tag) name += `/tags/${tag}`;
+    if (file) name += `/files/${file}`;
+    return name;
+}
+
+// Record the request in the audit log once the response is done. Routes add details,
+// or correct the outcome of streamed responses, through res.locals.audit. Routes that
+// preview by default set res.locals.audit.dryRun to whether the change was only previewed.
+function audited(action) {
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 400 && body?.error) res.locals.auditError = body.error;
+            return json(body);
+        };
+
+        res.on('close', () => {
+            const audit = res.locals.audit || {};
+            const status = res.statusCode;
+
+            auditLog.record({
+                actor: audit.actor || req.gcpCredentials?.client_email,
+                project: audit.project || req.gcpCredentials?.project_id,
+                action,
+                resource: audit.resource || auditResource(req),
+                outcome: audit.outcome || (!res.writableFinished ? 'failure'
+                    : status === 401 || status === 403 ? 'denied' : status >= 400 ? 'failure' : 'success'),
+                status,
+                error: audit.error || res.locals.auditError || (!res.writableFinished ? 'Client disconnected' : null),
+                details: {
+                    ...(req.profileName ? { profile: req.profileName } : {}),
+                    ...(audit.dryRun !== undefined ? { dryRun: audit.dryRun } : {}),
+                    ...audit.details,
+                },
+            });
         });
+        next();
+    };
+}
+
+// Long-running routes (listings across regions, transfers, promotions, uploads, cleanup)
+// stream their events as NDJSON on the response by default. With `background: true` the
+// request returns 202 with an operation right away, and the events go to the session's
+// live stream instead, so the page is not tied to one open fetch.
+function wantsBackground(req) {
+    const { background } = { ...req.query, ...req.body };
+    return background === true || background === 'true';
+}
+
+// task({ emit, signal, audit }) resolves with the fields of the final "done" event. It fills
+// `audit` ({ resource, details }) as it learns what it worked on.
+function runOperation(req, res, { kind, label }, task) {
+    return wantsBackground(req)
+        ? startBackgroundOperation(req, res, { kind, label }, task)
+        : streamOperation(req, res, { kind }, task);
+}
+
+async function streamOperation(req, res, { kind }, task) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    const emit = (event) => res.write(JSON.stringify(event) + '\n');
+
+    const audit = { details: {} };
+    res.locals.audit = audit;
+
+    try {
+        const result = await task({ emit, signal: controller.signal, audit });
+        emit({ type: 'done', ...result });
+    } catch (error) {
+        audit.outcome = 'failure';
+        audit.error = error.message;
+        if (!controller.signal.aborted) {
+            console.error(`Operation ${kind} failed:`, error);
+            emit({ type: 'error', error: error.message });
+        }
+    } finally {
+        res.end();
     }
 }
 
+// The request itself is audited as started; the outcome gets its own entry once known
+function startBackgroundOperation(req, res, { kind, label }, task) {
+    const audit = { details: {} };
+    const actor = req.gcpCredentials.client_email;
+    const project = req.gcpCredentials.project_id;
+    const resource = auditResource(req);
+    const profile = req.profileName;
+
+    const operation = operations.start(
+        { sessionId: req.session.id, projectId: project, kind, label },
+        ({ emit, signal }) => task({ emit, signal, audit }),
+        {
+            onFinish: (finished) => auditLog.record({
+                actor,
+                project,
+                action: kind,
+                resource: audit.resource || resource,
+                outcome: finished.status === 'succeeded' ? 'success' : 'failure',
+                error: finished.error,
+                details: {
+                    ...(profile ? { profile } : {}),
+                    operation: finished.id,
+                    status: finished.status,
+                    ...audit.details,
+                },
+            }),
+        }
+    );
+
+    res.locals.audit = { details: { operation: operation.id, background: true } };
+    res.status(202).json({ operation });
+}
+
+// Let the open pages of a project know its registry content changed. Changes have the
+// shape of Pub/Sub push messages (see lib/pubsub.js), plus package/version for
+// non-Docker formats.
+function publishRegistryChange(projectId, change) {
+    return liveUpdates.publish(projectId, 'registry', { projectId, ...change });
+}
+
 // API Routes
 
-// Validate credentials
-app.post('/api/validate-credentials', async (req, res) => {
-    const { credentials } = req.body;
+// Every :location in a route must be a plain location id; it ends up in registry hostnames
+app.param('location', (req, res, next, location) => {
+    if (!isLocationId(location)) {
+        return res.status(400).json({ error: `Invalid location: ${location}` });
+    }
+    next();
+});
+
+// Validate credentials and start a server-side session.
+// With `addProfile: true` and an existing session, the key is added as another
+// named profile instead. `projectId` targets a project other than the key's own.
+app.post('/api/validate-credentials', audited('session.login'), async (req, res) => {
+    const { credentials, profileName, projectId } = req.body;
 
     if (!credentials) {
         return res.status(400).json({ valid: false, error: 'No credentials provided' });
     }
 
+    if (profileName && !PROFILE_NAME_PATTERN.test(profileName)) {
+        return res.status(400).json({ valid: false, error: 'Profile names may only contain letters, digits, ".", "_" and "-"' });
+    }
+
     try {
         const creds = typeof credentials === 'string' ? JSON.parse(credentials) : credentials;
 
+        res.locals.audit = { actor: creds.client_email, project: projectId || creds.project_id };
+
         if (!creds.project_id || !creds.private_key || !creds.client_email) {
             return res.status(400).json({
                 valid: false,
@@ -93,91 +332,350 @@ app.post('/api/validate-credentials', async (req, res) => {
             });
         }
 
-        // Try to create client and make a simple API call to validate
+        // Try to create client and make a simple API call to validate.
+        // The "-" wildcard covers every location, so one probe is enough.
         const client = createClient(creds);
-        const location = 'asia-south1';
-        const parent = `projects/${creds.project_id}/locations/${location}`;
+        const parent = `projects/${projectId || creds.project_id}/locations/-`;
 
         try {
-            await client.listRepositories({ parent });
+            await client.listRepositories({ parent, pageSize: 1 }, { autoPaginate: false });
         } catch (e) {
-            // Try another common location if asia-south1 fails
-            try {
-                const parent2 = `projects/${creds.project_id}/locations/us-central1`;
-                await client.listRepositories({ parent: parent2 });
-            } catch (e2) {
-                // Even if no repos exist, authentication succeeded if we got here without auth error
-                if (e2.code === 7 || e2.code === 3) {
-                    // Permission denied or invalid argument - but authenticated
-                    console.log('Credentials valid, but limited permissions');
-                } else if (e2.code === 16) {
-                    return res.json({ valid: false, error: 'Invalid credentials - authentication failed' });
-                }
+            // Even if no repos exist, authentication succeeded if we got here without auth error
+            if (e.code === 7 || e.code === 3) {
+                // Permission denied or invalid argument - but authenticated
+                console.log('Credentials valid, but limited permissions');
+            } else if (e.code === 16) {
+                await client.close();
+                res.locals.audit.outcome = 'denied';
+                return res.json({ valid: false, error: 'Invalid credentials - authentication failed' });
             }
         }
 
-        res.json({
-            valid: true,
-            projectId: creds.project_id,
-            serviceAccount: creds.client_email
-        });
+        await client.close();
+
+        const previousId = getSessionId(req);
+        const options = { profileName, projectId };
+
+        if (req.body.addProfile && await getSession(previousId)) {
+            const name = await addProfile(previousId, creds, options);
+            releaseSessionClient(previousId, name);
+            const session = await getSession(previousId);
+            return res.json({ valid: true, ...sessionSummary(session) });
+        }
+
+        // Replace any session this browser already had
+        if (previousId) {
+            releaseSessionClient(previousId);
+            await destroySession(previousId);
+        }
+
+        const created = await createSession(creds, options);
+        res.cookie(SESSION_COOKIE, created.id, sessionCookieOptions(req, created.expiresAt));
+
+        const session = await getSession(created.id);
+        res.json({ valid: true, ...sessionSummary(session) });
     } catch (e) {
+        if (e instanceof SessionError) return res.status(e.status).json({ valid: false, error: e.message });
         res.status(400).json({ valid: false, error: 'Failed to validate: ' + e.message });
     }
 });
 
-// Get project info (POST to receive credentials)
+// Revoke the current session
+app.post('/api/logout', audited('session.logout'), async (req, res) => {
+    const sessionId = getSessionId(req);
+
+    try {
+        const session = await getSession(sessionId);
+        if (session) res.locals.audit = { actor: session.serviceAccount, project: session.projectId };
+        operations.cancelSession(sessionId);
+        releaseSessionClient(sessionId);
+        liveUpdates.disconnectSession(sessionId);
+        await destroySession(sessionId);
+    } catch (e) {
+        console.error('Failed to destroy session:', e);
+    }
+
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+});
+
+// Get project info and profiles for the current session
 app.post('/api/info', withCredentials, (req, res) => {
-    res.json({
-        projectId: req.gcpCredentials.project_id,
-        serviceAccount: req.gcpCredentials.client_email,
-    });
+    res.json(sessionSummary(req.session));
 });
 
-// List all repositories
-app.post('/api/repositories', withCredentials, async (req, res) => {
+// List the profiles stored in the session
+app.post('/api/profiles', withCredentials, (req, res) => {
+    res.json(sessionSummary(req.session));
+});
+
+// Make another profile the active one
+app.post('/api/profiles/switch', withCredentials, audited('profile.switch'), async (req, res) => {
+    const { name } = req.body;
+
     try {
-        const locations = ['asia-south1', 'us-central1', 'us-east1', 'europe-west1', 'asia-southeast1'];
-        let allRepositories = [];
+        if (!await setActiveProfile(req.session.id, name)) {
+            return res.status(404).json({ error: `Profile not found: ${name}` });
+        }
+        res.json(sessionSummary(await getSession(req.session.id)));
+    } catch (error) {
+        console.error('Error switching profile:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        for (const location of locations) {
-            try {
-                const parent = `projects/${req.gcpCredentials.project_id}/locations/${location}`;
-                const [repositories] = await req.gcpClient.listRepositories({ parent });
-                allRepositories = allRepositories.concat(repositories);
-            } catch (e) {
-                console.log(`No repositories in ${location} or access denied`);
-            }
+// What the active profile may do at project level, so the UI can hide the rest.
+// When the check itself fails (e.g. Resource Manager API disabled) nothing is hidden.
+app.post('/api/permissions', withCredentials, audited('permissions.check'), async (req, res) => {
+    try {
+        const permissions = await testProjectPermissions(
+            req.gcpCredentials.project_id,
+            () => req.gcpClient.auth.getAccessToken()
+        );
+        res.json({ checked: true, permissions });
+    } catch (error) {
+        console.log(`Permission check failed for ${req.gcpCredentials.project_id}: ${error.message}`);
+        res.json({ checked: false, permissions: null, error: error.message });
+    }
+});
+
+// Remove a profile from the session
+app.delete('/api/profiles/:name', withCredentials, audited('profile.remove'), async (req, res) => {
+    const { name } = req.params;
+
+    try {
+        if (!await removeProfile(req.session.id, name)) {
+            return res.status(404).json({ error: `Profile not found: ${name}` });
         }
+        releaseSessionClient(req.session.id, name);
+        res.json(sessionSummary(await getSession(req.session.id)));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// List the Artifact Registry locations available to the project
+app.post('/api/locations', withCredentials, audited('locations.list'), async (req, res) => {
+    try {
+        const locations = await listProjectLocations(req.gcpClient, req.gcpCredentials.project_id);
+        res.json({ locations, count: locations.length });
+    } catch (error) {
+        console.error('Error fetching locations:', error);
+        res.status(500).json({ error: error.message, code: error.code });
+    }
+});
+
+function formatRepository(repo) {
+    return {
+        ...describeRepository(repo),
+        createdAt: formatDate(repo.createTime),
+        updatedAt: formatDate(repo.updateTime),
+        sizeBytes: repo.sizeBytes ? Number(repo.sizeBytes) : 0,
+        sizeFormatted: formatSize(repo.sizeBytes ? Number(repo.sizeBytes) : 0),
+    };
+}
+
+function repositoryErrorStatus(error) {
+    if (error instanceof RepositoryValidationError || error.code === 3) return 400;
+    if (error.code === 5) return 404;
+    if (error.code === 6) return 409;
+    if (error.code === 7) return 403;
+    return 500;
+}
 
-        const formattedRepos = allRepositories.map((repo) => {
-            const nameParts = repo.name.split('/');
+// List the repositories of each target profile's project and merge the results.
+// onLocation hears about every location as it finishes, repositories already formatted.
+async function listProfileRepositories(req, targets, locationList, onLocation = () => {}) {
+    const results = await Promise.all(targets.map(async (profile) => {
+        try {
+            const client = getSessionClient(req.session, profile.name);
             return {
-                id: repo.name,
-                name: nameParts[nameParts.length - 1],
-                location: nameParts[3],
-                format: repo.format || 'UNKNOWN',
-                description: repo.description || '',
-                createdAt: formatDate(repo.createTime),
-                updatedAt: formatDate(repo.updateTime),
-                sizeBytes: repo.sizeBytes ? Number(repo.sizeBytes) : 0,
-                sizeFormatted: formatSize(repo.sizeBytes ? Number(repo.sizeBytes) : 0),
+                profile,
+                ...await listRepositoriesInAllLocations(client, profile.projectId, {
+                    locations: locationList,
+                    onLocation: ({ location, repositories, failure }) => onLocation({
+                        projectId: profile.projectId,
+                        profile: profile.name,
+                        location,
+                        repositories: repositories.map((repo) => ({ ...formatRepository(repo), profile: profile.name })),
+                        failure,
+                    }),
+                }),
             };
-        });
+        } catch (error) {
+            if (targets.length === 1) throw error;
+            return {
+                profile,
+                repositories: [],
+                locations: [],
+                failures: [{ location: '*', error: error.message, code: error.code }],
+            };
+        }
+    }));
+
+    const failures = results.flatMap((result) => result.failures.map((failure) => ({
+        ...failure,
+        projectId: result.profile.projectId,
+        profile: result.profile.name,
+    })));
+
+    failures.forEach((failure) => {
+        console.log(`Failed to list repositories in ${failure.projectId}/${failure.location}: ${failure.error}`);
+    });
 
-        res.json({ repositories: formattedRepos, count: formattedRepos.length });
+    const formattedRepos = results.flatMap((result) => result.repositories.map((repo) => ({
+        ...formatRepository(repo),
+        profile: result.profile.name,
+    })));
+
+    return {
+        repositories: formattedRepos,
+        count: formattedRepos.length,
+        locations: [...new Set(results.flatMap((result) => result.locations))].sort(),
+        projects: targets.map((profile) => profile.projectId),
+        failures,
+    };
+}
+
+// List repositories across every location (or only `locations` when given).
+// Locations are queried in parallel; per-location failures are returned in `failures`.
+// With `allProfiles`, every project in the session is listed and the results merged.
+// With `background`, each location is reported as a "location" event as it finishes.
+app.post('/api/repositories', withCredentials, audited('repositories.list'), async (req, res) => {
+    const { locations, allProfiles } = { ...req.query, ...req.body };
+    const locationList = Array.isArray(locations) ? locations : locations ? String(locations).split(',') : null;
+
+    // Several profiles may point at the same project; list each project once
+    const targets = allProfiles === true || allProfiles === 'true'
+        ? [...new Map(req.session.profiles.map((profile) => [profile.projectId, profile])).values()]
+        : [{ name: req.profileName, projectId: req.gcpCredentials.project_id }];
+
+    if (wantsBackground(req)) {
+        const label = `Listing repositories in ${targets.map((profile) => profile.projectId).join(', ')}`;
+        return runOperation(req, res, { kind: 'repositories.list', label }, ({ emit }) => (
+            listProfileRepositories(req, targets, locationList, (location) => emit({ type: 'location', ...location }))
+        ));
+    }
+
+    try {
+        res.json(await listProfileRepositories(req, targets, locationList));
     } catch (error) {
         console.error('Error fetching repositories:', error);
         res.status(500).json({ error: error.message, code: error.code });
     }
 });
 
-// List packages in a repository
-app.post('/api/repositories/:location/:repository/packages', withCredentials, async (req, res) => {
+// Repository settings in the same shape the create/update routes accept
+app.post('/api/repositories/:location/:repository', withCredentials, audited('repository.get'), async (req, res) => {
+    const { location, repository } = req.params;
+
+    try {
+        const [repo] = await req.gcpClient.getRepository({
+            name: repositoryPath(req.gcpCredentials.project_id, location, repository),
+        });
+        res.json({ repository: formatRepository(repo) });
+    } catch (error) {
+        console.error('Error fetching repository:', error);
+        res.status(repositoryErrorStatus(error)).json({ error: error.message, code: error.code });
+    }
+});
+
+// Create a repository. Body: format, mode, description, labels, kmsKeyName,
+// immutableTags, cleanupPolicies, cleanupPolicyDryRun, plus remote { upstream }
+// or virtual { upstreams: [{ repository, priority }] } (see lib/repositories.js)
+app.put('/api/repositories/:location/:repository', withCredentials, audited('repository.create'), async (req, res) => {
+    const { location, repository } = req.params;
+
+    try {
+        const created = await createRepository(req.gcpClient, req.gcpCredentials.project_id, {
+            ...req.body,
+            repositoryId: repository,
+            location,
+        });
+        res.status(201).json({ created: true, repository: formatRepository(created) });
+    } catch (error) {
+        console.error('Error creating repository:', error);
+        res.status(repositoryErrorStatus(error)).json({ error: error.message, errors: error.errors, code: error.code });
+    }
+});
+
+// Update the mutable settings of a repository; only fields present in the body change
+app.patch('/api/repositories/:location/:repository', withCredentials, audited('repository.update'), async (req, res) => {
+    const { location, repository } = req.params;
+
+    try {
+        const updated = await updateRepository(req.gcpClient, req.gcpCredentials.project_id, location, repository, req.body);
+        res.json({ updated: true, repository: formatRepository(updated) });
+    } catch (error) {
+        console.error('Error updating repository:', error);
+        res.status(repositoryErrorStatus(error)).json({ error: error.message, errors: error.errors, code: error.code });
+    }
+});
+
+// IAM policy of a repository plus what the caller may do on it
+app.post('/api/repositories/:location/:repository/iam', withCredentials, audited('iam.get'), async (req, res) => {
+    const { location, repository } = req.params;
+    const resource = repositoryPath(req.gcpCredentials.project_id, location, repository);
+
+    try {
+        const [policy, permissions] = await Promise.all([
+            getRepositoryPolicy(req.gcpClient, resource),
+            testRepositoryPermissions(req.gcpClient, resource),
+        ]);
+        res.json({ policy, permissions, roles: ROLES });
+    } catch (error) {
+        console.error('Error fetching IAM policy:', error);
+        res.status(repositoryErrorStatus(error)).json({ error: error.message, code: error.code });
+    }
+});
+
+// Add/remove reader and writer bindings. dryRun (default) returns the diff; applying
+// requires the etag from the preview and fails with 409 if the policy changed since.
+app.post('/api/repositories/:location/:repository/iam/bindings', withCredentials, audited('iam.update'), async (req, res) => {
+    const { location, repository } = req.params;
+    const { changes, etag, dryRun = true } = req.body;
+    const resource = repositoryPath(req.gcpCredentials.project_id, location, repository);
+    res.locals.audit = { dryRun: Boolean(dryRun) };
+
+    const errors = validateChanges(changes);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    try {
+        if (dryRun) {
+            return res.json({ dryRun: true, plan: await planPolicyChanges(req.gcpClient, resource, changes) });
+        }
+
+        if (!etag) {
+            return res.status(400).json({ error: 'etag from the preview is required to apply changes' });
+        }
+
+        const result = await applyPolicyChanges(req.gcpClient, resource, { etag, changes });
+        res.locals.audit.details = { diff: result.diff };
+        res.json({ dryRun: false, applied: true, plan: result });
+    } catch (error) {
+        console.error('Error updating IAM policy:', error);
+        // ABORTED: the etag no longer matched when the write reached the API
+        const status = error instanceof IamConflictError || error.code === 10 ? 409 : repositoryErrorStatus(error);
+        res.status(status).json({ error: error.message, code: error.code });
+    }
+});
+
+// List packages in a repository (paged: pageSize, pageToken, orderBy, order, search)
+app.post('/api/repositories/:location/:repository/packages', withCredentials, audited('packages.list'), async (req, res) => {
     try {
         const { location, repository } = req.params;
+        const params = { ...req.query, ...req.body };
         const parent = `projects/${req.gcpCredentials.project_id}/locations/${location}/repositories/${repository}`;
-        const [packages] = await req.gcpClient.listPackages({ parent });
+        const { items: packages, nextPageToken } = await listPage(req.gcpClient, 'listPackages', {
+            parent,
+            orderBy: packageOrderBy(params.orderBy, params.order),
+        }, {
+            pageSize: params.pageSize,
+            pageToken: params.pageToken,
+            filter: nameFilter(params.search),
+        });
 
         const formattedPackages = packages.map((pkg) => {
             const nameParts = pkg.name.split('/');
@@ -190,20 +688,28 @@ app.post('/api/repositories/:location/:repository/packages', withCredentials, as
             };
         });
 
-        res.json({ packages: formattedPackages, count: formattedPackages.length });
+        res.json({ packages: formattedPackages, count: formattedPackages.length, nextPageToken });
     } catch (error) {
         console.error('Error fetching packages:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// List versions of a package
-app.post('/api/repositories/:location/:repository/packages/:package/versions', withCredentials, async (req, res) => {
+// List versions of a package (paged: pageSize, pageToken, orderBy, order, search)
+app.post('/api/repositories/:location/:repository/packages/:package/versions', withCredentials, audited('versions.list'), async (req, res) => {
     try {
         const { location, repository } = req.params;
         const packageName = req.params.package;
+        const params = { ...req.query, ...req.body };
         const parent = `projects/${req.gcpCredentials.project_id}/locations/${location}/repositories/${repository}/packages/${packageName}`;
-        const [versions] = await req.gcpClient.listVersions({ parent });
+        const { items: versions, nextPageToken } = await listPage(req.gcpClient, 'listVersions', {
+            parent,
+            orderBy: packageOrderBy(params.orderBy, params.order),
+        }, {
+            pageSize: params.pageSize,
+            pageToken: params.pageToken,
+            filter: nameFilter(params.search),
+        });
 
         const formattedVersions = versions.map((version) => {
             const nameParts = version.name.split('/');
@@ -217,25 +723,86 @@ app.post('/api/repositories/:location/:repository/packages/:package/versions', w
             };
         });
 
-        res.json({ versions: formattedVersions, count: formattedVersions.length });
+        res.json({ versions: formattedVersions, count: formattedVersions.length, nextPageToken });
     } catch (error) {
         console.error('Error fetching versions:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// List Docker images in a repository
-app.post('/api/repositories/:location/:repository/docker-images', withCredentials, async (req, res) => {
+// Files of a package version with their sizes and hashes
+app.post('/api/repositories/:location/:repository/packages/:package/versions/:version/files', withCredentials, audited('files.list'), async (req, res) => {
+    const { location, repository, version } = req.params;
+    const target = { projectId: req.gcpCredentials.project_id, location, repository };
+
+    try {
+        const files = await listVersionFiles(req.gcpClient, target, decodePackageId(req.params.package), version);
+        res.json({ files, count: files.length });
+    } catch (error) {
+        console.error('Error fetching files:', error);
+        res.status(repositoryErrorStatus(error)).json({ error: error.message, code: error.code });
+    }
+});
+
+// Stream a file to the browser. GET so it works as a plain download link; the
+// registry's hashes are sent as headers so clients can verify what they received.
+app.get('/api/repositories/:location/:repository/files/:file/download', withCredentials, audited('file.download'), async (req, res) => {
+    const { location, repository } = req.params;
+    const fileId = req.params.file;
+
+    if (fileId.includes('/')) {
+        return res.status(400).json({ error: 'Invalid file id' });
+    }
+
+    try {
+        const [registryFile] = await req.gcpClient.getFile({
+            name: `${repositoryPath(req.gcpCredentials.project_id, location, repository)}/files/${fileId}`,
+        });
+        const file = describeFile(registryFile);
+        const download = await openFileDownload(file.id, () => req.gcpClient.auth.getAccessToken());
+
+        res.setHeader('Content-Type', download.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename.replace(/"/g, '')}"`);
+        if (download.size || file.size) res.setHeader('Content-Length', download.size || file.size);
+        if (file.hashes.sha256) res.setHeader('X-Checksum-Sha256', file.hashes.sha256);
+        if (file.hashes.md5) res.setHeader('X-Checksum-Md5', file.hashes.md5);
+
+        download.stream.on('error', (error) => {
+            console.error('Error streaming file:', error);
+            res.destroy(error);
+        });
+        req.on('close', () => download.stream.destroy());
+        download.stream.pipe(res);
+    } catch (error) {
+        console.error('Error downloading file:', error);
+        const status = error instanceof FileDownloadError ? error.status : repositoryErrorStatus(error);
+        res.status(status).json({ error: error.message, code: error.code });
+    }
+});
+
+// List Docker images in a repository. Paged with pageSize/pageToken, sorted with
+// orderBy (uploadTime, buildTime, updateTime, size, name) and order, and filtered with
+// search, tag (glob), tagged, uploadedAfter/uploadedBefore and minSize/maxSize.
+app.post('/api/repositories/:location/:repository/docker-images', withCredentials, audited('images.list'), async (req, res) => {
     try {
         const { location, repository } = req.params;
+        const params = { ...req.query, ...req.body };
         const parent = `projects/${req.gcpCredentials.project_id}/locations/${location}/repositories/${repository}`;
-        const [images] = await req.gcpClient.listDockerImages({ parent });
+        const { items: images, nextPageToken } = await listPage(req.gcpClient, 'listDockerImages', {
+            parent,
+            orderBy: dockerOrderBy(params.orderBy, params.order),
+        }, {
+            pageSize: params.pageSize,
+            pageToken: params.pageToken,
+            filter: dockerImageFilter(params),
+        });
 
         const formattedImages = images.map((image) => {
             const nameParts = image.name.split('/');
             return {
                 id: image.name,
                 name: nameParts.slice(-2).join('/'),
+                digest: image.name.split('@')[1] || '',
                 uri: image.uri,
                 tags: image.tags || [],
                 sizeBytes: image.imageSizeBytes ? Number(image.imageSizeBytes) : 0,
@@ -246,13 +813,336 @@ app.post('/api/repositories/:location/:repository/docker-images', withCredential
             };
         });
 
-        res.json({ images: formattedImages, count: formattedImages.length });
+        res.json({ images: formattedImages, count: formattedImages.length, nextPageToken });
     } catch (error) {
         console.error('Error fetching Docker images:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Inspect a Docker image digest: manifest, config (env, entrypoint, ports, labels),
+// layers with their history and, for multi-arch indexes, the platform entries.
+// `platform` (e.g. "linux/arm64") picks which index entry to inspect.
+app.post('/api/repositories/:location/:repository/docker-images/:image/:digest/inspect', withCredentials, audited('image.inspect'), async (req, res) => {
+    const { location, repository, image, digest } = req.params;
+    const { platform } = { ...req.query, ...req.body };
+
+    if (!/^sha256:[a-f0-9]{64}$/.test(digest)) {
+        return res.status(400).json({ error: 'Digest must be in the form sha256:<64 hex characters>' });
+    }
+
+    try {
+        const registryRepository = `${req.gcpCredentials.project_id}/${repository}/${decodePackageId(image)}`;
+        const result = await inspectImage(artifactRegistryDockerClient(req, location), registryRepository, digest, { platform });
+        res.json(result);
+    } catch (error) {
+        console.error('Error inspecting image:', error);
+        res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+    }
+});
+
+// Compare two digests: shared/unique layers, size delta, config changes and base-image drift.
+// Body: { base, target, targetImage?, platform? } - targetImage defaults to the same image.
+app.post('/api/repositories/:location/:repository/docker-images/:image/compare', withCredentials, audited('image.compare'), async (req, res) => {
+    const { location, repository, image } = req.params;
+    const { base, target, targetImage, platform } = { ...req.query, ...req.body };
+
+    if (![base, target].every((digest) => /^sha256:[a-f0-9]{64}$/.test(digest || ''))) {
+        return res.status(400).json({ error: 'base and target must be digests in the form sha256:<64 hex characters>' });
+    }
+
+    try {
+        const client = artifactRegistryDockerClient(req, location);
+        const prefix = `${req.gcpCredentials.project_id}/${repository}`;
+        const result = await compareImages(
+            { client, repository: `${prefix}/${decodePackageId(image)}`, reference: base },
+            { client, repository: `${prefix}/${decodePackageId(targetImage || image)}`, reference: target },
+            { platform },
+        );
+        res.json(result);
+    } catch (error) {
+        console.error('Error comparing images:', error);
+        res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+    }
+});
+
+// Deduplicated layer accounting for every image in the repository, read from the manifests:
+// unique bytes per repository, image and digest, bytes freed by deleting an image or digest,
+// shared base images and which images share layers with which.
+app.post('/api/repositories/:location/:repository/layers', withCredentials, audited('layers.index'), async (req, res) => {
+    const { location, repository } = req.params;
+    const projectId = req.gcpCredentials.project_id;
+
+    try {
+        const [dockerImages] = await req.gcpClient.listDockerImages({ parent: repositoryPath(projectId, location, repository) });
+        const index = await buildLayerIndex(artifactRegistryDockerClient(req, location), projectId, repository, dockerImages);
+        const report = layerReport(index);
+
+        res.locals.audit = { details: { digests: report.repository.digests, failures: report.failures.length } };
+        res.json(report);
+    } catch (error) {
+        console.error('Error building layer index:', error);
+        res.status(error.code === 5 ? 404 : error.code === 7 ? 403 : 500).json({ error: error.message, code: error.code });
+    }
+});
+
+// Vulnerability provider for the request: imported reports merged with Artifact Analysis
+function vulnerabilityProvider(req) {
+    return createVulnerabilityProvider({ getAccessToken: () => req.gcpClient.auth.getAccessToken() });
+}
+
+// Severity counts for every scanned image in the project, plus a per-repository rollup
+app.post('/api/vulnerabilities/summary', withCredentials, audited('vulnerabilities.summary'), async (req, res) => {
+    try {
+        const provider = vulnerabilityProvider(req);
+        const summaries = await provider.summaries({ projectId: req.gcpCredentials.project_id });
+
+        res.json({
+            provider: provider.name,
+            images: summaries,
+            repositories: rollupByRepository(summaries),
+        });
+    } catch (error) {
+        console.error('Error fetching vulnerability summary:', error);
+        res.status(error.status === 403 ? 403 : 500).json({ error: error.message });
+    }
+});
+
+// CVE list for one image digest
+app.post('/api/repositories/:location/:repository/docker-images/:image/:digest/vulnerabilities', withCredentials, audited('image.vulnerabilities'), async (req, res) => {
+    const { location, repository, image, digest } = req.params;
+
+    if (!/^sha256:[a-f0-9]{64}$/.test(digest)) {
+        return res.status(400).json({ error: 'Digest must be in the form sha256:<64 hex characters>' });
+    }
+
+    try {
+        const provider = vulnerabilityProvider(req);
+        const projectId = req.gcpCredentials.project_id;
+        const resourceUri = `${location}-docker.pkg.dev/${projectId}/${repository}/${decodePackageId(image)}@${digest}`;
+        const findings = await provider.findings({ projectId, resourceUri, digest });
+
+        res.json({
+            provider: provider.name,
+            resourceUri,
+            scanned: findings !== null,
+            findings: findings || [],
+            summary: summarizeFindings(findings || [], resourceUri),
+        });
+    } catch (error) {
+        console.error('Error fetching vulnerabilities:', error);
+        res.status(error.status === 403 ? 403 : 500).json({ error: error.message });
+    }
+});
+
+// Import a Grype or Trivy JSON report (or a fixture file) into the local provider.
+// `resourceUri` names the scanned image when the report does not record its digest;
+// every image must belong to one of the session's projects.
+app.post('/api/vulnerabilities/import', withCredentials, audited('vulnerabilities.import'), (req, res) => {
+    const { report, format = 'auto', resourceUri } = req.body;
+
+    if (!report) {
+        return res.status(400).json({ error: 'No report provided' });
+    }
+
+    try {
+        const parsed = parseReport(typeof report === 'string' ? JSON.parse(report) : report, { format, resourceUri });
+        const projects = req.session.profiles.map((profile) => profile.projectId);
+        const foreign = parsed.find((entry) => !projects.includes(parseResourceUri(entry.resourceUri)?.projectId));
+
+        if (foreign) {
+            return res.status(403).json({ error: `${foreign.resourceUri} is not in a project of this session` });
+        }
+
+        res.json({ imported: localReports.add(parsed) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Live-update fields for a package version, or an image digest for Docker packages
+function versionChange(packageId, version, tag) {
+    return version?.startsWith('sha256:')
+        ? { image: packageId, digest: version, tag }
+        : { package: packageId, version, tag };
+}
+
+// What a deletion plan removed, for the live channel
+function deletionChange(req, plan) {
+    const packageId = decodePackageId(req.params.package ?? req.params.image ?? '');
+    if (plan.action === 'delete-repository') return {};
+    if (plan.action === 'delete-package') return { package: packageId };
+    if (plan.action === 'delete-tag') return versionChange(packageId, plan.version, plan.tags[0]);
+    return versionChange(packageId, plan.versions[0]?.version);
+}
+
+// Shared handler for delete routes. Only the plan is returned unless dryRun is
+// explicitly false, so a bare DELETE previews what would be removed.
+async function handleDeletion(req, res, buildPlan) {
+    const dryRun = !(req.body?.dryRun === false || req.query.dryRun === 'false');
+    res.locals.audit = { dryRun };
+
+    try {
+        const plan = await buildPlan(req.gcpClient);
+
+        if (dryRun) {
+            return res.json({ dryRun: true, plan });
+        }
+
+        const result = await applyDeletion(req.gcpClient, plan);
+        res.locals.audit.details = { deletedVersions: plan.versions.length, deletedTags: plan.tags.length };
+        publishRegistryChange(req.gcpCredentials.project_id, {
+            action: 'DELETE',
+            location: req.params.location,
+            repository: req.params.repository,
+            ...deletionChange(req, plan),
+        });
+        res.json({ dryRun: false, deleted: true, plan: result });
+    } catch (error) {
+        console.error('Error deleting resource:', error);
+        const status = error.code === 5 ? 404 : error.code === 7 ? 403 : 500;
+        res.status(status).json({ error: error.message, code: error.code });
+    }
+}
+
+// Delete a repository with everything in it
+app.delete('/api/repositories/:location/:repository', withCredentials, audited('repository.delete'), (req, res) => {
+    const { location, repository } = req.params;
+    const name = repositoryPath(req.gcpCredentials.project_id, location, repository);
+    handleDeletion(req, res, (client) => planRepositoryDeletion(client, name));
+});
+
+// Delete a whole package with all of its versions and tags
+app.delete('/api/repositories/:location/:repository/packages/:package', withCredentials, audited('package.delete'), (req, res) => {
+    const { location, repository } = req.params;
+    const name = packagePath(req.gcpCredentials.project_id, location, repository, req.params.package);
+    handleDeletion(req, res, (client) => planPackageDeletion(client, name));
+});
+
+// Delete a single package version
+app.delete('/api/repositories/:location/:repository/packages/:package/versions/:version', withCredentials, audited('version.delete'), (req, res) => {
+    const { location, repository, version } = req.params;
+    const name = versionPath(req.gcpCredentials.project_id, location, repository, req.params.package, version);
+    handleDeletion(req, res, (client) => planVersionDeletion(client, name));
+});
+
+// Delete a single tag, keeping the version it points at
+app.delete('/api/repositories/:location/:repository/packages/:package/tags/:tag', withCredentials, audited('tag.delete'), (req, res) => {
+    const { location, repository, tag } = req.params;
+    const name = tagPath(req.gcpCredentials.project_id, location, repository, req.params.package, tag);
+    handleDeletion(req, res, (client) => planTagDeletion(client, name));
+});
+
+// Add, move or remove a tag. Body: { action: 'add' | 'move' | 'remove', version, note, dryRun }.
+// version is the digest for Docker images. Previews unless dryRun is false.
+app.post('/api/repositories/:location/:repository/packages/:package/tags/:tag', withCredentials, audited('tag.change'), async (req, res) => {
+    const { location, repository, tag } = req.params;
+    const { action, version, note, dryRun = true } = req.body || {};
+    const name = packagePath(req.gcpCredentials.project_id, location, repository, req.params.package);
+    res.locals.audit = { dryRun: dryRun !== false };
+
+    try {
+        const plan = await planTagChange(req.gcpClient, name, { action, tag, version, note });
+
+        if (dryRun !== false) {
+            return res.json({ dryRun: true, plan });
+        }
+
+        const result = await applyTagChange(req.gcpClient, plan);
+        res.locals.audit.details = { change: result.action, tag: result.tag, from: result.from, to: result.to, note: result.note };
+        if (result.applied) {
+            publishRegistryChange(req.gcpCredentials.project_id, {
+                action: result.to ? 'INSERT' : 'DELETE',
+                location,
+                repository,
+                ...versionChange(result.package, result.to || result.from, result.tag),
+            });
+        }
+        res.json({ dryRun: false, plan: result });
+    } catch (error) {
+        console.error('Error changing tag:', error);
+        const status = error instanceof TagChangeError ? error.status : repositoryErrorStatus(error);
+        res.status(status).json({ error: error.message, code: error.code });
+    }
+});
+
+// Delete a Docker image by digest (removes every tag pointing at it)
+app.delete('/api/repositories/:location/:repository/docker-images/:image/:digest', withCredentials, audited('image.delete'), (req, res) => {
+    const { location, repository, image, digest } = req.params;
+
+    if (!/^sha256:[a-f0-9]{64}$/.test(digest)) {
+        return res.status(400).json({ error: 'Digest must be in the form sha256:<64 hex characters>' });
+    }
+
+    const name = versionPath(req.gcpCredentials.project_id, location, repository, image, digest);
+    handleDeletion(req, res, (client) => planVersionDeletion(client, name));
+});
+
+// Evaluate a cleanup policy against a repository and, unless it is a dry run, apply it.
+// Progress goes to emit: "collecting" per package read, "evaluated" once the report is
+// ready and "deleting" per deletion.
+async function cleanupRepository(req, { policy, dryRun, only }, { emit = () => {}, signal } = {}) {
+    const { location, repository } = req.params;
+    const projectId = req.gcpCredentials.project_id;
+    const [repo] = await req.gcpClient.getRepository({ name: repositoryPath(projectId, location, repository) });
+
+    emit({ type: 'start', repository, format: repo.format, dryRun });
+    const report = await runCleanupReport(req.gcpClient, {
+        projectId,
+        location,
+        repository,
+        format: repo.format,
+        policy,
+        registry: artifactRegistryDockerClient(req, location),
+        onProgress: ({ done, total }) => emit({ type: 'progress', stage: 'collecting', done, total }),
+    });
+    emit({ type: 'evaluated', versions: report.versionsScanned, deletions: report.deletions.length });
+
+    if (dryRun) return { dryRun: true, report };
+
+    const result = await applyCleanupReport(req.gcpClient, report, {
+        only: Array.isArray(only) ? only : null,
+        onProgress: ({ done, total, target }) => emit({ type: 'progress', stage: 'deleting', done, total, target: target.name }),
+        signal,
+    });
+    if (result.deleted.length > 0) {
+        publishRegistryChange(projectId, { action: 'DELETE', location, repository, cleanup: true });
+    }
+    return { dryRun: false, report: result };
+}
+
+// Evaluate a cleanup policy against a repository. Dry run by default; with
+// dryRun: false the deletions are applied, restricted to `only` when given.
+// With `background`, the run is an operation and its progress goes to the live stream.
+app.post('/api/repositories/:location/:repository/cleanup', withCredentials, audited('cleanup.run'), async (req, res) => {
+    const { repository } = req.params;
+    const { policy, dryRun = true, only } = req.body;
+
+    try {
+        normalizePolicy(policy);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    if (wantsBackground(req)) {
+        const label = `${dryRun ? 'Cleanup preview' : 'Cleanup'} of ${repository}`;
+        return runOperation(req, res, { kind: 'cleanup.run', label }, async ({ emit, signal, audit }) => {
+            audit.details = { dryRun: Boolean(dryRun), ...(dryRun ? {} : { policy }) };
+            return cleanupRepository(req, { policy, dryRun, only }, { emit, signal });
+        });
+    }
+
+    try {
+        res.locals.audit = { dryRun: Boolean(dryRun) };
+        const result = await cleanupRepository(req, { policy, dryRun, only });
+        if (!dryRun) res.locals.audit.details = { policy };
+        res.json(result);
+    } catch (error) {
+        console.error('Error running cleanup:', error);
+        res.status(error.code === 5 ? 404 : 500).json({ error: error.message, code: error.code });
+    }
+});
+
 // Search Docker Hub images (no auth required - public API)
 app.get('/api/dockerhub/search', async (req, res) => {
     const { query, page = 1, pageSize = 25 } = req.query;
@@ -345,21 +1235,21 @@ app.get('/api/dockerhub/popular', (req, res) => {
     res.json({ images: popularImages });
 });
 
-// Generate transfer commands (requires credentials for project ID)
-app.post('/api/transfer-commands', (req, res) => {
-    const { sourceImage, sourceTag, targetRepo, targetLocation, targetName, credentials } = req.body;
+// Generate transfer commands (requires a session for project ID)
+app.post('/api/transfer-commands', withCredentials, audited('transfer.commands'), (req, res) => {
+    const { sourceImage, sourceTag, targetRepo, targetLocation, targetName } = req.body;
 
-    if (!sourceImage || !targetRepo || !targetLocation || !credentials) {
+    if (!sourceImage || !targetRepo || !targetLocation) {
         return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const creds = typeof credentials === 'string' ? JSON.parse(credentials) : credentials;
-    const projectId = creds.project_id;
+    const projectId = req.gcpCredentials.project_id;
 
     const tag = sourceTag || 'latest';
     const imageName = targetName || sourceImage.split('/').pop();
     const registryHost = `${targetLocation}-docker.pkg.dev`;
     const targetPath = `${registryHost}/${projectId}/${targetRepo}/${imageName}:${tag}`;
+    res.locals.audit = { details: { source: `${sourceImage}:${tag}`, target: targetPath } };
 
     let pullPath = sourceImage;
     if (!sourceImage.includes('/') && !sourceImage.includes('.')) {
@@ -400,6 +1290,626 @@ app.post('/api/transfer-commands', (req, res) => {
     });
 });
 
+// Registry client for Artifact Registry's Docker endpoint, authenticated with the session's
+// access token (or another profile's, when its client is passed)
+function artifactRegistryDockerClient(req, location, gcpClient = req.gcpClient) {
+    return new RegistryClient({
+        host: dockerRegistryHost(location),
+        credentials: async () => ({
+            username: 'oauth2accesstoken',
+            password: await gcpClient.auth.getAccessToken(),
+        }),
+    });
+}
+
+// Copy an image from a source registry into Artifact Registry without a Docker daemon.
+// Progress is streamed back as newline-delimited JSON events, or with `background` runs
+// as an operation reported on the live stream.
+app.post('/api/transfers', withCredentials, audited('transfer.run'), async (req, res) => {
+    const { sourceImage, sourceTag, targetRepo, targetLocation, targetName, sourceAuth } = req.body;
+
+    if (!sourceImage || !targetRepo || !targetLocation) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!isLocationId(targetLocation)) {
+        return res.status(400).json({ error: `Invalid location: ${targetLocation}` });
+    }
+
+    const tag = sourceTag || 'latest';
+    const imageName = targetName || sourceImage.split('/').pop();
+    const source = parseImageSource(sourceImage);
+    if (!isAllowedSourceHost(source.host)) {
+        return res.status(403).json({ error: `Transfers from ${source.host} are not allowed; set TRANSFER_SOURCE_HOSTS to add it` });
+    }
+    const targetRepository = `${req.gcpCredentials.project_id}/${targetRepo}/${imageName}`;
+    const targetPath = `${targetLocation}-docker.pkg.dev/${targetRepository}:${tag}`;
+
+    const label = `Transfer of ${sourceImage}:${tag}`;
+    return runOperation(req, res, { kind: 'transfer.run', label }, async ({ emit, signal, audit }) => {
+        audit.details = { source: `${sourceImage}:${tag}`, target: targetPath };
+        emit({ type: 'start', source: `${sourceImage}:${tag}`, target: targetPath });
+
+        const result = await copyImage({
+            source: {
+                client: new RegistryClient({
+                    host: source.host,
+                    insecure: source.insecure,
+                    credentials: sourceAuth?.username ? async () => sourceAuth : null,
+                }),
+                repository: source.repository,
+                reference: tag,
+            },
+            target: {
+                client: artifactRegistryDockerClient(req, targetLocation),
+                repository: targetRepository,
+                reference: tag,
+            },
+            onProgress: emit,
+            signal,
+        });
+
+        audit.details.digest = result.digest;
+        publishRegistryChange(req.gcpCredentials.project_id, {
+            action: 'INSERT',
+            location: targetLocation,
+            repository: targetRepo,
+            image: imageName,
+            digest: result.digest,
+            tag,
+        });
+        return { target: targetPath, ...result };
+    });
+});
+
+// Promote a digest between Artifact Registry repositories, optionally in another region or
+// (with target.profile) another project of the session. Body: { source: { location, repository,
+// image, reference }, target: { profile, location, repository, image }, tags, note }; tags omitted
+// carries over every tag on the digest. Progress is streamed like /api/transfers.
+app.post('/api/promotions', withCredentials, audited('image.promote'), async (req, res) => {
+    const { source = {}, target = {}, tags = null, note = '' } = req.body || {};
+    const errors = validatePromotion(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    const targetProfile = target.profile || req.profileName;
+    if (!req.session.profiles.some((profile) => profile.name === targetProfile)) {
+        return res.status(404).json({ error: `Profile not found: ${targetProfile}` });
+    }
+    const targetClient = getSessionClient(req.session, targetProfile);
+    const targetCredentials = req.session.credentialsFor(targetProfile);
+
+    try {
+        const [repo] = await targetClient.getRepository({
+            name: repositoryPath(targetCredentials.project_id, target.location, target.repository),
+        });
+        const { format, mode } = describeRepository(repo);
+        if (format !== 'DOCKER' || mode !== 'standard') {
+            return res.status(400).json({ error: 'Images can only be promoted into standard Docker repositories' });
+        }
+    } catch (error) {
+        return res.status(repositoryErrorStatus(error)).json({ error: error.message, code: error.code });
+    }
+
+    const sourceImage = {
+        client: req.gcpClient,
+        registry: artifactRegistryDockerClient(req, source.location),
+        projectId: req.gcpCredentials.project_id,
+        ...source,
+    };
+    const targetImage = {
+        client: targetClient,
+        registry: artifactRegistryDockerClient(req, target.location, targetClient),
+        projectId: targetCredentials.project_id,
+        location: target.location,
+        repository: target.repository,
+        image: target.image || source.image,
+    };
+
+    const label = `Promotion of ${source.image}:${source.reference} to ${target.repository}`;
+    return runOperation(req, res, { kind: 'image.promote', label }, async ({ emit, signal, audit }) => {
+        audit.details = { source: source.image, target: target.repository };
+        emit({
+            type: 'start',
+            source: `${source.location}-docker.pkg.dev/${sourceImage.projectId}/${source.repository}/${source.image}:${source.reference}`,
+            target: `${target.location}-docker.pkg.dev/${targetImage.projectId}/${target.repository}/${targetImage.image}`,
+        });
+
+        const result = await promoteImage({
+            source: sourceImage,
+            target: targetImage,
+            tags,
+            note,
+            actor: req.gcpCredentials.client_email,
+            onProgress: emit,
+            signal,
+        });
+
+        audit.resource = repositoryPath(targetImage.projectId, target.location, target.repository);
+        audit.details = { source: result.source, target: result.target, tags: result.tags, provenanceRecorded: result.provenance.recorded, note };
+        publishRegistryChange(targetImage.projectId, {
+            action: 'INSERT',
+            location: target.location,
+            repository: target.repository,
+            image: targetImage.image,
+            digest: result.digest,
+            tag: result.tags[0]?.tag || null,
+        });
+        return result;
+    });
+});
+
+// Uploaded files are held in memory until they are pushed, so the whole request is capped
+// (not each file): the declared Content-Length is checked before anything is read
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 100 * 1024 * 1024;
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 20 },
+});
+
+function receiveFiles(req, res, next) {
+    const declared = Number(req.headers['content-length']);
+    if (!req.headers['content-length'] || !Number.isFinite(declared)) {
+        return res.status(411).json({ error: 'Uploads need a Content-Length', code: 'LENGTH_REQUIRED' });
+    }
+    if (declared > UPLOAD_MAX_BYTES) {
+        return res.status(413).json({ error: `Uploads are limited to ${Math.floor(UPLOAD_MAX_BYTES / (1024 * 1024))} MB per request`, code: 'LIMIT_REQUEST_SIZE' });
+    }
+
+    upload.array('files')(req, res, (error) => {
+        if (!error) return next();
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        res.status(status).json({ error: error.message, code: error.code });
+    });
+}
+
+// Upload npm tarballs, Python wheels/sdists, Maven jars+poms or generic files (multipart field
+// "files") using each format's own protocol. Fields: checksums (JSON { filename: sha256 }),
+// plus tag (npm), groupId/artifactId/version (Maven without a pom), packageId/version (generic).
+// Everything is validated before the response starts; progress is then streamed as NDJSON,
+// or with a `background` field runs as an operation like /api/transfers.
+app.post('/api/repositories/:location/:repository/uploads', withCredentials, audited('artifacts.upload'), receiveFiles, async (req, res) => {
+    const { location, repository } = req.params;
+    const projectId = req.gcpCredentials.project_id;
+    const target = { projectId, location, repository };
+
+    let plan;
+    try {
+        const [repo] = await req.gcpClient.getRepository({ name: repositoryPath(projectId, location, repository) });
+        if (repo.mode && repo.mode !== 'STANDARD_REPOSITORY') {
+            throw new UploadError('Remote and virtual repositories do not accept uploads');
+        }
+
+        plan = planUpload(repo.format, req.files, req.body);
+        verifyClientChecksums(plan, req.files, req.body.checksums ? JSON.parse(req.body.checksums) : null);
+    } catch (error) {
+        const status = error instanceof UploadError ? error.status : error instanceof SyntaxError ? 400 : repositoryErrorStatus(error);
+        return res.status(status).json({ error: error.message, code: error.code });
+    }
+
+    const label = `Upload of ${plan.packageId}@${plan.version}`;
+    return runOperation(req, res, { kind: 'artifacts.upload', label }, async ({ emit, signal, audit }) => {
+        audit.details = { package: plan.packageId, version: plan.version };
+        emit({
+            type: 'start',
+            format: plan.format,
+            packageId: plan.packageId,
+            version: plan.version,
+            files: plan.files.map((file) => ({ filename: file.filename, size: file.size, sha256: file.sha256 })),
+        });
+
+        await uploadArtifacts(target, plan, {
+            getAccessToken: () => req.gcpClient.auth.getAccessToken(),
+            onProgress: emit,
+            signal,
+        });
+
+        let files = [];
+        try {
+            files = await confirmUploadedFiles(req.gcpClient, target, plan);
+            files.forEach((file) => emit({ type: 'verified', ...file }));
+        } catch (error) {
+            console.log(`Could not confirm checksums for ${plan.packageId}@${plan.version}: ${error.message}`);
+        }
+
+        audit.details = { format: plan.format, package: plan.packageId, version: plan.version, files: plan.files.map((file) => file.filename) };
+        publishRegistryChange(projectId, { action: 'INSERT', location, repository, package: plan.packageId, version: plan.version });
+
+        // The files landed, but not as sent
+        const mismatched = files.filter((file) => file.verified === false).map((file) => file.filename);
+        if (mismatched.length > 0) {
+            throw new UploadError(`Artifact Registry recorded a different checksum for ${mismatched.join(', ')}`, 502);
+        }
+        return { packageId: plan.packageId, version: plan.version, files };
+    });
+});
+
+// Audit entries are limited to the projects of the session's profiles
+function auditFilters(req, params) {
+    const projects = [...new Set(req.session.profiles.map((profile) => profile.projectId))];
+    return {
+        projects: params.project && projects.includes(params.project) ? [params.project] : projects,
+        search: params.search,
+        action: params.action,
+        actor: params.actor,
+        outcome: params.outcome,
+        from: params.from,
+        to: params.to,
+    };
+}
+
+// Search the audit log, newest first (search, action, actor, outcome, project, from, to, offset, limit)
+app.post('/api/audit', withCredentials, async (req, res) => {
+    const params = { ...req.query, ...req.body };
+    const limit = Math.min(Number(params.limit) || 100, 500);
+    const offset = Math.max(Number(params.offset) || 0, 0);
+
+    try {
+        const result = await auditLog.query(auditFilters(req, params), { offset, limit });
+        res.json({ ...result, offset, limit });
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download matching entries as JSON lines (default) or CSV; takes the same filters as a query string
+app.get('/api/audit/export', withCredentials, audited('audit.export'), async (req, res) => {
+    const format = req.query.format === 'csv' ? 'csv' : 'jsonl';
+
+    try {
+        const { entries } = await auditLog.query(auditFilters(req, req.query), { limit: Infinity });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        res.locals.audit = { details: { format, entries: entries.length } };
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+        res.send(formatAuditExport(entries, format));
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Background jobs (storage snapshots, change polling) can only reach projects someone
+// has signed in to, so the last session and profile seen for each project is remembered.
+const projectSources = new Map();
+
+// A client for a project from its remembered session, or null once that session is gone
+async function projectClient(projectId) {
+    const source = projectSources.get(projectId);
+    if (!source) return null;
+
+    const session = await getSession(source.sessionId);
+    if (!session || !session.profiles.some((profile) => profile.name === source.profileName)) {
+        projectSources.delete(projectId);
+        return null;
+    }
+    return getSessionClient(session, source.profileName);
+}
+
+// Storage snapshots
+const snapshotsInFlight = new Map();
+
+// One snapshot per project at a time; concurrent callers share it
+function takeStorageSnapshot(projectId, client) {
+    if (!snapshotsInFlight.has(projectId)) {
+        const pending = collectStorageSnapshot(client, projectId)
+            .then(async (snapshot) => {
+                await storageHistory.record(snapshot);
+                return snapshot;
+            })
+            .finally(() => snapshotsInFlight.delete(projectId));
+        snapshotsInFlight.set(projectId, pending);
+    }
+    return snapshotsInFlight.get(projectId);
+}
+
+async function snapshotDueProjects() {
+    for (const projectId of projectSources.keys()) {
+        try {
+            if (!await storageHistory.isDue(projectId)) continue;
+
+            const client = await projectClient(projectId);
+            if (client) await takeStorageSnapshot(projectId, client);
+        } catch (error) {
+            console.error(`Storage snapshot of ${projectId} failed:`, error.message);
+        }
+    }
+}
+
+// Check often, snapshot only when the interval has passed
+setInterval(snapshotDueProjects, Math.min(STORAGE_SNAPSHOT_INTERVAL_MS, 15 * 60 * 1000)).unref();
+
+// Storage dashboard for the active project (days of history, top N images).
+// A snapshot is taken first when the latest one is older than the interval.
+app.post('/api/storage', withCredentials, audited('storage.summary'), async (req, res) => {
+    const projectId = req.gcpCredentials.project_id;
+    const { days = 30, top = 10 } = { ...req.query, ...req.body };
+
+    try {
+        if (await storageHistory.isDue(projectId)) {
+            await takeStorageSnapshot(projectId, req.gcpClient);
+        }
+
+        const since = Number(days) > 0 ? new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000).toISOString() : null;
+        const snapshots = await storageHistory.snapshots(projectId, { since });
+
+        res.json({
+            projectId,
+            days: Number(days) || null,
+            intervalHours: STORAGE_SNAPSHOT_INTERVAL_MS / (60 * 60 * 1000),
+            ...summarizeStorage(snapshots, { top: Math.min(Math.max(Number(top) || 10, 1), 50) }),
+        });
+    } catch (error) {
+        console.error('Error building storage summary:', error);
+        res.status(error.code === 7 ? 403 : 500).json({ error: error.message, code: error.code });
+    }
+});
+
+// Take a snapshot now, regardless of the interval
+app.post('/api/storage/snapshots', withCredentials, audited('storage.snapshot'), async (req, res) => {
+    try {
+        const snapshot = await takeStorageSnapshot(req.gcpCredentials.project_id, req.gcpClient);
+        res.locals.audit = { details: { totalBytes: snapshot.totalBytes, repositories: snapshot.repositories.length } };
+        res.json({ timestamp: snapshot.timestamp, totalBytes: snapshot.totalBytes, failures: snapshot.failures });
+    } catch (error) {
+        console.error('Error taking storage snapshot:', error);
+        res.status(error.code === 7 ? 403 : 500).json({ error: error.message, code: error.code });
+    }
+});
+
+// Registry change notifications. Projects with enabled subscriptions are polled on an
+// interval; each poll diffs the watched repositories against the previous one and the
+// resulting events are delivered to the matching subscriptions.
+const NOTIFICATIONS_POLL_INTERVAL_MS = (Number(process.env.NOTIFICATIONS_POLL_INTERVAL_SECONDS) || 60) * 1000;
+const pollsInFlight = new Map();
+const lastPolls = new Map();
+
+// One poll per project at a time; concurrent callers share it
+function pollChanges(projectId, client) {
+    if (!pollsInFlight.has(projectId)) {
+        const pending = (async () => {
+            const subscriptions = await notificationCenter.list(projectId);
+            const result = await changeTracker.poll(client, projectId, {
+                include: (location, repository) => watchesRepository(subscriptions, location, repository),
+            });
+            const events = await notificationCenter.dispatch(result.events);
+            result.events.forEach(publishPolledChange);
+            const summary = {
+                timestamp: result.timestamp,
+                repositories: result.repositories,
+                baseline: result.baseline,
+                events: events.length,
+                failures: result.failures,
+            };
+            lastPolls.set(projectId, summary);
+            return { ...summary, events };
+        })()
+            .catch((error) => {
+                lastPolls.set(projectId, { timestamp: new Date().toISOString(), error: error.message });
+                throw error;
+            })
+            .finally(() => pollsInFlight.delete(projectId));
+        pollsInFlight.set(projectId, pending);
+    }
+    return pollsInFlight.get(projectId);
+}
+
+// Open pages hear about polled changes the same way as about pushed ones
+function publishPolledChange(event) {
+    publishRegistryChange(event.projectId, {
+        action: /\.(deleted|removed)$/.test(event.type) ? 'DELETE' : 'INSERT',
+        type: event.type,
+        location: event.location,
+        repository: event.repository,
+        ...(event.image ? { image: event.image, digest: event.digest, tag: event.tag || null } : { package: event.package, version: event.version }),
+    });
+}
+
+async function pollWatchedProjects() {
+    for (const projectId of await notificationCenter.watchedProjects()) {
+        try {
+            const client = await projectClient(projectId);
+            if (!client) {
+                lastPolls.set(projectId, { timestamp: new Date().toISOString(), error: 'No signed-in session for this project' });
+                continue;
+            }
+            await pollChanges(projectId, client);
+        } catch (error) {
+            console.error(`Change poll of ${projectId} failed:`, error.message);
+        }
+    }
+}
+
+setInterval(() => {
+    pollWatchedProjects().catch((error) => console.error('Change polling failed:', error.message));
+}, NOTIFICATIONS_POLL_INTERVAL_MS).unref();
+
+function notificationErrorStatus(error) {
+    return error instanceof NotificationError ? error.status : error.code === 7 ? 403 : 500;
+}
+
+// Subscriptions of the active project, recent events and the state of the poller
+app.post('/api/notifications', withCredentials, audited('notifications.list'), async (req, res) => {
+    const projectId = req.gcpCredentials.project_id;
+
+    try {
+        const subscriptions = await notificationCenter.list(projectId);
+        res.json({
+            projectId,
+            subscriptions: subscriptions.map(publicSubscription),
+            events: notificationCenter.recentEvents(projectId, Math.min(Number(req.body?.limit) || 50, 200)),
+            eventTypes: CHANGE_EVENTS,
+            sinkTypes: SINK_TYPES,
+            pollIntervalSeconds: NOTIFICATIONS_POLL_INTERVAL_MS / 1000,
+            polling: pollsInFlight.has(projectId),
+            lastPoll: lastPolls.get(projectId) || null,
+        });
+    } catch (error) {
+        console.error('Error listing notifications:', error);
+        res.status(notificationErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Create a subscription. Body: name, enabled, sink { type, url, secret, file },
+// filters { repositories, tagPattern, events } (see lib/notifications.js).
+// A webhook created without a secret gets one generated, returned only in this response.
+app.put('/api/notifications/subscriptions', withCredentials, audited('notifications.create'), async (req, res) => {
+    try {
+        const { subscription, generatedSecret } = await notificationCenter.create(
+            req.gcpCredentials.project_id, req.body || {}, req.gcpCredentials.client_email);
+        res.locals.audit = { details: { subscription: subscription.id, name: subscription.name, sink: subscription.sink.type } };
+        res.status(201).json({ created: true, subscription: publicSubscription(subscription), secret: generatedSecret });
+    } catch (error) {
+        console.error('Error creating subscription:', error);
+        res.status(notificationErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Update a subscription; only fields present in the body change
+app.patch('/api/notifications/subscriptions/:id', withCredentials, audited('notifications.update'), async (req, res) => {
+    res.locals.audit = { details: { subscription: req.params.id } };
+
+    try {
+        const subscription = await notificationCenter.update(req.gcpCredentials.project_id, req.params.id, req.body || {});
+        res.locals.audit.details.name = subscription.name;
+        res.json({ updated: true, subscription: publicSubscription(subscription) });
+    } catch (error) {
+        console.error('Error updating subscription:', error);
+        res.status(notificationErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.delete('/api/notifications/subscriptions/:id', withCredentials, audited('notifications.delete'), async (req, res) => {
+    res.locals.audit = { details: { subscription: req.params.id } };
+
+    try {
+        const subscription = await notificationCenter.remove(req.gcpCredentials.project_id, req.params.id);
+        res.locals.audit.details.name = subscription.name;
+        res.json({ deleted: true, id: subscription.id });
+    } catch (error) {
+        console.error('Error deleting subscription:', error);
+        res.status(notificationErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Send a test ("ping") event to the subscription's sink
+app.post('/api/notifications/subscriptions/:id/test', withCredentials, audited('notifications.test'), async (req, res) => {
+    res.locals.audit = { details: { subscription: req.params.id } };
+
+    try {
+        const delivery = await notificationCenter.test(req.gcpCredentials.project_id, req.params.id);
+        res.locals.audit.details.ok = delivery.ok;
+        res.json({ delivery });
+    } catch (error) {
+        console.error('Error testing subscription:', error);
+        res.status(notificationErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Poll the active project now instead of waiting for the interval
+app.post('/api/notifications/poll', withCredentials, audited('notifications.poll'), async (req, res) => {
+    try {
+        const result = await pollChanges(req.gcpCredentials.project_id, req.gcpClient);
+        res.locals.audit = { details: { repositories: result.repositories, events: result.events.length } };
+        res.json(result);
+    } catch (error) {
+        console.error('Error polling for changes:', error);
+        res.status(notificationErrorStatus(error)).json({ error: error.message, code: error.code });
+    }
+});
+
+// Live updates for the page, as Server-Sent Events: registry changes of the session's
+// projects and the progress of its background operations
+app.get('/api/live', withCredentials, (req, res) => {
+    liveUpdates.connect(req, res, {
+        sessionId: getSessionId(req),
+        projectIds: req.session.profiles.map((profile) => profile.projectId),
+    });
+});
+
+function operationErrorStatus(error) {
+    return error instanceof OperationError ? error.status : 500;
+}
+
+// Operations of the session, newest first, so a reloaded page can pick up running ones
+app.post('/api/operations', withCredentials, (req, res) => {
+    const list = operations.list(req.session.id);
+    res.json({ operations: list, count: list.length });
+});
+
+// One operation with its recorded events
+app.post('/api/operations/:id', withCredentials, (req, res) => {
+    try {
+        res.json({ operation: operations.get(req.session.id, req.params.id) });
+    } catch (error) {
+        res.status(operationErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Cancel a running operation; it still reports what it got done before stopping
+app.delete('/api/operations/:id', withCredentials, audited('operation.cancel'), (req, res) => {
+    try {
+        const operation = operations.cancel(req.session.id, req.params.id);
+        res.locals.audit = { details: { operation: operation.id, kind: operation.kind } };
+        res.json({ operation });
+    } catch (error) {
+        res.status(operationErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Pub/Sub redelivers until a message is acknowledged, so the same one can arrive twice
+const PUSH_MESSAGE_MEMORY = 1000;
+const seenPushMessages = new Set();
+
+function firstDelivery(messageId) {
+    if (!messageId) return true;
+    if (seenPushMessages.has(messageId)) return false;
+    seenPushMessages.add(messageId);
+    if (seenPushMessages.size > PUSH_MESSAGE_MEMORY) seenPushMessages.delete(seenPushMessages.values().next().value);
+    return true;
+}
+
+// Push endpoint for a Pub/Sub subscription on the "gcr" topic. Every request must carry
+// a valid OIDC token (see lib/pubsub.js); any 2xx acknowledges the message. Messages that
+// can never be processed are acknowledged too, or Pub/Sub would retry them forever.
+app.post('/api/pubsub/push', audited('pubsub.push'), async (req, res) => {
+    let claims;
+    try {
+        claims = await verifyPushToken(req.headers.authorization);
+    } catch (error) {
+        const status = error instanceof PushAuthError ? error.status : 500;
+        if (status === 500) console.error('Error verifying push token:', error);
+        return res.status(status).json({ error: error.message });
+    }
+
+    let change;
+    try {
+        change = parsePushMessage(req.body);
+    } catch (error) {
+        res.locals.audit = { actor: claims.email, outcome: 'failure', error: error.message };
+        return res.status(204).end();
+    }
+
+    res.locals.audit = {
+        actor: claims.email,
+        project: change.projectId,
+        resource: packagePath(change.projectId, change.location, change.repository, change.image),
+        details: { action: change.action, digest: change.digest, tag: change.tag, messageId: change.messageId },
+    };
+    if (!firstDelivery(change.messageId)) {
+        res.locals.audit.details.duplicate = true;
+        return res.status(204).end();
+    }
+
+    invalidateVulnerabilitySummaries(change.projectId);
+    const sessions = publishRegistryChange(change.projectId, change);
+    res.locals.audit.details.liveSessions = sessions;
+    res.status(204).end();
+});
+
 // Serve the frontend
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
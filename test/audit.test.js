@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { AuditLog } from '../lib/audit.js';
+
+const entry = (n) => ({ actor: 'ci@demo.iam.gserviceaccount.com', project: 'demo', action: 'tag.change', resource: `tag-${n}`, details: { n } });
+
+function lines(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line).details.n);
+}
+
+test('the log rotates past the size threshold and drops the oldest file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    const lineBytes = Buffer.byteLength(JSON.stringify({ id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry(0), outcome: 'success', status: null, error: null }) + '\n');
+    // Room for two entries per file
+    const log = new AuditLog({ dir, maxBytes: lineBytes * 2 + 10, maxFiles: 2 });
+
+    for (let n = 1; n <= 7; n++) await log.record(entry(n));
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['audit.1.log', 'audit.2.log', 'audit.log']);
+    assert.deepEqual(lines(path.join(dir, 'audit.log')), [7]);
+    assert.deepEqual(lines(path.join(dir, 'audit.1.log')), [5, 6]);
+    assert.deepEqual(lines(path.join(dir, 'audit.2.log')), [3, 4]);
+    fs.readdirSync(dir).forEach((file) => assert.ok(fs.statSync(path.join(dir, file)).size <= log.maxBytes));
+
+    const { entries, total } = await log.query();
+    assert.equal(total, 5);
+    assert.deepEqual(entries.map((e) => e.details.n), [7, 6, 5, 4, 3]);
+});
+
+test('entries recorded without waiting land in order across a rotation', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    const log = new AuditLog({ dir, maxBytes: 600, maxFiles: 5 });
+
+    await Promise.all(Array.from({ length: 6 }, (_, i) => log.record(entry(i + 1))));
+
+    const { entries } = await log.query();
+    assert.deepEqual(entries.map((e) => e.details.n), [6, 5, 4, 3, 2, 1]);
+    assert.ok(fs.existsSync(path.join(dir, 'audit.1.log')));
+});
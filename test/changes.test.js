@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { ChangeTracker } from '../lib/changes.js';
+
+const digest = (c) => `sha256:${c.repeat(64)}`;
+
+// Stub client with one Docker repository per location; `down` locations fail to list
+function stubClient(images, down = new Set()) {
+    const repository = (location) => ({ name: `projects/demo/locations/${location}/repositories/apps`, format: 'DOCKER' });
+    return {
+        async *listLocationsAsync() {
+            yield { locationId: 'europe-west1' };
+            yield { locationId: 'us-central1' };
+        },
+        async listRepositories({ parent }) {
+            const location = parent.split('/')[3];
+            if (down.has(location)) throw Object.assign(new Error('unavailable'), { code: 14 });
+            return [[repository(location)]];
+        },
+        async listDockerImages({ parent }) {
+            const location = parent.split('/')[3];
+            return [images[location].map(([image, hash, tags]) => ({ name: `${parent}/dockerImages/${image}@${digest(hash)}`, tags }))];
+        },
+    };
+}
+
+test('a location that fails to list keeps its previous capture', async () => {
+    const tracker = new ChangeTracker({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'changes-test-')) });
+    const images = {
+        'europe-west1': [['web', 'a', ['1.0']]],
+        'us-central1': [['api', 'b', ['2.0']]],
+    };
+
+    const first = await tracker.poll(stubClient(images), 'demo');
+    assert.deepEqual(first.baseline, ['europe-west1/apps', 'us-central1/apps']);
+
+    images['us-central1'].push(['api', 'c', ['2.1']]);
+    const outage = await tracker.poll(stubClient(images, new Set(['europe-west1'])), 'demo');
+    assert.deepEqual(outage.failures.map((failure) => failure.location), ['europe-west1']);
+    assert.deepEqual(outage.events.map((event) => [event.type, event.location]), [
+        ['image.pushed', 'us-central1'],
+        ['tag.added', 'us-central1'],
+    ]);
+
+    // Back up with one new image: only that is reported, not the whole location again
+    images['europe-west1'].push(['web', 'd', ['1.1']]);
+    const recovered = await tracker.poll(stubClient(images), 'demo');
+    assert.deepEqual(recovered.baseline, []);
+    assert.deepEqual(recovered.events.map((event) => [event.type, event.location, event.digest]), [
+        ['image.pushed', 'europe-west1', digest('d')],
+        ['tag.added', 'europe-west1', digest('d')],
+    ]);
+});
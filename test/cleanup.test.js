@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_PATTERN_LENGTH, collectVersions, evaluatePolicy, globMatcher, normalizePolicy } from '../lib/cleanup.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+const INDEX = 'application/vnd.oci.image.index.v1+json';
+const MANIFEST = 'application/vnd.oci.image.manifest.v1+json';
+const REPO = 'projects/p/locations/us/repositories/r';
+
+const digest = (c) => `sha256:${c.repeat(64)}`;
+const seconds = (ms) => ({ seconds: Math.floor(ms / 1000) });
+
+function dockerImage(image, c, { tags = [], mediaType = MANIFEST, ageDays = 60, size = 100 } = {}) {
+    return {
+        name: `${REPO}/dockerImages/${image}@${digest(c)}`,
+        tags,
+        mediaType,
+        imageSizeBytes: String(size),
+        uploadTime: seconds(NOW - ageDays * DAY_MS),
+    };
+}
+
+// ArtifactRegistryClient stand-in serving fixed listings
+function fakeClient({ dockerImages = [], packages = [], versions = {}, files = [] }) {
+    return {
+        listDockerImages: async () => [dockerImages],
+        listPackages: async () => [packages],
+        listVersions: async ({ parent }) => [versions[parent] || []],
+        listFiles: async () => [files],
+    };
+}
+
+// RegistryClient stand-in: manifests keyed by "repository@digest"
+function fakeRegistry(manifests) {
+    const requested = [];
+    return {
+        requested,
+        getManifest: async (repository, reference) => {
+            requested.push(`${repository}@${reference}`);
+            const manifest = manifests[`${repository}@${reference}`];
+            if (!manifest) throw new Error(`No manifest ${repository}@${reference}`);
+            return manifest;
+        },
+    };
+}
+
+test('delete-untagged keeps the platform manifests of a tagged multi-arch image', async () => {
+    const client = fakeClient({
+        dockerImages: [
+            dockerImage('app', 'a', { tags: ['v1'], mediaType: INDEX }),
+            dockerImage('app', 'b'),
+            dockerImage('app', 'c'),
+            dockerImage('app', 'd'),
+        ],
+    });
+    const registry = fakeRegistry({
+        [`p/r/app@${digest('a')}`]: {
+            mediaType: INDEX,
+            json: { manifests: [{ digest: digest('b') }, { digest: digest('c') }] },
+        },
+    });
+
+    const versions = await collectVersions(client, 'p', 'us', 'r', 'DOCKER', { registry });
+    const report = evaluatePolicy({ rules: [{ type: 'delete-untagged', olderThanDays: 30 }] }, versions, NOW);
+
+    assert.deepEqual(report.deletions.map((d) => d.version), [digest('d')]);
+    // Only the index is read; single-platform manifests need no lookup
+    assert.deepEqual(registry.requested, [`p/r/app@${digest('a')}`]);
+});
+
+test('delete-untagged removes platform manifests of an untagged index', async () => {
+    const client = fakeClient({
+        dockerImages: [
+            dockerImage('app', 'a', { mediaType: INDEX }),
+            dockerImage('app', 'b'),
+        ],
+    });
+    const registry = fakeRegistry({
+        [`p/r/app@${digest('a')}`]: { mediaType: INDEX, json: { manifests: [{ digest: digest('b') }] } },
+    });
+
+    const versions = await collectVersions(client, 'p', 'us', 'r', 'DOCKER', { registry });
+    const report = evaluatePolicy({ rules: [{ type: 'delete-untagged', olderThanDays: 30 }] }, versions, NOW);
+
+    assert.deepEqual(report.deletions.map((d) => d.version).sort(), [digest('a'), digest('b')]);
+});
+
+test('Docker version names encode nested image paths', async () => {
+    const client = fakeClient({ dockerImages: [dockerImage('team%2Fapp', 'a', { tags: ['v1'] })] });
+    const [version] = await collectVersions(client, 'p', 'us', 'r', 'DOCKER', { registry: fakeRegistry({}) });
+
+    assert.equal(version.package, 'team/app');
+    assert.equal(version.name, `${REPO}/packages/team%2Fapp/versions/${digest('a')}`);
+});
+
+test('Docker repositories cannot be evaluated without a registry client', async () => {
+    await assert.rejects(collectVersions(fakeClient({}), 'p', 'us', 'r', 'DOCKER'), /registry client/);
+});
+
+test('non-Docker versions are sized by the files they own', async () => {
+    const pkg = `${REPO}/packages/tools%2Fwidget`;
+    const client = fakeClient({
+        packages: [{ name: pkg }],
+        versions: {
+            [pkg]: [
+                { name: `${pkg}/versions/1.0.0`, createTime: seconds(NOW - 90 * DAY_MS) },
+                { name: `${pkg}/versions/2.0.0`, createTime: seconds(NOW - DAY_MS), relatedTags: [{ name: `${pkg}/tags/latest` }] },
+            ],
+        },
+        files: [
+            { owner: `${pkg}/versions/1.0.0`, sizeBytes: '1000' },
+            { owner: `${pkg}/versions/1.0.0`, sizeBytes: '24' },
+            { owner: `${pkg}/versions/2.0.0`, sizeBytes: '2048' },
+        ],
+    });
+
+    const versions = await collectVersions(client, 'p', 'us', 'r', 'GENERIC');
+    const report = evaluatePolicy({ rules: [{ type: 'delete-untagged', olderThanDays: 30 }] }, versions, NOW);
+
+    assert.deepEqual(versions.map((v) => v.sizeBytes), [1024, 2048]);
+    assert.equal(versions[0].package, 'tools/widget');
+    assert.equal(report.bytesFreed, 1024);
+});
+
+test('globs match * and ? like the shell', () => {
+    const matches = globMatcher('release-*.?');
+    assert.equal(matches('release-1.2.3'), true);
+    assert.equal(matches('release-.x'), true);
+    assert.equal(matches('release-1.23'), false);
+    assert.equal(matches('prerelease-1.2'), false);
+    assert.equal(globMatcher('v1.*')('v1x'), false);
+    assert.equal(globMatcher('*')(''), true);
+});
+
+test('a pathological glob fails fast instead of backtracking', () => {
+    const started = Date.now();
+    assert.equal(globMatcher(`${'*'.repeat(40)}x`)('a'.repeat(100000)), false);
+    assert.equal(globMatcher(`${'*a'.repeat(60)}x`)('a'.repeat(10000)), false);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('policies with overlong tag patterns are rejected', () => {
+    const tagPattern = 'a'.repeat(MAX_PATTERN_LENGTH + 1);
+    assert.throws(() => normalizePolicy({ rules: [{ type: 'protect', tagPattern }] }), /at most 128 characters/);
+    assert.throws(() => globMatcher(tagPattern), /longer than 128/);
+});
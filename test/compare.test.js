@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffInspections } from '../lib/compare.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Inspection result with one history entry per layer; `layers` is [[digest, created], ...]
+function inspection(digest, built, layers) {
+    const config = { created: built, env: [], labels: {}, exposedPorts: [], platform: 'linux/amd64' };
+    return {
+        digest,
+        image: {
+            digest,
+            totalSize: layers.length,
+            config,
+            layers: layers.map(([layer]) => ({ digest: layer, size: 1 })),
+            history: layers.map(([layer, created]) => ({ createdBy: `RUN ${layer}`, created, emptyLayer: false, digest: layer })),
+        },
+    };
+}
+
+const at = (time) => new Date(time).toISOString();
+const now = Date.parse('2026-10-01T12:00:00Z');
+
+test('a changed base layer above a shared one is drift', () => {
+    // Three base layers; the base was patched in its second layer
+    const before = inspection('sha256:before', at(now - 7 * DAY), [
+        ['debian', at(now - 90 * DAY)], ['node', at(now - 30 * DAY)], ['npm', at(now - 30 * DAY)], ['app-v1', at(now - 7 * DAY)],
+    ]);
+    const after = inspection('sha256:after', at(now), [
+        ['debian', at(now - 90 * DAY)], ['node-patched', at(now - 2 * DAY)], ['npm-patched', at(now - 2 * DAY)], ['app-v2', at(now)],
+    ]);
+
+    const { baseImage } = diffInspections(before, after);
+    assert.equal(baseImage.commonPrefixLayers, 1);
+    assert.equal(baseImage.baseLayers, 3);
+    assert.equal(baseImage.drifted, true);
+});
+
+test('a rebuild on the same base is not drift', () => {
+    const base = [['debian', at(now - 90 * DAY)], ['node', at(now - 30 * DAY)]];
+    const before = inspection('sha256:before', at(now - 7 * DAY), [...base, ['app-v1', at(now - 7 * DAY)]]);
+    const after = inspection('sha256:after', at(now), [...base, ['app-v2', at(now)]]);
+
+    const { baseImage } = diffInspections(before, after);
+    assert.equal(baseImage.commonPrefixLayers, 2);
+    assert.equal(baseImage.drifted, false);
+});
+
+test('without history timestamps only a fully different stack is drift', () => {
+    const before = inspection('sha256:before', null, [['debian', null], ['node', null], ['app-v1', null]]);
+    const after = inspection('sha256:after', null, [['debian', null], ['node-patched', null], ['app-v2', null]]);
+
+    const { baseImage } = diffInspections(before, after);
+    assert.equal(baseImage.baseLayers, null);
+    assert.equal(baseImage.drifted, false);
+});
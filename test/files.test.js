@@ -0,0 +1,59 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { downloadFileTo } from '../lib/files.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+const content = Buffer.from('artifact contents\n');
+const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+// fetch stand-in serving `chunks`; an Error in the list fails the body stream there
+function serve(chunks) {
+    globalThis.fetch = async () => new Response(new ReadableStream({
+        pull(controller) {
+            const chunk = chunks.shift();
+            if (chunk instanceof Error) controller.error(chunk);
+            else if (chunk) controller.enqueue(new Uint8Array(chunk));
+            else controller.close();
+        },
+    }), { status: 200 });
+}
+
+function destination() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'files-test-')), 'widget.tgz');
+}
+
+const file = (hashes) => ({ id: 'projects/p/locations/l/repositories/r/files/widget.tgz', filename: 'widget.tgz', size: content.length, hashes });
+const token = async () => 'token';
+
+test('a matching download is kept', async () => {
+    serve([content]);
+    const target = destination();
+    const result = await downloadFileTo(file({ sha256 }), target, token);
+
+    assert.equal(result.verified, true);
+    assert.deepEqual(fs.readFileSync(target), content);
+});
+
+test('a mismatched download is removed', async () => {
+    serve([content]);
+    const target = destination();
+    const result = await downloadFileTo(file({ sha256: '0'.repeat(64) }), target, token);
+
+    assert.equal(result.verified, false);
+    assert.equal(fs.existsSync(target), false);
+});
+
+test('a download that fails part-way leaves no partial file', async () => {
+    serve([content.subarray(0, 8), new Error('connection reset')]);
+    const target = destination();
+
+    await assert.rejects(downloadFileTo(file({ sha256 }), target, token), /connection reset/);
+    assert.equal(fs.existsSync(target), false);
+});
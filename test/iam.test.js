@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { IamConflictError, applyPolicyChanges, planPolicyChanges } from '../lib/iam.js';
+
+const RESOURCE = 'projects/demo/locations/us-central1/repositories/apps';
+const addReader = [{ action: 'add', role: 'reader', member: 'user:alice@example.com' }];
+
+// Stub IAM client holding one policy; every write gets a new etag. setIamPolicy checks the
+// etag the way the API does and fails with ABORTED (10) when it is stale.
+function stubClient() {
+    let revision = 1;
+    const client = {
+        policy: { version: 1, etag: Buffer.from('rev-1'), bindings: [{ role: 'roles/artifactregistry.writer', members: ['group:ci@example.com'] }] },
+        writes: [],
+        async getIamPolicy() {
+            return [client.policy];
+        },
+        async setIamPolicy({ policy }) {
+            if (!Buffer.from(policy.etag).equals(client.policy.etag)) {
+                throw Object.assign(new Error('10 ABORTED: There were concurrent policy changes'), { code: 10 });
+            }
+            client.writes.push(policy);
+            return [client.changeElsewhere(policy.bindings)];
+        },
+        // A write that did not come through applyPolicyChanges
+        changeElsewhere(bindings) {
+            revision++;
+            client.policy = { version: 1, etag: Buffer.from(`rev-${revision}`), bindings };
+            return client.policy;
+        },
+    };
+    return client;
+}
+
+test('changes are applied with the etag of the preview', async () => {
+    const client = stubClient();
+    const plan = await planPolicyChanges(client, RESOURCE, addReader);
+
+    const result = await applyPolicyChanges(client, RESOURCE, { etag: plan.etag, changes: addReader });
+
+    assert.equal(client.writes.length, 1);
+    assert.equal(Buffer.from(client.writes[0].etag).toString(), 'rev-1');
+    assert.deepEqual(result.diff, [{ change: 'added', role: 'roles/artifactregistry.reader', member: 'user:alice@example.com' }]);
+    assert.equal(result.policy.etag, Buffer.from('rev-2').toString('base64'));
+});
+
+test('a policy changed since the preview is not overwritten', async () => {
+    const client = stubClient();
+    const plan = await planPolicyChanges(client, RESOURCE, addReader);
+    client.changeElsewhere([{ role: 'roles/artifactregistry.writer', members: ['group:release@example.com'] }]);
+
+    await assert.rejects(applyPolicyChanges(client, RESOURCE, { etag: plan.etag, changes: addReader }), IamConflictError);
+    assert.equal(client.writes.length, 0);
+    assert.deepEqual(client.policy.bindings[0].members, ['group:release@example.com']);
+});
+
+test('a change racing the write is refused by the etag check', async () => {
+    const client = stubClient();
+    const plan = await planPolicyChanges(client, RESOURCE, addReader);
+    // The policy changes after applyPolicyChanges re-read it, but before the write lands
+    const getIamPolicy = client.getIamPolicy;
+    client.getIamPolicy = async (request) => {
+        const response = await getIamPolicy(request);
+        client.changeElsewhere([]);
+        return response;
+    };
+
+    await assert.rejects(applyPolicyChanges(client, RESOURCE, { etag: plan.etag, changes: addReader }), { code: 10 });
+    assert.equal(client.writes.length, 0);
+});
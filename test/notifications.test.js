@@ -0,0 +1,137 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+import { NotificationCenter, describeEvent, matchesSubscription, normalizeSubscription } from '../lib/notifications.js';
+
+// Local receiver: records every request and answers with the next queued status (200 when empty)
+const receiver = { requests: [], statuses: [] };
+receiver.server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    receiver.requests.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+    res.writeHead(receiver.statuses.shift() || 200);
+    res.end();
+});
+
+before(() => new Promise((resolve) => receiver.server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+    resolve();
+})));
+
+after(() => receiver.server.close());
+
+beforeEach(() => {
+    receiver.requests = [];
+    receiver.statuses = [];
+});
+
+function center() {
+    return new NotificationCenter({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-test-')) });
+}
+
+const pushed = {
+    id: 'event-1',
+    type: 'image.pushed',
+    timestamp: '2026-10-01T12:00:00.000Z',
+    projectId: 'demo',
+    location: 'us-central1',
+    repository: 'apps',
+    image: 'web',
+    digest: `sha256:${'a'.repeat(64)}`,
+    tags: ['1.0'],
+};
+
+test('webhooks get the event as JSON with a verifiable signature', async () => {
+    const notifications = center();
+    const { subscription, generatedSecret } = await notifications.create('demo', {
+        name: 'ci',
+        sink: { type: 'webhook', url: `${receiver.url}/hook` },
+    });
+
+    const [entry] = await notifications.dispatch([pushed]);
+
+    assert.deepEqual(entry.deliveries, [{ subscriptionId: subscription.id, name: 'ci', ok: true, error: null }]);
+    assert.equal(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.equal(request.path, '/hook');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-registry-event'], 'image.pushed');
+    assert.equal(request.headers['x-registry-delivery'], 'event-1');
+
+    const expected = `sha256=${crypto.createHmac('sha256', generatedSecret).update(request.body).digest('hex')}`;
+    assert.equal(request.headers['x-registry-signature'], expected);
+    assert.deepEqual(JSON.parse(request.body), { ...pushed, subscription: { id: subscription.id, name: 'ci' } });
+});
+
+test('Slack gets a text message and no signature', async () => {
+    const notifications = center();
+    await notifications.create('demo', { name: 'chat', sink: { type: 'slack', url: `${receiver.url}/slack` } });
+
+    await notifications.dispatch([pushed]);
+
+    const [request] = receiver.requests;
+    assert.deepEqual(JSON.parse(request.body), { text: describeEvent(pushed) });
+    assert.equal(request.headers['x-registry-signature'], undefined);
+});
+
+test('server errors are retried until the receiver accepts', async () => {
+    const notifications = center();
+    const { subscription } = await notifications.create('demo', { name: 'ci', sink: { type: 'webhook', url: receiver.url, secret: 's' } });
+    receiver.statuses = [503];
+
+    const [entry] = await notifications.dispatch([pushed]);
+
+    assert.equal(receiver.requests.length, 2);
+    assert.equal(receiver.requests[0].headers['x-registry-delivery'], receiver.requests[1].headers['x-registry-delivery']);
+    assert.equal(entry.deliveries[0].ok, true);
+    assert.equal(subscription.lastDelivery.ok, true);
+});
+
+test('client errors are not retried and are recorded on the subscription', async () => {
+    const notifications = center();
+    const { subscription } = await notifications.create('demo', { name: 'ci', sink: { type: 'webhook', url: receiver.url, secret: 's' } });
+    receiver.statuses = [410];
+
+    const [entry] = await notifications.dispatch([pushed]);
+
+    assert.equal(receiver.requests.length, 1);
+    assert.deepEqual(entry.deliveries[0], { subscriptionId: subscription.id, name: 'ci', ok: false, error: 'Receiver responded with 410' });
+    assert.equal(subscription.lastDelivery.status, 410);
+});
+
+test('a receiver that keeps failing gets three attempts', async () => {
+    const notifications = center();
+    const { subscription } = await notifications.create('demo', { name: 'ci', sink: { type: 'webhook', url: receiver.url, secret: 's' } });
+    receiver.statuses = [500, 502, 503];
+
+    const [entry] = await notifications.dispatch([pushed]);
+
+    assert.equal(receiver.requests.length, 3);
+    assert.equal(entry.deliveries[0].ok, false);
+    assert.equal(subscription.lastDelivery.status, 503);
+});
+
+test('overlong patterns are rejected when a subscription is saved', () => {
+    const sink = { type: 'file' };
+    assert.throws(() => normalizeSubscription({ name: 'x', sink, filters: { tagPattern: `${'*'.repeat(200)}x` } }), /at most 128/);
+    assert.throws(() => normalizeSubscription({ name: 'x', sink, filters: { repositories: ['a'.repeat(129)] } }), /at most 128/);
+});
+
+test('pathological patterns match in linear time', () => {
+    const fields = normalizeSubscription({
+        name: 'x',
+        sink: { type: 'file' },
+        filters: { repositories: [`${'*'.repeat(100)}x`], tagPattern: `${'*a'.repeat(60)}x` },
+    });
+    const subscription = { ...fields, projectId: 'demo' };
+    const started = Date.now();
+
+    assert.equal(matchesSubscription(subscription, { ...pushed, repository: 'a'.repeat(10000) }), false);
+    assert.equal(matchesSubscription({ ...subscription, filters: { ...fields.filters, repositories: [] } }, { ...pushed, tag: 'a'.repeat(10000) }), false);
+    assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,202 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { RegistryClient, sha256Digest } from '../lib/oci-registry.js';
+import { copyImage } from '../lib/transfer.js';
+
+const CREDENTIALS = { username: 'oauth2accesstoken', password: 'secret-token' };
+const BASIC = `Basic ${Buffer.from(`${CREDENTIALS.username}:${CREDENTIALS.password}`).toString('base64')}`;
+
+// In-process stand-in for a registry:2 container. Basic auth is required on every request;
+// `uploadBase` sends blob uploads to another origin, the way registries hand off to storage.
+function fakeRegistry() {
+    const registry = {
+        blobs: new Map(),
+        manifests: new Map(),
+        requests: [],
+        uploadBase: null,
+    };
+
+    registry.server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const body = Buffer.concat(chunks);
+        const url = new URL(req.url, 'http://registry');
+        registry.requests.push({ method: req.method, path: url.pathname, authorization: req.headers.authorization || null, chunks: chunks.length });
+
+        // The upload origin takes no credentials of its own
+        if (url.pathname.startsWith('/upload/')) {
+            return storeBlob(registry, url, body, res);
+        }
+
+        if (req.headers.authorization !== BASIC) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="fake"' });
+            return res.end();
+        }
+
+        let match;
+        if ((match = url.pathname.match(/^\/v2\/(.+)\/blobs\/(sha256:[a-f0-9]{64})$/))) {
+            const blob = registry.blobs.get(match[2]);
+            res.writeHead(blob ? 200 : 404, blob ? { 'Content-Length': blob.length } : {});
+            return res.end(req.method === 'GET' && blob ? blob : undefined);
+        }
+        if (req.method === 'POST' && (match = url.pathname.match(/^\/v2\/(.+)\/blobs\/uploads\/$/))) {
+            const id = `${registry.requests.length}`;
+            res.writeHead(202, { Location: registry.uploadBase ? `${registry.uploadBase}/upload/${id}` : `/v2/${match[1]}/blobs/uploads/${id}` });
+            return res.end();
+        }
+        if (req.method === 'PUT' && url.pathname.includes('/blobs/uploads/')) {
+            return storeBlob(registry, url, body, res);
+        }
+        if ((match = url.pathname.match(/^\/v2\/(.+)\/manifests\/(.+)$/))) {
+            const key = `${match[1]}:${match[2]}`;
+            if (req.method === 'PUT') {
+                const manifest = { body, mediaType: req.headers['content-type'] };
+                registry.manifests.set(key, manifest);
+                registry.manifests.set(`${match[1]}:${sha256Digest(body)}`, manifest);
+                res.writeHead(201, { 'Docker-Content-Digest': sha256Digest(body) });
+                return res.end();
+            }
+            const manifest = registry.manifests.get(key);
+            if (!manifest) {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': manifest.mediaType, 'Docker-Content-Digest': sha256Digest(manifest.body) });
+            return res.end(manifest.body);
+        }
+
+        res.writeHead(404);
+        res.end();
+    });
+
+    return registry;
+}
+
+function storeBlob(registry, url, body, res) {
+    const digest = url.searchParams.get('digest');
+    if (sha256Digest(body) !== digest) {
+        res.writeHead(400);
+        return res.end('digest mismatch');
+    }
+    registry.blobs.set(digest, body);
+    res.writeHead(201);
+    return res.end();
+}
+
+function listen(server) {
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function clientFor(registry) {
+    return new RegistryClient({ host: registry.host, insecure: true, credentials: async () => CREDENTIALS });
+}
+
+// A web stream that hands `buffer` over in several chunks
+function chunkedStream(buffer, size) {
+    let offset = 0;
+    return new ReadableStream({
+        pull(controller) {
+            if (offset >= buffer.length) return controller.close();
+            controller.enqueue(new Uint8Array(buffer.subarray(offset, offset + size)));
+            offset += size;
+        },
+    });
+}
+
+const source = fakeRegistry();
+const target = fakeRegistry();
+const storage = fakeRegistry();
+
+before(async () => {
+    source.host = `127.0.0.1:${await listen(source.server)}`;
+    target.host = `127.0.0.1:${await listen(target.server)}`;
+    // "localhost" is a different host to the client than 127.0.0.1, like a storage bucket
+    storage.host = `localhost:${await listen(storage.server)}`;
+});
+
+after(() => {
+    [source, target, storage].forEach((registry) => registry.server.close());
+});
+
+test('hasBlob authenticates and tells present from missing blobs', async () => {
+    const blob = Buffer.from('layer');
+    source.blobs.set(sha256Digest(blob), blob);
+    const client = clientFor(source);
+
+    assert.equal(await client.hasBlob('team/app', sha256Digest(blob)), true);
+    assert.equal(await client.hasBlob('team/app', sha256Digest(Buffer.from('other'))), false);
+    assert.equal(source.requests[0].authorization, null);
+    assert.equal(source.requests.at(-1).authorization, BASIC);
+});
+
+test('uploadBlob streams the blob in chunks to the upload location', async () => {
+    const blob = Buffer.alloc(64 * 1024, 7);
+    const digest = sha256Digest(blob);
+    const client = clientFor(target);
+    await client.hasBlob('team/app', digest, { push: true });
+
+    await client.uploadBlob('team/app', digest, blob.length, chunkedStream(blob, 4096));
+
+    assert.deepEqual(target.blobs.get(digest), blob);
+    const put = target.requests.find((request) => request.method === 'PUT');
+    assert.equal(put.authorization, BASIC);
+    assert.ok(put.chunks > 1);
+});
+
+test('credentials are not sent to an upload location on another host', async () => {
+    const blob = Buffer.from('elsewhere');
+    const digest = sha256Digest(blob);
+    target.uploadBase = `http://${storage.host}`;
+
+    try {
+        await clientFor(target).uploadBlob('team/app', digest, blob.length, chunkedStream(blob, 4));
+    } finally {
+        target.uploadBase = null;
+    }
+
+    assert.deepEqual(storage.blobs.get(digest), blob);
+    assert.deepEqual(storage.requests.map((request) => request.authorization), [null]);
+});
+
+test('putManifest stores the manifest and returns its digest', async () => {
+    const manifest = Buffer.from(JSON.stringify({ schemaVersion: 2, mediaType: 'application/vnd.oci.image.manifest.v1+json', layers: [] }));
+    const digest = await clientFor(target).putManifest('team/app', 'v1', manifest, 'application/vnd.oci.image.manifest.v1+json');
+
+    assert.equal(digest, sha256Digest(manifest));
+    assert.deepEqual(target.manifests.get('team/app:v1').body, manifest);
+});
+
+test('copyImage copies a multi-arch index with its blobs between registries', async () => {
+    const json = (value) => Buffer.from(JSON.stringify(value));
+    const descriptor = (mediaType, body) => ({ mediaType, digest: sha256Digest(body), size: body.length });
+    const put = (repository, reference, body, mediaType) => source.manifests.set(`${repository}:${reference}`, { body, mediaType });
+
+    const children = ['amd64', 'arm64'].map((architecture) => {
+        const config = json({ architecture, os: 'linux' });
+        const layer = Buffer.from(`${architecture} layer`);
+        [config, layer].forEach((blob) => source.blobs.set(sha256Digest(blob), blob));
+        const manifest = json({
+            schemaVersion: 2,
+            mediaType: 'application/vnd.oci.image.manifest.v1+json',
+            config: descriptor('application/vnd.oci.image.config.v1+json', config),
+            layers: [descriptor('application/vnd.oci.image.layer.v1.tar+gzip', layer)],
+        });
+        put('library/app', sha256Digest(manifest), manifest, 'application/vnd.oci.image.manifest.v1+json');
+        return { ...descriptor('application/vnd.oci.image.manifest.v1+json', manifest), platform: { architecture, os: 'linux' } };
+    });
+    const index = json({ schemaVersion: 2, mediaType: 'application/vnd.oci.image.index.v1+json', manifests: children });
+    put('library/app', '1.0', index, 'application/vnd.oci.image.index.v1+json');
+
+    const result = await copyImage({
+        source: { client: clientFor(source), repository: 'library/app', reference: '1.0' },
+        target: { client: clientFor(target), repository: 'demo/docker/app', reference: '1.0' },
+    });
+
+    assert.equal(result.digest, sha256Digest(index));
+    assert.equal(result.manifests, 3);
+    assert.equal(result.blobs, 4);
+    assert.deepEqual(target.manifests.get('demo/docker/app:1.0').body, index);
+    children.forEach((child) => assert.ok(target.manifests.has(`demo/docker/app:${child.digest}`)));
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatOutput, toCsv, toYaml } from '../lib/output.js';
+
+test('YAML quotes strings a parser would read as something else', () => {
+    const record = {
+        uploadedAt: '2026-10-01T12:00:00.000Z',
+        date: '2026-10-01',
+        version: '1.0',
+        answer: 'yes',
+        short: 'n',
+        empty: 'null',
+        digest: 'sha256:abc',
+        ratio: '1:20',
+        comment: 'a #b',
+        padded: ' x',
+        name: 'team/web-app',
+    };
+
+    assert.equal(toYaml(record), [
+        'uploadedAt: "2026-10-01T12:00:00.000Z"',
+        'date: "2026-10-01"',
+        'version: "1.0"',
+        'answer: "yes"',
+        'short: "n"',
+        'empty: "null"',
+        'digest: "sha256:abc"',
+        'ratio: "1:20"',
+        'comment: "a #b"',
+        'padded: " x"',
+        'name: team/web-app',
+        '',
+    ].join('\n'));
+});
+
+test('YAML keeps numbers, booleans and null unquoted and nests collections', () => {
+    const yaml = toYaml([{ size: 10, current: true, error: null, tags: ['latest', '1.0'], labels: {} }]);
+
+    assert.equal(yaml, [
+        '- size: 10',
+        '  current: true',
+        '  error: null',
+        '  tags:',
+        '    - latest',
+        '    - "1.0"',
+        '  labels: {}',
+        '',
+    ].join('\n'));
+});
+
+test('CSV quotes separators, quotes, line breaks and surrounding spaces', () => {
+    const csv = toCsv([
+        { name: 'a,b', note: 'say "hi"', text: 'one\r\ntwo', padded: ' x', tags: ['1.0', 'latest'] },
+    ], ['name', 'note', 'text', 'padded', 'tags']);
+
+    assert.equal(csv, 'name,note,text,padded,tags\n"a,b","say ""hi""","one\r\ntwo"," x",1.0;latest\n');
+    assert.equal(toCsv([], ['a,b']), '"a,b"\n');
+});
+
+test('JSON output is the records as they are', () => {
+    assert.deepEqual(JSON.parse(formatOutput([{ a: '1.0' }], 'json')), [{ a: '1.0' }]);
+    assert.throws(() => formatOutput([], 'xml'), /Unknown output format/);
+});
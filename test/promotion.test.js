@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sha256Digest } from '../lib/oci-registry.js';
+import { PROVENANCE_ANNOTATIONS, promoteImage } from '../lib/promotion.js';
+
+const MANIFEST_TYPE = 'application/vnd.oci.image.manifest.v1+json';
+
+// One project's Docker storage seen through both APIs promoteImage uses: `registry` speaks
+// the distribution API (as RegistryClient does), `client` the Artifact Registry API for
+// tags and versions. Manifests are stored by version name and tags point at versions.
+function stubProject(projectId) {
+    const blobs = new Map();
+    const manifests = new Map();
+    const tags = new Map();
+    const annotations = new Map();
+    const uploads = [];
+
+    const packageOf = (repository) => {
+        const [, repo, ...image] = repository.split('/');
+        return `projects/${projectId}/locations/us-central1/repositories/${repo}/packages/${image.join('%2F')}`;
+    };
+    const versionOf = (repository, reference) => (reference.startsWith('sha256:')
+        ? `${packageOf(repository)}/versions/${reference}`
+        : tags.get(`${packageOf(repository)}/tags/${reference}`));
+    const notFound = (name) => Object.assign(new Error(`5 NOT_FOUND: ${name}`), { code: 5 });
+
+    const registry = {
+        async getManifest(repository, reference) {
+            const manifest = manifests.get(versionOf(repository, reference));
+            if (!manifest) throw new Error(`Manifest ${repository}:${reference} not found`);
+            return { ...manifest, json: JSON.parse(manifest.body), digest: sha256Digest(manifest.body) };
+        },
+        async putManifest(repository, reference, body, mediaType) {
+            manifests.set(versionOf(repository, sha256Digest(body)), { body, mediaType });
+            return sha256Digest(body);
+        },
+        async hasBlob(repository, digest) {
+            return blobs.has(digest);
+        },
+        async getBlob(repository, digest) {
+            return new Blob([blobs.get(digest)]).stream();
+        },
+        async uploadBlob(repository, digest, size, stream) {
+            blobs.set(digest, Buffer.from(await new Response(stream).arrayBuffer()));
+            uploads.push(digest);
+        },
+    };
+
+    const client = {
+        async listTags({ filter }) {
+            const version = filter.match(/version="(.+)"/)[1];
+            return [[...tags].filter(([, target]) => target === version).map(([name]) => ({ name }))];
+        },
+        async getTag({ name }) {
+            if (!tags.has(name)) throw notFound(name);
+            return [{ name, version: tags.get(name) }];
+        },
+        async getVersion({ name }) {
+            if (!manifests.has(name)) throw notFound(name);
+            return [{ name, annotations: { ...annotations.get(name) } }];
+        },
+        async createTag({ tag }) {
+            tags.set(tag.name, tag.version);
+        },
+        async updateTag({ tag }) {
+            tags.set(tag.name, tag.version);
+        },
+        async updateVersion({ version }) {
+            annotations.set(version.name, version.annotations);
+        },
+    };
+
+    return { projectId, registry, client, blobs, tags, annotations, uploads, packageOf };
+}
+
+// Push a one-layer image into `project` and tag it
+async function pushImage(project, repository, tagNames) {
+    const config = Buffer.from(JSON.stringify({ architecture: 'amd64', os: 'linux' }));
+    const layer = Buffer.from('layer');
+    [config, layer].forEach((blob) => project.blobs.set(sha256Digest(blob), blob));
+    const descriptor = (mediaType, blob) => ({ mediaType, digest: sha256Digest(blob), size: blob.length });
+    const body = Buffer.from(JSON.stringify({
+        schemaVersion: 2,
+        mediaType: MANIFEST_TYPE,
+        config: descriptor('application/vnd.oci.image.config.v1+json', config),
+        layers: [descriptor('application/vnd.oci.image.layer.v1.tar+gzip', layer)],
+    }));
+    await project.registry.putManifest(repository, sha256Digest(body), body, MANIFEST_TYPE);
+    const version = `${project.packageOf(repository)}/versions/${sha256Digest(body)}`;
+    tagNames.forEach((tag) => project.tags.set(`${project.packageOf(repository)}/tags/${tag}`, version));
+    return sha256Digest(body);
+}
+
+function promotion(staging, production, overrides = {}) {
+    return {
+        source: { ...staging, location: 'us-central1', repository: 'apps', image: 'web', reference: 'release' },
+        target: { ...production, location: 'us-central1', repository: 'apps' },
+        actor: 'release@staging.iam.gserviceaccount.com',
+        note: 'weekly release',
+        ...overrides,
+    };
+}
+
+test('promotion copies the digest, carries its tags and records provenance', async () => {
+    const staging = stubProject('staging');
+    const production = stubProject('production');
+    const digest = await pushImage(staging, 'staging/apps/web', ['release', '1.4.0']);
+
+    const result = await promoteImage(promotion(staging, production));
+
+    assert.equal(result.digest, digest);
+    assert.deepEqual(result.tags.map(({ tag, action }) => [tag, action]), [['1.4.0', 'add-tag'], ['release', 'add-tag']]);
+    assert.equal(production.uploads.length, 2);
+
+    const version = `${production.packageOf('production/apps/web')}/versions/${digest}`;
+    assert.equal(production.tags.get(`${production.packageOf('production/apps/web')}/tags/release`), version);
+    const annotations = production.annotations.get(version);
+    assert.equal(annotations[PROVENANCE_ANNOTATIONS.from], `us-central1-docker.pkg.dev/staging/apps/web@${digest}`);
+    assert.equal(annotations[PROVENANCE_ANNOTATIONS.by], 'release@staging.iam.gserviceaccount.com');
+    assert.equal(annotations[PROVENANCE_ANNOTATIONS.at], result.provenance.at);
+    assert.equal(annotations[PROVENANCE_ANNOTATIONS.note], 'weekly release');
+    assert.equal(result.provenance.recorded, true);
+});
+
+test('promoting again copies nothing, leaves tags alone and refreshes provenance', async () => {
+    const staging = stubProject('staging');
+    const production = stubProject('production');
+    const digest = await pushImage(staging, 'staging/apps/web', ['release']);
+    await promoteImage(promotion(staging, production));
+
+    const version = `${production.packageOf('production/apps/web')}/versions/${digest}`;
+    production.annotations.set(version, { ...production.annotations.get(version), owner: 'web-team' });
+    production.uploads.length = 0;
+
+    const again = await promoteImage(promotion(staging, production, { actor: 'oncall@staging.iam.gserviceaccount.com', note: '' }));
+
+    assert.equal(again.digest, digest);
+    assert.deepEqual(production.uploads, []);
+    assert.deepEqual(again.tags, [{ tag: 'release', action: 'none', from: digest }]);
+
+    const annotations = production.annotations.get(version);
+    assert.equal(annotations.owner, 'web-team');
+    assert.equal(annotations[PROVENANCE_ANNOTATIONS.by], 'oncall@staging.iam.gserviceaccount.com');
+    assert.equal(annotations[PROVENANCE_ANNOTATIONS.at], again.provenance.at);
+});
@@ -0,0 +1,115 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+
+import { PushAuthError, parsePushMessage, verifyPushToken } from '../lib/pubsub.js';
+
+const AUDIENCE = 'https://registry.example.com/api/pubsub/push';
+const SERVICE_ACCOUNT = 'push@demo.iam.gserviceaccount.com';
+
+// Stand-in for Google: publishes the keys it signs push tokens with and counts key fetches
+const google = { keys: [], fetches: 0 };
+google.server = http.createServer((req, res) => {
+    google.fetches++;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ keys: google.keys.map(({ kid, publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' })) }));
+});
+
+function signingKey(kid) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { kid, privateKey, publicKey };
+}
+
+function sign(key, claims) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', kid: key.kid, typ: 'JWT' })}.${encode(claims)}`;
+    return `Bearer ${unsigned}.${crypto.sign('RSA-SHA256', Buffer.from(unsigned), key.privateKey).toString('base64url')}`;
+}
+
+function claims(overrides = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    return { iss: 'https://accounts.google.com', aud: AUDIENCE, email: SERVICE_ACCOUNT, email_verified: true, iat: now, exp: now + 3600, ...overrides };
+}
+
+// Each test gets its own JWKS URL, so it starts with an empty key cache
+let jwksCount = 0;
+function options() {
+    jwksCount++;
+    return { audience: AUDIENCE, serviceAccount: SERVICE_ACCOUNT, jwksUrl: `${google.url}/certs/${jwksCount}` };
+}
+
+const current = signingKey('current');
+
+before(() => new Promise((resolve) => google.server.listen(0, '127.0.0.1', () => {
+    google.url = `http://127.0.0.1:${google.server.address().port}`;
+    resolve();
+})));
+
+after(() => google.server.close());
+
+test('a push message with a valid token is accepted and unwrapped', async () => {
+    google.keys = [current];
+    const data = { action: 'INSERT', digest: `us-docker.pkg.dev/demo/apps/web@sha256:${'a'.repeat(64)}`, tag: 'us-docker.pkg.dev/demo/apps/web:1.0' };
+    const body = { message: { data: Buffer.from(JSON.stringify(data)).toString('base64'), messageId: '1' }, subscription: 'projects/demo/subscriptions/gcr' };
+
+    const verified = await verifyPushToken(sign(current, claims()), options());
+
+    assert.equal(verified.email, SERVICE_ACCOUNT);
+    assert.deepEqual(parsePushMessage(body), {
+        messageId: '1',
+        publishTime: null,
+        subscription: 'projects/demo/subscriptions/gcr',
+        action: 'INSERT',
+        projectId: 'demo',
+        location: 'us',
+        repository: 'apps',
+        image: 'web',
+        digest: `sha256:${'a'.repeat(64)}`,
+        tag: '1.0',
+    });
+});
+
+test('tokens for another audience are refused', async () => {
+    google.keys = [current];
+
+    await assert.rejects(verifyPushToken(sign(current, claims({ aud: 'https://elsewhere.example.com' })), options()),
+        (error) => error instanceof PushAuthError && error.status === 403 && /audience/.test(error.message));
+});
+
+test('expired tokens are refused', async () => {
+    google.keys = [current];
+    const hourAgo = Math.floor(Date.now() / 1000) - 3600;
+
+    await assert.rejects(verifyPushToken(sign(current, claims({ iat: hourAgo - 3600, exp: hourAgo })), options()),
+        (error) => error instanceof PushAuthError && error.status === 401 && /expired/.test(error.message));
+});
+
+test('unknown kids are refused without refetching the keys on every request', async () => {
+    google.keys = [current];
+    const settings = options();
+    const forged = signingKey('forged');
+    google.fetches = 0;
+
+    await verifyPushToken(sign(current, claims()), settings);
+    await Promise.all([1, 2, 3].map(() => assert.rejects(verifyPushToken(sign(forged, claims()), settings), /unknown key/)));
+
+    assert.equal(google.fetches, 1);
+});
+
+test('a rotated key is picked up once the refetch interval has passed', async (t) => {
+    google.keys = [current];
+    const settings = options();
+    await verifyPushToken(sign(current, claims()), settings);
+
+    const rotated = signingKey('rotated');
+    google.keys = [current, rotated];
+    google.fetches = 0;
+    await assert.rejects(verifyPushToken(sign(rotated, claims()), settings), /unknown key/);
+    assert.equal(google.fetches, 0);
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 1000 });
+    t.after(() => mock.timers.reset());
+    await verifyPushToken(sign(rotated, claims()), settings);
+    assert.equal(google.fetches, 1);
+});
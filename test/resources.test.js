@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TAG_PATTERN, isImageName, isImageReference } from '../lib/resources.js';
+
+test('image references follow the Docker grammar', () => {
+    ['app', 'team/web-app:1.0', 'a__b/c.d', `app@sha256:${'a'.repeat(64)}`].forEach((reference) => assert.ok(isImageReference(reference), reference));
+    ['App', 'app;id', '--help', 'a//b', 'app:-x', 'app:$(id)', 'app@sha256:short'].forEach((reference) => assert.ok(!isImageReference(reference), reference));
+});
+
+test('only local references may name a registry host', () => {
+    assert.ok(isImageReference('localhost:5000/app:1', { allowHost: true }));
+    assert.ok(isImageReference('gcr.io/project/app', { allowHost: true }));
+    assert.ok(!isImageReference('localhost:5000/app'));
+    assert.ok(!isImageReference('-x/app', { allowHost: true }));
+});
+
+test('names and tags are checked on their own', () => {
+    assert.ok(isImageName('team/app'));
+    assert.ok(!isImageName('team/app:1.0'));
+    assert.ok(TAG_PATTERN.test('v1.2_rc-1'));
+    assert.ok(!TAG_PATTERN.test('.hidden'));
+    assert.ok(!TAG_PATTERN.test('a'.repeat(129)));
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+
+import { UploadError, checksums, planUpload, uploadArtifacts } from '../lib/uploads.js';
+
+// Gzipped tarball with one regular file per entry, as "npm pack" writes them
+function tarball(entries) {
+    const blocks = Object.entries(entries).flatMap(([name, content]) => {
+        const body = Buffer.from(content);
+        const header = Buffer.alloc(512);
+        header.write(name, 0);
+        header.write('0000644\0', 100);
+        header.write(`${body.length.toString(8).padStart(11, '0')}\0`, 124);
+        header.write('0', 156);
+        return [header, body, Buffer.alloc((512 - (body.length % 512)) % 512)];
+    });
+    return zlib.gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)]));
+}
+
+const file = (originalname, content = originalname) => ({ originalname, buffer: Buffer.from(content) });
+
+test('npm tarballs are named after their package.json', () => {
+    const buffer = tarball({ 'package/package.json': JSON.stringify({ name: '@team/web', version: '1.2.0' }) });
+
+    const plan = planUpload('NPM', [{ originalname: 'upload.tgz', buffer }], { tag: 'next' });
+
+    assert.equal(plan.packageId, '@team/web');
+    assert.equal(plan.version, '1.2.0');
+    assert.equal(plan.distTag, 'next');
+    assert.equal(plan.files[0].filename, 'web-1.2.0.tgz');
+    assert.equal(plan.files[0].sha256, checksums(buffer).sha256);
+    assert.throws(() => planUpload('NPM', [file('web.tgz', 'not gzip')]), /gzipped tarballs/);
+});
+
+test('Python files must share one project and version', () => {
+    const plan = planUpload('PYTHON', [file('My_Lib-1.0-py3-none-any.whl'), file('my.lib-1.0.tar.gz')]);
+
+    assert.equal(plan.packageId, 'my-lib');
+    assert.equal(plan.version, '1.0');
+    assert.deepEqual(plan.files.map((dist) => dist.filetype), ['bdist_wheel', 'sdist']);
+    assert.throws(() => planUpload('PYTHON', [file('lib-1.0.tar.gz'), file('lib-1.1.tar.gz')]), /same project and version/);
+});
+
+test('Maven uploads take coordinates from the pom and rename stray files', () => {
+    const pom = '<project><groupId>com.example</groupId><artifactId>app</artifactId><version>2.0</version></project>';
+
+    const plan = planUpload('MAVEN', [file('pom.xml', pom), file('build.jar'), file('app-2.0-sources.jar')]);
+
+    assert.equal(plan.packageId, 'com.example:app');
+    assert.deepEqual(plan.files.map((artifact) => artifact.filename), ['app-2.0.jar', 'app-2.0-sources.jar', 'app-2.0.pom']);
+});
+
+test('Maven and generic uploads reject file names with paths', () => {
+    const coordinates = { groupId: 'com.example', artifactId: 'app', version: '2.0' };
+    ['../app-2.0.jar', 'app-2.0/../../x.jar', 'dir\\app-2.0.jar', 'app-2.0..jar'].forEach((name) => {
+        assert.throws(() => planUpload('MAVEN', [file(name)], coordinates), UploadError);
+        assert.throws(() => planUpload('GENERIC', [file(name)], { packageId: 'tool', version: '1.0' }), UploadError);
+    });
+});
+
+test('generic uploads keep their file names', () => {
+    const plan = planUpload('GENERIC', [file('tool-linux.tar.gz')], { packageId: 'tool', version: '1.0.0' });
+
+    assert.equal(plan.packageId, 'tool');
+    assert.deepEqual(plan.files.map((artifact) => artifact.filename), ['tool-linux.tar.gz']);
+    assert.throws(() => planUpload('GENERIC', [file('a')], { packageId: 'Tool', version: '1.0' }), /package name/);
+});
+
+test('aborting cancels the upload in flight and skips the remaining files', async (t) => {
+    // The upload hosts are fixed (*.pkg.dev), so fetch itself is replaced: requests hang until aborted
+    const requests = [];
+    let started;
+    const firstRequest = new Promise((resolve) => { started = resolve; });
+    t.mock.method(globalThis, 'fetch', (url, init) => {
+        requests.push(url);
+        started();
+        return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)));
+    });
+
+    const plan = planUpload('MAVEN', [file('app-2.0.jar'), file('app-2.0-sources.jar')], { groupId: 'com.example', artifactId: 'app', version: '2.0' });
+    const controller = new AbortController();
+    const upload = uploadArtifacts({ projectId: 'demo', location: 'us-central1', repository: 'maven' }, plan, {
+        getAccessToken: async () => 'token',
+        signal: controller.signal,
+    });
+
+    await firstRequest;
+    controller.abort();
+
+    await assert.rejects(upload, { name: 'AbortError' });
+    assert.deepEqual(requests, ['https://us-central1-maven.pkg.dev/demo/maven/com/example/app/2.0/app-2.0.jar']);
+});
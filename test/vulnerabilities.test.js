@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CompositeProvider, LocalReportProvider, summarizeFindings } from '../lib/vulnerabilities.js';
+
+const DIGEST = `sha256:${'a'.repeat(64)}`;
+const IMAGE = `us-docker.pkg.dev/team-a/apps/web@${DIGEST}`;
+
+function finding(id, severity, extra = {}) {
+    return { id, severity, package: 'openssl', installedVersion: '3.0.1', fixedVersion: null, ...extra };
+}
+
+// Stand-in for Artifact Analysis returning fixed data
+function staticProvider(name, findings) {
+    return {
+        name,
+        async summaries() { return [summarizeFindings(findings, IMAGE)]; },
+        async findings() { return findings; },
+    };
+}
+
+test('imported reports are only visible to their own project', async () => {
+    const local = new LocalReportProvider();
+    local.add([{ resourceUri: IMAGE, findings: [finding('CVE-1', 'HIGH')] }]);
+
+    assert.equal((await local.summaries({ projectId: 'team-a' })).length, 1);
+    assert.deepEqual(await local.summaries({ projectId: 'team-b' }), []);
+    assert.equal(await local.findings({ projectId: 'team-b', digest: DIGEST }), null);
+    assert.equal((await local.findings({ projectId: 'team-a', digest: DIGEST })).length, 1);
+});
+
+test('reports without a project are rejected', () => {
+    const local = new LocalReportProvider();
+    assert.throws(() => local.add([{ resourceUri: `example.com/web@${DIGEST}`, findings: [] }]), /which project/);
+    assert.equal(local.reports.size, 0);
+});
+
+test('imported findings are merged with Artifact Analysis instead of masking it', async () => {
+    const local = new LocalReportProvider();
+    local.add([{ resourceUri: IMAGE, findings: [finding('CVE-1', 'HIGH'), finding('CVE-2', 'LOW')] }]);
+    const analysis = staticProvider('artifact-analysis', [finding('CVE-1', 'HIGH'), finding('CVE-3', 'CRITICAL', { fixedVersion: '3.0.2' })]);
+    const provider = new CompositeProvider([local, analysis]);
+
+    const findings = await provider.findings({ projectId: 'team-a', resourceUri: IMAGE, digest: DIGEST });
+    assert.deepEqual(findings.map((f) => [f.id, f.sources]), [
+        ['CVE-1', ['local', 'artifact-analysis']],
+        ['CVE-2', ['local']],
+        ['CVE-3', ['artifact-analysis']],
+    ]);
+
+    const [summary] = await provider.summaries({ projectId: 'team-a' });
+    assert.equal(summary.counts.CRITICAL, 1);
+    assert.equal(summary.counts.HIGH, 1);
+    assert.equal(summary.counts.LOW, 1);
+    assert.equal(summary.highest, 'CRITICAL');
+    assert.equal(summary.fixable, 1);
+    assert.deepEqual(summary.sources, ['local', 'artifact-analysis']);
+});
+
+test('a digest no provider scanned stays unscanned', async () => {
+    const provider = new CompositeProvider([new LocalReportProvider(), { name: 'none', async findings() { return null; } }]);
+    assert.equal(await provider.findings({ projectId: 'team-a', resourceUri: IMAGE, digest: DIGEST }), null);
+});